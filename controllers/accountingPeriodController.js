@@ -0,0 +1,257 @@
+// controllers/accountingPeriodController.js
+const Entity = require('../models/entity');
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { runInTransaction } = require('../services/journalEntryService');
+const {
+  listPeriods,
+  closePeriod,
+  reopenPeriod
+} = require('../services/accountingPeriodService');
+const {
+  listYearEndCloses,
+  closeYear,
+  undoYearEndClose
+} = require('../services/yearEndCloseService');
+
+const formatPeriod = (period) => ({
+  id: period._id,
+  entityId: period.entityId,
+  year: period.year,
+  month: period.month,
+  status: period.status,
+  closedBy: period.closedBy,
+  closedAt: period.closedAt,
+  reopenedBy: period.reopenedBy,
+  reopenedAt: period.reopenedAt,
+  notes: period.notes,
+  history: period.history
+});
+
+const formatYearEndClose = (yearEndClose) => ({
+  id: yearEndClose._id,
+  entityId: yearEndClose.entityId,
+  year: yearEndClose.year,
+  status: yearEndClose.status,
+  retainedEarningsAccountId: yearEndClose.retainedEarningsAccountId,
+  journalEntryId: yearEndClose.journalEntryId,
+  reversalEntryId: yearEndClose.reversalEntryId,
+  netIncome: yearEndClose.netIncome,
+  closedBy: yearEndClose.closedBy,
+  closedAt: yearEndClose.closedAt,
+  reopenedBy: yearEndClose.reopenedBy,
+  reopenedAt: yearEndClose.reopenedAt,
+  notes: yearEndClose.notes,
+  history: yearEndClose.history
+});
+
+// Verify entity exists and belongs to the client
+// Admins control periods on their clients' books, so their lookup is not scoped
+// to a client; the entity's clientId is the books the request acts on.
+const findEntity = async (user, entityId) => {
+  const query = { _id: entityId };
+  if (!user.isAdmin) query.clientId = user.id;
+  
+  const entity = await Entity.findOne(query);
+  
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  return entity;
+};
+
+// Get closed periods for an entity
+exports.getPeriods = async (req, res, next) => {
+  try {
+    const { entityId, year } = req.query;
+    
+    const entity = await findEntity(req.user, entityId);
+    const periods = await listPeriods(entity.clientId, entityId, year);
+    
+    res.json({
+      success: true,
+      periods: periods.map(formatPeriod)
+    });
+  } catch (error) {
+    logger.error('Error fetching accounting periods:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Close a period
+exports.closePeriod = async (req, res, next) => {
+  try {
+    const { entityId, year, month, status, notes } = req.body;
+    
+    const entity = await findEntity(req.user, entityId);
+    
+    const period = await runInTransaction(session =>
+      closePeriod({
+        clientId: entity.clientId,
+        userId: req.user.id,
+        entityId,
+        year: parseInt(year),
+        month: parseInt(month),
+        status,
+        notes
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Period ${period.year}-${String(period.month).padStart(2, '0')} closed`,
+      period: formatPeriod(period)
+    });
+  } catch (error) {
+    logger.error('Error closing accounting period:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Reopen a period
+exports.reopenPeriod = async (req, res, next) => {
+  try {
+    const { entityId, year, month, notes } = req.body;
+    
+    const entity = await findEntity(req.user, entityId);
+    
+    const period = await runInTransaction(session =>
+      reopenPeriod({
+        clientId: entity.clientId,
+        userId: req.user.id,
+        entityId,
+        year: parseInt(year),
+        month: parseInt(month),
+        notes
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Period ${period.year}-${String(period.month).padStart(2, '0')} reopened`,
+      period: formatPeriod(period)
+    });
+  } catch (error) {
+    logger.error('Error reopening accounting period:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Get year-end closes for an entity
+exports.getYearEndCloses = async (req, res, next) => {
+  try {
+    const { entityId } = req.query;
+    
+    const entity = await findEntity(req.user, entityId);
+    const yearEndCloses = await listYearEndCloses(entity.clientId, entityId);
+    
+    res.json({
+      success: true,
+      yearEndCloses: yearEndCloses.map(formatYearEndClose)
+    });
+  } catch (error) {
+    logger.error('Error fetching year-end closes:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Close a fiscal year into retained earnings
+exports.closeYear = async (req, res, next) => {
+  try {
+    const { entityId, year, retainedEarningsAccountId, notes } = req.body;
+    
+    const entity = await findEntity(req.user, entityId);
+    
+    const { yearEndClose, journalEntry } = await runInTransaction(session =>
+      closeYear({
+        clientId: entity.clientId,
+        userId: req.user.id,
+        isAdmin: true,
+        entityId,
+        year: parseInt(year),
+        retainedEarningsAccountId,
+        notes
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Fiscal year ${yearEndClose.year} closed`,
+      yearEndClose: formatYearEndClose(yearEndClose),
+      journalEntry: journalEntry ? {
+        id: journalEntry._id,
+        entryNumber: journalEntry.entryNumber,
+        date: journalEntry.date,
+        totalAmount: journalEntry.totalAmount
+      } : null
+    });
+  } catch (error) {
+    logger.error('Error closing fiscal year:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Undo a year-end close
+exports.undoYearEndClose = async (req, res, next) => {
+  try {
+    const { entityId, year, notes } = req.body;
+    
+    const entity = await findEntity(req.user, entityId);
+    
+    const { yearEndClose, reversalEntry } = await runInTransaction(session =>
+      undoYearEndClose({
+        clientId: entity.clientId,
+        userId: req.user.id,
+        isAdmin: true,
+        entityId,
+        year: parseInt(year),
+        notes
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Year-end close of ${yearEndClose.year} undone`,
+      yearEndClose: formatYearEndClose(yearEndClose),
+      reversalEntry: reversalEntry ? {
+        id: reversalEntry._id,
+        entryNumber: reversalEntry.entryNumber,
+        date: reversalEntry.date
+      } : null
+    });
+  } catch (error) {
+    logger.error('Error undoing year-end close:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
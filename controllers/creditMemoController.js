@@ -0,0 +1,158 @@
+// controllers/creditMemoController.js
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { runInTransaction } = require('../services/journalEntryService');
+const {
+  listCreditMemos,
+  getCreditMemo,
+  issueCreditMemo,
+  voidCreditMemo
+} = require('../services/creditMemoService');
+
+const formatCreditMemo = (creditMemo) => ({
+  id: creditMemo._id,
+  entityId: creditMemo.entityId,
+  memoType: creditMemo.memoType,
+  memoNumber: creditMemo.memoNumber,
+  invoiceId: creditMemo.invoiceId,
+  invoiceNumber: creditMemo.invoiceNumber,
+  customerId: creditMemo.customerId,
+  vendorId: creditMemo.vendorId,
+  date: creditMemo.date,
+  amount: creditMemo.amount,
+  currency: creditMemo.currency,
+  reason: creditMemo.reason,
+  lines: creditMemo.lines,
+  status: creditMemo.status,
+  journalEntryId: creditMemo.journalEntryId,
+  reversalEntryId: creditMemo.reversalEntryId,
+  voidedBy: creditMemo.voidedBy,
+  voidedAt: creditMemo.voidedAt,
+  voidReason: creditMemo.voidReason,
+  createdAt: creditMemo.createdAt
+});
+
+const formatInvoiceBalance = (invoice) => ({
+  id: invoice._id,
+  invoiceNumber: invoice.invoiceNumber,
+  total: invoice.total,
+  amountPaid: invoice.amountPaid,
+  creditedAmount: invoice.creditedAmount,
+  balanceDue: invoice.balanceDue,
+  status: invoice.status
+});
+
+// Get credit and debit memos with filtering and pagination
+exports.getCreditMemos = async (req, res, next) => {
+  try {
+    const { creditMemos, total, page, limit } = await listCreditMemos(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      creditMemos: creditMemos.map(formatCreditMemo),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching credit memos:', error);
+    next(error);
+  }
+};
+
+// Get a single credit or debit memo
+exports.getCreditMemoById = async (req, res, next) => {
+  try {
+    const creditMemo = await getCreditMemo(req.user.id, req.params.id);
+    
+    res.json({
+      success: true,
+      creditMemo: formatCreditMemo(creditMemo)
+    });
+  } catch (error) {
+    logger.error('Error fetching credit memo:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Issue a credit memo against an invoice or a debit memo against a bill
+exports.issueCreditMemo = async (req, res, next) => {
+  try {
+    const { creditMemo, invoice, journalEntry } = await runInTransaction(session =>
+      issueCreditMemo({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        invoiceId: req.body.invoiceId,
+        date: req.body.date,
+        amount: req.body.amount,
+        reason: req.body.reason
+      }, session)
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `${creditMemo.memoNumber} issued against ${invoice.invoiceNumber}; ${invoice.balanceDue.toFixed(2)} remains due`,
+      creditMemo: formatCreditMemo(creditMemo),
+      invoice: formatInvoiceBalance(invoice),
+      journalEntry: {
+        id: journalEntry._id,
+        entryNumber: journalEntry.entryNumber,
+        date: journalEntry.date,
+        totalAmount: journalEntry.totalAmount
+      }
+    });
+  } catch (error) {
+    logger.error('Error issuing credit memo:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Void a credit or debit memo, reversing its journal entry
+exports.voidCreditMemo = async (req, res, next) => {
+  try {
+    const { creditMemo, invoice, reversalEntry } = await runInTransaction(session =>
+      voidCreditMemo({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        creditMemoId: req.params.id,
+        voidDate: req.body.voidDate,
+        reason: req.body.reason
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `${creditMemo.memoNumber} voided`,
+      creditMemo: formatCreditMemo(creditMemo),
+      invoice: invoice ? formatInvoiceBalance(invoice) : null,
+      reversalEntry: {
+        id: reversalEntry._id,
+        entryNumber: reversalEntry.entryNumber,
+        date: reversalEntry.date
+      }
+    });
+  } catch (error) {
+    logger.error('Error voiding credit memo:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
@@ -0,0 +1,190 @@
+// controllers/customerController.js
+const Entity = require('../models/entity');
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { runInTransaction } = require('../services/journalEntryService');
+const {
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer
+} = require('../services/customerService');
+
+const formatCustomer = (customer, balance) => ({
+  id: customer._id,
+  entityId: customer.entityId,
+  name: customer.name,
+  customerNumber: customer.customerNumber,
+  email: customer.email,
+  phone: customer.phone,
+  website: customer.website,
+  taxId: customer.taxId,
+  taxExempt: customer.taxExempt,
+  billingAddress: customer.billingAddress,
+  shippingAddress: customer.shippingAddress,
+  contacts: customer.contacts,
+  paymentTerms: customer.paymentTerms,
+  creditLimit: customer.creditLimit,
+  currency: customer.currency,
+  category: customer.category,
+  notes: customer.notes,
+  status: customer.status,
+  defaultRevenueAccount: customer.defaultRevenueAccount,
+  dunningOptOut: customer.dunningOptOut,
+  customerSince: customer.customerSince,
+  lastInvoiceDate: customer.lastInvoiceDate,
+  lastPaymentDate: customer.lastPaymentDate,
+  lastPaymentAmount: customer.lastPaymentAmount,
+  tags: customer.tags,
+  balance,
+  createdAt: customer.createdAt,
+  updatedAt: customer.updatedAt
+});
+
+// Customer fields accepted from a request body
+const customerData = (body) => ({
+  name: body.name,
+  customerNumber: body.customerNumber,
+  email: body.email,
+  phone: body.phone,
+  website: body.website,
+  taxId: body.taxId,
+  taxExempt: body.taxExempt,
+  billingAddress: body.billingAddress,
+  shippingAddress: body.shippingAddress,
+  contacts: body.contacts,
+  paymentTerms: body.paymentTerms,
+  creditLimit: body.creditLimit,
+  currency: body.currency,
+  category: body.category,
+  notes: body.notes,
+  status: body.status,
+  defaultRevenueAccount: body.defaultRevenueAccount,
+  dunningOptOut: body.dunningOptOut,
+  tags: body.tags
+});
+
+// Get customers with their open balances
+exports.getCustomers = async (req, res, next) => {
+  try {
+    const customers = await listCustomers(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      customers: customers.map(({ customer, balance }) => formatCustomer(customer, balance))
+    });
+  } catch (error) {
+    logger.error('Error fetching customers:', error);
+    next(error);
+  }
+};
+
+// Get a single customer with its open balance
+exports.getCustomerById = async (req, res, next) => {
+  try {
+    const { customer, balance } = await getCustomer(req.user.id, req.params.id);
+    
+    res.json({
+      success: true,
+      customer: formatCustomer(customer, balance)
+    });
+  } catch (error) {
+    logger.error('Error fetching customer:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Create a customer
+exports.createCustomer = async (req, res, next) => {
+  try {
+    const { entityId } = req.body;
+    
+    const entity = await Entity.findOne({ _id: entityId, clientId: req.user.id });
+    if (!entity) {
+      throw new ApiError(404, 'Entity not found or you do not have permission');
+    }
+    
+    const customer = await runInTransaction(session =>
+      createCustomer({
+        clientId: req.user.id,
+        userId: req.user.id,
+        entityId,
+        ...customerData(req.body)
+      }, session)
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      customer: formatCustomer(customer)
+    });
+  } catch (error) {
+    logger.error('Error creating customer:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Edit a customer
+exports.updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await runInTransaction(session =>
+      updateCustomer({
+        clientId: req.user.id,
+        userId: req.user.id,
+        customerId: req.params.id,
+        ...customerData(req.body)
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      customer: formatCustomer(customer)
+    });
+  } catch (error) {
+    logger.error('Error updating customer:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Delete a customer without invoices
+exports.deleteCustomer = async (req, res, next) => {
+  try {
+    const customer = await runInTransaction(session =>
+      deleteCustomer({
+        clientId: req.user.id,
+        userId: req.user.id,
+        customerId: req.params.id
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Customer ${customer.name} deleted`
+    });
+  } catch (error) {
+    logger.error('Error deleting customer:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
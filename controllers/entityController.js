@@ -5,6 +5,17 @@ const Account = require('../models/account');
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 
+// Default accounts the ledger falls back to, with the account types each may be
+const DEFAULT_ACCOUNT_TYPES = {
+  receivableAccountId: ['Asset'],
+  payableAccountId: ['Liability'],
+  salesTaxPayableAccountId: ['Liability'],
+  cashAccountId: ['Asset'],
+  disposalGainLossAccountId: ['Revenue', 'Expense'],
+  impairmentLossAccountId: ['Expense'],
+  retainedEarningsAccountId: ['Equity']
+};
+
 // Get all entities
 exports.getEntities = async (req, res, next) => {
   try {
@@ -60,6 +71,19 @@ exports.getEntityById = async (req, res, next) => {
         currency: entity.currency,
         isActive: entity.isActive,
         parentEntityId: entity.parentEntityId,
+        address: entity.address,
+        phone: entity.phone,
+        email: entity.email,
+        website: entity.website,
+        remittanceInstructions: entity.remittanceInstructions,
+        dunning: entity.dunning,
+        receivableAccountId: entity.receivableAccountId,
+        payableAccountId: entity.payableAccountId,
+        salesTaxPayableAccountId: entity.salesTaxPayableAccountId,
+        cashAccountId: entity.cashAccountId,
+        disposalGainLossAccountId: entity.disposalGainLossAccountId,
+        impairmentLossAccountId: entity.impairmentLossAccountId,
+        retainedEarningsAccountId: entity.retainedEarningsAccountId,
         metadata: entity.metadata,
         createdAt: entity.createdAt,
         updatedAt: entity.updatedAt
@@ -132,6 +156,7 @@ exports.createEntity = async (req, res, next) => {
 exports.updateEntity = async (req, res, next) => {
   try {
     const { name, type, currency, isActive, metadata } = req.body;
+    const { address, phone, email, website, remittanceInstructions, dunning } = req.body;
     
     // Find entity and make sure it belongs to this client
     const entity = await Entity.findOne({
@@ -146,12 +171,50 @@ exports.updateEntity = async (req, res, next) => {
       });
     }
     
+    // Default accounts must be active accounts of this entity of the right type; null clears one
+    const defaultAccounts = {};
+    for (const [field, accountTypes] of Object.entries(DEFAULT_ACCOUNT_TYPES)) {
+      if (req.body[field] === undefined) continue;
+      
+      if (req.body[field] === null) {
+        entity[field] = undefined;
+        defaultAccounts[field] = null;
+        continue;
+      }
+      
+      const account = await Account.findOne({
+        _id: req.body[field],
+        clientId: req.user.id,
+        entityId: entity._id,
+        isActive: true
+      });
+      
+      if (!account || !accountTypes.includes(account.accountType)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be an active ${accountTypes.join(' or ')} account of the entity`
+        });
+      }
+      
+      entity[field] = account._id;
+      defaultAccounts[field] = account._id;
+    }
+    
     // Update fields
     if (name) entity.name = name;
     if (type) entity.type = type;
     if (currency) entity.currency = currency;
     if (isActive !== undefined) entity.isActive = isActive;
     if (metadata) entity.metadata = { ...entity.metadata, ...metadata };
+    if (address) entity.address = address;
+    if (phone !== undefined) entity.phone = phone;
+    if (email !== undefined) entity.email = email;
+    if (website !== undefined) entity.website = website;
+    if (remittanceInstructions !== undefined) entity.remittanceInstructions = remittanceInstructions;
+    if (dunning) {
+      if (dunning.enabled !== undefined) entity.dunning.enabled = dunning.enabled;
+      if (dunning.reminderDays) entity.dunning.reminderDays = [...dunning.reminderDays].sort((a, b) => a - b);
+    }
     
     await entity.save();
     
@@ -162,7 +225,7 @@ exports.updateEntity = async (req, res, next) => {
       entityType: 'Entity',
       entityId: entity._id,
       userId: req.user.id,
-      details: { name, type, currency, isActive }
+      details: { name, type, currency, isActive, ...defaultAccounts }
     });
     await auditLog.save();
     
@@ -175,7 +238,14 @@ exports.updateEntity = async (req, res, next) => {
         code: entity.code,
         type: entity.type,
         currency: entity.currency,
-        isActive: entity.isActive
+        isActive: entity.isActive,
+        receivableAccountId: entity.receivableAccountId,
+        payableAccountId: entity.payableAccountId,
+        salesTaxPayableAccountId: entity.salesTaxPayableAccountId,
+        cashAccountId: entity.cashAccountId,
+        disposalGainLossAccountId: entity.disposalGainLossAccountId,
+        impairmentLossAccountId: entity.impairmentLossAccountId,
+        retainedEarningsAccountId: entity.retainedEarningsAccountId
       }
     });
   } catch (error) {
@@ -0,0 +1,359 @@
+// controllers/invoiceController.js
+const Entity = require('../models/entity');
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { runInTransaction } = require('../services/journalEntryService');
+const {
+  listInvoices,
+  getInvoice,
+  createInvoice,
+  updateInvoice,
+  deleteInvoice,
+  issueInvoice,
+  voidInvoice
+} = require('../services/invoiceService');
+const { renderInvoice, sendInvoice } = require('../services/invoiceDeliveryService');
+const { formatFile } = require('../services/fileStorageService');
+const { runDunning } = require('../services/dunningService');
+
+const formatInvoice = (invoice) => ({
+  id: invoice._id,
+  entityId: invoice.entityId,
+  invoiceType: invoice.invoiceType,
+  invoiceNumber: invoice.invoiceNumber,
+  reference: invoice.reference,
+  issueDate: invoice.issueDate,
+  dueDate: invoice.dueDate,
+  customerId: invoice.customerId,
+  vendorId: invoice.vendorId,
+  items: invoice.items,
+  subtotal: invoice.subtotal,
+  taxTotal: invoice.taxTotal,
+  total: invoice.total,
+  amountPaid: invoice.amountPaid,
+  creditedAmount: invoice.creditedAmount,
+  credits: invoice.credits,
+  balanceDue: invoice.balanceDue,
+  currency: invoice.currency,
+  status: invoice.status,
+  paymentTerms: invoice.paymentTerms,
+  notes: invoice.notes,
+  memo: invoice.memo,
+  controlAccountId: invoice.controlAccountId,
+  recurringInvoiceId: invoice.recurringInvoiceId,
+  taxAccountId: invoice.taxAccountId,
+  journalEntryId: invoice.journalEntryId,
+  reversalEntryId: invoice.reversalEntryId,
+  issuedBy: invoice.issuedBy,
+  issuedAt: invoice.issuedAt,
+  voidedBy: invoice.voidedBy,
+  voidedAt: invoice.voidedAt,
+  voidReason: invoice.voidReason,
+  lastSentAt: invoice.lastSentAt,
+  deliveries: invoice.deliveries,
+  dunningLevel: invoice.dunningLevel,
+  lastReminderAt: invoice.lastReminderAt,
+  payments: invoice.payments,
+  tags: invoice.tags,
+  documents: invoice.documents,
+  createdAt: invoice.createdAt,
+  updatedAt: invoice.updatedAt
+});
+
+const formatEntry = (entry) => ({
+  id: entry._id,
+  entryNumber: entry.entryNumber,
+  date: entry.date,
+  totalAmount: entry.totalAmount
+});
+
+// Invoice fields accepted from a request body
+const invoiceData = (body) => ({
+  reference: body.reference,
+  issueDate: body.issueDate,
+  dueDate: body.dueDate,
+  customerId: body.customerId,
+  vendorId: body.vendorId,
+  items: body.items,
+  currency: body.currency,
+  paymentTerms: body.paymentTerms,
+  notes: body.notes,
+  memo: body.memo,
+  controlAccountId: body.controlAccountId,
+  taxAccountId: body.taxAccountId,
+  tags: body.tags
+});
+
+// Get invoices with filtering and pagination
+exports.getInvoices = async (req, res, next) => {
+  try {
+    const { invoices, total, page, limit } = await listInvoices(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      invoices: invoices.map(formatInvoice),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching invoices:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Get a single invoice
+exports.getInvoiceById = async (req, res, next) => {
+  try {
+    const invoice = await getInvoice(req.user.id, req.params.id);
+    
+    res.json({
+      success: true,
+      invoice: formatInvoice(invoice)
+    });
+  } catch (error) {
+    logger.error('Error fetching invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Create a draft invoice or bill
+exports.createInvoice = async (req, res, next) => {
+  try {
+    const { entityId, invoiceType } = req.body;
+    
+    const entity = await Entity.findOne({ _id: entityId, clientId: req.user.id });
+    if (!entity) {
+      throw new ApiError(404, 'Entity not found or you do not have permission');
+    }
+    
+    const invoice = await runInTransaction(session =>
+      createInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        entityId,
+        invoiceType,
+        ...invoiceData(req.body)
+      }, session)
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `${invoice.invoiceType === 'ar' ? 'Invoice' : 'Bill'} ${invoice.invoiceNumber} created as draft`,
+      invoice: formatInvoice(invoice)
+    });
+  } catch (error) {
+    logger.error('Error creating invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Edit a draft invoice
+exports.updateInvoice = async (req, res, next) => {
+  try {
+    const invoice = await runInTransaction(session =>
+      updateInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        invoiceId: req.params.id,
+        ...invoiceData(req.body)
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `${invoice.invoiceNumber} updated`,
+      invoice: formatInvoice(invoice)
+    });
+  } catch (error) {
+    logger.error('Error updating invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Delete a draft invoice
+exports.deleteInvoice = async (req, res, next) => {
+  try {
+    const invoice = await runInTransaction(session =>
+      deleteInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        invoiceId: req.params.id
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `${invoice.invoiceNumber} deleted`
+    });
+  } catch (error) {
+    logger.error('Error deleting invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Issue an invoice and post it to the GL
+exports.issueInvoice = async (req, res, next) => {
+  try {
+    const { invoice, journalEntry } = await runInTransaction(session =>
+      issueInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        invoiceId: req.params.id,
+        controlAccountId: req.body.controlAccountId,
+        taxAccountId: req.body.taxAccountId
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `${invoice.invoiceNumber} issued and posted`,
+      invoice: formatInvoice(invoice),
+      journalEntry: formatEntry(journalEntry)
+    });
+  } catch (error) {
+    logger.error('Error issuing invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Void an issued invoice, reversing its journal entry
+exports.voidInvoice = async (req, res, next) => {
+  try {
+    const { invoice, reversalEntry } = await runInTransaction(session =>
+      voidInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        invoiceId: req.params.id,
+        voidDate: req.body.voidDate,
+        reason: req.body.reason
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `${invoice.invoiceNumber} voided`,
+      invoice: formatInvoice(invoice),
+      reversalEntry: formatEntry(reversalEntry)
+    });
+  } catch (error) {
+    logger.error('Error voiding invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Download an invoice as PDF
+exports.downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const { pdf, fileName } = await renderInvoice(req.user.id, req.params.id);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Invoice PDF error:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Email an invoice to the customer, issuing it first if still a draft
+exports.sendInvoice = async (req, res, next) => {
+  try {
+    const { invoice, journalEntry, file } = await sendInvoice({
+      clientId: req.user.id,
+      userId: req.user.id,
+      isAdmin: req.user.isAdmin,
+      invoiceId: req.params.id,
+      to: req.body.to,
+      cc: req.body.cc,
+      message: req.body.message
+    });
+    
+    res.json({
+      success: true,
+      message: `${invoice.invoiceNumber} sent to ${invoice.deliveries[invoice.deliveries.length - 1].to.join(', ')}`,
+      invoice: formatInvoice(invoice),
+      journalEntry: journalEntry ? formatEntry(journalEntry) : null,
+      file: formatFile(file)
+    });
+  } catch (error) {
+    logger.error('Error sending invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Mark overdue invoices and send due payment reminders now rather than waiting for the job (admin)
+exports.runDunning = async (req, res, next) => {
+  try {
+    const { asOfDate, entityId } = req.body;
+    
+    const { markedOverdue, reminders } = await runDunning(
+      asOfDate ? new Date(asOfDate) : new Date(),
+      { entityId }
+    );
+    const sent = reminders.filter(r => r.status === 'sent').length;
+    
+    res.json({
+      success: true,
+      message: `Marked ${markedOverdue} invoice(s) overdue and sent ${sent} payment reminder(s)`,
+      markedOverdue,
+      reminders
+    });
+  } catch (error) {
+    logger.error('Error running invoice dunning:', error);
+    next(error);
+  }
+};
@@ -1,11 +1,43 @@
 // controllers/journalEntryController.js
 const JournalEntry = require('../models/journalEntry');
 const Transaction = require('../models/transaction');
-const Account = require('../models/account');
-const Entity = require('../models/entity');
-const AuditLog = require('../models/auditLog');
-const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const {
+  runInTransaction,
+  postJournalEntry,
+  reverseJournalEntry,
+  requestReversal,
+  createDraftJournalEntry,
+  updateDraftJournalEntry,
+  submitJournalEntry,
+  approveJournalEntry,
+  rejectJournalEntry,
+  setAutoReversal,
+  firstDayOfNextPeriod
+} = require('../services/journalEntryService');
+
+// Reversal date requested with a new entry, defaulting to the first day of the next period
+const autoReversalDateFrom = (body) => {
+  if (!body.autoReverse) return undefined;
+  return body.reversalDate || firstDayOfNextPeriod(new Date(body.date));
+};
+
+// Summary of an unposted entry returned by the workflow endpoints
+const formatWorkflowEntry = (entry) => ({
+  id: entry._id,
+  entryNumber: entry.entryNumber,
+  date: entry.date,
+  description: entry.description,
+  totalAmount: entry.totalAmount,
+  status: entry.status,
+  lines: entry.lines,
+  createdBy: entry.createdBy,
+  approvedBy: entry.approvedBy,
+  approvalDate: entry.approvalDate,
+  autoReversal: entry.autoReversal,
+  auditTrail: entry.auditTrail
+});
 
 // Get journal entries with filtering and pagination
 exports.getJournalEntries = async (req, res, next) => {
@@ -90,6 +122,7 @@ exports.getJournalEntries = async (req, res, next) => {
       totalAmount: entry.totalAmount,
       status: entry.status,
       isIntercompany: entry.isIntercompany,
+      lines: entry.status === 'posted' || entry.status === 'reversed' ? undefined : entry.lines,
       transactions: (transactionsByEntry[entry._id.toString()] || []).map(t => ({
         id: t._id,
         account: t.accountId ? {
@@ -153,6 +186,11 @@ exports.getJournalEntryById = async (req, res, next) => {
         } : null,
         totalAmount: entry.totalAmount,
         status: entry.status,
+        createdBy: entry.createdBy,
+        approvedBy: entry.approvedBy,
+        approvalDate: entry.approvalDate,
+        lines: entry.status === 'posted' || entry.status === 'reversed' ? undefined : entry.lines,
+        auditTrail: entry.auditTrail,
         transactions: transactions.map(t => ({
           id: t._id,
           account: t.accountId ? {
@@ -173,170 +211,46 @@ exports.getJournalEntryById = async (req, res, next) => {
 };
 
 // Create journal entry
+// Entries are saved as drafts to go through submit and approval; only admins may post directly
 exports.createJournalEntry = async (req, res, next) => {
-  const session = await mongoose.startSession();
-  
   try {
-    session.startTransaction();
-    
-    const { entityId, date, description, entries, attachments } = req.body;
-    
-    // Verify entity exists and belongs to client
-    const entity = await Entity.findOne({
-      _id: entityId,
-      clientId: req.user.id
-    }).session(session);
-    
-    if (!entity) {
-      return res.status(404).json({
-        success: false,
-        message: 'Entity not found or you do not have permission'
-      });
-    }
-    
-    // Calculate totals
-    let totalDebits = 0;
-    let totalCredits = 0;
-    
-    for (const entry of entries) {
-      const amount = parseFloat(entry.amount);
-      if (entry.type === 'debit') {
-        totalDebits += amount;
-      } else {
-        totalCredits += amount;
-      }
-    }
-    
-    // Verify balanced entry
-    if (Math.abs(totalDebits - totalCredits) > 0.01) {
-      return res.status(400).json({
-        success: false,
-        message: 'Journal entries must be balanced',
-        details: {
-          totalDebits,
-          totalCredits,
-          difference: totalDebits - totalCredits
-        }
+    const { entityId, date, description, entries, attachments, status } = req.body;
+    
+    if (status === 'draft' || !req.user.isAdmin) {
+      const draft = await runInTransaction(session =>
+        createDraftJournalEntry({
+          clientId: req.user.id,
+          userId: req.user.id,
+          entityId,
+          date,
+          description,
+          entries,
+          attachments,
+          autoReversalDate: autoReversalDateFrom(req.body)
+        }, session)
+      );
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Draft journal entry saved; submit it for approval to post it',
+        journalEntry: formatWorkflowEntry(draft)
       });
     }
     
-    // Generate entry number (YYYY-MM-XXXXX)
-    const entryDate = new Date(date);
-    const year = entryDate.getFullYear();
-    const month = String(entryDate.getMonth() + 1).padStart(2, '0');
-    
-    // Get count of entries this month for sequential numbering
-    const entryCount = await JournalEntry.countDocuments({
-      clientId: req.user.id,
-      entityId,
-      'period.year': year,
-      'period.month': entryDate.getMonth() + 1
-    }).session(session);
-    
-    const entryNumber = `${year}-${month}-${String(entryCount + 1).padStart(5, '0')}`;
-    
-    // Create journal entry
-    const journalEntry = new JournalEntry({
-      clientId: req.user.id,
-      entityId,
-      entryNumber,
-      date: entryDate,
-      description,
-      totalAmount: totalDebits,
-      status: 'posted',
-      createdBy: req.user.id,
-      currency: entity.currency,
-      period: {
-        year,
-        month: entryDate.getMonth() + 1,
-        quarter: Math.floor(entryDate.getMonth() / 3) + 1
-      },
-      isManual: true,
-      attachments: []
-    });
-    
-    // Handle attachments
-    if (attachments && Array.isArray(attachments)) {
-      journalEntry.attachments = attachments;
-    }
-    
-    await journalEntry.save({ session });
-    
-    // Create transactions for each entry
-    const transactions = [];
-    for (const entry of entries) {
-      // Verify account exists and belongs to client
-      const account = await Account.findOne({
-        _id: entry.accountId,
-        clientId: req.user.id,
-        entityId
-      }).session(session);
-      
-      if (!account) {
-        throw new Error(`Account ${entry.accountId} not found or does not belong to this entity`);
-      }
-      
-      const transaction = new Transaction({
+    // Entry, lines, balances and audit log are written as one unit
+    const { journalEntry, transactions } = await runInTransaction(session =>
+      postJournalEntry({
         clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
         entityId,
-        accountId: entry.accountId,
-        journalEntryId: journalEntry._id,
-        date: entryDate,
-        description: entry.description || description,
-        amount: parseFloat(entry.amount),
-        type: entry.type,
-        transactionNo: entryNumber,
-        lineNo: entry.lineNo || transactions.length + 1,
-        documentNumber: entry.documentNumber,
-        subledgerType: account.subledgerType,
-        currency: entity.currency,
-        isManual: true
-      });
-      
-      transactions.push(transaction);
-      
-      // Update account balance
-      const updateAmount = parseFloat(entry.amount);
-      let balanceChange = 0;
-      
-      if (['Asset', 'Expense'].includes(account.accountType)) {
-        // Debit increases, credit decreases
-        balanceChange = entry.type === 'debit' ? updateAmount : -updateAmount;
-      } else {
-        // Credit increases, debit decreases
-        balanceChange = entry.type === 'credit' ? updateAmount : -updateAmount;
-      }
-      
-      await Account.findByIdAndUpdate(
-        account._id,
-        { 
-          $inc: { balance: balanceChange },
-          $set: { lastUpdated: new Date() }
-        },
-        { session }
-      );
-    }
-    
-    await Transaction.insertMany(transactions, { session });
-    
-    // Create audit log
-    const auditLog = new AuditLog({
-      clientId: req.user.id,
-      action: 'CREATE_JOURNAL_ENTRY',
-      entityType: 'JournalEntry',
-      entityId: journalEntry._id,
-      userId: req.user.id,
-      details: { 
-        entryNumber, 
-        entityId, 
-        date, 
-        totalAmount: totalDebits,
-        transactionCount: transactions.length
-      }
-    });
-    await auditLog.save({ session });
-    
-    await session.commitTransaction();
+        date,
+        description,
+        entries,
+        attachments,
+        autoReversalDate: autoReversalDateFrom(req.body)
+      }, session)
+    );
     
     res.status(201).json({
       success: true,
@@ -347,6 +261,7 @@ exports.createJournalEntry = async (req, res, next) => {
         date: journalEntry.date,
         description: journalEntry.description,
         totalAmount: journalEntry.totalAmount,
+        autoReversal: journalEntry.autoReversal,
         transactions: transactions.map(t => ({
           id: t._id,
           accountId: t.accountId,
@@ -356,166 +271,217 @@ exports.createJournalEntry = async (req, res, next) => {
       }
     });
   } catch (error) {
-    await session.abortTransaction();
     logger.error('Error creating journal entry:', error);
     
-    if (error.message && error.message.includes('Account')) {
-      return res.status(400).json({
-        success: false,
-        message: error.message
-      });
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
     }
     
     next(error);
-  } finally {
-    session.endSession();
   }
 };
 
-// Delete/Reverse journal entry
+// Delete/Reverse journal entry: posted directly by an admin, otherwise submitted for approval
 exports.deleteJournalEntry = async (req, res, next) => {
-  const session = await mongoose.startSession();
-  
   try {
-    session.startTransaction();
-    
-    const journalEntryId = req.params.id;
-    
-    // First, check if the entry exists and belongs to the user
-    const journalEntry = await JournalEntry.findOne({
-      _id: journalEntryId,
-      clientId: req.user.id,
-      status: { $ne: 'reversed' } // Cannot delete already reversed entries
-    }).session(session);
-    
-    if (!journalEntry) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Journal entry not found or already reversed'
+    const reversalDate = (req.body && req.body.reversalDate) || req.query.reversalDate;
+    
+    if (!req.user.isAdmin) {
+      const reversal = await runInTransaction(session =>
+        requestReversal({
+          clientId: req.user.id,
+          userId: req.user.id,
+          journalEntryId: req.params.id,
+          reversalDate
+        }, session)
+      );
+      
+      return res.status(202).json({
+        success: true,
+        message: 'Reversal submitted for approval; the entry stays posted until it is approved',
+        journalEntry: formatWorkflowEntry(reversal)
       });
     }
     
-    // Get transactions for this journal entry
-    const transactions = await Transaction.find({
-      journalEntryId: journalEntryId
-    }).populate('accountId').session(session);
+    const { reversalEntry } = await runInTransaction(session =>
+      reverseJournalEntry({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        journalEntryId: req.params.id,
+        reversalDate
+      }, session)
+    );
     
-    // Reverse account balances
-    for (const transaction of transactions) {
-      if (!transaction.accountId) continue;
-      
-      const account = transaction.accountId;
-      const updateAmount = transaction.amount;
-      let balanceChange = 0;
-      
-      if (['Asset', 'Expense'].includes(account.accountType)) {
-        // Reverse the effect: debit decreased, credit increased
-        balanceChange = transaction.type === 'debit' ? -updateAmount : updateAmount;
-      } else {
-        // Reverse the effect: credit decreased, debit increased
-        balanceChange = transaction.type === 'credit' ? -updateAmount : updateAmount;
+    res.json({ 
+      success: true,
+      message: 'Journal entry reversed successfully',
+      reversalEntry: {
+        id: reversalEntry._id,
+        entryNumber: reversalEntry.entryNumber,
+        date: reversalEntry.date
       }
-      
-      await Account.findByIdAndUpdate(
-        account._id,
-        { 
-          $inc: { balance: balanceChange },
-          $set: { lastUpdated: new Date() }
-        },
-        { session }
-      );
+    });
+  } catch (error) {
+    logger.error('Error reversing journal entry:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
     }
     
-    // Create reversal journal entry
-    const reversalEntry = new JournalEntry({
-      clientId: req.user.id,
-      entityId: journalEntry.entityId,
-      entryNumber: `REV-${journalEntry.entryNumber}`,
-      date: new Date(),
-      description: `Reversal of ${journalEntry.entryNumber}: ${journalEntry.description}`,
-      totalAmount: journalEntry.totalAmount,
-      status: 'posted',
-      createdBy: req.user.id,
-      reversalOf: journalEntry._id,
-      currency: journalEntry.currency,
-      period: {
-        year: new Date().getFullYear(),
-        month: new Date().getMonth() + 1,
-        quarter: Math.floor(new Date().getMonth() / 3) + 1
-      },
-      isManual: true
+    next(error);
+  }
+};
+
+// Update a draft or rejected journal entry
+exports.updateDraftJournalEntry = async (req, res, next) => {
+  try {
+    const { date, description, entries } = req.body;
+    
+    const draft = await runInTransaction(session =>
+      updateDraftJournalEntry({
+        clientId: req.user.id,
+        userId: req.user.id,
+        journalEntryId: req.params.id,
+        date,
+        description,
+        entries
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: 'Draft journal entry updated',
+      journalEntry: formatWorkflowEntry(draft)
     });
+  } catch (error) {
+    logger.error('Error updating draft journal entry:', error);
     
-    await reversalEntry.save({ session });
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
     
-    // Create reversal transactions
-    const reversalTransactions = [];
-    for (const transaction of transactions) {
-      const reversalTransaction = new Transaction({
+    next(error);
+  }
+};
+
+// Submit a draft for approval
+exports.submitJournalEntry = async (req, res, next) => {
+  try {
+    const entry = await runInTransaction(session =>
+      submitJournalEntry({
         clientId: req.user.id,
-        entityId: transaction.entityId,
-        accountId: transaction.accountId._id,
-        journalEntryId: reversalEntry._id,
-        date: new Date(),
-        description: `Reversal of ${transaction.description}`,
-        amount: transaction.amount,
-        // Reverse the transaction type
-        type: transaction.type === 'debit' ? 'credit' : 'debit',
-        transactionNo: reversalEntry.entryNumber,
-        lineNo: transaction.lineNo,
-        subledgerType: transaction.subledgerType,
-        currency: transaction.currency,
-        isManual: true
-      });
-      
-      reversalTransactions.push(reversalTransaction);
+        userId: req.user.id,
+        journalEntryId: req.params.id
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: 'Journal entry submitted for approval',
+      journalEntry: formatWorkflowEntry(entry)
+    });
+  } catch (error) {
+    logger.error('Error submitting journal entry:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
     }
     
-    await Transaction.insertMany(reversalTransactions, { session });
-    
-    // Update original journal entry
-    await JournalEntry.findByIdAndUpdate(
-      journalEntry._id,
-      { 
-        $set: { 
-          status: 'reversed',
-          reversedBy: reversalEntry._id
-        }
-      },
-      { session }
+    next(error);
+  }
+};
+
+// Approve a submitted journal entry and post it
+exports.approveJournalEntry = async (req, res, next) => {
+  try {
+    const { journalEntry, transactions } = await runInTransaction(session =>
+      approveJournalEntry({
+        userId: req.user.id,
+        journalEntryId: req.params.id,
+        comment: req.body.comment
+      }, session)
     );
     
-    // Create audit log
-    const auditLog = new AuditLog({
-      clientId: req.user.id,
-      action: 'REVERSE_JOURNAL_ENTRY',
-      entityType: 'JournalEntry',
-      entityId: journalEntry._id,
-      userId: req.user.id,
-      details: { 
-        originalEntryNumber: journalEntry.entryNumber,
-        reversalEntryNumber: reversalEntry.entryNumber,
-        date: new Date(),
-        amount: journalEntry.totalAmount
+    res.json({
+      success: true,
+      message: 'Journal entry approved and posted',
+      journalEntry: {
+        ...formatWorkflowEntry(journalEntry),
+        transactions: transactions.map(t => ({
+          id: t._id,
+          accountId: t.accountId,
+          amount: t.amount,
+          type: t.type
+        }))
       }
     });
-    await auditLog.save({ session });
+  } catch (error) {
+    logger.error('Error approving journal entry:', error);
     
-    await session.commitTransaction();
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
     
-    res.json({ 
+    next(error);
+  }
+};
+
+// Reject a submitted journal entry
+exports.rejectJournalEntry = async (req, res, next) => {
+  try {
+    const entry = await runInTransaction(session =>
+      rejectJournalEntry({
+        userId: req.user.id,
+        journalEntryId: req.params.id,
+        comment: req.body.comment
+      }, session)
+    );
+    
+    res.json({
       success: true,
-      message: 'Journal entry reversed successfully',
-      reversalEntry: {
-        id: reversalEntry._id,
-        entryNumber: reversalEntry.entryNumber
-      }
+      message: 'Journal entry rejected',
+      journalEntry: formatWorkflowEntry(entry)
     });
   } catch (error) {
-    await session.abortTransaction();
-    logger.error('Error reversing journal entry:', error);
+    logger.error('Error rejecting journal entry:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Schedule or cancel the automatic reversal of a journal entry
+exports.setAutoReversal = async (req, res, next) => {
+  try {
+    const { enabled = true, reversalDate } = req.body;
+    
+    const entry = await runInTransaction(session =>
+      setAutoReversal({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        journalEntryId: req.params.id,
+        reversalDate,
+        enabled
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: enabled ? 'Automatic reversal scheduled' : 'Automatic reversal cancelled',
+      journalEntry: formatWorkflowEntry(entry)
+    });
+  } catch (error) {
+    logger.error('Error scheduling journal entry reversal:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
     next(error);
-  } finally {
-    session.endSession();
   }
 };
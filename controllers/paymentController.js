@@ -0,0 +1,226 @@
+// controllers/paymentController.js
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { runInTransaction } = require('../services/journalEntryService');
+const {
+  listPayments,
+  getPayment,
+  recordPayment,
+  applyCredit,
+  unapplyPayment,
+  voidPayment
+} = require('../services/paymentService');
+
+const formatPayment = (payment) => ({
+  id: payment._id,
+  entityId: payment.entityId,
+  paymentType: payment.paymentType,
+  paymentNumber: payment.paymentNumber,
+  customerId: payment.customerId,
+  vendorId: payment.vendorId,
+  date: payment.date,
+  amount: payment.amount,
+  currency: payment.currency,
+  paymentMethod: payment.paymentMethod,
+  reference: payment.reference,
+  memo: payment.memo,
+  cashAccountId: payment.cashAccountId,
+  controlAccountId: payment.controlAccountId,
+  applications: payment.applications,
+  unappliedAmount: payment.unappliedAmount,
+  status: payment.status,
+  journalEntryId: payment.journalEntryId,
+  reversalEntryId: payment.reversalEntryId,
+  voidedBy: payment.voidedBy,
+  voidedAt: payment.voidedAt,
+  voidReason: payment.voidReason,
+  createdAt: payment.createdAt
+});
+
+// Get payments with filtering and pagination
+exports.getPayments = async (req, res, next) => {
+  try {
+    const { payments, total, page, limit } = await listPayments(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      payments: payments.map(formatPayment),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching payments:', error);
+    next(error);
+  }
+};
+
+// Get a single payment
+exports.getPaymentById = async (req, res, next) => {
+  try {
+    const payment = await getPayment(req.user.id, req.params.id);
+    
+    res.json({
+      success: true,
+      payment: formatPayment(payment)
+    });
+  } catch (error) {
+    logger.error('Error fetching payment:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Record a receipt or disbursement and post it to the GL
+exports.recordPayment = async (req, res, next) => {
+  try {
+    const { payment, journalEntry } = await runInTransaction(session =>
+      recordPayment({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        entityId: req.body.entityId,
+        paymentType: req.body.paymentType,
+        customerId: req.body.customerId,
+        vendorId: req.body.vendorId,
+        date: req.body.date,
+        amount: req.body.amount,
+        currency: req.body.currency,
+        paymentMethod: req.body.paymentMethod,
+        reference: req.body.reference,
+        memo: req.body.memo,
+        cashAccountId: req.body.cashAccountId,
+        controlAccountId: req.body.controlAccountId,
+        applications: req.body.applications
+      }, session)
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: payment.unappliedAmount > 0
+        ? `${payment.paymentNumber} recorded with ${payment.unappliedAmount.toFixed(2)} unapplied`
+        : `${payment.paymentNumber} recorded`,
+      payment: formatPayment(payment),
+      journalEntry: {
+        id: journalEntry._id,
+        entryNumber: journalEntry.entryNumber,
+        date: journalEntry.date,
+        totalAmount: journalEntry.totalAmount
+      }
+    });
+  } catch (error) {
+    logger.error('Error recording payment:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Apply unapplied credit to invoices
+exports.applyCredit = async (req, res, next) => {
+  try {
+    const payment = await runInTransaction(session =>
+      applyCredit({
+        clientId: req.user.id,
+        userId: req.user.id,
+        paymentId: req.params.id,
+        date: req.body.date,
+        applications: req.body.applications
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Credit from ${payment.paymentNumber} applied`,
+      payment: formatPayment(payment)
+    });
+  } catch (error) {
+    logger.error('Error applying payment credit:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Take a payment off an invoice
+exports.unapplyPayment = async (req, res, next) => {
+  try {
+    const { payment, invoice } = await runInTransaction(session =>
+      unapplyPayment({
+        clientId: req.user.id,
+        userId: req.user.id,
+        paymentId: req.params.id,
+        invoiceId: req.body.invoiceId
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `${payment.paymentNumber} unapplied from ${invoice.invoiceNumber}`,
+      payment: formatPayment(payment),
+      invoice: {
+        id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        amountPaid: invoice.amountPaid,
+        balanceDue: invoice.balanceDue,
+        status: invoice.status
+      }
+    });
+  } catch (error) {
+    logger.error('Error unapplying payment:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Void a payment, reversing its journal entry
+exports.voidPayment = async (req, res, next) => {
+  try {
+    const { payment, reversalEntry } = await runInTransaction(session =>
+      voidPayment({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        paymentId: req.params.id,
+        voidDate: req.body.voidDate,
+        reason: req.body.reason
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `${payment.paymentNumber} voided`,
+      payment: formatPayment(payment),
+      reversalEntry: {
+        id: reversalEntry._id,
+        entryNumber: reversalEntry.entryNumber,
+        date: reversalEntry.date
+      }
+    });
+  } catch (error) {
+    logger.error('Error voiding payment:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
@@ -0,0 +1,244 @@
+// controllers/recurringInvoiceController.js
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { runInTransaction } = require('../services/journalEntryService');
+const {
+  listRecurringInvoices,
+  getRecurringInvoice,
+  createRecurringInvoice,
+  updateRecurringInvoice,
+  setRecurringInvoicePaused,
+  deleteRecurringInvoice,
+  generateDueRecurringInvoices
+} = require('../services/recurringInvoiceService');
+
+const formatRecurringInvoice = (template) => ({
+  id: template._id,
+  entityId: template.entityId,
+  invoiceType: template.invoiceType,
+  name: template.name,
+  customerId: template.customerId,
+  vendorId: template.vendorId,
+  items: template.items,
+  reference: template.reference,
+  currency: template.currency,
+  paymentTerms: template.paymentTerms,
+  dueInDays: template.dueInDays,
+  notes: template.notes,
+  memo: template.memo,
+  controlAccountId: template.controlAccountId,
+  taxAccountId: template.taxAccountId,
+  tags: template.tags,
+  frequency: template.frequency,
+  startDate: template.startDate,
+  endDate: template.endDate,
+  nextDate: template.nextDate,
+  autoSend: template.autoSend,
+  sendTo: template.sendTo,
+  status: template.status,
+  occurrenceCount: template.occurrenceCount,
+  lastGeneratedDate: template.lastGeneratedDate,
+  lastInvoiceId: template.lastInvoiceId,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+// Template fields accepted from a request body
+const templateData = (body) => ({
+  name: body.name,
+  customerId: body.customerId,
+  vendorId: body.vendorId,
+  items: body.items,
+  reference: body.reference,
+  currency: body.currency,
+  paymentTerms: body.paymentTerms,
+  dueInDays: body.dueInDays,
+  notes: body.notes,
+  memo: body.memo,
+  controlAccountId: body.controlAccountId,
+  taxAccountId: body.taxAccountId,
+  tags: body.tags,
+  frequency: body.frequency,
+  startDate: body.startDate,
+  endDate: body.endDate,
+  autoSend: body.autoSend,
+  sendTo: body.sendTo
+});
+
+// Get recurring invoice templates
+exports.getRecurringInvoices = async (req, res, next) => {
+  try {
+    const templates = await listRecurringInvoices(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      recurringInvoices: templates.map(formatRecurringInvoice)
+    });
+  } catch (error) {
+    logger.error('Error fetching recurring invoices:', error);
+    next(error);
+  }
+};
+
+// Get a single recurring invoice template
+exports.getRecurringInvoiceById = async (req, res, next) => {
+  try {
+    const template = await getRecurringInvoice(req.user.id, req.params.id);
+    
+    res.json({
+      success: true,
+      recurringInvoice: formatRecurringInvoice(template)
+    });
+  } catch (error) {
+    logger.error('Error fetching recurring invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Create a recurring invoice or bill template
+exports.createRecurringInvoice = async (req, res, next) => {
+  try {
+    const template = await runInTransaction(session =>
+      createRecurringInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        entityId: req.body.entityId,
+        invoiceType: req.body.invoiceType,
+        ...templateData(req.body)
+      }, session)
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `Recurring ${template.invoiceType === 'ar' ? 'invoice' : 'bill'} ${template.name} created`,
+      recurringInvoice: formatRecurringInvoice(template)
+    });
+  } catch (error) {
+    logger.error('Error creating recurring invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Edit a recurring invoice template
+exports.updateRecurringInvoice = async (req, res, next) => {
+  try {
+    const template = await runInTransaction(session =>
+      updateRecurringInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        recurringInvoiceId: req.params.id,
+        ...templateData(req.body)
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Recurring invoice ${template.name} updated`,
+      recurringInvoice: formatRecurringInvoice(template)
+    });
+  } catch (error) {
+    logger.error('Error updating recurring invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Pause or resume a recurring invoice
+const setPaused = (paused) => async (req, res, next) => {
+  try {
+    const template = await runInTransaction(session =>
+      setRecurringInvoicePaused({
+        clientId: req.user.id,
+        userId: req.user.id,
+        recurringInvoiceId: req.params.id,
+        paused,
+        catchUp: Boolean(req.body && req.body.catchUp)
+      }, session)
+    );
+    
+    let message = 'Recurring invoice paused';
+    if (!paused) {
+      message = template.status === 'completed'
+        ? 'Recurring invoice resumed; its schedule ended while it was paused'
+        : `Recurring invoice resumed; next invoice on ${template.nextDate.toISOString().slice(0, 10)}`;
+    }
+    
+    res.json({
+      success: true,
+      message,
+      recurringInvoice: formatRecurringInvoice(template)
+    });
+  } catch (error) {
+    logger.error('Error updating recurring invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+exports.pauseRecurringInvoice = setPaused(true);
+exports.resumeRecurringInvoice = setPaused(false);
+
+// Delete a recurring invoice that has not generated any invoices
+exports.deleteRecurringInvoice = async (req, res, next) => {
+  try {
+    const template = await runInTransaction(session =>
+      deleteRecurringInvoice({
+        clientId: req.user.id,
+        userId: req.user.id,
+        recurringInvoiceId: req.params.id
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: `Recurring invoice ${template.name} deleted`
+    });
+  } catch (error) {
+    logger.error('Error deleting recurring invoice:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Generate every recurring invoice due now (admin only; also run by the scheduler)
+exports.runRecurringInvoices = async (req, res, next) => {
+  try {
+    const { asOfDate, entityId } = req.body;
+    
+    const results = await generateDueRecurringInvoices(
+      asOfDate ? new Date(asOfDate) : new Date(),
+      { entityId }
+    );
+    
+    res.json({
+      success: true,
+      message: `Processed ${results.length} recurring invoice occurrence(s)`,
+      results
+    });
+  } catch (error) {
+    logger.error('Error running recurring invoices:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,154 @@
+// controllers/recurringJournalEntryController.js
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { runInTransaction } = require('../services/journalEntryService');
+const {
+  configureRecurrence,
+  setRecurrencePaused,
+  listRecurringTemplates,
+  previewOccurrences,
+  generateDueRecurringEntries
+} = require('../services/recurringJournalEntryService');
+
+const formatTemplate = (template) => ({
+  id: template._id,
+  entryNumber: template.entryNumber,
+  entityId: template.entityId,
+  date: template.date,
+  description: template.description,
+  totalAmount: template.totalAmount,
+  status: template.status,
+  recurring: {
+    frequency: template.recurring.frequency,
+    nextDate: template.recurring.nextDate,
+    endDate: template.recurring.endDate,
+    isPaused: template.recurring.isPaused,
+    occurrenceCount: template.recurring.occurrenceCount,
+    lastGeneratedDate: template.recurring.lastGeneratedDate
+  }
+});
+
+// Get recurring journal entry templates
+exports.getRecurringTemplates = async (req, res, next) => {
+  try {
+    const templates = await listRecurringTemplates(req.user.id, req.query.entityId);
+    
+    res.json({
+      success: true,
+      templates: templates.map(formatTemplate)
+    });
+  } catch (error) {
+    logger.error('Error fetching recurring journal entries:', error);
+    next(error);
+  }
+};
+
+// Set up or change the recurrence of a journal entry
+exports.configureRecurrence = async (req, res, next) => {
+  try {
+    const { frequency, nextDate, endDate } = req.body;
+    
+    const template = await runInTransaction(session =>
+      configureRecurrence({
+        clientId: req.user.id,
+        userId: req.user.id,
+        journalEntryId: req.params.id,
+        frequency,
+        nextDate,
+        endDate
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: 'Recurring schedule saved',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    logger.error('Error configuring recurring journal entry:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Pause or resume a recurring template
+const setPaused = (paused) => async (req, res, next) => {
+  try {
+    const template = await runInTransaction(session =>
+      setRecurrencePaused({
+        clientId: req.user.id,
+        userId: req.user.id,
+        journalEntryId: req.params.id,
+        paused
+      }, session)
+    );
+    
+    res.json({
+      success: true,
+      message: paused ? 'Recurring journal entry paused' : 'Recurring journal entry resumed',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    logger.error('Error updating recurring journal entry:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+exports.pauseRecurrence = setPaused(true);
+exports.resumeRecurrence = setPaused(false);
+
+// Preview upcoming occurrences of a recurring template
+exports.previewRecurrence = async (req, res, next) => {
+  try {
+    const { template, lines, occurrences } = await previewOccurrences({
+      clientId: req.user.id,
+      journalEntryId: req.params.id,
+      count: req.query.count ? parseInt(req.query.count) : undefined
+    });
+    
+    res.json({
+      success: true,
+      template: formatTemplate(template),
+      lines,
+      occurrences
+    });
+  } catch (error) {
+    logger.error('Error previewing recurring journal entry:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+};
+
+// Generate every occurrence due now (admin only; also run by the scheduler)
+exports.runRecurringEntries = async (req, res, next) => {
+  try {
+    const { asOfDate, entityId } = req.body;
+    
+    const results = await generateDueRecurringEntries(
+      asOfDate ? new Date(asOfDate) : new Date(),
+      { entityId }
+    );
+    
+    res.json({
+      success: true,
+      message: `Processed ${results.length} recurring occurrence(s)`,
+      results
+    });
+  } catch (error) {
+    logger.error('Error running recurring journal entries:', error);
+    next(error);
+  }
+};
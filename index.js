@@ -7,6 +7,8 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+const { startJobs } = require('./jobs');
+
 // Create Express app
 const app = express();
 
@@ -46,7 +48,12 @@ app.listen(PORT, () => {
   // Connect to MongoDB
   if (process.env.MONGO_URI) {
     mongoose.connect(process.env.MONGO_URI)
-      .then(() => console.log('MongoDB Connected'))
+      .then(() => {
+        console.log('MongoDB Connected');
+        
+        // Start background accounting jobs (recurring entries, etc.)
+        startJobs();
+      })
       .catch(err => console.error('MongoDB Connection Error:', err));
   } else {
     console.error('MONGO_URI environment variable is not set');
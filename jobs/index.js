@@ -0,0 +1,51 @@
+// jobs/index.js
+const { scheduleJob } = require('../utils/scheduler');
+const logger = require('../utils/logger');
+const { generateDueRecurringEntries } = require('../services/recurringJournalEntryService');
+const { processDueAutoReversals } = require('../services/journalEntryService');
+const { generateDueRecurringInvoices } = require('../services/recurringInvoiceService');
+const { runDunning } = require('../services/dunningService');
+
+// Interval between scheduler runs, in minutes
+const JOB_INTERVAL_MINUTES = parseInt(process.env.JOB_INTERVAL_MINUTES) || 60;
+
+/**
+ * Register the background accounting jobs
+ * Called once the database connection is up.
+ */
+const startJobs = () => {
+  const intervalMs = JOB_INTERVAL_MINUTES * 60 * 1000;
+  
+  scheduleJob('recurring-journal-entries', intervalMs, async () => {
+    const results = await generateDueRecurringEntries(new Date());
+    if (results.length > 0) {
+      logger.info(`Recurring journal entries processed: ${results.length}`);
+    }
+  });
+  
+  scheduleJob('auto-reversals', intervalMs, async () => {
+    const results = await processDueAutoReversals(new Date());
+    if (results.length > 0) {
+      logger.info(`Auto-reversing journal entries processed: ${results.length}`);
+    }
+    results.filter(result => result.status === 'blocked').forEach(result => {
+      logger.warn(`Auto-reversal of journal entry ${result.journalEntryId} cancelled: ${result.error}`);
+    });
+  });
+  
+  scheduleJob('recurring-invoices', intervalMs, async () => {
+    const results = await generateDueRecurringInvoices(new Date());
+    if (results.length > 0) {
+      logger.info(`Recurring invoices processed: ${results.length}`);
+    }
+  });
+  
+  scheduleJob('invoice-dunning', intervalMs, async () => {
+    const { markedOverdue, reminders } = await runDunning(new Date());
+    if (markedOverdue > 0 || reminders.length > 0) {
+      logger.info(`Invoices marked overdue: ${markedOverdue}, payment reminders processed: ${reminders.length}`);
+    }
+  });
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,69 @@
+// models/accountingPeriod.js
+const mongoose = require('mongoose');
+
+// A period with no document is open; one is only stored once it is closed
+const AccountingPeriodSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity',
+    required: true,
+    index: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  status: {
+    type: String,
+    // soft_closed: only admins may post (entries are flagged); hard_closed: no postings
+    enum: ['open', 'soft_closed', 'hard_closed'],
+    default: 'open',
+    index: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: Date,
+  notes: String,
+  history: [{
+    action: {
+      type: String,
+      enum: ['close', 'reopen']
+    },
+    fromStatus: String,
+    toStatus: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+AccountingPeriodSchema.index({ clientId: 1, entityId: 1, year: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('AccountingPeriod', AccountingPeriodSchema);
@@ -0,0 +1,119 @@
+// models/creditMemo.js
+const mongoose = require('mongoose');
+
+// Line of the entry a memo posted, kept for display and reprinting
+const CreditMemoLineSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  description: String
+}, { _id: false });
+
+const CreditMemoSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity',
+    required: true,
+    index: true
+  },
+  // Credit memos reduce customer invoices (AR); debit memos reduce vendor bills (AP)
+  memoType: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true,
+    index: true
+  },
+  memoNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+    index: true
+  },
+  invoiceNumber: String,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  // Amount credited against the invoice, tax included
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  lines: [CreditMemoLineSchema],
+  status: {
+    type: String,
+    enum: ['posted', 'void'],
+    default: 'posted',
+    index: true
+  },
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  reversalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+CreditMemoSchema.index({ clientId: 1, entityId: 1, memoType: 1, memoNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('CreditMemo', CreditMemoSchema);
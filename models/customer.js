@@ -0,0 +1,153 @@
+// models/customer.js
+const mongoose = require('mongoose');
+
+const AddressSchema = new mongoose.Schema({
+  street: { type: String, trim: true },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  zip: { type: String, trim: true },
+  country: { type: String, trim: true, default: 'USA' }
+}, { _id: false });
+
+const ContactSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  phone: { type: String, trim: true },
+  position: { type: String, trim: true },
+  // Invoices and reminders go to the primary contact when the customer has no email of its own
+  isPrimary: { type: Boolean, default: false }
+});
+
+const CustomerSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  customerNumber: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  taxId: {
+    type: String,
+    trim: true
+  },
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  billingAddress: AddressSchema,
+  shippingAddress: AddressSchema,
+  contacts: [ContactSchema],
+  paymentTerms: {
+    type: String,
+    default: 'Net 30',
+    trim: true
+  },
+  creditLimit: {
+    type: Number,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'on_hold'],
+    default: 'active'
+  },
+  // Revenue account invoice lines post to when they name no account of their own
+  defaultRevenueAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // No automatic payment reminders for this customer
+  dunningOptOut: {
+    type: Boolean,
+    default: false
+  },
+  customerSince: {
+    type: Date,
+    default: Date.now
+  },
+  lastInvoiceDate: {
+    type: Date
+  },
+  lastPaymentDate: {
+    type: Date
+  },
+  lastPaymentAmount: {
+    type: Number
+  },
+  tags: [String],
+  metadata: {
+    type: Object,
+    default: {}
+  },
+  documents: [{
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File'
+    },
+    fileName: { type: String },
+    documentType: { type: String },
+    uploadDate: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// Create compound indexes for better query performance
+CustomerSchema.index({ clientId: 1, entityId: 1, name: 1 });
+CustomerSchema.index({ clientId: 1, entityId: 1, status: 1 });
+CustomerSchema.index(
+  { clientId: 1, entityId: 1, customerNumber: 1 },
+  { unique: true, partialFilterExpression: { customerNumber: { $type: 'string' } } }
+);
+
+// Address invoices are emailed to: the customer's own, else the primary contact's
+CustomerSchema.methods.billingEmail = function() {
+  if (this.email) return this.email;
+  
+  const contact = this.contacts.find(c => c.isPrimary && c.email) || this.contacts.find(c => c.email);
+  return contact ? contact.email : null;
+};
+
+module.exports = mongoose.model('Customer', CustomerSchema);
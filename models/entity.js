@@ -36,6 +36,37 @@ const EntitySchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  // Letterhead and remittance details printed on invoices
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    zip: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  remittanceInstructions: {
+    type: String,
+    trim: true
+  },
+  // Payment reminders for overdue invoices; off until switched on for the entity
+  dunning: {
+    enabled: { type: Boolean, default: false },
+    // Days past due at which each successive reminder goes out
+    reminderDays: { type: [Number], default: [3, 15, 30] }
+  },
   consolidationSettings: {
     isIncludedInConsolidation: {
       type: Boolean,
@@ -61,6 +92,54 @@ const EntitySchema = new mongoose.Schema({
       isAutomatic: Boolean
     }]
   },
+  // Equity account year-end closes move net income into
+  retainedEarningsAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Account fixed asset disposals post their gain or loss to by default
+  disposalGainLossAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Control accounts invoices post to by default
+  receivableAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  payableAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  salesTaxPayableAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Last invoice and bill numbers issued, per invoice type
+  invoiceSequences: {
+    ar: { type: Number, default: 0 },
+    ap: { type: Number, default: 0 }
+  },
+  // Last receipt and disbursement numbers issued
+  paymentSequences: {
+    receipt: { type: Number, default: 0 },
+    disbursement: { type: Number, default: 0 }
+  },
+  // Last credit memo (AR) and debit memo (AP) numbers issued
+  memoSequences: {
+    credit: { type: Number, default: 0 },
+    debit: { type: Number, default: 0 }
+  },
+  // Bank account receipts and disbursements post to by default
+  cashAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Account fixed asset impairment write-downs are charged to by default
+  impairmentLossAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
   metadata: {
     type: Object,
     default: {}
@@ -3,8 +3,13 @@ const mongoose = require('mongoose');
 const FileSchema = new mongoose.Schema({
   userId: String, // Required for authenticated users only
   fileName: String,
+  fileType: String,
+  fileSize: Number,
   s3Key: String,
+  s3Url: String,
   timestamp: { type: Date, default: Date.now },
+}, {
+  timestamps: true
 });
 
 module.exports = mongoose.model('File', FileSchema);
@@ -1,5 +1,41 @@
 // models/fixedAsset.js
 const mongoose = require('mongoose');
+const Entity = require('./entity');
+const { ApiError } = require('../utils/apiError');
+const { monthsBetween } = require('../utils/dates');
+const { roundCents } = require('../utils/money');
+const { assertPeriodOpen } = require('../services/accountingPeriodService');
+const {
+  postJournalEntry,
+  DEPRECIATION_JOURNAL_TYPE,
+  DISPOSAL_JOURNAL_TYPE,
+  IMPAIRMENT_JOURNAL_TYPE,
+  ASSET_TRANSFER_JOURNAL_TYPE
+} = require('../services/journalEntryService');
+
+// Units produced or used in a period, for units-of-production depreciation
+const UsageLogSchema = new mongoose.Schema({
+  period: {
+    type: Date,
+    required: true
+  },
+  units: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set by the depreciation run that expensed these units
+  depreciatedOn: Date
+});
 
 const DepreciationScheduleSchema = new mongoose.Schema({
   period: { 
@@ -16,6 +52,193 @@ const DepreciationScheduleSchema = new mongoose.Schema({
   }
 });
 
+// One tax year of a tax depreciation book
+const TaxScheduleSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: true
+  },
+  section179: {
+    type: Number,
+    default: 0
+  },
+  bonus: {
+    type: Number,
+    default: 0
+  },
+  depreciation: {
+    type: Number,
+    default: 0
+  },
+  // section179 + bonus + depreciation
+  total: {
+    type: Number,
+    required: true
+  },
+  accumulatedDepreciation: {
+    type: Number,
+    required: true
+  },
+  remainingBasis: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A tax depreciation book kept alongside the book (GAAP) depreciation on the
+// asset itself. Tax books are never posted to the GL; their schedule is
+// recomputed by computeTaxSchedule whenever the book or the asset changes.
+const TaxBookSchema = new mongoose.Schema({
+  // e.g. federal, state
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: ['macrs-200db', 'macrs-150db', 'straight-line'],
+    required: true
+  },
+  // Recovery period in years (3, 5, 7, 10, 15, 20, 27.5, 39, ...)
+  recoveryPeriod: {
+    type: Number,
+    required: true
+  },
+  convention: {
+    type: String,
+    enum: ['half-year', 'mid-quarter', 'mid-month'],
+    default: 'half-year'
+  },
+  placedInServiceDate: {
+    type: Date,
+    required: true
+  },
+  // Tax basis before Section 179 and bonus depreciation
+  basis: {
+    type: Number,
+    required: true
+  },
+  section179Amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  bonusPercentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  schedule: [TaxScheduleSchema]
+});
+
+// A full or partial disposal and the amounts it took off the register
+const DisposalSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  // Fraction of the asset disposed of (1 for the whole asset)
+  portion: {
+    type: Number,
+    required: true
+  },
+  cost: {
+    type: Number,
+    required: true
+  },
+  accumulatedDepreciation: {
+    type: Number,
+    required: true
+  },
+  bookValue: {
+    type: Number,
+    required: true
+  },
+  proceeds: {
+    type: Number,
+    default: 0
+  },
+  gainLoss: {
+    type: Number,
+    required: true
+  },
+  // Depreciation caught up to the disposal date before the disposal
+  depreciationAmount: {
+    type: Number,
+    default: 0
+  },
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  notes: String,
+  disposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// GL accounts an asset posts to
+const AssetAccountsSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  depreciationAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  accumulatedDepreciationAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  }
+}, { _id: false });
+
+// A transfer or impairment, kept so the asset's earlier entity, location,
+// accounts and book values can be worked out for any date
+const AssetEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['transfer', 'impairment'],
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Transfers
+  fromEntityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity'
+  },
+  toEntityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity'
+  },
+  fromLocation: String,
+  toLocation: String,
+  fromAccounts: AssetAccountsSchema,
+  toAccounts: AssetAccountsSchema,
+  cost: Number,
+  accumulatedDepreciation: Number,
+  // Impairments: the write-down, and the fair value written down to
+  amount: Number,
+  fairValue: Number,
+  bookValueBefore: Number,
+  bookValueAfter: Number,
+  journalEntryIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  }],
+  notes: String,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
 const FixedAssetSchema = new mongoose.Schema({
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -71,6 +294,29 @@ const FixedAssetSchema = new mongoose.Schema({
     type: Number, // in months
     required: true
   },
+  // Multiple of the straight-line rate for declining-balance (1.5 = 150%, 2 = double declining)
+  decliningBalanceRate: {
+    type: Number,
+    default: 2,
+    min: 1
+  },
+  // When in its first month the asset starts to depreciate (see monthsInService)
+  depreciationConvention: {
+    type: String,
+    enum: ['full-month', 'mid-month', 'next-month', 'half-year'],
+    default: 'full-month'
+  },
+  // Declining-balance switches to straight-line once that gives the larger charge
+  switchToStraightLine: {
+    type: Boolean,
+    default: true
+  },
+  // Units the asset is expected to produce over its life (units-of-production)
+  totalExpectedUnits: {
+    type: Number,
+    min: 0
+  },
+  usageLog: [UsageLogSchema],
   salvageValue: {
     type: Number,
     default: 0
@@ -83,6 +329,7 @@ const FixedAssetSchema = new mongoose.Schema({
     type: Date
   },
   depreciationSchedule: [DepreciationScheduleSchema],
+  taxBooks: [TaxBookSchema],
   disposed: {
     type: Boolean,
     default: false,
@@ -94,6 +341,8 @@ const FixedAssetSchema = new mongoose.Schema({
   disposalValue: {
     type: Number
   },
+  disposals: [DisposalSchema],
+  history: [AssetEventSchema],
   journalEntryIds: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'JournalEntry'
@@ -142,6 +391,33 @@ FixedAssetSchema.pre('save', function(next) {
   next();
 });
 
+// Months of service at date under the asset's depreciation convention
+// full-month: the acquisition month counts in full
+// mid-month: the acquisition month counts as half a month
+// next-month: depreciation starts the month after acquisition
+// half-year: every asset is treated as placed in service at mid-year
+// The result is capped at the useful life.
+FixedAssetSchema.methods.monthsInService = function(date) {
+  const acquired = new Date(this.acquisitionDate);
+  let months;
+  
+  switch (this.depreciationConvention) {
+    case 'mid-month':
+      months = monthsBetween(acquired, date) - 0.5;
+      break;
+    case 'next-month':
+      months = monthsBetween(acquired, date) - 1;
+      break;
+    case 'half-year':
+      months = monthsBetween(new Date(acquired.getFullYear(), 6, 1), date);
+      break;
+    default:
+      months = monthsBetween(acquired, date);
+  }
+  
+  return Math.min(Math.max(months, 0), this.usefulLife);
+};
+
 // Method to calculate depreciation
 FixedAssetSchema.methods.calculateDepreciation = function(toDate) {
   const endDate = toDate || new Date();
@@ -154,29 +430,71 @@ FixedAssetSchema.methods.calculateDepreciation = function(toDate) {
   
   let depreciationAmount = 0;
   
+  // Months of service the charge covers under the asset's convention
+  const serviceStart = this.lastDepreciationDate ? this.monthsInService(new Date(startDate)) : 0;
+  const serviceEnd = this.monthsInService(new Date(endDate));
+  const months = serviceEnd - serviceStart;
+  
   switch(this.depreciationMethod) {
     case 'straight-line':
-      // Monthly depreciation = (Cost - Salvage) / Useful life (in months)
-      const monthlyDepreciation = (this.acquisitionCost - this.salvageValue) / this.usefulLife;
-      
-      // Calculate months between dates
-      const startDateObj = new Date(startDate);
-      const endDateObj = new Date(endDate);
-      const months = (endDateObj.getFullYear() - startDateObj.getFullYear()) * 12 + 
-                     (endDateObj.getMonth() - startDateObj.getMonth());
+      // Monthly depreciation = (Book value - Salvage) / Remaining life (in months),
+      // which is (Cost - Salvage) / Useful life until an impairment changes the book value
+      const remainingLife = this.usefulLife - serviceStart;
+      const monthlyDepreciation = remainingLife > 0
+        ? (this.currentBookValue - this.salvageValue) / remainingLife
+        : 0;
       
       depreciationAmount = monthlyDepreciation * months;
       break;
+    
+    case 'declining-balance': {
+      // Each month charges rate / useful life of the opening book value, or the
+      // straight-line charge over the remaining life once that is larger.
+      // Part months from the convention are charged pro rata.
+      let monthsElapsed = serviceStart;
+      let bookValue = this.currentBookValue;
       
-    case 'declining-balance':
-      // Implement declining balance calculation
-      // This is a more complex calculation that would need to be implemented based on specific requirements
+      while (monthsElapsed < serviceEnd && bookValue > this.salvageValue) {
+        const step = Math.min(Math.floor(monthsElapsed) + 1, serviceEnd) - monthsElapsed;
+        let monthlyCharge = bookValue * this.decliningBalanceRate / this.usefulLife;
+        
+        const remainingMonths = this.usefulLife - monthsElapsed;
+        if (this.switchToStraightLine) {
+          monthlyCharge = Math.max(monthlyCharge, (bookValue - this.salvageValue) / remainingMonths);
+        }
+        
+        const charge = Math.min(monthlyCharge * step, bookValue - this.salvageValue);
+        depreciationAmount += charge;
+        bookValue -= charge;
+        monthsElapsed += step;
+      }
       break;
+    }
+    
+    case 'units-of-production': {
+      // Remaining depreciable amount per remaining unit, times the units logged
+      // and not yet depreciated
+      if (!this.totalExpectedUnits) break;
       
-    case 'units-of-production':
-      // Units of production would require tracking the actual usage/production
-      // This would need additional fields and calculation logic
+      const unitsDepreciated = this.usageLog
+        .filter(entry => entry.depreciatedOn)
+        .reduce((sum, entry) => sum + entry.units, 0);
+      const remainingUnits = this.totalExpectedUnits - unitsDepreciated;
+      const units = this.pendingUsage(endDate).reduce((sum, entry) => sum + entry.units, 0);
+      
+      if (units === 0) break;
+      
+      depreciationAmount = remainingUnits > units
+        ? (this.currentBookValue - this.salvageValue) / remainingUnits * units
+        : this.currentBookValue - this.salvageValue;
       break;
+    }
+  }
+  
+  // The last month of useful life takes whatever is left, so rounding never
+  // leaves the book value short of or above salvage value
+  if (this.depreciationMethod !== 'units-of-production' && serviceEnd >= this.usefulLife && months > 0) {
+    depreciationAmount = this.currentBookValue - this.salvageValue;
   }
   
   // Ensure we don't depreciate below salvage value
@@ -187,663 +505,771 @@ FixedAssetSchema.methods.calculateDepreciation = function(toDate) {
   return depreciationAmount;
 };
 
-// Static method to run monthly depreciation for all assets
-FixedAssetSchema.statics.runMonthlyDepreciation = async function(clientId, entityId, date = new Date()) {
-  const assets = await this.find({
-    clientId,
-    entityId,
-    disposed: false
-  });
+// Project the depreciation schedule from the asset's current state to the end
+// of its life without saving anything. Each row is one monthly run on the first
+// of the month, rounded to cents the way runMonthlyDepreciation posts it.
+// Units-of-production assets use options.unitsPerPeriod, the units expected
+// each month, defaulting to the average of the usage logged so far.
+FixedAssetSchema.methods.projectSchedule = function(options = {}) {
+  const averageUsage = this.usageLog.length > 0
+    ? this.usageLog.reduce((sum, entry) => sum + entry.units, 0) / this.usageLog.length
+    : 0;
+  const { unitsPerPeriod = averageUsage } = options;
+  const projection = new this.constructor(this.toObject());
+  const schedule = [];
   
-  const results = [];
+  if (projection.disposed) {
+    return schedule;
+  }
   
-  for (const asset of assets) {
-    const depreciationAmount = asset.calculateDepreciation(date);
+  const start = new Date(projection.lastDepreciationDate || projection.acquisitionDate);
+  // Units-of-production has no fixed end, so stop once usage would run past the expected units
+  const maxPeriods = projection.depreciationMethod === 'units-of-production'
+    ? Math.ceil((projection.totalExpectedUnits || 0) / (unitsPerPeriod || Infinity)) + 1
+    : projection.usefulLife + 12;
+  
+  for (let i = 1; i <= maxPeriods && projection.currentBookValue > projection.salvageValue; i++) {
+    const period = new Date(start.getFullYear(), start.getMonth() + i, 1);
     
-    if (depreciationAmount > 0) {
-      // Update the asset
-      asset.currentBookValue -= depreciationAmount;
-      asset.lastDepreciationDate = date;
-      
-      // Add to depreciation schedule
-      asset.depreciationSchedule.push({
-        period: date,
-        amount: depreciationAmount,
-        remainingValue: asset.currentBookValue
-      });
-      
-      await asset.save();
-      
-      results.push({
-        assetId: asset._id,
-        assetName: asset.name,
-        depreciationAmount,
-        currentBookValue: asset.currentBookValue
+    if (projection.depreciationMethod === 'units-of-production') {
+      projection.usageLog.push({ period, units: unitsPerPeriod });
+    }
+    
+    const amount = roundCents(projection.calculateDepreciation(period));
+    projection.currentBookValue = roundCents(projection.currentBookValue - amount);
+    projection.lastDepreciationDate = period;
+    projection.usageLog.forEach(entry => {
+      if (!entry.depreciatedOn) entry.depreciatedOn = period;
+    });
+    
+    if (amount > 0) {
+      schedule.push({
+        period,
+        depreciation: amount,
+        accumulatedDepreciation: roundCents(projection.acquisitionCost - projection.currentBookValue),
+        bookValue: projection.currentBookValue
       });
     }
   }
   
-  return results;
+  return schedule;
 };
 
-module.exports = mongoose.model('FixedAsset', FixedAssetSchema);
-
-// routes/fixedAssets.js
-const express = require('express');
-const router = express.Router();
-const { body, param, query, validationResult } = require('express-validator');
-const FixedAsset = require('../models/fixedAsset');
-const Entity = require('../models/entity');
-const Account = require('../models/account');
-const AuditLog = require('../models/auditLog');
-const { auth, adminAuth } = require('../middleware/auth');
-const mongoose = require('mongoose');
-const logger = require('../utils/logger');
+// Declining-balance multiple of each tax method
+const TAX_METHOD_RATES = {
+  'macrs-200db': 2,
+  'macrs-150db': 1.5,
+  'straight-line': 1
+};
 
-// Get all fixed assets
-router.get('/', auth, async (req, res, next) => {
-  try {
-    const { entityId, category, disposed, search } = req.query;
-    
-    // Build query
-    const query = { clientId: req.user.id };
-    
-    if (entityId) {
-      query.entityId = entityId;
-    }
-    
-    if (category) {
-      query.assetCategory = category;
+// Fraction of a tax year taken in the year an asset is placed in service
+// (placed = true) or disposed of, under a tax convention
+const taxConventionFraction = (convention, date, placed) => {
+  switch (convention) {
+    case 'mid-quarter': {
+      const quarter = Math.floor(date.getMonth() / 3);
+      return placed ? (4 - quarter - 0.5) / 4 : (quarter + 0.5) / 4;
     }
+    case 'mid-month':
+      return placed ? (12 - date.getMonth() - 0.5) / 12 : (date.getMonth() + 0.5) / 12;
+    default:
+      return 0.5;
+  }
+};
+
+// Annual schedule of a tax book
+// Section 179 and bonus depreciation come off the basis in the year placed in
+// service; the rest is depreciated at the method's declining-balance rate,
+// switching to straight-line over the remaining recovery period when that is
+// larger, as the MACRS tables do. Disposals stop depreciation on the disposed
+// share from the year of disposal, which gets the convention's part year.
+FixedAssetSchema.methods.computeTaxSchedule = function(book) {
+  const placed = new Date(book.placedInServiceDate);
+  const section179 = roundCents(Math.min(book.section179Amount || 0, book.basis));
+  const bonus = roundCents((book.basis - section179) * (book.bonusPercentage || 0) / 100);
+  const rate = TAX_METHOD_RATES[book.method] / book.recoveryPeriod;
+  const firstYearFraction = taxConventionFraction(book.convention, placed, true);
+  
+  // Depreciation of the whole asset, ignoring disposals
+  const annual = [];
+  let remaining = roundCents(book.basis - section179 - bonus);
+  let elapsed = 0;
+  
+  for (let i = 0; remaining > 0 && i <= Math.ceil(book.recoveryPeriod) + 1; i++) {
+    const fraction = i === 0 ? firstYearFraction : 1;
+    const remainingLife = book.recoveryPeriod - elapsed;
+    const amount = remainingLife <= fraction
+      ? remaining
+      : Math.min(roundCents(Math.max(remaining * rate, remaining / remainingLife) * fraction), remaining);
     
-    if (disposed !== undefined) {
-      query.disposed = disposed === 'true';
-    }
+    remaining = roundCents(remaining - amount);
+    annual.push({ amount, remaining });
+    elapsed += fraction;
+  }
+  
+  // Share of the asset still held at the start of each year, and the part of
+  // each year's charge that disposals in that year still take
+  const disposals = [...this.disposals].sort((a, b) => a.date - b.date);
+  const schedule = [];
+  let share = 1;
+  let accumulated = 0;
+  
+  annual.forEach(({ amount, remaining: remainingAfter }, i) => {
+    const year = placed.getFullYear() + i;
+    if (share <= 0) return;
     
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { assetNumber: { $regex: search, $options: 'i' } }
-      ];
-    }
+    let yearShare = share;
+    disposals.filter(d => d.date.getFullYear() === year).forEach(disposal => {
+      const disposedShare = share * disposal.portion;
+      const fraction = taxConventionFraction(book.convention, disposal.date, false);
+      yearShare -= disposedShare * (1 - fraction);
+      share -= disposedShare;
+    });
     
-    const assets = await FixedAsset.find(query)
-      .sort({ acquisitionDate: -1 })
-      .populate('entityId', 'name code')
-      .populate('accountId', 'accountNumber accountName')
-      .lean();
+    const row = {
+      year,
+      section179: i === 0 ? section179 : 0,
+      bonus: i === 0 ? bonus : 0,
+      depreciation: roundCents(amount * yearShare)
+    };
+    row.total = roundCents(row.section179 + row.bonus + row.depreciation);
+    accumulated = roundCents(accumulated + row.total);
+    row.accumulatedDepreciation = accumulated;
+    row.remainingBasis = roundCents(remainingAfter * share);
     
-    res.json({
-      success: true,
-      assets
-    });
-  } catch (error) {
-    logger.error('Error fetching fixed assets:', error);
-    next(error);
+    schedule.push(row);
+  });
+  
+  return schedule;
+};
+
+// Add or replace a tax book and compute its schedule
+FixedAssetSchema.methods.setTaxBook = function(settings) {
+  const book = {
+    convention: 'half-year',
+    placedInServiceDate: this.acquisitionDate,
+    basis: this.acquisitionCost,
+    section179Amount: 0,
+    bonusPercentage: 0,
+    ...settings
+  };
+  book.schedule = this.computeTaxSchedule(book);
+  
+  const existing = this.taxBooks.find(b => b.name === book.name);
+  if (existing) {
+    existing.set(book);
+    return existing;
   }
-});
+  
+  this.taxBooks.push(book);
+  return this.taxBooks[this.taxBooks.length - 1];
+};
 
-// Get a single fixed asset
-router.get('/:id', auth, async (req, res, next) => {
-  try {
-    const asset = await FixedAsset.findOne({
-      _id: req.params.id,
-      clientId: req.user.id
-    })
-      .populate('entityId', 'name code')
-      .populate('accountId', 'accountNumber accountName')
-      .populate('depreciationAccountId', 'accountNumber accountName')
-      .populate('accumulatedDepreciationAccountId', 'accountNumber accountName')
-      .lean();
-    
-    if (!asset) {
-      return res.status(404).json({
-        success: false,
-        message: 'Fixed asset not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      asset
+// Book (GAAP) cost, accumulated depreciation and book value at date, worked
+// back from the current register through later depreciation and disposals
+FixedAssetSchema.methods.bookValuesAt = function(date) {
+  if (this.acquisitionDate > date) {
+    return { cost: 0, accumulatedDepreciation: 0, bookValue: 0 };
+  }
+  
+  let cost = this.acquisitionCost;
+  let bookValue = this.currentBookValue;
+  
+  this.depreciationSchedule
+    .filter(row => row.period > date)
+    .forEach(row => {
+      bookValue += row.amount;
     });
-  } catch (error) {
-    logger.error('Error fetching fixed asset:', error);
-    next(error);
+  
+  this.disposals
+    .filter(disposal => disposal.date > date)
+    .forEach(disposal => {
+      // A full disposal leaves acquisitionCost in place; partial ones take their share off it
+      if (disposal.portion < 1) cost += disposal.cost;
+      bookValue += disposal.bookValue;
+    });
+  
+  this.history
+    .filter(event => event.type === 'impairment' && event.date > date)
+    .forEach(event => {
+      bookValue += event.amount;
+    });
+  
+  // Nothing is left of an asset fully disposed of by date
+  if (this.disposed && this.disposalDate <= date) {
+    return { cost: 0, accumulatedDepreciation: 0, bookValue: 0 };
   }
-});
+  
+  cost = roundCents(cost);
+  bookValue = roundCents(bookValue);
+  return { cost, accumulatedDepreciation: roundCents(cost - bookValue), bookValue };
+};
+
+// Usage log entries up to toDate that no depreciation run has expensed yet
+FixedAssetSchema.methods.pendingUsage = function(toDate) {
+  return this.usageLog.filter(entry => !entry.depreciatedOn && entry.period <= toDate);
+};
 
-// Create a new fixed asset
-router.post('/', auth, [
-  body('entityId')
-    .isMongoId()
-    .withMessage('Valid entity ID is required'),
-  body('name')
-    .notEmpty()
-    .withMessage('Asset name is required'),
-  body('assetCategory')
-    .isIn(['equipment', 'furniture', 'vehicles', 'buildings', 'land', 'computers', 'software', 'other'])
-    .withMessage('Valid asset category is required'),
-  body('acquisitionDate')
-    .isDate()
-    .withMessage('Valid acquisition date is required'),
-  body('acquisitionCost')
-    .isFloat({ min: 0 })
-    .withMessage('Acquisition cost must be a positive number'),
-  body('depreciationMethod')
-    .isIn(['straight-line', 'declining-balance', 'units-of-production'])
-    .withMessage('Valid depreciation method is required'),
-  body('usefulLife')
-    .isInt({ min: 1 })
-    .withMessage('Useful life must be a positive integer'),
-  body('salvageValue')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Salvage value must be a positive number')
-], async (req, res, next) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
+// Apply a posted depreciation charge to the register
+FixedAssetSchema.methods.recordDepreciation = function(depreciationAmount, date, journalEntryId) {
+  this.currentBookValue = roundCents(this.currentBookValue - depreciationAmount);
+  this.lastDepreciationDate = date;
+  this.journalEntryIds.push(journalEntryId);
+  
+  if (this.depreciationMethod === 'units-of-production') {
+    this.pendingUsage(date).forEach(entry => {
+      entry.depreciatedOn = date;
     });
   }
   
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  this.depreciationSchedule.push({
+    period: date,
+    amount: depreciationAmount,
+    remainingValue: this.currentBookValue
+  });
+};
+
+// Static method to run monthly depreciation for all assets
+// Rejected when the period of date is closed (options.isAdmin allows soft-closed periods).
+// The run posts one balanced journal entry, debiting each asset's depreciation
+// account and crediting its accumulated depreciation account, and records the
+// entry on every asset it covers. Pass options.session to run inside a transaction.
+FixedAssetSchema.statics.runMonthlyDepreciation = async function(clientId, entityId, date = new Date(), options = {}) {
+  const { isAdmin, userId = clientId, session = null } = options;
   
-  try {
-    const {
-      entityId,
-      name,
-      description,
-      assetNumber,
-      assetCategory,
-      location,
-      acquisitionDate,
-      acquisitionCost,
-      depreciationMethod,
-      usefulLife,
-      salvageValue = 0,
-      accountId,
-      depreciationAccountId,
-      accumulatedDepreciationAccountId,
-      notes
-    } = req.body;
+  const { flagged } = await assertPeriodOpen({
+    clientId,
+    entityId,
+    date,
+    isAdmin
+  }, session);
+  
+  const assets = await this.find({
+    clientId,
+    entityId,
+    disposed: false
+  }).session(session);
+  
+  const depreciated = [];
+  const skipped = [];
+  
+  for (const asset of assets) {
+    // Round to cents so the register and the ledger carry the same amounts
+    const depreciationAmount = roundCents(asset.calculateDepreciation(date));
     
-    // Verify entity exists and belongs to client
-    const entity = await Entity.findOne({
-      _id: entityId,
-      clientId: req.user.id
-    }).session(session);
+    if (depreciationAmount <= 0) continue;
     
-    if (!entity) {
-      return res.status(404).json({
-        success: false,
-        message: 'Entity not found or you do not have permission'
+    // Without both GL accounts the asset cannot be posted, so it is left undepreciated
+    if (!asset.depreciationAccountId || !asset.accumulatedDepreciationAccountId) {
+      skipped.push({
+        assetId: asset._id,
+        assetName: asset.name,
+        depreciationAmount,
+        reason: 'Depreciation and accumulated depreciation accounts are required to post depreciation'
       });
+      continue;
     }
     
-    // Validate account IDs if provided
-    if (accountId) {
-      const account = await Account.findOne({
-        _id: accountId,
-        clientId: req.user.id,
-        entityId
-      }).session(session);
-      
-      if (!account) {
-        return res.status(404).json({
-          success: false,
-          message: 'Asset account not found or does not belong to this entity'
-        });
-      }
-    }
-    
-    if (depreciationAccountId) {
-      const depAccount = await Account.findOne({
-        _id: depreciationAccountId,
-        clientId: req.user.id,
-        entityId
-      }).session(session);
-      
-      if (!depAccount) {
-        return res.status(404).json({
-          success: false,
-          message: 'Depreciation account not found or does not belong to this entity'
-        });
-      }
-    }
-    
-    if (accumulatedDepreciationAccountId) {
-      const accDepAccount = await Account.findOne({
-        _id: accumulatedDepreciationAccountId,
-        clientId: req.user.id,
-        entityId
-      }).session(session);
-      
-      if (!accDepAccount) {
-        return res.status(404).json({
-          success: false,
-          message: 'Accumulated depreciation account not found or does not belong to this entity'
-        });
-      }
-    }
-    
-    // Create the fixed asset
-    const asset = new FixedAsset({
-      clientId: req.user.id,
-      entityId,
-      name,
+    depreciated.push({ asset, depreciationAmount });
+  }
+  
+  if (depreciated.length === 0) {
+    return { journalEntry: null, results: [], skipped };
+  }
+  
+  const entries = [];
+  depreciated.forEach(({ asset, depreciationAmount }) => {
+    const description = `Depreciation - ${asset.name}`;
+    entries.push({
+      accountId: asset.depreciationAccountId,
+      amount: depreciationAmount,
+      type: 'debit',
       description,
-      assetNumber,
-      assetCategory,
-      location,
-      acquisitionDate,
-      acquisitionCost,
-      depreciationMethod,
-      usefulLife,
-      salvageValue,
-      currentBookValue: acquisitionCost, // Initial book value is the acquisition cost
-      accountId,
-      depreciationAccountId,
-      accumulatedDepreciationAccountId,
-      notes
+      documentNumber: asset.assetNumber
     });
-    
-    await asset.save({ session });
-    
-    // Create audit log
-    const auditLog = new AuditLog({
-      clientId: req.user.id,
-      action: 'CREATE_FIXED_ASSET',
-      entityType: 'FixedAsset',
-      entityId: asset._id,
-      userId: req.user.id,
-      details: {
-        name,
-        assetCategory,
-        acquisitionDate,
-        acquisitionCost
-      }
+    entries.push({
+      accountId: asset.accumulatedDepreciationAccountId,
+      amount: depreciationAmount,
+      type: 'credit',
+      description,
+      documentNumber: asset.assetNumber
     });
-    await auditLog.save({ session });
-    
-    await session.commitTransaction();
+  });
+  
+  const { journalEntry } = await postJournalEntry({
+    clientId,
+    userId,
+    isAdmin,
+    entityId,
+    date,
+    description: `Depreciation for ${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+    entries,
+    isManual: false,
+    journalType: DEPRECIATION_JOURNAL_TYPE,
+    subledgerType: 'Assets'
+  }, session);
+  
+  const results = [];
+  
+  for (const { asset, depreciationAmount } of depreciated) {
+    asset.recordDepreciation(depreciationAmount, date, journalEntry._id);
+    await asset.save({ session });
     
-    res.status(201).json({
-      success: true,
-      message: 'Fixed asset created successfully',
-      asset: {
-        id: asset._id,
-        name: asset.name,
-        assetCategory: asset.assetCategory,
-        acquisitionDate: asset.acquisitionDate,
-        acquisitionCost: asset.acquisitionCost,
-        currentBookValue: asset.currentBookValue
-      }
+    results.push({
+      assetId: asset._id,
+      assetName: asset.name,
+      depreciationAmount,
+      currentBookValue: asset.currentBookValue,
+      journalEntryId: journalEntry._id,
+      postedToSoftClosedPeriod: flagged
     });
-  } catch (error) {
-    await session.abortTransaction();
-    logger.error('Error creating fixed asset:', error);
-    next(error);
-  } finally {
-    session.endSession();
   }
-});
+  
+  return { journalEntry, results, skipped };
+};
 
-// Update a fixed asset
-router.put('/:id', auth, [
-  param('id')
-    .isMongoId()
-    .withMessage('Invalid asset ID format'),
-  body('name')
-    .optional()
-    .notEmpty()
-    .withMessage('Asset name cannot be empty'),
-  body('assetCategory')
-    .optional()
-    .isIn(['equipment', 'furniture', 'vehicles', 'buildings', 'land', 'computers', 'software', 'other'])
-    .withMessage('Valid asset category is required'),
-  body('acquisitionDate')
-    .optional()
-    .isDate()
-    .withMessage('Valid acquisition date is required'),
-  body('acquisitionCost')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Acquisition cost must be a positive number'),
-  body('depreciationMethod')
-    .optional()
-    .isIn(['straight-line', 'declining-balance', 'units-of-production'])
-    .withMessage('Valid depreciation method is required'),
-  body('usefulLife')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Useful life must be a positive integer'),
-  body('salvageValue')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Salvage value must be a positive number')
-], async (req, res, next) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
+// Reject an event dated before the asset was acquired or last depreciated
+FixedAssetSchema.methods.assertEventDate = function(date, label) {
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${label} date is invalid`);
+  }
+  
+  if (date < this.acquisitionDate) {
+    throw new ApiError(400, `${label} date cannot be before the acquisition date`);
+  }
+  
+  if (this.lastDepreciationDate && date < this.lastDepreciationDate) {
+    throw new ApiError(400, `${label} date cannot be before the last depreciation date`);
+  }
+};
+
+// Depreciation due up to date and the journal lines posting it
+// Disposals, impairments and transfers catch up first so they work from the
+// book value at their own date.
+FixedAssetSchema.methods.catchUpDepreciation = function(date) {
+  const depreciationAmount = roundCents(this.calculateDepreciation(date));
+  if (depreciationAmount <= 0) {
+    return { depreciationAmount: 0, entries: [] };
+  }
+  
+  if (!this.depreciationAccountId || !this.accumulatedDepreciationAccountId) {
+    throw new ApiError(400, 'Depreciation and accumulated depreciation accounts are required to catch up depreciation');
+  }
+  
+  // Tagged so reports can tell the catch-up apart from the rest of the entry it is posted in
+  const description = `Depreciation - ${this.name}`;
+  const category = 'depreciation';
+  return {
+    depreciationAmount,
+    entries: [
+      { accountId: this.depreciationAccountId, amount: depreciationAmount, type: 'debit', description, category },
+      { accountId: this.accumulatedDepreciationAccountId, amount: depreciationAmount, type: 'credit', description, category }
+    ]
+  };
+};
+
+// Entity, location and GL accounts of the asset at date, worked back through
+// transfers after it
+FixedAssetSchema.methods.assignmentAt = function(date) {
+  const assignment = {
+    entityId: this.entityId,
+    location: this.location,
+    accountId: this.accountId,
+    depreciationAccountId: this.depreciationAccountId,
+    accumulatedDepreciationAccountId: this.accumulatedDepreciationAccountId
+  };
+  
+  this.history
+    .filter(event => event.type === 'transfer' && event.date > date)
+    .sort((a, b) => b.date - a.date)
+    .forEach(event => {
+      assignment.entityId = event.fromEntityId;
+      assignment.location = event.fromLocation;
+      Object.assign(assignment, event.fromAccounts ? event.fromAccounts.toObject() : {});
     });
+  
+  return assignment;
+};
+
+// Dispose of all or part of the asset
+// Depreciation is caught up to the disposal date, then the disposed share of
+// cost and accumulated depreciation comes off the books against the proceeds,
+// with the difference posted as a gain or loss. Everything goes in one
+// balanced journal entry. A partial disposal (portion < 1) leaves the rest of
+// the asset in service with its cost and salvage value reduced in proportion.
+// data: { date, proceeds, portion, proceedsAccountId, gainLossAccountId, notes }
+FixedAssetSchema.methods.dispose = async function(data, options = {}) {
+  const { isAdmin, userId = this.clientId, session = null } = options;
+  const { proceeds = 0, portion = 1, proceedsAccountId, notes } = data;
+  const date = new Date(data.date);
+  
+  if (this.disposed) {
+    throw new ApiError(400, 'Asset has already been disposed');
   }
   
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  if (!(portion > 0 && portion <= 1)) {
+    throw new ApiError(400, 'Portion disposed must be greater than 0 and at most 1');
+  }
   
-  try {
-    // Find asset and make sure it belongs to this client
-    const asset = await FixedAsset.findOne({
-      _id: req.params.id,
-      clientId: req.user.id
-    }).session(session);
-    
-    if (!asset) {
-      return res.status(404).json({
-        success: false,
-        message: 'Fixed asset not found'
-      });
-    }
+  this.assertEventDate(date, 'Disposal');
+  
+  if (!this.accountId) {
+    throw new ApiError(400, 'An asset account is required to dispose of the asset');
+  }
+  
+  if (proceeds > 0 && !proceedsAccountId) {
+    throw new ApiError(400, 'A proceeds account is required when there are disposal proceeds');
+  }
+  
+  await assertPeriodOpen({
+    clientId: this.clientId,
+    entityId: this.entityId,
+    date,
+    isAdmin
+  }, session);
+  
+  // Depreciation up to the disposal date
+  const catchUp = this.catchUpDepreciation(date);
+  const { depreciationAmount } = catchUp;
+  
+  const accumulatedDepreciation = roundCents(this.acquisitionCost - this.currentBookValue + depreciationAmount);
+  const cost = roundCents(this.acquisitionCost * portion);
+  const accumulatedRemoved = roundCents(accumulatedDepreciation * portion);
+  const bookValue = roundCents(cost - accumulatedRemoved);
+  const gainLoss = roundCents(proceeds - bookValue);
+  
+  if (accumulatedRemoved > 0 && !this.accumulatedDepreciationAccountId) {
+    throw new ApiError(400, 'An accumulated depreciation account is required to dispose of a depreciated asset');
+  }
+  
+  let gainLossAccountId = data.gainLossAccountId;
+  if (gainLoss !== 0 && !gainLossAccountId) {
+    const entity = await Entity.findOne({ _id: this.entityId, clientId: this.clientId }).session(session);
+    gainLossAccountId = entity && entity.disposalGainLossAccountId;
     
-    // Cannot modify disposed assets
-    if (asset.disposed) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot modify a disposed asset'
-      });
+    if (!gainLossAccountId) {
+      throw new ApiError(400, 'A gain/loss account is required; pass one or set the entity default');
     }
+  }
+  
+  const description = `Disposal - ${this.name}`;
+  const lines = [
+    ...catchUp.entries,
+    { accountId: this.accumulatedDepreciationAccountId, amount: accumulatedRemoved, type: 'debit', description },
+    { accountId: proceedsAccountId, amount: proceeds, type: 'debit', description },
+    { accountId: this.accountId, amount: cost, type: 'credit', description },
+    { accountId: gainLossAccountId, amount: Math.abs(gainLoss), type: gainLoss > 0 ? 'credit' : 'debit', description }
+  ];
+  const entries = lines
+    .filter(line => line.amount > 0)
+    .map(line => ({ ...line, documentNumber: this.assetNumber }));
+  
+  let journalEntry = null;
+  if (entries.length > 0) {
+    ({ journalEntry } = await postJournalEntry({
+      clientId: this.clientId,
+      userId,
+      isAdmin,
+      entityId: this.entityId,
+      date,
+      description: portion < 1 ? `Partial disposal - ${this.name}` : description,
+      entries,
+      isManual: false,
+      journalType: DISPOSAL_JOURNAL_TYPE,
+      subledgerType: 'Assets'
+    }, session));
     
-    const updateFields = [
-      'name', 'description', 'assetNumber', 'assetCategory', 'location',
-      'acquisitionDate', 'acquisitionCost', 'depreciationMethod', 'usefulLife',
-      'salvageValue', 'accountId', 'depreciationAccountId', 'accumulatedDepreciationAccountId',
-      'notes'
-    ];
-    
-    // Update fields
-    updateFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        asset[field] = req.body[field];
-      }
-    });
-    
-    // If acquisition cost, useful life, or salvage value changed, recalculate book value
-    if (
-      req.body.acquisitionCost !== undefined ||
-      req.body.usefulLife !== undefined ||
-      req.body.salvageValue !== undefined
-    ) {
-      // This is a simplified recalculation - in a real system, you'd need to handle
-      // past depreciation, etc. more carefully
-      if (asset.depreciationSchedule.length === 0) {
-        // If no depreciation has been recorded yet, just reset to acquisition cost
-        asset.currentBookValue = asset.acquisitionCost;
-      } else {
-        // Otherwise, we'd need a more complex recalculation based on depreciation history
-        // This is just a placeholder - real implementation would be more complex
-        logger.warn('Asset parameters changed after depreciation started - book value may need adjustment');
-      }
+    if (depreciationAmount > 0) {
+      this.recordDepreciation(depreciationAmount, date, journalEntry._id);
+    } else {
+      this.journalEntryIds.push(journalEntry._id);
     }
-    
-    await asset.save({ session });
-    
-    // Create audit log
-    const auditLog = new AuditLog({
-      clientId: req.user.id,
-      action: 'UPDATE_FIXED_ASSET',
-      entityType: 'FixedAsset',
-      entityId: asset._id,
-      userId: req.user.id,
-      details: req.body
-    });
-    await auditLog.save({ session });
-    
-    await session.commitTransaction();
-    
-    res.json({
-      success: true,
-      message: 'Fixed asset updated successfully',
-      asset: {
-        id: asset._id,
-        name: asset.name,
-        assetCategory: asset.assetCategory,
-        acquisitionDate: asset.acquisitionDate,
-        acquisitionCost: asset.acquisitionCost,
-        currentBookValue: asset.currentBookValue
-      }
-    });
-  } catch (error) {
-    await session.abortTransaction();
-    logger.error('Error updating fixed asset:', error);
-    next(error);
-  } finally {
-    session.endSession();
   }
-});
+  
+  this.lastDepreciationDate = date;
+  
+  // Take the disposed share off the register; a fully disposed asset keeps
+  // its historical cost and has no book value left
+  if (portion < 1) {
+    this.acquisitionCost = roundCents(this.acquisitionCost - cost);
+    this.salvageValue = roundCents(this.salvageValue * (1 - portion));
+    this.currentBookValue = roundCents(this.currentBookValue - bookValue);
+  } else {
+    this.currentBookValue = 0;
+  }
+  
+  const disposal = {
+    date,
+    portion,
+    cost,
+    accumulatedDepreciation: accumulatedRemoved,
+    bookValue,
+    proceeds,
+    gainLoss,
+    depreciationAmount,
+    journalEntryId: journalEntry ? journalEntry._id : undefined,
+    notes,
+    disposedBy: userId
+  };
+  this.disposals.push(disposal);
+  
+  if (portion === 1) {
+    this.disposed = true;
+    this.disposalDate = date;
+    this.disposalValue = proceeds;
+  }
+  
+  // Tax books stop depreciating the disposed share
+  this.taxBooks.forEach(book => {
+    book.schedule = this.computeTaxSchedule(book);
+  });
+  
+  await this.save({ session });
+  
+  return { journalEntry, disposal: this.disposals[this.disposals.length - 1] };
+};
 
-// Dispose of a fixed asset
-router.put('/:id/dispose', auth, [
-  param('id')
-    .isMongoId()
-    .withMessage('Invalid asset ID format'),
-  body('disposalDate')
-    .isDate()
-    .withMessage('Valid disposal date is required'),
-  body('disposalValue')
-    .isFloat({ min: 0 })
-    .withMessage('Disposal value must be a positive number')
-], async (req, res, next) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
-    });
+// Write the asset down to fairValue
+// Depreciation is caught up to the impairment date, then the book value above
+// fair value is charged to the impairment loss account and credited to
+// accumulated depreciation, in one balanced journal entry. Later depreciation
+// spreads the written-down book value over the remaining life.
+// data: { date, fairValue, impairmentAccountId, notes }
+FixedAssetSchema.methods.impair = async function(data, options = {}) {
+  const { isAdmin, userId = this.clientId, session = null } = options;
+  const { fairValue, notes } = data;
+  const date = new Date(data.date);
+  
+  if (this.disposed) {
+    throw new ApiError(400, 'Cannot impair a disposed asset');
   }
   
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  this.assertEventDate(date, 'Impairment');
   
-  try {
-    const { disposalDate, disposalValue } = req.body;
-    
-    // Find asset and make sure it belongs to this client
-    const asset = await FixedAsset.findOne({
-      _id: req.params.id,
-      clientId: req.user.id
-    }).session(session);
-    
-    if (!asset) {
-      return res.status(404).json({
-        success: false,
-        message: 'Fixed asset not found'
-      });
-    }
+  if (!this.accumulatedDepreciationAccountId) {
+    throw new ApiError(400, 'An accumulated depreciation account is required to record an impairment');
+  }
+  
+  await assertPeriodOpen({
+    clientId: this.clientId,
+    entityId: this.entityId,
+    date,
+    isAdmin
+  }, session);
+  
+  const catchUp = this.catchUpDepreciation(date);
+  const bookValueBefore = roundCents(this.currentBookValue - catchUp.depreciationAmount);
+  const amount = roundCents(bookValueBefore - fairValue);
+  
+  if (amount <= 0) {
+    throw new ApiError(400, `Fair value must be below the book value of ${bookValueBefore.toFixed(2)} to record an impairment`);
+  }
+  
+  let impairmentAccountId = data.impairmentAccountId;
+  if (!impairmentAccountId) {
+    const entity = await Entity.findOne({ _id: this.entityId, clientId: this.clientId }).session(session);
+    impairmentAccountId = entity && entity.impairmentLossAccountId;
     
-    // Cannot dispose of an already disposed asset
-    if (asset.disposed) {
-      return res.status(400).json({
-        success: false,
-        message: 'Asset has already been disposed'
-      });
+    if (!impairmentAccountId) {
+      throw new ApiError(400, 'An impairment loss account is required; pass one or set the entity default');
     }
-    
-    // Update asset
-    asset.disposed = true;
-    asset.disposalDate = disposalDate;
-    asset.disposalValue = disposalValue;
-    
-    await asset.save({ session });
-    
-    // Create audit log
-    const auditLog = new AuditLog({
-      clientId: req.user.id,
-      action: 'DISPOSE_FIXED_ASSET',
-      entityType: 'FixedAsset',
-      entityId: asset._id,
-      userId: req.user.id,
-      details: {
-        disposalDate,
-        disposalValue,
-        bookValueAtDisposal: asset.currentBookValue
-      }
-    });
-    await auditLog.save({ session });
-    
-    await session.commitTransaction();
-    
-    res.json({
-      success: true,
-      message: 'Asset marked as disposed',
-      asset: {
-        id: asset._id,
-        name: asset.name,
-        disposalDate: asset.disposalDate,
-        disposalValue: asset.disposalValue,
-        bookValueAtDisposal: asset.currentBookValue
-      }
-    });
-  } catch (error) {
-    await session.abortTransaction();
-    logger.error('Error disposing fixed asset:', error);
-    next(error);
-  } finally {
-    session.endSession();
   }
-});
+  
+  const description = `Impairment - ${this.name}`;
+  const entries = [
+    ...catchUp.entries,
+    { accountId: impairmentAccountId, amount, type: 'debit', description },
+    { accountId: this.accumulatedDepreciationAccountId, amount, type: 'credit', description }
+  ].map(line => ({ ...line, documentNumber: this.assetNumber }));
+  
+  const { journalEntry } = await postJournalEntry({
+    clientId: this.clientId,
+    userId,
+    isAdmin,
+    entityId: this.entityId,
+    date,
+    description,
+    entries,
+    isManual: false,
+    journalType: IMPAIRMENT_JOURNAL_TYPE,
+    subledgerType: 'Assets'
+  }, session);
+  
+  if (catchUp.depreciationAmount > 0) {
+    this.recordDepreciation(catchUp.depreciationAmount, date, journalEntry._id);
+  } else {
+    this.journalEntryIds.push(journalEntry._id);
+  }
+  this.lastDepreciationDate = date;
+  
+  // Salvage value cannot stay above what the asset is now worth
+  this.currentBookValue = roundCents(this.currentBookValue - amount);
+  this.salvageValue = Math.min(this.salvageValue, this.currentBookValue);
+  
+  this.history.push({
+    type: 'impairment',
+    date,
+    amount,
+    fairValue,
+    bookValueBefore,
+    bookValueAfter: this.currentBookValue,
+    journalEntryIds: [journalEntry._id],
+    notes,
+    performedBy: userId
+  });
+  
+  await this.save({ session });
+  
+  return { journalEntry, event: this.history[this.history.length - 1] };
+};
 
-// Delete a fixed asset
-router.delete('/:id', auth, [
-  param('id')
-    .isMongoId()
-    .withMessage('Invalid asset ID format')
-], async (req, res, next) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
-    });
+// Move the asset to another location and/or entity, keeping its history
+// A move between entities carries cost and accumulated depreciation over:
+// after catching up depreciation, the source entity takes the asset off its
+// books against an intercompany account and the target entity puts it on
+// against its own, one journal entry each. Depreciation then continues in the
+// target entity from the same book value.
+// data: { date, toLocation, toEntityId, accountId, depreciationAccountId,
+//   accumulatedDepreciationAccountId, intercompanyAccountId, targetIntercompanyAccountId, notes }
+FixedAssetSchema.methods.transfer = async function(data, options = {}) {
+  const { isAdmin, userId = this.clientId, session = null } = options;
+  const { toLocation, notes } = data;
+  const date = new Date(data.date);
+  
+  if (this.disposed) {
+    throw new ApiError(400, 'Cannot transfer a disposed asset');
+  }
+  
+  this.assertEventDate(date, 'Transfer');
+  
+  const toEntityId = data.toEntityId && String(data.toEntityId) !== String(this.entityId)
+    ? data.toEntityId
+    : null;
+  
+  if (!toEntityId && (toLocation === undefined || toLocation === this.location)) {
+    throw new ApiError(400, 'A new location or entity is required to transfer the asset');
   }
   
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  const fromAccounts = {
+    accountId: this.accountId,
+    depreciationAccountId: this.depreciationAccountId,
+    accumulatedDepreciationAccountId: this.accumulatedDepreciationAccountId
+  };
+  
+  const event = {
+    type: 'transfer',
+    date,
+    fromEntityId: this.entityId,
+    toEntityId: toEntityId || this.entityId,
+    fromLocation: this.location,
+    toLocation: toLocation !== undefined ? toLocation : this.location,
+    fromAccounts,
+    toAccounts: fromAccounts,
+    journalEntryIds: [],
+    notes,
+    performedBy: userId
+  };
   
-  try {
-    // Find asset and make sure it belongs to this client
-    const asset = await FixedAsset.findOne({
-      _id: req.params.id,
-      clientId: req.user.id
-    }).session(session);
+  const journalEntries = [];
+  
+  if (toEntityId) {
+    const source = await Entity.findOne({ _id: this.entityId, clientId: this.clientId }).session(session);
+    const target = await Entity.findOne({ _id: toEntityId, clientId: this.clientId }).session(session);
+    if (!source || !target) {
+      throw new ApiError(404, 'Target entity not found or you do not have permission');
+    }
     
-    if (!asset) {
-      return res.status(404).json({
-        success: false,
-        message: 'Fixed asset not found'
-      });
+    if (!this.accountId || !data.accountId) {
+      throw new ApiError(400, 'Asset accounts in both entities are required to transfer between entities');
     }
     
-    // Delete the asset
-    await FixedAsset.deleteOne({ _id: asset._id }).session(session);
+    if (!data.intercompanyAccountId || !data.targetIntercompanyAccountId) {
+      throw new ApiError(400, 'Intercompany accounts in both entities are required to transfer between entities');
+    }
     
-    // Create audit log
-    const auditLog = new AuditLog({
-      clientId: req.user.id,
-      action: 'DELETE_FIXED_ASSET',
-      entityType: 'FixedAsset',
-      entityId: asset._id,
-      userId: req.user.id,
-      details: {
-        name: asset.name,
-        assetCategory: asset.assetCategory,
-        acquisitionCost: asset.acquisitionCost,
-        currentBookValue: asset.currentBookValue
-      }
-    });
-    await auditLog.save({ session });
+    const catchUp = this.catchUpDepreciation(date);
+    const cost = this.acquisitionCost;
+    const bookValue = roundCents(this.currentBookValue - catchUp.depreciationAmount);
+    const accumulatedDepreciation = roundCents(cost - bookValue);
     
-    await session.commitTransaction();
+    if (accumulatedDepreciation > 0 && (!this.accumulatedDepreciationAccountId || !data.accumulatedDepreciationAccountId)) {
+      throw new ApiError(400, 'Accumulated depreciation accounts in both entities are required to transfer a depreciated asset');
+    }
     
-    res.json({
-      success: true,
-      message: 'Fixed asset deleted successfully'
-    });
-  } catch (error) {
-    await session.abortTransaction();
-    logger.error('Error deleting fixed asset:', error);
-    next(error);
-  } finally {
-    session.endSession();
-  }
-});
-
-// Run depreciation for all assets (admin only)
-router.post('/run-depreciation', adminAuth, [
-  body('entityId')
-    .isMongoId()
-    .withMessage('Valid entity ID is required'),
-  body('date')
-    .optional()
-    .isDate()
-    .withMessage('Valid date is required')
-], async (req, res, next) => {
-  // Check for validation errors
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
-    });
-  }
-  
-  try {
-    const { entityId, date } = req.body;
+    const description = `Transfer - ${this.name}`;
+    const withDocument = line => ({ ...line, documentNumber: this.assetNumber });
     
-    // Verify entity exists and belongs to client
-    const entity = await Entity.findOne({
-      _id: entityId,
-      clientId: req.user.id
-    });
+    // Off the source entity's books
+    const { journalEntry: sourceEntry } = await postJournalEntry({
+      clientId: this.clientId,
+      userId,
+      isAdmin,
+      entityId: this.entityId,
+      date,
+      description: `${description} to ${target.name}`,
+      entries: [
+        ...catchUp.entries,
+        { accountId: this.accumulatedDepreciationAccountId, amount: accumulatedDepreciation, type: 'debit', description },
+        { accountId: data.intercompanyAccountId, amount: bookValue, type: 'debit', description },
+        { accountId: this.accountId, amount: cost, type: 'credit', description }
+      ].filter(line => line.amount > 0).map(withDocument),
+      isManual: false,
+      journalType: ASSET_TRANSFER_JOURNAL_TYPE,
+      subledgerType: 'Assets',
+      isIntercompany: true,
+      relatedEntityId: target._id
+    }, session);
     
-    if (!entity) {
-      return res.status(404).json({
-        success: false,
-        message: 'Entity not found or you do not have permission'
-      });
+    // Onto the target entity's books
+    const { journalEntry: targetEntry } = await postJournalEntry({
+      clientId: this.clientId,
+      userId,
+      isAdmin,
+      entityId: target._id,
+      date,
+      description: `${description} from ${source.name}`,
+      entries: [
+        { accountId: data.accountId, amount: cost, type: 'debit', description },
+        { accountId: data.accumulatedDepreciationAccountId, amount: accumulatedDepreciation, type: 'credit', description },
+        { accountId: data.targetIntercompanyAccountId, amount: bookValue, type: 'credit', description }
+      ].filter(line => line.amount > 0).map(withDocument),
+      isManual: false,
+      journalType: ASSET_TRANSFER_JOURNAL_TYPE,
+      subledgerType: 'Assets',
+      isIntercompany: true,
+      relatedEntityId: this.entityId
+    }, session);
+    
+    if (catchUp.depreciationAmount > 0) {
+      this.recordDepreciation(catchUp.depreciationAmount, date, sourceEntry._id);
+    } else {
+      this.journalEntryIds.push(sourceEntry._id);
     }
+    this.journalEntryIds.push(targetEntry._id);
+    this.lastDepreciationDate = date;
     
-    // Run depreciation
-    const depreciationResults = await FixedAsset.runMonthlyDepreciation(
-      req.user.id,
-      entityId,
-      date ? new Date(date) : new Date()
-    );
+    this.entityId = target._id;
+    this.accountId = data.accountId;
+    this.depreciationAccountId = data.depreciationAccountId;
+    this.accumulatedDepreciationAccountId = data.accumulatedDepreciationAccountId;
     
-    res.json({
-      success: true,
-      message: `Depreciation completed for ${depreciationResults.length} assets`,
-      results: depreciationResults
-    });
-  } catch (error) {
-    logger.error('Error running depreciation:', error);
-    next(error);
+    event.cost = cost;
+    event.accumulatedDepreciation = accumulatedDepreciation;
+    event.toAccounts = {
+      accountId: this.accountId,
+      depreciationAccountId: this.depreciationAccountId,
+      accumulatedDepreciationAccountId: this.accumulatedDepreciationAccountId
+    };
+    event.journalEntryIds = [sourceEntry._id, targetEntry._id];
+    journalEntries.push(sourceEntry, targetEntry);
   }
-});
+  
+  this.location = event.toLocation;
+  this.history.push(event);
+  
+  await this.save({ session });
+  
+  return { journalEntries, event: this.history[this.history.length - 1] };
+};
 
-module.exports = router;
+module.exports = mongoose.model('FixedAsset', FixedAssetSchema);
@@ -1,5 +1,6 @@
 // models/invoice.js
 const mongoose = require('mongoose');
+const { roundCents } = require('../utils/money');
 
 const InvoiceLineItemSchema = new mongoose.Schema({
   description: {
@@ -16,6 +17,7 @@ const InvoiceLineItemSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // quantity x unitPrice, set by calculateTotals
   amount: {
     type: Number,
     required: true
@@ -28,12 +30,40 @@ const InvoiceLineItemSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Revenue account (AR) or expense account (AP) the line posts to
   accountId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Account'
   }
 });
 
+// Each time the invoice or a payment reminder for it was emailed
+const InvoiceDeliverySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'reminder'],
+    default: 'invoice'
+  },
+  // For reminders: which reminder in the entity's cadence, and how late the invoice was
+  reminderLevel: Number,
+  daysPastDue: Number,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  to: [String],
+  cc: [String],
+  // PDF attached to the email, also kept in documents
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
 const InvoiceSchema = new mongoose.Schema({
   clientId: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -102,6 +132,11 @@ const InvoiceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Reduced by credit memos (AR) or debit memos (AP) issued against the invoice
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
   balanceDue: {
     type: Number,
     default: function() {
@@ -132,18 +167,79 @@ const InvoiceSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Receivable (AR) or payable (AP) control account; defaults from the entity when issued
+  controlAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Sales tax payable account for AR tax; AP tax is expensed with each line
+  taxAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
   // Associated journal entry
   journalEntryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'JournalEntry'
   },
+  // Recurring invoice template this invoice was generated from
+  recurringInvoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringInvoice',
+    index: true
+  },
+  // Reversal of journalEntryId posted when the invoice was voided
+  reversalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  lastSentAt: Date,
+  deliveries: [InvoiceDeliverySchema],
+  // Number of payment reminders sent so far
+  dunningLevel: {
+    type: Number,
+    default: 0
+  },
+  lastReminderAt: Date,
   payments: [{
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
     date: { type: Date },
     amount: { type: Number },
     paymentMethod: { type: String },
     reference: { type: String },
     notes: { type: String }
   }],
+  // Credit or debit memos in force against the invoice
+  credits: [{
+    creditMemoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditMemo'
+    },
+    memoNumber: { type: String },
+    date: { type: Date },
+    amount: { type: Number }
+  }],
   tags: [String],
   documents: [{
     fileId: { 
@@ -162,12 +258,39 @@ InvoiceSchema.index({ clientId: 1, entityId: 1, invoiceType: 1, status: 1 });
 InvoiceSchema.index({ clientId: 1, customerId: 1, status: 1 });
 InvoiceSchema.index({ clientId: 1, vendorId: 1, status: 1 });
 InvoiceSchema.index({ dueDate: 1, status: 1 });
+InvoiceSchema.index({ clientId: 1, entityId: 1, invoiceType: 1, invoiceNumber: 1 }, { unique: true });
+
+// Line amounts, tax and totals from quantities, prices and tax rates
+InvoiceSchema.methods.calculateTotals = function() {
+  this.items.forEach(item => {
+    item.amount = roundCents(item.quantity * item.unitPrice);
+    item.taxAmount = roundCents(item.amount * (item.taxRate || 0) / 100);
+  });
+  
+  this.subtotal = roundCents(this.items.reduce((sum, item) => sum + item.amount, 0));
+  this.taxTotal = roundCents(this.items.reduce((sum, item) => sum + item.taxAmount, 0));
+  this.total = roundCents(this.subtotal + this.taxTotal);
+  this.balanceDue = roundCents(this.total - (this.amountPaid || 0) - (this.creditedAmount || 0));
+  
+  return this;
+};
+
+// Status of an invoice whose balance has just gone back up
+const reopen = (invoice) => {
+  if (invoice.amountPaid > 0) {
+    invoice.status = 'partially_paid';
+  } else {
+    invoice.status = invoice.lastSentAt ? 'sent' : 'pending';
+  }
+  
+  return invoice.updateStatus();
+};
 
 // Methods
 InvoiceSchema.methods.addPayment = function(paymentData) {
   this.payments.push(paymentData);
-  this.amountPaid += paymentData.amount;
-  this.balanceDue = Math.max(0, this.total - this.amountPaid);
+  this.amountPaid = roundCents(this.amountPaid + paymentData.amount);
+  this.balanceDue = Math.max(0, roundCents(this.total - this.amountPaid - (this.creditedAmount || 0)));
   
   // Update status based on payment
   if (this.balanceDue === 0) {
@@ -179,6 +302,44 @@ InvoiceSchema.methods.addPayment = function(paymentData) {
   return this;
 };
 
+// Take a payment's applications back off the invoice, reopening it
+InvoiceSchema.methods.removePayment = function(paymentId) {
+  const removed = this.payments.filter(p => String(p.paymentId) === String(paymentId));
+  if (removed.length === 0) return this;
+  
+  this.payments = this.payments.filter(p => String(p.paymentId) !== String(paymentId));
+  this.amountPaid = roundCents(this.payments.reduce((sum, p) => sum + p.amount, 0));
+  this.balanceDue = roundCents(this.total - this.amountPaid - (this.creditedAmount || 0));
+  
+  return reopen(this);
+};
+
+// Reduce the balance by a credit or debit memo; a fully credited invoice with
+// nothing paid is cancelled, otherwise it is settled
+InvoiceSchema.methods.addCredit = function(creditData) {
+  this.credits.push(creditData);
+  this.creditedAmount = roundCents((this.creditedAmount || 0) + creditData.amount);
+  this.balanceDue = Math.max(0, roundCents(this.total - this.amountPaid - this.creditedAmount));
+  
+  if (this.balanceDue === 0) {
+    this.status = this.amountPaid > 0 ? 'paid' : 'cancelled';
+  }
+  
+  return this;
+};
+
+// Take a voided memo back off the invoice, reopening it
+InvoiceSchema.methods.removeCredit = function(creditMemoId) {
+  const removed = this.credits.filter(c => String(c.creditMemoId) === String(creditMemoId));
+  if (removed.length === 0) return this;
+  
+  this.credits = this.credits.filter(c => String(c.creditMemoId) !== String(creditMemoId));
+  this.creditedAmount = roundCents(this.credits.reduce((sum, c) => sum + c.amount, 0));
+  this.balanceDue = roundCents(this.total - this.amountPaid - this.creditedAmount);
+  
+  return reopen(this);
+};
+
 // Update status based on due date
 InvoiceSchema.methods.updateStatus = function() {
   if (this.status === 'paid' || this.status === 'void' || this.status === 'cancelled') {
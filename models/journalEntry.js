@@ -39,7 +39,8 @@ const JournalEntrySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'posted', 'reversed'],
+    // draft -> submitted -> posted (approved) or rejected -> draft
+    enum: ['draft', 'submitted', 'rejected', 'posted', 'reversed'],
     default: 'posted',
     index: true
   },
@@ -53,6 +54,16 @@ const JournalEntrySchema = new mongoose.Schema({
     ref: 'JournalEntry',
     default: null
   },
+  // Accruals that reverse themselves on reversalDate (usually the first day of the next period)
+  autoReversal: {
+    isAutoReversing: {
+      type: Boolean,
+      default: false
+    },
+    reversalDate: Date,
+    lastAttemptAt: Date,
+    lastError: String
+  },
   createdBy: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
@@ -108,7 +119,23 @@ const JournalEntrySchema = new mongoose.Schema({
       default: null
     },
     nextDate: Date,
-    endDate: Date
+    endDate: Date,
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    occurrenceCount: {
+      type: Number,
+      default: 0
+    },
+    lastGeneratedDate: Date
+  },
+  // Recurring template this entry was generated from
+  recurringTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null,
+    index: true
   },
   period: {
     year: {
@@ -128,6 +155,27 @@ const JournalEntrySchema = new mongoose.Schema({
     type: Boolean, 
     default: true 
   },
+  // Proposed lines of an unposted (draft/submitted/rejected) entry;
+  // Transactions are only created from them when the entry is approved
+  lines: [{
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['debit', 'credit'],
+      required: true
+    },
+    description: String,
+    lineNo: Number,
+    documentNumber: String
+  }],
   metadata: {
     type: mongoose.Schema.Types.Mixed, // Changed from Object to Mixed
     default: {}
@@ -158,9 +206,16 @@ const JournalEntrySchema = new mongoose.Schema({
 
 // Create compound indexes for performance
 JournalEntrySchema.index({ clientId: 1, entityId: 1, date: -1 });
+// Entry numbers are issued once per entity; drafts have none until they are approved
+JournalEntrySchema.index(
+  { clientId: 1, entityId: 1, entryNumber: 1 },
+  { unique: true, partialFilterExpression: { entryNumber: { $type: 'string' } } }
+);
 JournalEntrySchema.index({ clientId: 1, entityId: 1, 'period.year': 1, 'period.month': 1 });
 JournalEntrySchema.index({ clientId: 1, entityId: 1, subledgerType: 1, date: -1 });
 JournalEntrySchema.index({ clientId: 1, isIntercompany: 1, relatedEntityId: 1 });
 JournalEntrySchema.index({ consolidationId: 1 });
+JournalEntrySchema.index({ 'recurring.isRecurring': 1, 'recurring.nextDate': 1 });
+JournalEntrySchema.index({ 'autoReversal.isAutoReversing': 1, 'autoReversal.reversalDate': 1, status: 1 });
 
 module.exports = mongoose.model('JournalEntry', JournalEntrySchema);
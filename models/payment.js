@@ -0,0 +1,164 @@
+// models/payment.js
+const mongoose = require('mongoose');
+const { roundCents } = require('../utils/money');
+
+// Part of a payment settled against one invoice
+const PaymentApplicationSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Date the amount was applied; later than the payment date when a credit is applied afterwards
+  date: {
+    type: Date,
+    required: true
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the application is taken back off the invoice
+  unappliedAt: Date,
+  unappliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const PaymentSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity',
+    required: true,
+    index: true
+  },
+  // Receipts settle customer invoices (AR); disbursements settle vendor bills (AP)
+  paymentType: {
+    type: String,
+    enum: ['receipt', 'disbursement'],
+    required: true,
+    index: true
+  },
+  paymentNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    trim: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['check', 'ach', 'wire', 'credit_card', 'cash', 'other'],
+    default: 'check'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  memo: {
+    type: String,
+    trim: true
+  },
+  // Bank account the money came into or went out of
+  cashAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  // Receivable or payable control account the unapplied credit sits in
+  controlAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  applications: [PaymentApplicationSchema],
+  // Part of the payment not applied to any invoice, held as a credit for the customer or vendor
+  unappliedAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['posted', 'void'],
+    default: 'posted',
+    index: true
+  },
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  reversalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ clientId: 1, entityId: 1, paymentType: 1, paymentNumber: 1 }, { unique: true });
+PaymentSchema.index({ clientId: 1, customerId: 1, status: 1 });
+PaymentSchema.index({ clientId: 1, vendorId: 1, status: 1 });
+PaymentSchema.index({ 'applications.invoiceId': 1 });
+
+// Applications still in force
+PaymentSchema.methods.activeApplications = function() {
+  return this.applications.filter(a => !a.unappliedAt);
+};
+
+// Unapplied amount from the payment total and the applications still in force
+PaymentSchema.methods.calculateUnapplied = function() {
+  const applied = this.activeApplications().reduce((sum, a) => sum + a.amount, 0);
+  this.unappliedAmount = roundCents(this.amount - applied);
+  return this.unappliedAmount;
+};
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,149 @@
+// models/recurringInvoice.js
+const mongoose = require('mongoose');
+
+// Line copied onto each generated invoice; amounts are worked out per invoice
+const RecurringInvoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  }
+}, { _id: false });
+
+const RecurringInvoiceSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity',
+    required: true,
+    index: true
+  },
+  invoiceType: {
+    type: String,
+    enum: ['ar', 'ap'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true
+  },
+  items: [RecurringInvoiceLineSchema],
+  reference: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    trim: true
+  },
+  paymentTerms: {
+    type: String,
+    default: 'Net 30',
+    trim: true
+  },
+  // Each invoice is due this many days after its issue date
+  dueInDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  memo: {
+    type: String,
+    trim: true
+  },
+  controlAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  taxAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  tags: [String],
+  frequency: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'annually'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Last date an invoice may be generated on; open-ended when unset
+  endDate: Date,
+  nextDate: {
+    type: Date,
+    index: true
+  },
+  // Email each customer invoice once it is generated
+  autoSend: {
+    type: Boolean,
+    default: false
+  },
+  // Recipients for auto-send; the customer's billing email when empty
+  sendTo: [String],
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active',
+    index: true
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  lastGeneratedDate: Date,
+  lastInvoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+RecurringInvoiceSchema.index({ status: 1, nextDate: 1 });
+RecurringInvoiceSchema.index({ clientId: 1, entityId: 1, invoiceType: 1 });
+
+module.exports = mongoose.model('RecurringInvoice', RecurringInvoiceSchema);
@@ -126,7 +126,7 @@ const VendorSchema = new mongoose.Schema({
     dayOfWeek: { type: Number }, // 0 = Sunday, 6 = Saturday
     dayOfMonth: { type: Number }
   },
-  1099Eligible: {
+  '1099Eligible': {
     type: Boolean,
     default: false
   },
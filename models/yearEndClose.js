@@ -0,0 +1,85 @@
+// models/yearEndClose.js
+const mongoose = require('mongoose');
+
+// One document per entity and fiscal year once it has been closed
+const YearEndCloseSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Entity',
+    required: true,
+    index: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    // closed: the year's income has been moved to retained earnings and postings are locked
+    enum: ['closed', 'reopened'],
+    default: 'closed',
+    index: true
+  },
+  retainedEarningsAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  // Closing entry that zeroed the income accounts (none when the year had no activity)
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  // Reversal posted when the close was undone
+  reversalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  netIncome: {
+    type: Number,
+    default: 0
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: Date,
+  notes: String,
+  history: [{
+    action: {
+      type: String,
+      enum: ['close', 'undo']
+    },
+    journalEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry'
+    },
+    netIncome: Number,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+YearEndCloseSchema.index({ clientId: 1, entityId: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('YearEndClose', YearEndCloseSchema);
@@ -7,8 +7,24 @@ const Transaction = require('../models/transaction');
 const Account = require('../models/account');
 const Entity = require('../models/entity');
 const AuditLog = require('../models/auditLog');
-const File = require('../models/file');
 const { auth } = require('../middleware/auth');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const {
+  getTrialBalance,
+  getBalanceSheet,
+  getIncomeStatement,
+  getCashFlowStatement,
+  getAgingReport,
+  exportReportPdf
+} = require('../controllers/reportController');
+const {
+  runInTransaction,
+  postJournalEntry,
+  createDraftJournalEntry,
+  reverseJournalEntry,
+  requestReversal,
+  firstDayOfNextPeriod
+} = require('../services/journalEntryService');
 
 // Journal entry validation middleware
 const journalEntryValidation = [
@@ -33,7 +49,15 @@ const journalEntryValidation = [
    .withMessage('Amount must be greater than zero'),
  body('entries.*.type')
    .isIn(['debit', 'credit'])
-   .withMessage('Type must be either debit or credit')
+   .withMessage('Type must be either debit or credit'),
+ body('autoReverse')
+   .optional()
+   .isBoolean()
+   .withMessage('autoReverse must be a boolean'),
+ body('reversalDate')
+   .optional()
+   .isDate()
+   .withMessage('Reversal date must be a valid date')
 ];
 
 // Get entities validation
@@ -82,8 +106,8 @@ const getJournalEntriesValidation = [
    .withMessage('Account ID must be valid'),
  query('status')
    .optional()
-   .isIn(['draft', 'posted', 'reversed'])
-   .withMessage('Status must be draft, posted, or reversed'),
+   .isIn(['draft', 'submitted', 'rejected', 'posted', 'reversed'])
+   .withMessage('Status must be draft, submitted, rejected, posted, or reversed'),
  query('limit')
    .optional()
    .isInt({ min: 1, max: 100 })
@@ -98,7 +122,11 @@ const getJournalEntriesValidation = [
 const deleteJournalEntryValidation = [
  param('id')
    .isMongoId()
-   .withMessage('Invalid journal entry ID format')
+   .withMessage('Invalid journal entry ID format'),
+ query('reversalDate')
+   .optional()
+   .isDate()
+   .withMessage('Reversal date must be a valid date')
 ];
 
 // Get entities
@@ -460,7 +488,7 @@ router.get('/journal-entries', auth, getJournalEntriesValidation, async (req, re
  }
 });
 
-// Create journal entry
+// Create journal entry; entries from non-admins are saved as drafts for approval
 router.post('/journal-entry', auth, journalEntryValidation, async (req, res, next) => {
  // Check for validation errors
  const errors = validationResult(req);
@@ -472,181 +500,57 @@ router.post('/journal-entry', auth, journalEntryValidation, async (req, res, nex
    });
  }
 
- const { entityId, date, description, entries, attachments } = req.body;
- const session = await mongoose.startSession();
+ const { entityId, date, description, entries, attachments, autoReverse, reversalDate } = req.body;
+ // Accruals default to reversing on the first day of the next period
+ const autoReversalDate = autoReverse
+   ? reversalDate || firstDayOfNextPeriod(new Date(date))
+   : undefined;
  
  try {
-   session.startTransaction();
-   
-   // Verify entity exists and belongs to client
-   const entity = await Entity.findOne({
-     _id: entityId,
-     clientId: req.user.id
-   }).session(session);
-   
-   if (!entity) {
-     return res.status(404).json({
-       success: false,
-       message: 'Entity not found or you do not have permission'
-     });
-   }
-   
-   // Calculate totals
-   let totalDebits = 0;
-   let totalCredits = 0;
-   
-   for (const entry of entries) {
-     const amount = parseFloat(entry.amount);
-     if (entry.type === 'debit') {
-       totalDebits += amount;
-     } else {
-       totalCredits += amount;
-     }
-   }
-   
-   // Verify balanced entry
-   if (Math.abs(totalDebits - totalCredits) > 0.01) {
-     return res.status(400).json({
-       success: false,
-       message: 'Journal entries must be balanced',
-       details: {
-         totalDebits,
-         totalCredits,
-         difference: totalDebits - totalCredits
+   // Posting happens on approval; only admins may post directly
+   if (!req.user.isAdmin) {
+     const draft = await runInTransaction(session =>
+       createDraftJournalEntry({
+         clientId: req.user.id,
+         userId: req.user.id,
+         entityId,
+         date,
+         description,
+         entries,
+         attachments,
+         autoReversalDate
+       }, session)
+     );
+     
+     return res.status(201).json({
+       success: true,
+       message: 'Draft journal entry saved; submit it for approval to post it',
+       journalEntry: {
+         id: draft._id,
+         date: draft.date,
+         description: draft.description,
+         totalAmount: draft.totalAmount,
+         status: draft.status,
+         lines: draft.lines,
+         autoReversal: draft.autoReversal
        }
      });
    }
    
-   // Generate entry number (YYYY-MM-XXXXX)
-   const entryDate = new Date(date);
-   const year = entryDate.getFullYear();
-   const month = String(entryDate.getMonth() + 1).padStart(2, '0');
-   
-   // Get count of entries this month for sequential numbering
-   const entryCount = await JournalEntry.countDocuments({
-     clientId: req.user.id,
-     entityId,
-     'period.year': year,
-     'period.month': entryDate.getMonth() + 1
-   }).session(session);
-   
-   const entryNumber = `${year}-${month}-${String(entryCount + 1).padStart(5, '0')}`;
-   
-   // Create journal entry
-   const journalEntry = new JournalEntry({
-     clientId: req.user.id,
-     entityId,
-     entryNumber,
-     date: entryDate,
-     description,
-     totalAmount: totalDebits,
-     status: 'posted',
-     createdBy: req.user.id,
-     currency: entity.currency,
-     period: {
-       year,
-       month: entryDate.getMonth() + 1,
-       quarter: Math.floor(entryDate.getMonth() / 3) + 1
-     },
-     isManual: true,
-     attachments: []
-   });
-   
-   // Handle attachments
-   if (attachments && Array.isArray(attachments)) {
-     for (const attachmentId of attachments) {
-       const file = await File.findOne({
-         _id: attachmentId,
-         userId: req.user.id
-       }).session(session);
-       
-       if (file) {
-         journalEntry.attachments.push({
-           fileId: file._id,
-           fileName: file.fileName,
-           uploadDate: file.createdAt
-         });
-       }
-     }
-   }
-   
-   await journalEntry.save({ session });
-   
-   // Create transactions for each entry
-   const transactions = [];
-   for (const entry of entries) {
-     // Verify account exists and belongs to client
-     const account = await Account.findOne({
-       _id: entry.accountId,
-       clientId: req.user.id,
-       entityId
-     }).session(session);
-     
-     if (!account) {
-       throw new Error(`Account ${entry.accountId} not found or does not belong to this entity`);
-     }
-     
-     const transaction = new Transaction({
+   // Entry, lines, balances and audit log are written as one unit
+   const { journalEntry, transactions } = await runInTransaction(session =>
+     postJournalEntry({
        clientId: req.user.id,
+       userId: req.user.id,
+       isAdmin: req.user.isAdmin,
        entityId,
-       accountId: entry.accountId,
-       journalEntryId: journalEntry._id,
-       date: entryDate,
-       description: entry.description || description,
-       amount: parseFloat(entry.amount),
-       type: entry.type,
-       transactionNo: entryNumber,
-       lineNo: entry.lineNo || transactions.length + 1,
-       documentNumber: entry.documentNumber,
-       subledgerType: account.subledgerType,
-       currency: entity.currency,
-       isManual: true
-     });
-     
-     transactions.push(transaction);
-     
-     // Update account balance
-     const updateAmount = parseFloat(entry.amount);
-     let balanceChange = 0;
-     
-     if (['Asset', 'Expense'].includes(account.accountType)) {
-       // Debit increases, credit decreases
-       balanceChange = entry.type === 'debit' ? updateAmount : -updateAmount;
-     } else {
-       // Credit increases, debit decreases
-       balanceChange = entry.type === 'credit' ? updateAmount : -updateAmount;
-     }
-     
-     await Account.findByIdAndUpdate(
-       account._id,
-       { 
-         $inc: { balance: balanceChange },
-         $set: { lastUpdated: new Date() }
-       },
-       { session }
-     );
-   }
-   
-   await Transaction.insertMany(transactions, { session });
-   
-   // Create audit log
-   const auditLog = new AuditLog({
-     clientId: req.user.id,
-     action: 'CREATE_JOURNAL_ENTRY',
-     entityType: 'JournalEntry',
-     entityId: journalEntry._id,
-     userId: req.user.id,
-     details: { 
-       entryNumber, 
-       entityId, 
-       date, 
-       totalAmount: totalDebits,
-       transactionCount: transactions.length
-     }
-   });
-   await auditLog.save({ session });
-   
-   await session.commitTransaction();
+       date,
+       description,
+       entries,
+       attachments,
+       autoReversalDate
+     }, session)
+   );
    
    res.status(201).json({
      success: true,
@@ -657,6 +561,7 @@ router.post('/journal-entry', auth, journalEntryValidation, async (req, res, nex
        date: journalEntry.date,
        description: journalEntry.description,
        totalAmount: journalEntry.totalAmount,
+       autoReversal: journalEntry.autoReversal,
        transactions: transactions.map(t => ({
          id: t._id,
          accountId: t.accountId,
@@ -666,365 +571,34 @@ router.post('/journal-entry', auth, journalEntryValidation, async (req, res, nex
      }
    });
  } catch (error) {
-   await session.abortTransaction();
    console.error('Error creating journal entry:', error);
    
-   if (error.message && error.message.includes('Account')) {
-     return res.status(400).json({
-       success: false,
-       message: error.message
-     });
-   }
-   
-   next(error);
- } finally {
-   session.endSession();
- }
-});
-
-// Get Trial Balance endpoint
-router.get('/trial-balance', auth, async (req, res, next) => {
- try {
-   const { entityId, startDate, endDate, level = 'detail' } = req.query;
-   
-   if (!entityId) {
-     return res.status(400).json({ 
-       success: false,
-       message: 'Entity ID is required'
-     });
-   }
-
-   // Validate date parameters
-   const parsedStartDate = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
-   const parsedEndDate = endDate ? new Date(endDate) : new Date();
-   
-   // Define account aggregation for Trial Balance
-   const accounts = await Account.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     isActive: true
-   }).sort({ accountNumber: 1 });
-   
-   // Get transactions for the period
-   const transactions = await Transaction.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     date: { $gte: parsedStartDate, $lte: parsedEndDate }
-   });
-   
-   // Calculate balances for each account
-   const trialBalance = accounts.map(account => {
-     const accountTransactions = transactions.filter(t => 
-       t.accountId.toString() === account._id.toString()
-     );
-     
-     const debits = accountTransactions
-       .filter(t => t.type === 'debit')
-       .reduce((sum, t) => sum + t.amount, 0);
-       
-     const credits = accountTransactions
-       .filter(t => t.type === 'credit')
-       .reduce((sum, t) => sum + t.amount, 0);
-     
-     // Calculate balance based on account type
-     let balance = 0;
-     if (['Asset', 'Expense'].includes(account.accountType)) {
-       balance = debits - credits;
-     } else {
-       balance = credits - debits;
-     }
-     
-     return {
-       id: account._id,
-       accountNumber: account.accountNumber,
-       accountName: account.accountName,
-       accountType: account.accountType,
-       debits,
-       credits,
-       balance
-     };
-   });
-   
-   // Summarize at parent account level if requested
-   let result = trialBalance;
-   if (level === 'summary') {
-     // Group by first 2 digits of account number and summarize
-     const summaryMap = {};
-     trialBalance.forEach(account => {
-       const prefix = account.accountNumber.substring(0, 2);
-       if (!summaryMap[prefix]) {
-         summaryMap[prefix] = {
-           accountNumber: `${prefix}XX`,
-           accountName: `${account.accountType} Summary (${prefix}XX)`,
-           accountType: account.accountType,
-           debits: 0,
-           credits: 0,
-           balance: 0
-         };
-       }
-       summaryMap[prefix].debits += account.debits;
-       summaryMap[prefix].credits += account.credits;
-       summaryMap[prefix].balance += account.balance;
-     });
-     result = Object.values(summaryMap);
+   if (error instanceof ApiError) {
+     return sendApiError(res, error);
    }
    
-   // Calculate totals
-   const totals = {
-     debits: result.reduce((sum, acc) => sum + acc.debits, 0),
-     credits: result.reduce((sum, acc) => sum + acc.credits, 0),
-     netIncome: result
-       .filter(acc => ['Revenue', 'Expense'].includes(acc.accountType))
-       .reduce((sum, acc) => sum + acc.balance, 0)
-   };
-   
-   res.json({
-     success: true,
-     trialBalance: result,
-     totals,
-     period: {
-       startDate: parsedStartDate,
-       endDate: parsedEndDate
-     },
-     entityId
-   });
- } catch (error) {
-   console.error('Trial Balance error:', error);
    next(error);
  }
 });
 
-// Get Balance Sheet endpoint
-router.get('/balance-sheet', auth, async (req, res, next) => {
- try {
-   const { entityId, asOfDate } = req.query;
-   
-   if (!entityId) {
-     return res.status(400).json({ 
-       success: false,
-       message: 'Entity ID is required'
-     });
-   }
+// Financial statements; ?compare=prior-period|prior-year|prior-ytd adds comparative columns
+router.get('/trial-balance', auth, getTrialBalance);
+router.get('/balance-sheet', auth, getBalanceSheet);
+router.get('/income-statement', auth, getIncomeStatement);
 
-   const parsedAsOfDate = asOfDate ? new Date(asOfDate) : new Date();
-   
-   // Get all accounts
-   const accounts = await Account.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     isActive: true,
-     accountType: { $in: ['Asset', 'Liability', 'Equity'] }
-   }).sort({ accountNumber: 1 });
-   
-   // Get all transactions up to the as-of date
-   const transactions = await Transaction.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     date: { $lte: parsedAsOfDate }
-   });
-   
-   // Calculate balances for each account
-   const balanceSheetAccounts = accounts.map(account => {
-     const accountTransactions = transactions.filter(t => 
-       t.accountId.toString() === account._id.toString()
-     );
-     
-     const debits = accountTransactions
-       .filter(t => t.type === 'debit')
-       .reduce((sum, t) => sum + t.amount, 0);
-       
-     const credits = accountTransactions
-       .filter(t => t.type === 'credit')
-       .reduce((sum, t) => sum + t.amount, 0);
-     
-     // Calculate balance based on account type
-     let balance = 0;
-     if (account.accountType === 'Asset') {
-       balance = debits - credits;
-     } else {
-       balance = credits - debits;
-     }
-     
-     return {
-       id: account._id,
-       accountNumber: account.accountNumber,
-       accountName: account.accountName,
-       accountType: account.accountType,
-       balance
-     };
-   });
-   
-   // Organize by type and calculate totals
-   const assets = balanceSheetAccounts.filter(a => a.accountType === 'Asset');
-   const liabilities = balanceSheetAccounts.filter(a => a.accountType === 'Liability');
-   const equity = balanceSheetAccounts.filter(a => a.accountType === 'Equity');
-   
-   const totalAssets = assets.reduce((sum, account) => sum + account.balance, 0);
-   const totalLiabilities = liabilities.reduce((sum, account) => sum + account.balance, 0);
-   const totalEquity = equity.reduce((sum, account) => sum + account.balance, 0);
-   
-   // Calculate Year-to-Date Income
-   // Get income accounts
-   const incomeAccounts = await Account.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     isActive: true,
-     accountType: { $in: ['Revenue', 'Expense'] }
-   });
-   
-   // Get current year start date
-   const currentYear = parsedAsOfDate.getFullYear();
-   const yearStartDate = new Date(currentYear, 0, 1);
-   
-   // Get income transactions for current year
-   const incomeTransactions = await Transaction.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     accountId: { $in: incomeAccounts.map(a => a._id) },
-     date: { $gte: yearStartDate, $lte: parsedAsOfDate }
-   });
-   
-   // Calculate net income
-   let netIncome = 0;
-   incomeAccounts.forEach(account => {
-     const accountTransactions = incomeTransactions.filter(t => 
-       t.accountId.toString() === account._id.toString()
-     );
-     
-     const debits = accountTransactions
-       .filter(t => t.type === 'debit')
-       .reduce((sum, t) => sum + t.amount, 0);
-       
-     const credits = accountTransactions
-       .filter(t => t.type === 'credit')
-       .reduce((sum, t) => sum + t.amount, 0);
-     
-     if (account.accountType === 'Revenue') {
-       netIncome += (credits - debits);
-     } else {
-       netIncome -= (debits - credits);
-     }
-   });
-   
-   res.json({
-     success: true,
-     balanceSheet: {
-       asOfDate: parsedAsOfDate,
-       assets,
-       liabilities,
-       equity,
-       netIncome,
-       retainedEarnings: netIncome, // Simplified - would need more logic for real retained earnings
-       totals: {
-         assets: totalAssets,
-         liabilities: totalLiabilities,
-         equity: totalEquity + netIncome,
-         liabilitiesAndEquity: totalLiabilities + totalEquity + netIncome
-       }
-     },
-     entityId
-   });
- } catch (error) {
-   console.error('Balance Sheet error:', error);
-   next(error);
- }
-});
+// Get Cash Flow Statement endpoint (indirect method)
+router.get('/cash-flow', auth, getCashFlowStatement);
 
-// Get Income Statement endpoint
-router.get('/income-statement', auth, async (req, res, next) => {
- try {
-   const { entityId, startDate, endDate } = req.query;
-   
-   if (!entityId) {
-     return res.status(400).json({ 
-       success: false,
-       message: 'Entity ID is required'
-     });
-   }
+// AR / AP aging as of a date (?asOfDate, ?customerId or ?vendorId, ?detail=summary)
+router.get('/ar-aging', auth, getAgingReport('ar'));
+router.get('/ap-aging', auth, getAgingReport('ap'));
 
-   // Validate date parameters
-   const parsedStartDate = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
-   const parsedEndDate = endDate ? new Date(endDate) : new Date();
-   
-   // Get income accounts (Revenue and Expense)
-   const accounts = await Account.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     isActive: true,
-     accountType: { $in: ['Revenue', 'Expense'] }
-   }).sort({ accountNumber: 1 });
-   
-   // Get transactions for the period
-   const transactions = await Transaction.find({
-     clientId: req.user.id,
-     entityId: entityId,
-     date: { $gte: parsedStartDate, $lte: parsedEndDate },
-     accountId: { $in: accounts.map(a => a._id) }
-   });
-   
-   // Calculate balances for each account
-   const incomeAccounts = accounts.map(account => {
-     const accountTransactions = transactions.filter(t => 
-       t.accountId.toString() === account._id.toString()
-     );
-     
-     const debits = accountTransactions
-       .filter(t => t.type === 'debit')
-       .reduce((sum, t) => sum + t.amount, 0);
-       
-     const credits = accountTransactions
-        .filter(t => t.type === 'credit')
-        .reduce((sum, t) => sum + t.amount, 0);
-      
-      // Calculate balance based on account type
-      let balance = 0;
-      if (account.accountType === 'Revenue') {
-        balance = credits - debits;
-      } else { // Expense
-        balance = debits - credits;
-      }
-      
-      return {
-        id: account._id,
-        accountNumber: account.accountNumber,
-        accountName: account.accountName,
-        accountType: account.accountType,
-        balance
-      };
-    });
-    
-    // Organize by type and calculate totals
-    const revenue = incomeAccounts.filter(a => a.accountType === 'Revenue');
-    const expenses = incomeAccounts.filter(a => a.accountType === 'Expense');
-    
-    const totalRevenue = revenue.reduce((sum, account) => sum + account.balance, 0);
-    const totalExpenses = expenses.reduce((sum, account) => sum + account.balance, 0);
-    const netIncome = totalRevenue - totalExpenses;
-    
-    res.json({
-      success: true,
-      incomeStatement: {
-        period: {
-          startDate: parsedStartDate,
-          endDate: parsedEndDate
-        },
-        revenue,
-        expenses,
-        totals: {
-          revenue: totalRevenue,
-          expenses: totalExpenses,
-          netIncome
-        }
-      },
-      entityId
-    });
-  } catch (error) {
-    console.error('Income Statement error:', error);
-    next(error);
-  }
-});
+// PDF exports: downloaded, or saved to documents with ?save=true
+router.get('/trial-balance/pdf', auth, exportReportPdf('trial-balance'));
+router.get('/balance-sheet/pdf', auth, exportReportPdf('balance-sheet'));
+router.get('/income-statement/pdf', auth, exportReportPdf('income-statement'));
 
-// Delete journal entry
+// Delete (reverse) a journal entry: posted directly by an admin, otherwise submitted for approval
 router.delete('/journal-entries/:id', auth, deleteJournalEntryValidation, async (req, res, next) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -1036,149 +610,56 @@ router.delete('/journal-entries/:id', auth, deleteJournalEntryValidation, async
     });
   }
   
-  const session = await mongoose.startSession();
-  
   try {
-    session.startTransaction();
-    
-    const journalEntryId = req.params.id;
-    
-    // First, check if the entry exists and belongs to the user
-    const journalEntry = await JournalEntry.findOne({
-      _id: journalEntryId,
-      clientId: req.user.id,
-      status: { $ne: 'reversed' } // Cannot delete already reversed entries
-    }).session(session);
-    
-    if (!journalEntry) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Journal entry not found or already reversed'
-      });
-    }
-    
-    // Get transactions for this journal entry
-    const transactions = await Transaction.find({
-      journalEntryId: journalEntryId
-    }).populate('accountId').session(session);
-    
-    // Reverse account balances
-    for (const transaction of transactions) {
-      if (!transaction.accountId) continue;
-      
-      const account = transaction.accountId;
-      const updateAmount = transaction.amount;
-      let balanceChange = 0;
-      
-      if (['Asset', 'Expense'].includes(account.accountType)) {
-        // Reverse the effect: debit decreased, credit increased
-        balanceChange = transaction.type === 'debit' ? -updateAmount : updateAmount;
-      } else {
-        // Reverse the effect: credit decreased, debit increased
-        balanceChange = transaction.type === 'credit' ? -updateAmount : updateAmount;
-      }
-      
-      await Account.findByIdAndUpdate(
-        account._id,
-        { 
-          $inc: { balance: balanceChange },
-          $set: { lastUpdated: new Date() }
-        },
-        { session }
+    // Non-admins cannot post directly, so their reversals go for approval
+    if (!req.user.isAdmin) {
+      const reversal = await runInTransaction(session =>
+        requestReversal({
+          clientId: req.user.id,
+          userId: req.user.id,
+          journalEntryId: req.params.id,
+          reversalDate: req.query.reversalDate
+        }, session)
       );
-    }
-    
-    // Create reversal journal entry
-    const reversalEntry = new JournalEntry({
-      clientId: req.user.id,
-      entityId: journalEntry.entityId,
-      entryNumber: `REV-${journalEntry.entryNumber}`,
-      date: new Date(),
-      description: `Reversal of ${journalEntry.entryNumber}: ${journalEntry.description}`,
-      totalAmount: journalEntry.totalAmount,
-      status: 'posted',
-      createdBy: req.user.id,
-      reversalOf: journalEntry._id,
-      currency: journalEntry.currency,
-      period: {
-        year: new Date().getFullYear(),
-        month: new Date().getMonth() + 1,
-        quarter: Math.floor(new Date().getMonth() / 3) + 1
-      },
-      isManual: true
-    });
-    
-    await reversalEntry.save({ session });
-    
-    // Create reversal transactions
-    const reversalTransactions = [];
-    for (const transaction of transactions) {
-      const reversalTransaction = new Transaction({
-        clientId: req.user.id,
-        entityId: transaction.entityId,
-        accountId: transaction.accountId._id,
-        journalEntryId: reversalEntry._id,
-        date: new Date(),
-        description: `Reversal of ${transaction.description}`,
-        amount: transaction.amount,
-        // Reverse the transaction type
-        type: transaction.type === 'debit' ? 'credit' : 'debit',
-        transactionNo: reversalEntry.entryNumber,
-        lineNo: transaction.lineNo,
-        subledgerType: transaction.subledgerType,
-        currency: transaction.currency,
-        isManual: true
-      });
       
-      reversalTransactions.push(reversalTransaction);
+      return res.status(202).json({
+        success: true,
+        message: 'Reversal submitted for approval; the entry stays posted until it is approved',
+        reversal: {
+          id: reversal._id,
+          date: reversal.date,
+          status: reversal.status
+        }
+      });
     }
     
-    await Transaction.insertMany(reversalTransactions, { session });
-    
-    // Update original journal entry
-    await JournalEntry.findByIdAndUpdate(
-      journalEntry._id,
-      { 
-        $set: { 
-          status: 'reversed',
-          reversedBy: reversalEntry._id
-        }
-      },
-      { session }
+    const { reversalEntry } = await runInTransaction(session =>
+      reverseJournalEntry({
+        clientId: req.user.id,
+        userId: req.user.id,
+        isAdmin: req.user.isAdmin,
+        journalEntryId: req.params.id,
+        reversalDate: req.query.reversalDate
+      }, session)
     );
     
-    // Create audit log
-    const auditLog = new AuditLog({
-      clientId: req.user.id,
-      action: 'REVERSE_JOURNAL_ENTRY',
-      entityType: 'JournalEntry',
-      entityId: journalEntry._id,
-      userId: req.user.id,
-      details: { 
-        originalEntryNumber: journalEntry.entryNumber,
-        reversalEntryNumber: reversalEntry.entryNumber,
-        date: new Date(),
-        amount: journalEntry.totalAmount
-      }
-    });
-    await auditLog.save({ session });
-    
-    await session.commitTransaction();
-    
     res.json({ 
       success: true,
       message: 'Journal entry reversed successfully',
       reversalEntry: {
         id: reversalEntry._id,
-        entryNumber: reversalEntry.entryNumber
+        entryNumber: reversalEntry.entryNumber,
+        date: reversalEntry.date
       }
     });
   } catch (error) {
-    await session.abortTransaction();
     console.error('Error reversing journal entry:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
     next(error);
-  } finally {
-    session.endSession();
   }
 });
 
@@ -0,0 +1,40 @@
+// routes/accountingPeriods.js
+const express = require('express');
+const router = express.Router();
+const {
+  getPeriods,
+  closePeriod,
+  reopenPeriod,
+  getYearEndCloses,
+  closeYear,
+  undoYearEndClose
+} = require('../controllers/accountingPeriodController');
+const {
+  validateListPeriods,
+  validateClosePeriod,
+  validateReopenPeriod,
+  validateListYearEndCloses,
+  validateCloseYear,
+  validateUndoYearEndClose
+} = require('../validators/accountingPeriodValidator');
+const { auth, adminAuth } = require('../middleware/auth');
+
+// Get closed periods for an entity
+router.get('/', auth, validateListPeriods, getPeriods);
+
+// Soft- or hard-close a period (admin only)
+router.post('/close', adminAuth, validateClosePeriod, closePeriod);
+
+// Reopen a closed period (admin only)
+router.post('/reopen', adminAuth, validateReopenPeriod, reopenPeriod);
+
+// Get year-end closes for an entity
+router.get('/year-end', auth, validateListYearEndCloses, getYearEndCloses);
+
+// Close a fiscal year into retained earnings (admin only)
+router.post('/year-end/close', adminAuth, validateCloseYear, closeYear);
+
+// Undo a year-end close while the next year is open (admin only)
+router.post('/year-end/undo', adminAuth, validateUndoYearEndClose, undoYearEndClose);
+
+module.exports = router;
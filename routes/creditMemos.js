@@ -0,0 +1,30 @@
+// routes/creditMemos.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCreditMemos,
+  getCreditMemoById,
+  issueCreditMemo,
+  voidCreditMemo
+} = require('../controllers/creditMemoController');
+const {
+  validateListCreditMemos,
+  validateCreditMemoId,
+  validateIssueCreditMemo,
+  validateVoidCreditMemo
+} = require('../validators/creditMemoValidator');
+const { auth } = require('../middleware/auth');
+
+// Get credit memos (AR) and debit memos (AP) with filtering and pagination
+router.get('/', auth, validateListCreditMemos, getCreditMemos);
+
+// Get a single credit or debit memo
+router.get('/:id', auth, validateCreditMemoId, getCreditMemoById);
+
+// Issue a memo against an open invoice or bill, for all or part of its balance
+router.post('/', auth, validateIssueCreditMemo, issueCreditMemo);
+
+// Void a memo, reversing its journal entry and reopening the invoice
+router.post('/:id/void', auth, validateVoidCreditMemo, voidCreditMemo);
+
+module.exports = router;
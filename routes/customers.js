@@ -0,0 +1,34 @@
+// routes/customers.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer
+} = require('../controllers/customerController');
+const {
+  validateListCustomers,
+  validateCustomerId,
+  validateCreateCustomer,
+  validateUpdateCustomer
+} = require('../validators/customerValidator');
+const { auth } = require('../middleware/auth');
+
+// Get customers with their open balances
+router.get('/', auth, validateListCustomers, getCustomers);
+
+// Get a single customer with its open balance
+router.get('/:id', auth, validateCustomerId, getCustomerById);
+
+// Create a customer
+router.post('/', auth, validateCreateCustomer, createCustomer);
+
+// Edit a customer
+router.put('/:id', auth, validateUpdateCustomer, updateCustomer);
+
+// Delete a customer that has no AR history
+router.delete('/:id', auth, validateCustomerId, deleteCustomer);
+
+module.exports = router;
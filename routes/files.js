@@ -2,17 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const AWS = require('aws-sdk');
 const File = require('../models/file');
 const { auth } = require('../middleware/auth');
 const logger = require('../utils/logger');
-
-// Configure AWS S3
-const s3 = new AWS.S3({
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION,
-});
+const { storeFile, deleteFile, formatFile } = require('../services/fileStorageService');
 
 // Configure multer with file size limits and filtering
 const upload = multer({
@@ -50,42 +43,18 @@ router.post('/upload', auth, upload.single('file'), async (req, res, next) => {
       });
     }
 
-    // Generate a unique filename to prevent collisions
-    const uniqueFilename = `${Date.now()}-${req.file.originalname.replace(/\s+/g, '-')}`;
-    const params = {
-      Bucket: process.env.S3_BUCKET,
-      Key: `${req.user.id}/${uniqueFilename}`,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-      ContentDisposition: 'inline',
-    };
-
-    // Upload to S3 with promise handling
-    const uploadResult = await s3.upload(params).promise();
-    
-    // Save file metadata to database
-    const file = new File({ 
-      userId: req.user.id, 
+    // Upload to S3 and save file metadata to database
+    const file = await storeFile({
+      userId: req.user.id,
       fileName: req.file.originalname,
-      fileType: req.file.mimetype,
-      fileSize: req.file.size,
-      s3Key: uploadResult.Key,
-      s3Url: uploadResult.Location
+      buffer: req.file.buffer,
+      contentType: req.file.mimetype
     });
     
-    await file.save();
-    
     res.status(201).json({ 
       success: true,
       message: 'File uploaded successfully',
-      file: {
-        id: file._id,
-        fileName: file.fileName,
-        fileType: file.fileType,
-        fileSize: file.fileSize,
-        uploadDate: file.createdAt,
-        url: uploadResult.Location
-      }
+      file: formatFile(file)
     });
   } catch (error) {
     logger.error(`File upload error: ${error.message}`);
@@ -123,14 +92,7 @@ router.get('/files', auth, async (req, res, next) => {
     
     res.json({
       success: true,
-      files: files.map(file => ({
-        id: file._id,
-        fileName: file.fileName,
-        fileType: file.fileType,
-        fileSize: file.fileSize,
-        uploadDate: file.createdAt,
-        url: file.s3Url
-      })),
+      files: files.map(formatFile),
       pagination: {
         total: totalFiles,
         page,
@@ -158,16 +120,8 @@ router.delete('/files/:id', auth, async (req, res, next) => {
       });
     }
     
-    // Delete from S3
-    const params = {
-      Bucket: process.env.S3_BUCKET,
-      Key: file.s3Key
-    };
-    
-    await s3.deleteObject(params).promise();
-    
-    // Delete from database
-    await File.deleteOne({ _id: req.params.id });
+    // Delete from S3 and the database
+    await deleteFile(file);
     
     res.json({
       success: true,
@@ -0,0 +1,1393 @@
+// routes/fixedAssets.js
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const FixedAsset = require('../models/fixedAsset');
+const Entity = require('../models/entity');
+const Account = require('../models/account');
+const AuditLog = require('../models/auditLog');
+const { auth, adminAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { ApiError, sendApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const { runInTransaction } = require('../services/journalEntryService');
+const { buildBookTaxDifference, buildRollForward } = require('../services/fixedAssetReportService');
+
+// Fields that feed amounts already posted to the GL
+const POSTED_ASSET_FIELDS = [
+  'acquisitionCost', 'acquisitionDate', 'depreciationMethod', 'depreciationConvention',
+  'accountId', 'depreciationAccountId', 'accumulatedDepreciationAccountId'
+];
+
+// Accounts named on an asset must belong to its entity
+const ASSET_ACCOUNT_LABELS = {
+  accountId: 'Asset account',
+  depreciationAccountId: 'Depreciation account',
+  accumulatedDepreciationAccountId: 'Accumulated depreciation account'
+};
+
+const assertEntityAccounts = async (clientId, entityId, fields, session) => {
+  for (const [field, label] of Object.entries(ASSET_ACCOUNT_LABELS)) {
+    if (!fields[field]) continue;
+    
+    const account = await Account.findOne({
+      _id: fields[field],
+      clientId,
+      entityId
+    }).session(session);
+    
+    if (!account) {
+      throw new ApiError(404, `${label} not found or does not belong to this entity`);
+    }
+  }
+};
+
+// Get all fixed assets
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const { entityId, category, disposed, search } = req.query;
+    
+    // Build query
+    const query = { clientId: req.user.id };
+    
+    if (entityId) {
+      query.entityId = entityId;
+    }
+    
+    if (category) {
+      query.assetCategory = category;
+    }
+    
+    if (disposed !== undefined) {
+      query.disposed = disposed === 'true';
+    }
+    
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } },
+        { assetNumber: { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    const assets = await FixedAsset.find(query)
+      .sort({ acquisitionDate: -1 })
+      .populate('entityId', 'name code')
+      .populate('accountId', 'accountNumber accountName')
+      .lean();
+    
+    res.json({
+      success: true,
+      assets
+    });
+  } catch (error) {
+    logger.error('Error fetching fixed assets:', error);
+    next(error);
+  }
+});
+
+// Forecast monthly depreciation for an entity's assets, for depreciation budgets
+router.get('/depreciation-forecast', auth, [
+  query('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  query('months')
+    .optional()
+    .isInt({ min: 1, max: 600 })
+    .withMessage('Months must be between 1 and 600')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const { entityId } = req.query;
+    const months = req.query.months ? parseInt(req.query.months, 10) : 12;
+    
+    const today = new Date();
+    const horizon = new Date(today.getFullYear(), today.getMonth() + months + 1, 1);
+    
+    const assets = await FixedAsset.find({
+      clientId: req.user.id,
+      entityId,
+      disposed: false
+    });
+    
+    // Total depreciation per month across assets
+    const byPeriod = new Map();
+    const assetForecasts = assets.map(asset => {
+      const schedule = asset.projectSchedule().filter(row => row.period < horizon);
+      
+      schedule.forEach(row => {
+        const key = row.period.toISOString().slice(0, 7);
+        byPeriod.set(key, roundCents((byPeriod.get(key) || 0) + row.depreciation));
+      });
+      
+      return {
+        assetId: asset._id,
+        assetName: asset.name,
+        assetNumber: asset.assetNumber,
+        depreciation: roundCents(schedule.reduce((sum, row) => sum + row.depreciation, 0))
+      };
+    });
+    
+    const periods = [...byPeriod.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, depreciation]) => ({ period, depreciation }));
+    
+    res.json({
+      success: true,
+      months,
+      periods,
+      assets: assetForecasts,
+      totalDepreciation: roundCents(periods.reduce((sum, p) => sum + p.depreciation, 0))
+    });
+  } catch (error) {
+    logger.error('Error forecasting depreciation:', error);
+    next(error);
+  }
+});
+
+// Fixed asset roll-forward by category, reconciled to the GL
+router.get('/roll-forward', auth, [
+  query('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  query('startDate')
+    .optional()
+    .isDate()
+    .withMessage('Valid start date is required'),
+  query('endDate')
+    .optional()
+    .isDate()
+    .withMessage('Valid end date is required')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const report = await buildRollForward(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      ...report,
+      entityId: req.query.entityId
+    });
+  } catch (error) {
+    logger.error('Error building fixed asset roll-forward:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Book-tax difference per asset at the end of a tax year
+router.get('/book-tax-difference', auth, [
+  query('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  query('taxYear')
+    .optional()
+    .isInt({ min: 1900, max: 2200 })
+    .withMessage('Valid tax year is required'),
+  query('taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be a percentage between 0 and 100')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const report = await buildBookTaxDifference(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      ...report,
+      entityId: req.query.entityId
+    });
+  } catch (error) {
+    logger.error('Error building book-tax difference report:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Get a single fixed asset
+router.get('/:id', auth, async (req, res, next) => {
+  try {
+    const asset = await FixedAsset.findOne({
+      _id: req.params.id,
+      clientId: req.user.id
+    })
+      .populate('entityId', 'name code')
+      .populate('accountId', 'accountNumber accountName')
+      .populate('depreciationAccountId', 'accountNumber accountName')
+      .populate('accumulatedDepreciationAccountId', 'accountNumber accountName')
+      .lean();
+    
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fixed asset not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      asset
+    });
+  } catch (error) {
+    logger.error('Error fetching fixed asset:', error);
+    next(error);
+  }
+});
+
+// Create a new fixed asset
+router.post('/', auth, [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('name')
+    .notEmpty()
+    .withMessage('Asset name is required'),
+  body('assetCategory')
+    .isIn(['equipment', 'furniture', 'vehicles', 'buildings', 'land', 'computers', 'software', 'other'])
+    .withMessage('Valid asset category is required'),
+  body('acquisitionDate')
+    .isDate()
+    .withMessage('Valid acquisition date is required'),
+  body('acquisitionCost')
+    .isFloat({ min: 0 })
+    .withMessage('Acquisition cost must be a positive number'),
+  body('depreciationMethod')
+    .isIn(['straight-line', 'declining-balance', 'units-of-production'])
+    .withMessage('Valid depreciation method is required'),
+  body('usefulLife')
+    .isInt({ min: 1 })
+    .withMessage('Useful life must be a positive integer'),
+  body('salvageValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salvage value must be a positive number'),
+  body('decliningBalanceRate')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Declining balance rate must be at least 1 (100%)'),
+  body('depreciationConvention')
+    .optional()
+    .isIn(['full-month', 'mid-month', 'next-month', 'half-year'])
+    .withMessage('Valid depreciation convention is required'),
+  body('switchToStraightLine')
+    .optional()
+    .isBoolean()
+    .withMessage('Switch to straight-line must be a boolean'),
+  body('totalExpectedUnits')
+    .if(body('depreciationMethod').equals('units-of-production'))
+    .isFloat({ gt: 0 })
+    .withMessage('Total expected units is required for units-of-production depreciation')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const {
+      entityId,
+      name,
+      description,
+      assetNumber,
+      assetCategory,
+      location,
+      acquisitionDate,
+      acquisitionCost,
+      depreciationMethod,
+      usefulLife,
+      salvageValue = 0,
+      depreciationConvention,
+      decliningBalanceRate,
+      switchToStraightLine,
+      totalExpectedUnits,
+      accountId,
+      depreciationAccountId,
+      accumulatedDepreciationAccountId,
+      notes
+    } = req.body;
+    
+    const asset = await runInTransaction(async (session) => {
+      // Verify entity exists and belongs to client
+      const entity = await Entity.findOne({
+        _id: entityId,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!entity) {
+        throw new ApiError(404, 'Entity not found or you do not have permission');
+      }
+      
+      await assertEntityAccounts(req.user.id, entityId, req.body, session);
+      
+      // Create the fixed asset
+      const asset = new FixedAsset({
+        clientId: req.user.id,
+        entityId,
+        name,
+        description,
+        assetNumber,
+        assetCategory,
+        location,
+        acquisitionDate,
+        acquisitionCost,
+        depreciationMethod,
+        usefulLife,
+        salvageValue,
+        depreciationConvention,
+        decliningBalanceRate,
+        switchToStraightLine,
+        totalExpectedUnits,
+        currentBookValue: acquisitionCost, // Initial book value is the acquisition cost
+        accountId,
+        depreciationAccountId,
+        accumulatedDepreciationAccountId,
+        notes
+      });
+      
+      await asset.save({ session });
+      
+      // Create audit log
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'CREATE_FIXED_ASSET',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: {
+          name,
+          assetCategory,
+          acquisitionDate,
+          acquisitionCost
+        }
+      });
+      await auditLog.save({ session });
+      
+      return asset;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Fixed asset created successfully',
+      asset: {
+        id: asset._id,
+        name: asset.name,
+        assetCategory: asset.assetCategory,
+        acquisitionDate: asset.acquisitionDate,
+        acquisitionCost: asset.acquisitionCost,
+        currentBookValue: asset.currentBookValue
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating fixed asset:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Update a fixed asset
+router.put('/:id', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format'),
+  body('name')
+    .optional()
+    .notEmpty()
+    .withMessage('Asset name cannot be empty'),
+  body('assetCategory')
+    .optional()
+    .isIn(['equipment', 'furniture', 'vehicles', 'buildings', 'land', 'computers', 'software', 'other'])
+    .withMessage('Valid asset category is required'),
+  body('acquisitionDate')
+    .optional()
+    .isDate()
+    .withMessage('Valid acquisition date is required'),
+  body('acquisitionCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Acquisition cost must be a positive number'),
+  body('depreciationMethod')
+    .optional()
+    .isIn(['straight-line', 'declining-balance', 'units-of-production'])
+    .withMessage('Valid depreciation method is required'),
+  body('usefulLife')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Useful life must be a positive integer'),
+  body('salvageValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salvage value must be a positive number'),
+  body('decliningBalanceRate')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Declining balance rate must be at least 1 (100%)'),
+  body('depreciationConvention')
+    .optional()
+    .isIn(['full-month', 'mid-month', 'next-month', 'half-year'])
+    .withMessage('Valid depreciation convention is required'),
+  body('switchToStraightLine')
+    .optional()
+    .isBoolean()
+    .withMessage('Switch to straight-line must be a boolean'),
+  body('totalExpectedUnits')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Total expected units must be a positive number')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const asset = await runInTransaction(async (session) => {
+      // Find asset and make sure it belongs to this client
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!asset) {
+        throw new ApiError(404, 'Fixed asset not found');
+      }
+      
+      // Cannot modify disposed assets
+      if (asset.disposed) {
+        throw new ApiError(400, 'Cannot modify a disposed asset');
+      }
+      
+      // Once the asset has posted to the GL, these would no longer match the ledger
+      if (asset.journalEntryIds.length > 0) {
+        const locked = POSTED_ASSET_FIELDS.filter(field => req.body[field] !== undefined);
+        if (locked.length > 0) {
+          throw new ApiError(400, `${locked.join(', ')} cannot be changed once the asset has posted to the general ledger`);
+        }
+      }
+      
+      await assertEntityAccounts(req.user.id, asset.entityId, req.body, session);
+      
+      const updateFields = [
+        'name', 'description', 'assetNumber', 'assetCategory', 'location',
+        'acquisitionDate', 'acquisitionCost', 'depreciationMethod', 'depreciationConvention',
+        'usefulLife', 'salvageValue', 'decliningBalanceRate', 'switchToStraightLine', 'totalExpectedUnits',
+        'accountId', 'depreciationAccountId', 'accumulatedDepreciationAccountId', 'notes'
+      ];
+      
+      // Update fields
+      updateFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          asset[field] = req.body[field];
+        }
+      });
+      
+      if (asset.depreciationMethod === 'units-of-production' && !asset.totalExpectedUnits) {
+        throw new ApiError(400, 'Total expected units is required for units-of-production depreciation');
+      }
+      
+      // Nothing has been depreciated yet, so book value is still the cost
+      if (req.body.acquisitionCost !== undefined) {
+        asset.currentBookValue = asset.acquisitionCost;
+      }
+      
+      await asset.save({ session });
+      
+      // Create audit log
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'UPDATE_FIXED_ASSET',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: req.body
+      });
+      await auditLog.save({ session });
+      
+      return asset;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Fixed asset updated successfully',
+      asset: {
+        id: asset._id,
+        name: asset.name,
+        assetCategory: asset.assetCategory,
+        acquisitionDate: asset.acquisitionDate,
+        acquisitionCost: asset.acquisitionCost,
+        currentBookValue: asset.currentBookValue
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating fixed asset:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Dispose of all or part of a fixed asset and post the disposal to the GL
+router.put('/:id/dispose', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format'),
+  body('disposalDate')
+    .isDate()
+    .withMessage('Valid disposal date is required'),
+  body('disposalValue')
+    .isFloat({ min: 0 })
+    .withMessage('Disposal value must be a positive number'),
+  body('portion')
+    .optional()
+    .isFloat({ gt: 0, max: 1 })
+    .withMessage('Portion must be greater than 0 and at most 1'),
+  body('proceedsAccountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid proceeds account ID'),
+  body('gainLossAccountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid gain/loss account ID'),
+  body('notes')
+    .optional()
+    .isString()
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const { disposalDate, disposalValue, portion, proceedsAccountId, gainLossAccountId, notes } = req.body;
+    
+    const { asset, journalEntry, disposal } = await runInTransaction(async (session) => {
+      // Find asset and make sure it belongs to this client
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!asset) {
+        throw new ApiError(404, 'Fixed asset not found');
+      }
+      
+      const result = await asset.dispose({
+        date: disposalDate,
+        proceeds: Number(disposalValue),
+        portion: portion !== undefined ? Number(portion) : 1,
+        proceedsAccountId,
+        gainLossAccountId,
+        notes
+      }, { isAdmin: req.user.isAdmin, userId: req.user.id, session });
+      
+      // Create audit log
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'DISPOSE_FIXED_ASSET',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: {
+          disposalDate,
+          disposalValue,
+          portion: result.disposal.portion,
+          bookValueAtDisposal: result.disposal.bookValue,
+          gainLoss: result.disposal.gainLoss,
+          journalEntryId: result.journalEntry ? result.journalEntry._id : null
+        }
+      });
+      await auditLog.save({ session });
+      
+      return { asset, ...result };
+    });
+    
+    res.json({
+      success: true,
+      message: asset.disposed ? 'Asset disposed' : 'Partial disposal recorded',
+      asset: {
+        id: asset._id,
+        name: asset.name,
+        disposed: asset.disposed,
+        disposalDate: asset.disposalDate,
+        disposalValue: asset.disposalValue,
+        acquisitionCost: asset.acquisitionCost,
+        currentBookValue: asset.currentBookValue
+      },
+      disposal,
+      journalEntry: journalEntry ? {
+        id: journalEntry._id,
+        entryNumber: journalEntry.entryNumber,
+        date: journalEntry.date,
+        totalAmount: journalEntry.totalAmount
+      } : null
+    });
+  } catch (error) {
+    logger.error('Error disposing fixed asset:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Write an asset down to its fair value and post the impairment to the GL
+router.put('/:id/impair', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format'),
+  body('date')
+    .isDate()
+    .withMessage('Valid impairment date is required'),
+  body('fairValue')
+    .isFloat({ min: 0 })
+    .withMessage('Fair value must be a positive number'),
+  body('impairmentAccountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid impairment account ID'),
+  body('notes')
+    .optional()
+    .isString()
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const { date, fairValue, impairmentAccountId, notes } = req.body;
+    
+    const { asset, journalEntry, event } = await runInTransaction(async (session) => {
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!asset) {
+        throw new ApiError(404, 'Fixed asset not found');
+      }
+      
+      const result = await asset.impair({
+        date,
+        fairValue: Number(fairValue),
+        impairmentAccountId,
+        notes
+      }, { isAdmin: req.user.isAdmin, userId: req.user.id, session });
+      
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'IMPAIR_FIXED_ASSET',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: {
+          date,
+          fairValue,
+          amount: result.event.amount,
+          bookValueBefore: result.event.bookValueBefore,
+          journalEntryId: result.journalEntry._id
+        }
+      });
+      await auditLog.save({ session });
+      
+      return { asset, ...result };
+    });
+    
+    res.json({
+      success: true,
+      message: 'Impairment recorded',
+      asset: {
+        id: asset._id,
+        name: asset.name,
+        currentBookValue: asset.currentBookValue,
+        salvageValue: asset.salvageValue
+      },
+      impairment: event,
+      journalEntry: {
+        id: journalEntry._id,
+        entryNumber: journalEntry.entryNumber,
+        date: journalEntry.date,
+        totalAmount: journalEntry.totalAmount
+      }
+    });
+  } catch (error) {
+    logger.error('Error impairing fixed asset:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Move an asset to another location or entity
+router.put('/:id/transfer', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format'),
+  body('date')
+    .isDate()
+    .withMessage('Valid transfer date is required'),
+  body('toLocation')
+    .optional()
+    .isString()
+    .withMessage('Location must be a string'),
+  body('toEntityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target entity ID'),
+  body(['accountId', 'depreciationAccountId', 'accumulatedDepreciationAccountId', 'intercompanyAccountId', 'targetIntercompanyAccountId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID'),
+  body('notes')
+    .optional()
+    .isString()
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const { asset, journalEntries, event } = await runInTransaction(async (session) => {
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!asset) {
+        throw new ApiError(404, 'Fixed asset not found');
+      }
+      
+      const result = await asset.transfer({
+        date: req.body.date,
+        toLocation: req.body.toLocation,
+        toEntityId: req.body.toEntityId,
+        accountId: req.body.accountId,
+        depreciationAccountId: req.body.depreciationAccountId,
+        accumulatedDepreciationAccountId: req.body.accumulatedDepreciationAccountId,
+        intercompanyAccountId: req.body.intercompanyAccountId,
+        targetIntercompanyAccountId: req.body.targetIntercompanyAccountId,
+        notes: req.body.notes
+      }, { isAdmin: req.user.isAdmin, userId: req.user.id, session });
+      
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'TRANSFER_FIXED_ASSET',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: {
+          date: req.body.date,
+          fromEntityId: result.event.fromEntityId,
+          toEntityId: result.event.toEntityId,
+          fromLocation: result.event.fromLocation,
+          toLocation: result.event.toLocation,
+          journalEntryIds: result.event.journalEntryIds
+        }
+      });
+      await auditLog.save({ session });
+      
+      return { asset, ...result };
+    });
+    
+    res.json({
+      success: true,
+      message: 'Asset transferred',
+      asset: {
+        id: asset._id,
+        name: asset.name,
+        entityId: asset.entityId,
+        location: asset.location,
+        currentBookValue: asset.currentBookValue
+      },
+      transfer: event,
+      journalEntries: journalEntries.map(journalEntry => ({
+        id: journalEntry._id,
+        entityId: journalEntry.entityId,
+        entryNumber: journalEntry.entryNumber,
+        date: journalEntry.date,
+        totalAmount: journalEntry.totalAmount
+      }))
+    });
+  } catch (error) {
+    logger.error('Error transferring fixed asset:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Project an asset's depreciation schedule to the end of its life
+router.get('/:id/depreciation-schedule', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format'),
+  query('unitsPerPeriod')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Units per period must be a positive number')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const asset = await FixedAsset.findOne({
+      _id: req.params.id,
+      clientId: req.user.id
+    });
+    
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fixed asset not found'
+      });
+    }
+    
+    const options = {};
+    if (req.query.unitsPerPeriod !== undefined) {
+      options.unitsPerPeriod = parseFloat(req.query.unitsPerPeriod);
+    }
+    
+    const schedule = asset.projectSchedule(options);
+    const endingBookValue = schedule.length > 0
+      ? schedule[schedule.length - 1].bookValue
+      : asset.currentBookValue;
+    
+    res.json({
+      success: true,
+      asset: {
+        id: asset._id,
+        name: asset.name,
+        depreciationMethod: asset.depreciationMethod,
+        depreciationConvention: asset.depreciationConvention,
+        usefulLife: asset.usefulLife,
+        acquisitionCost: asset.acquisitionCost,
+        salvageValue: asset.salvageValue,
+        currentBookValue: asset.currentBookValue
+      },
+      schedule,
+      totals: {
+        depreciation: roundCents(schedule.reduce((sum, row) => sum + row.depreciation, 0)),
+        endingBookValue,
+        reachesSalvageValue: endingBookValue === asset.salvageValue
+      }
+    });
+  } catch (error) {
+    logger.error('Error projecting depreciation schedule:', error);
+    next(error);
+  }
+});
+
+// Add or replace a tax depreciation book on an asset
+router.put('/:id/tax-books/:name', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format'),
+  param('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Tax book name is required'),
+  body('method')
+    .isIn(['macrs-200db', 'macrs-150db', 'straight-line'])
+    .withMessage('Valid tax depreciation method is required'),
+  body('recoveryPeriod')
+    .isFloat({ gt: 0 })
+    .withMessage('Recovery period (years) must be a positive number'),
+  body('convention')
+    .optional()
+    .isIn(['half-year', 'mid-quarter', 'mid-month'])
+    .withMessage('Valid tax convention is required'),
+  body('placedInServiceDate')
+    .optional()
+    .isDate()
+    .withMessage('Valid placed in service date is required'),
+  body('basis')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tax basis must be a positive number'),
+  body('section179Amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Section 179 amount must be a positive number'),
+  body('bonusPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Bonus percentage must be between 0 and 100')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const taxBook = await runInTransaction(async (session) => {
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!asset) {
+        throw new ApiError(404, 'Fixed asset not found');
+      }
+      
+      const settings = { name: req.params.name };
+      ['method', 'recoveryPeriod', 'convention', 'placedInServiceDate', 'basis', 'section179Amount', 'bonusPercentage']
+        .forEach(field => {
+          if (req.body[field] !== undefined) {
+            settings[field] = req.body[field];
+          }
+        });
+      
+      if (settings.section179Amount > (settings.basis !== undefined ? settings.basis : asset.acquisitionCost)) {
+        throw new ApiError(400, 'Section 179 amount cannot exceed the tax basis');
+      }
+      
+      const taxBook = asset.setTaxBook(settings);
+      await asset.save({ session });
+      
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'SET_FIXED_ASSET_TAX_BOOK',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: settings
+      });
+      await auditLog.save({ session });
+      
+      return taxBook;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Tax book saved',
+      taxBook
+    });
+  } catch (error) {
+    logger.error('Error saving tax book:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Remove a tax depreciation book from an asset
+router.delete('/:id/tax-books/:name', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    await runInTransaction(async (session) => {
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      const taxBook = asset && asset.taxBooks.find(b => b.name === req.params.name);
+      if (!taxBook) {
+        throw new ApiError(404, 'Tax book not found');
+      }
+      
+      asset.taxBooks.pull(taxBook._id);
+      await asset.save({ session });
+      
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'DELETE_FIXED_ASSET_TAX_BOOK',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: { name: req.params.name }
+      });
+      await auditLog.save({ session });
+    });
+    
+    res.json({
+      success: true,
+      message: 'Tax book removed'
+    });
+  } catch (error) {
+    logger.error('Error removing tax book:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Get the usage log of a units-of-production asset
+router.get('/:id/usage', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const asset = await FixedAsset.findOne({
+      _id: req.params.id,
+      clientId: req.user.id
+    });
+    
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fixed asset not found'
+      });
+    }
+    
+    const usage = [...asset.usageLog].sort((a, b) => a.period - b.period);
+    const unitsUsed = usage.reduce((sum, entry) => sum + entry.units, 0);
+    
+    res.json({
+      success: true,
+      totalExpectedUnits: asset.totalExpectedUnits,
+      unitsUsed,
+      unitsRemaining: asset.totalExpectedUnits ? asset.totalExpectedUnits - unitsUsed : null,
+      usage
+    });
+  } catch (error) {
+    logger.error('Error fetching asset usage:', error);
+    next(error);
+  }
+});
+
+// Record units used in a period for a units-of-production asset
+router.post('/:id/usage', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format'),
+  body('period')
+    .isDate()
+    .withMessage('Valid period date is required'),
+  body('units')
+    .isFloat({ min: 0 })
+    .withMessage('Units must be a positive number'),
+  body('notes')
+    .optional()
+    .isString()
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const { period, units, notes } = req.body;
+    
+    const entry = await runInTransaction(async (session) => {
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!asset) {
+        throw new ApiError(404, 'Fixed asset not found');
+      }
+      
+      if (asset.disposed) {
+        throw new ApiError(400, 'Cannot record usage for a disposed asset');
+      }
+      
+      if (asset.depreciationMethod !== 'units-of-production') {
+        throw new ApiError(400, 'Usage is only recorded for units-of-production assets');
+      }
+      
+      // Usage dated on or before the last run would never be depreciated
+      if (asset.lastDepreciationDate && new Date(period) <= asset.lastDepreciationDate) {
+        throw new ApiError(400, 'Usage period must be after the last depreciation date');
+      }
+      
+      asset.usageLog.push({
+        period,
+        units,
+        notes,
+        recordedBy: req.user.id
+      });
+      
+      await asset.save({ session });
+      
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'RECORD_FIXED_ASSET_USAGE',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: { period, units, notes }
+      });
+      await auditLog.save({ session });
+      
+      return asset.usageLog[asset.usageLog.length - 1];
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Usage recorded successfully',
+      usage: entry
+    });
+  } catch (error) {
+    logger.error('Error recording asset usage:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Delete a fixed asset
+router.delete('/:id', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid asset ID format')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    await runInTransaction(async (session) => {
+      // Find asset and make sure it belongs to this client
+      const asset = await FixedAsset.findOne({
+        _id: req.params.id,
+        clientId: req.user.id
+      }).session(session);
+      
+      if (!asset) {
+        throw new ApiError(404, 'Fixed asset not found');
+      }
+      
+      // Assets with depreciation in the GL must stay in the register to tie to it
+      if (asset.journalEntryIds.length > 0) {
+        throw new ApiError(400, 'Cannot delete an asset with posted depreciation; dispose of it instead');
+      }
+      
+      // Delete the asset
+      await FixedAsset.deleteOne({ _id: asset._id }).session(session);
+      
+      // Create audit log
+      const auditLog = new AuditLog({
+        clientId: req.user.id,
+        action: 'DELETE_FIXED_ASSET',
+        entityType: 'FixedAsset',
+        entityId: asset._id,
+        userId: req.user.id,
+        details: {
+          name: asset.name,
+          assetCategory: asset.assetCategory,
+          acquisitionCost: asset.acquisitionCost,
+          currentBookValue: asset.currentBookValue
+        }
+      });
+      await auditLog.save({ session });
+    });
+    
+    res.json({
+      success: true,
+      message: 'Fixed asset deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting fixed asset:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+// Run depreciation for all assets (admin only)
+router.post('/run-depreciation', adminAuth, [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('date')
+    .optional()
+    .isDate()
+    .withMessage('Valid date is required')
+], async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const { entityId, date } = req.body;
+    
+    // Verify entity exists and belongs to client
+    const entity = await Entity.findOne({
+      _id: entityId,
+      clientId: req.user.id
+    });
+    
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entity not found or you do not have permission'
+      });
+    }
+    
+    // Run depreciation and post it to the GL in one transaction
+    const { journalEntry, results, skipped } = await runInTransaction(session =>
+      FixedAsset.runMonthlyDepreciation(
+        req.user.id,
+        entityId,
+        date ? new Date(date) : new Date(),
+        { isAdmin: true, userId: req.user.id, session }
+      )
+    );
+    
+    res.json({
+      success: true,
+      message: `Depreciation completed for ${results.length} assets`,
+      journalEntry: journalEntry ? {
+        id: journalEntry._id,
+        entryNumber: journalEntry.entryNumber,
+        date: journalEntry.date,
+        totalAmount: journalEntry.totalAmount
+      } : null,
+      results,
+      skipped
+    });
+  } catch (error) {
+    logger.error('Error running depreciation:', error);
+    
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    
+    next(error);
+  }
+});
+
+module.exports = router;
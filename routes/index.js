@@ -13,6 +13,14 @@ const adminRoutes = require('./admin');
 const clientRoutes = require('./client');
 const blogRoutes = require('./blog');
 const chartOfAccountsRoutes = require('./chartOfAccounts');
+const accountingPeriodsRoutes = require('./accountingPeriods');
+const journalEntriesRoutes = require('./journalEntries');
+const fixedAssetsRoutes = require('./fixedAssets');
+const invoicesRoutes = require('./invoices');
+const customersRoutes = require('./customers');
+const paymentsRoutes = require('./payments');
+const recurringInvoicesRoutes = require('./recurringInvoices');
+const creditMemosRoutes = require('./creditMemos');
 
 // Register routes
 router.use('/auth', authRoutes);
@@ -26,5 +34,13 @@ router.use('/admin', adminRoutes);
 router.use('/client', clientRoutes);
 router.use('/blog', blogRoutes);
 router.use('/chart-of-accounts', chartOfAccountsRoutes);
+router.use('/accounting-periods', accountingPeriodsRoutes);
+router.use('/journal-entries', journalEntriesRoutes);
+router.use('/fixed-assets', fixedAssetsRoutes);
+router.use('/invoices', invoicesRoutes);
+router.use('/customers', customersRoutes);
+router.use('/payments', paymentsRoutes);
+router.use('/recurring-invoices', recurringInvoicesRoutes);
+router.use('/credit-memos', creditMemosRoutes);
 
 module.exports = router;
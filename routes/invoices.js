@@ -0,0 +1,58 @@
+// routes/invoices.js
+const express = require('express');
+const router = express.Router();
+const {
+  getInvoices,
+  getInvoiceById,
+  createInvoice,
+  updateInvoice,
+  deleteInvoice,
+  issueInvoice,
+  voidInvoice,
+  downloadInvoicePdf,
+  sendInvoice,
+  runDunning
+} = require('../controllers/invoiceController');
+const {
+  validateListInvoices,
+  validateInvoiceId,
+  validateCreateInvoice,
+  validateUpdateInvoice,
+  validateIssueInvoice,
+  validateVoidInvoice,
+  validateSendInvoice,
+  validateRunDunning
+} = require('../validators/invoiceValidator');
+const { auth, adminAuth } = require('../middleware/auth');
+
+// Get invoices and bills with filtering and pagination
+router.get('/', auth, validateListInvoices, getInvoices);
+
+// Mark overdue invoices and send due payment reminders now (admin)
+router.post('/dunning/run', adminAuth, validateRunDunning, runDunning);
+
+// Get a single invoice or bill
+router.get('/:id', auth, validateInvoiceId, getInvoiceById);
+
+// Create a draft invoice (ar) or bill (ap)
+router.post('/', auth, validateCreateInvoice, createInvoice);
+
+// Edit a draft
+router.put('/:id', auth, validateUpdateInvoice, updateInvoice);
+
+// Delete a draft
+router.delete('/:id', auth, validateInvoiceId, deleteInvoice);
+
+// Issue a draft and post it to the GL
+router.post('/:id/issue', auth, validateIssueInvoice, issueInvoice);
+
+// Void an issued invoice, reversing its journal entry
+router.post('/:id/void', auth, validateVoidInvoice, voidInvoice);
+
+// Download a customer invoice as PDF
+router.get('/:id/pdf', auth, validateInvoiceId, downloadInvoicePdf);
+
+// Email a customer invoice with its PDF, issuing a draft first
+router.post('/:id/send', auth, validateSendInvoice, sendInvoice);
+
+module.exports = router;
@@ -5,24 +5,75 @@ const {
   getJournalEntries, 
   getJournalEntryById,
   createJournalEntry,
-  deleteJournalEntry
+  deleteJournalEntry,
+  updateDraftJournalEntry,
+  submitJournalEntry,
+  approveJournalEntry,
+  rejectJournalEntry,
+  setAutoReversal
 } = require('../controllers/journalEntryController');
+const {
+  getRecurringTemplates,
+  configureRecurrence,
+  pauseRecurrence,
+  resumeRecurrence,
+  previewRecurrence,
+  runRecurringEntries
+} = require('../controllers/recurringJournalEntryController');
 const { 
   validateJournalEntry,
-  validateJournalEntryId
+  validateJournalEntryId,
+  validateDraftUpdate,
+  validateReview,
+  validateRecurrence,
+  validateRecurrencePreview,
+  validateReversal,
+  validateAutoReversal
 } = require('../validators/journalEntryValidator');
-const { auth } = require('../middleware/auth');
+const { auth, adminAuth } = require('../middleware/auth');
 
 // Get all journal entries with filtering
 router.get('/', auth, getJournalEntries);
 
+// Get recurring journal entry templates
+router.get('/recurring', auth, getRecurringTemplates);
+
+// Generate all due recurring entries now (admin only)
+router.post('/recurring/run', adminAuth, runRecurringEntries);
+
 // Get a single journal entry by ID
 router.get('/:id', auth, validateJournalEntryId, getJournalEntryById);
 
-// Create a new journal entry
+// Create a journal entry: a draft for approval, or posted directly by an admin
 router.post('/', auth, validateJournalEntry, createJournalEntry);
 
-// Delete (reverse) a journal entry
-router.delete('/:id', auth, validateJournalEntryId, deleteJournalEntry);
+// Edit a draft or rejected journal entry
+router.put('/:id', auth, validateDraftUpdate, updateDraftJournalEntry);
+
+// Submit a draft for approval
+router.post('/:id/submit', auth, validateJournalEntryId, submitJournalEntry);
+
+// Approve and post a submitted journal entry (admin only)
+router.post('/:id/approve', adminAuth, validateReview(), approveJournalEntry);
+
+// Reject a submitted journal entry with a comment (admin only)
+router.post('/:id/reject', adminAuth, validateReview(true), rejectJournalEntry);
+
+// Set up or change the recurring schedule of an entry
+router.put('/:id/recurring', auth, validateRecurrence, configureRecurrence);
+
+// Pause / resume a recurring entry
+router.post('/:id/recurring/pause', auth, validateJournalEntryId, pauseRecurrence);
+router.post('/:id/recurring/resume', auth, validateJournalEntryId, resumeRecurrence);
+
+// Preview upcoming occurrences of a recurring entry
+router.get('/:id/recurring/preview', auth, validateRecurrencePreview, previewRecurrence);
+
+// Schedule or cancel the automatic reversal of an entry
+router.put('/:id/auto-reverse', auth, validateAutoReversal, setAutoReversal);
+
+// Delete (reverse) a journal entry, optionally dated with reversalDate
+// Admins post the reversal directly; anyone else submits it for approval
+router.delete('/:id', auth, validateReversal, deleteJournalEntry);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+// routes/payments.js
+const express = require('express');
+const router = express.Router();
+const {
+  getPayments,
+  getPaymentById,
+  recordPayment,
+  applyCredit,
+  unapplyPayment,
+  voidPayment
+} = require('../controllers/paymentController');
+const {
+  validateListPayments,
+  validatePaymentId,
+  validateRecordPayment,
+  validateApplyCredit,
+  validateUnapplyPayment,
+  validateVoidPayment
+} = require('../validators/paymentValidator');
+const { auth } = require('../middleware/auth');
+
+// Get receipts and disbursements with filtering and pagination
+router.get('/', auth, validateListPayments, getPayments);
+
+// Get a single payment
+router.get('/:id', auth, validatePaymentId, getPaymentById);
+
+// Record a receipt or disbursement against one or more invoices
+router.post('/', auth, validateRecordPayment, recordPayment);
+
+// Apply a payment's unapplied credit to further invoices
+router.post('/:id/apply', auth, validateApplyCredit, applyCredit);
+
+// Take a payment off an invoice, back to unapplied credit
+router.post('/:id/unapply', auth, validateUnapplyPayment, unapplyPayment);
+
+// Void a payment, reversing its journal entry
+router.post('/:id/void', auth, validateVoidPayment, voidPayment);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// routes/recurringInvoices.js
+const express = require('express');
+const router = express.Router();
+const {
+  getRecurringInvoices,
+  getRecurringInvoiceById,
+  createRecurringInvoice,
+  updateRecurringInvoice,
+  pauseRecurringInvoice,
+  resumeRecurringInvoice,
+  deleteRecurringInvoice,
+  runRecurringInvoices
+} = require('../controllers/recurringInvoiceController');
+const {
+  validateListRecurringInvoices,
+  validateRecurringInvoiceId,
+  validateResumeRecurringInvoice,
+  validateRunRecurringInvoices,
+  validateCreateRecurringInvoice,
+  validateUpdateRecurringInvoice
+} = require('../validators/recurringInvoiceValidator');
+const { auth, adminAuth } = require('../middleware/auth');
+
+// Get recurring invoice and bill templates
+router.get('/', auth, validateListRecurringInvoices, getRecurringInvoices);
+
+// Generate all due recurring invoices now (admin only)
+router.post('/run', adminAuth, validateRunRecurringInvoices, runRecurringInvoices);
+
+// Get a single recurring invoice
+router.get('/:id', auth, validateRecurringInvoiceId, getRecurringInvoiceById);
+
+// Create a recurring invoice (ar) or bill (ap)
+router.post('/', auth, validateCreateRecurringInvoice, createRecurringInvoice);
+
+// Edit a recurring invoice; applies to invoices generated from now on
+router.put('/:id', auth, validateUpdateRecurringInvoice, updateRecurringInvoice);
+
+// Pause / resume a recurring invoice; resuming skips what fell due while paused unless catchUp is set
+router.post('/:id/pause', auth, validateRecurringInvoiceId, pauseRecurringInvoice);
+router.post('/:id/resume', auth, validateResumeRecurringInvoice, resumeRecurringInvoice);
+
+// Delete a recurring invoice that has not generated any invoices
+router.delete('/:id', auth, validateRecurringInvoiceId, deleteRecurringInvoice);
+
+module.exports = router;
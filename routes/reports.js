@@ -5,16 +5,31 @@ const { auth } = require('../middleware/auth');
 const { 
   getTrialBalance, 
   getBalanceSheet, 
-  getIncomeStatement 
+  getIncomeStatement,
+  getCashFlowStatement,
+  getAgingReport,
+  exportReportPdf
 } = require('../controllers/reportController');
 
 // Get Trial Balance endpoint
 router.get('/trial-balance', auth, getTrialBalance);
 
-// Get Balance Sheet endpoint
+// Get Balance Sheet endpoint (?compare=prior-period|prior-year|prior-ytd)
 router.get('/balance-sheet', auth, getBalanceSheet);
 
-// Get Income Statement endpoint
+// Get Income Statement endpoint (?compare=prior-period|prior-year|prior-ytd)
 router.get('/income-statement', auth, getIncomeStatement);
 
+// Get Cash Flow Statement endpoint
+router.get('/cash-flow', auth, getCashFlowStatement);
+
+// Get AR / AP aging as of a date (?asOfDate, ?customerId or ?vendorId, ?detail=summary)
+router.get('/ar-aging', auth, getAgingReport('ar'));
+router.get('/ap-aging', auth, getAgingReport('ap'));
+
+// PDF exports: downloaded, or saved to documents with ?save=true
+router.get('/trial-balance/pdf', auth, exportReportPdf('trial-balance'));
+router.get('/balance-sheet/pdf', auth, exportReportPdf('balance-sheet'));
+router.get('/income-statement/pdf', auth, exportReportPdf('income-statement'));
+
 module.exports = router;
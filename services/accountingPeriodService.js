@@ -0,0 +1,176 @@
+// services/accountingPeriodService.js
+const AccountingPeriod = require('../models/accountingPeriod');
+const YearEndClose = require('../models/yearEndClose');
+const AuditLog = require('../models/auditLog');
+const { ApiError } = require('../utils/apiError');
+
+/**
+ * Business logic for accounting period locks
+ */
+
+/**
+ * Status of the period containing date ('open' when never closed)
+ * A period in a fiscal year that has been closed at year end reports
+ * 'year_closed' whatever its own status.
+ * @returns {Promise<string>}
+ */
+exports.getPeriodStatus = async (clientId, entityId, date, session = null) => {
+  const yearEndClose = await YearEndClose.findOne({
+    clientId,
+    entityId,
+    year: date.getFullYear(),
+    status: 'closed'
+  }).session(session);
+  
+  if (yearEndClose) {
+    return 'year_closed';
+  }
+  
+  const period = await AccountingPeriod.findOne({
+    clientId,
+    entityId,
+    year: date.getFullYear(),
+    month: date.getMonth() + 1
+  }).session(session);
+  
+  return period ? period.status : 'open';
+};
+
+/**
+ * Reject postings into locked periods
+ * Hard-closed periods and closed fiscal years reject every posting. Soft-closed periods reject
+ * postings unless the caller is an admin, in which case the posting is
+ * allowed and reported back as flagged.
+ * With allowClosedPeriod the month's own lock is passed over (the year-end close
+ * posts into December after it has been closed); a closed fiscal year still rejects.
+ * @param {Object} data - { clientId, entityId, date, isAdmin, allowClosedPeriod }
+ * @returns {Promise<{status: string, flagged: boolean}>}
+ */
+exports.assertPeriodOpen = async (data, session = null) => {
+  const { clientId, entityId, date, isAdmin = false, allowClosedPeriod = false } = data;
+  const status = await exports.getPeriodStatus(clientId, entityId, date, session);
+  const label = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  
+  if (status === 'year_closed') {
+    throw new ApiError(400, `Fiscal year ${date.getFullYear()} is closed`, { period: label, status });
+  }
+  
+  if (allowClosedPeriod) {
+    return { status, flagged: false };
+  }
+  
+  if (status === 'hard_closed') {
+    throw new ApiError(400, `Accounting period ${label} is closed`, { period: label, status });
+  }
+  
+  if (status === 'soft_closed') {
+    if (!isAdmin) {
+      throw new ApiError(400, `Accounting period ${label} is soft-closed; only an administrator can post to it`, {
+        period: label,
+        status
+      });
+    }
+    return { status, flagged: true };
+  }
+  
+  return { status, flagged: false };
+};
+
+/**
+ * List closed periods for an entity
+ */
+exports.listPeriods = async (clientId, entityId, year) => {
+  const query = { clientId, entityId };
+  if (year) query.year = parseInt(year);
+  
+  return AccountingPeriod.find(query).sort({ year: -1, month: -1 });
+};
+
+/**
+ * Soft- or hard-close a period
+ * @param {Object} data - { clientId, userId, entityId, year, month, status, notes }
+ */
+exports.closePeriod = async (data, session) => {
+  const { clientId, userId, entityId, year, month, status = 'soft_closed', notes } = data;
+  
+  if (!['soft_closed', 'hard_closed'].includes(status)) {
+    throw new ApiError(400, 'Close status must be soft_closed or hard_closed');
+  }
+  
+  let period = await AccountingPeriod.findOne({ clientId, entityId, year, month }).session(session);
+  const fromStatus = period ? period.status : 'open';
+  
+  if (fromStatus === status) {
+    throw new ApiError(400, `Period ${year}-${String(month).padStart(2, '0')} is already ${status}`);
+  }
+  
+  if (!period) {
+    period = new AccountingPeriod({ clientId, entityId, year, month });
+  }
+  
+  period.status = status;
+  period.closedBy = userId;
+  period.closedAt = new Date();
+  period.notes = notes;
+  period.history.push({
+    action: 'close',
+    fromStatus,
+    toStatus: status,
+    performedBy: userId,
+    notes
+  });
+  
+  await period.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CLOSE_ACCOUNTING_PERIOD',
+    entityType: 'AccountingPeriod',
+    entityId: period._id,
+    userId,
+    details: { entityId, year, month, fromStatus, toStatus: status, notes }
+  });
+  await auditLog.save({ session });
+  
+  return period;
+};
+
+/**
+ * Reopen a closed period
+ * @param {Object} data - { clientId, userId, entityId, year, month, notes }
+ */
+exports.reopenPeriod = async (data, session) => {
+  const { clientId, userId, entityId, year, month, notes } = data;
+  
+  const period = await AccountingPeriod.findOne({ clientId, entityId, year, month }).session(session);
+  
+  if (!period || period.status === 'open') {
+    throw new ApiError(400, `Period ${year}-${String(month).padStart(2, '0')} is not closed`);
+  }
+  
+  const fromStatus = period.status;
+  period.status = 'open';
+  period.reopenedBy = userId;
+  period.reopenedAt = new Date();
+  period.history.push({
+    action: 'reopen',
+    fromStatus,
+    toStatus: 'open',
+    performedBy: userId,
+    notes
+  });
+  
+  await period.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'REOPEN_ACCOUNTING_PERIOD',
+    entityType: 'AccountingPeriod',
+    entityId: period._id,
+    userId,
+    details: { entityId, year, month, fromStatus, toStatus: 'open', notes }
+  });
+  await auditLog.save({ session });
+  
+  return period;
+};
@@ -0,0 +1,352 @@
+// services/agingReportService.js
+const Invoice = require('../models/invoice');
+const Payment = require('../models/payment');
+const CreditMemo = require('../models/creditMemo');
+const JournalEntry = require('../models/journalEntry');
+const Account = require('../models/account');
+const Entity = require('../models/entity');
+const Customer = require('../models/customer');
+const Vendor = require('../models/vendor');
+const { ApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const { ledgerTotals } = require('./reportService');
+const { OPEN_INVOICE_STATUSES } = require('./invoiceService');
+
+/**
+ * AR and AP aging
+ *
+ * Open invoice balances are bucketed by days past due as of a date and
+ * grouped by customer or vendor. For today the balance is each invoice's
+ * balanceDue; for an earlier date it is rebuilt from the invoice total less
+ * the payment applications and credit memos in force on that date, with
+ * voids taking effect on their reversal date as they do in the GL.
+ *
+ * The total, less unapplied payment credits, is tied to the balance of the
+ * receivable or payable control accounts and any difference is flagged.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1To30', label: '1-30', maxDays: 30 },
+  { key: 'days31To60', label: '31-60', maxDays: 60 },
+  { key: 'days61To90', label: '61-90', maxDays: 90 },
+  { key: 'over90', label: '90+', maxDays: Infinity }
+];
+
+exports.AGING_BUCKETS = AGING_BUCKETS;
+
+const AGING_TYPES = {
+  ar: {
+    paymentType: 'receipt',
+    counterparty: 'customerId',
+    counterpartyModel: Customer,
+    listKey: 'customers',
+    controlAccountField: 'receivableAccountId',
+    // Receivables carry a debit balance
+    normalBalance: ({ debits, credits }) => debits - credits
+  },
+  ap: {
+    paymentType: 'disbursement',
+    counterparty: 'vendorId',
+    counterpartyModel: Vendor,
+    listKey: 'vendors',
+    controlAccountField: 'payableAccountId',
+    normalBalance: ({ debits, credits }) => credits - debits
+  }
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const bucketFor = (daysPastDue) => AGING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((totals, bucket) => {
+  totals[bucket.key] = 0;
+  return totals;
+}, {});
+
+// Dates of the reversal entries voided documents posted, keyed by entry ID
+const reversalDates = async (documents) => {
+  const ids = documents.filter(d => d.status === 'void' && d.reversalEntryId).map(d => d.reversalEntryId);
+  if (ids.length === 0) return new Map();
+  
+  const entries = await JournalEntry.find({ _id: { $in: ids } }).select('date');
+  return new Map(entries.map(entry => [entry._id.toString(), entry.date]));
+};
+
+// Whether a document voided by a reversal was still in force before cutoff
+const inForce = (document, reversals, cutoff) => {
+  if (document.status !== 'void') return true;
+  const reversedOn = document.reversalEntryId && reversals.get(document.reversalEntryId.toString());
+  return !reversedOn || reversedOn >= cutoff;
+};
+
+/**
+ * Payment applications and unapplied credit in force before cutoff
+ * Applications taken off by voiding a payment end on the void's reversal
+ * date; ones unapplied by hand end when they were unapplied.
+ * @returns {{applied: Map, unapplied: Map}} - Applied amount by invoice ID, unapplied credit by counterparty ID
+ */
+const paymentPositions = (payments, config, reversals, cutoff) => {
+  const applied = new Map();
+  const unapplied = new Map();
+  
+  payments.forEach(payment => {
+    if (!inForce(payment, reversals, cutoff)) return;
+    
+    const reversedOn = payment.status === 'void' && payment.reversalEntryId
+      ? reversals.get(payment.reversalEntryId.toString())
+      : null;
+    
+    let appliedTotal = 0;
+    payment.applications.forEach(application => {
+      if (application.date >= cutoff) return;
+      
+      const removedOn = reversedOn && application.unappliedAt && application.unappliedAt >= payment.voidedAt
+        ? reversedOn
+        : application.unappliedAt;
+      if (removedOn && removedOn < cutoff) return;
+      
+      const key = application.invoiceId.toString();
+      applied.set(key, (applied.get(key) || 0) + application.amount);
+      appliedTotal += application.amount;
+    });
+    
+    const credit = roundCents(payment.amount - appliedTotal);
+    if (credit !== 0) {
+      const key = payment[config.counterparty].toString();
+      unapplied.set(key, roundCents((unapplied.get(key) || 0) + credit));
+    }
+  });
+  
+  return { applied, unapplied };
+};
+
+/**
+ * Aging of customer invoices (ar) or vendor bills (ap) as of a date
+ * @param {string} clientId
+ * @param {Object} params - { entityId, invoiceType, asOfDate, customerId, vendorId, detail }
+ * @returns {Promise<{aging: Object}>}
+ */
+exports.buildAgingReport = async (clientId, params) => {
+  const { entityId, invoiceType, detail = 'detail' } = params;
+  const config = AGING_TYPES[invoiceType];
+  if (!config) {
+    throw new ApiError(400, 'Invoice type must be ar or ap');
+  }
+  
+  const entity = await Entity.findOne({ _id: entityId, clientId });
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  const asOfDate = params.asOfDate ? new Date(params.asOfDate) : new Date();
+  if (isNaN(asOfDate.getTime())) {
+    throw new ApiError(400, 'As of date must be a valid date');
+  }
+  
+  const asOfDay = startOfDay(asOfDate);
+  // Everything dated or done before the end of the as-of day counts
+  const cutoff = new Date(asOfDay.getTime() + DAY_MS);
+  const isCurrent = cutoff > new Date();
+  const partyId = params[config.counterparty];
+  
+  const scope = { clientId, entityId, invoiceType };
+  if (partyId) scope[config.counterparty] = partyId;
+  
+  // Invoices that were, or may have been, open on the as-of date
+  const invoiceQuery = { ...scope, issueDate: { $lt: cutoff } };
+  if (isCurrent) {
+    invoiceQuery.status = { $in: OPEN_INVOICE_STATUSES };
+  } else {
+    invoiceQuery.status = { $ne: 'draft' };
+    invoiceQuery.$or = [
+      { status: { $in: [...OPEN_INVOICE_STATUSES, 'void'] } },
+      { updatedAt: { $gte: asOfDay } },
+      { 'payments.date': { $gte: cutoff } },
+      { 'credits.date': { $gte: cutoff } }
+    ];
+  }
+  const invoices = await Invoice.find(invoiceQuery).sort({ dueDate: 1, invoiceNumber: 1 });
+  const invoiceIds = invoices.map(invoice => invoice._id);
+  
+  // Payments carry unapplied credits and, for past dates, the applications to roll back
+  const paymentQuery = {
+    clientId,
+    entityId,
+    paymentType: config.paymentType,
+    date: { $lt: cutoff }
+  };
+  if (partyId) paymentQuery[config.counterparty] = partyId;
+  paymentQuery.$or = isCurrent
+    ? [{ status: 'posted', unappliedAmount: { $gt: 0 } }]
+    : [
+      { 'applications.invoiceId': { $in: invoiceIds } },
+      { unappliedAmount: { $gt: 0 } },
+      { status: 'void' },
+      { updatedAt: { $gte: asOfDay } }
+    ];
+  const payments = await Payment.find(paymentQuery);
+  
+  const creditMemos = isCurrent ? [] : await CreditMemo.find({
+    clientId,
+    invoiceId: { $in: invoiceIds },
+    date: { $lt: cutoff }
+  });
+  
+  const reversals = await reversalDates([...invoices, ...payments, ...creditMemos]);
+  const { applied, unapplied } = paymentPositions(payments, config, reversals, cutoff);
+  
+  const credited = new Map();
+  creditMemos.forEach(memo => {
+    if (!inForce(memo, reversals, cutoff)) return;
+    const key = memo.invoiceId.toString();
+    credited.set(key, (credited.get(key) || 0) + memo.amount);
+  });
+  
+  // Balance of each invoice on the as-of date, aged by its due date
+  const rows = [];
+  invoices.forEach(invoice => {
+    if (!inForce(invoice, reversals, cutoff)) return;
+    
+    const key = invoice._id.toString();
+    const balance = isCurrent
+      ? invoice.balanceDue
+      : roundCents(invoice.total - (applied.get(key) || 0) - (credited.get(key) || 0));
+    if (balance === 0) return;
+    
+    const daysPastDue = Math.floor((asOfDay - startOfDay(invoice.dueDate)) / DAY_MS);
+    rows.push({
+      invoice,
+      balance,
+      daysPastDue,
+      bucket: bucketFor(daysPastDue)
+    });
+  });
+  
+  // Group by customer or vendor
+  const partyIds = new Set([
+    ...rows.map(row => String(row.invoice[config.counterparty])),
+    ...unapplied.keys()
+  ]);
+  const parties = await config.counterpartyModel.find({ _id: { $in: [...partyIds] }, clientId }).select('name');
+  const names = new Map(parties.map(party => [party._id.toString(), party.name]));
+  
+  const groups = new Map();
+  const groupFor = (id) => {
+    if (!groups.has(id)) {
+      groups.set(id, {
+        [config.counterparty]: id,
+        name: names.get(id) || 'Unknown',
+        ...emptyBuckets(),
+        total: 0,
+        unappliedCredits: 0,
+        netBalance: 0,
+        invoices: []
+      });
+    }
+    return groups.get(id);
+  };
+  
+  rows.forEach(({ invoice, balance, daysPastDue, bucket }) => {
+    const group = groupFor(String(invoice[config.counterparty]));
+    group[bucket] = roundCents(group[bucket] + balance);
+    group.total = roundCents(group.total + balance);
+    group.invoices.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      reference: invoice.reference,
+      issueDate: invoice.issueDate,
+      dueDate: invoice.dueDate,
+      daysPastDue,
+      bucket,
+      total: invoice.total,
+      balance
+    });
+  });
+  
+  unapplied.forEach((credit, id) => {
+    groupFor(id).unappliedCredits = credit;
+  });
+  
+  const list = [...groups.values()]
+    .map(group => ({
+      ...group,
+      netBalance: roundCents(group.total - group.unappliedCredits),
+      invoices: detail === 'summary' ? undefined : group.invoices
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  
+  const totals = list.reduce((sums, group) => {
+    AGING_BUCKETS.forEach(({ key }) => { sums[key] = roundCents(sums[key] + group[key]); });
+    sums.total = roundCents(sums.total + group.total);
+    sums.unappliedCredits = roundCents(sums.unappliedCredits + group.unappliedCredits);
+    sums.netBalance = roundCents(sums.netBalance + group.netBalance);
+    return sums;
+  }, { ...emptyBuckets(), total: 0, unappliedCredits: 0, netBalance: 0 });
+  
+  const aging = {
+    invoiceType,
+    asOfDate: asOfDay,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    [config.listKey]: list,
+    totals,
+    // Only the whole subledger can be tied to the control accounts
+    reconciliation: null
+  };
+  
+  if (partyId) {
+    return { aging };
+  }
+  
+  // Tie to the control accounts the subledger posts to
+  const [invoiceAccounts, paymentAccounts] = await Promise.all([
+    Invoice.distinct('controlAccountId', { clientId, entityId, invoiceType }),
+    Payment.distinct('controlAccountId', { clientId, entityId, paymentType: config.paymentType })
+  ]);
+  const controlAccountIds = [...new Map(
+    [entity[config.controlAccountField], ...invoiceAccounts, ...paymentAccounts]
+      .filter(Boolean)
+      .map(id => [id.toString(), id])
+  ).values()];
+  
+  const accounts = await Account.find({ _id: { $in: controlAccountIds }, clientId, entityId })
+    .select('accountNumber accountName')
+    .sort({ accountNumber: 1 });
+  const ledger = accounts.length > 0
+    ? await ledgerTotals({
+      clientId,
+      entityId,
+      accountIds: accounts.map(account => account._id),
+      endDate: new Date(cutoff.getTime() - 1)
+    })
+    : [];
+  
+  const controlAccounts = accounts.map(account => {
+    const row = ledger.find(l => l.accountId.toString() === account._id.toString()) || { debits: 0, credits: 0 };
+    return {
+      id: account._id,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      balance: roundCents(config.normalBalance(row))
+    };
+  });
+  
+  const glBalance = roundCents(controlAccounts.reduce((sum, account) => sum + account.balance, 0));
+  const difference = roundCents(glBalance - totals.netBalance);
+  
+  aging.reconciliation = {
+    controlAccounts,
+    glBalance,
+    subledgerBalance: totals.netBalance,
+    difference,
+    isReconciled: difference === 0
+  };
+  
+  return { aging };
+};
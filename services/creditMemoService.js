@@ -0,0 +1,323 @@
+// services/creditMemoService.js
+const CreditMemo = require('../models/creditMemo');
+const Invoice = require('../models/invoice');
+const Entity = require('../models/entity');
+const JournalEntry = require('../models/journalEntry');
+const Transaction = require('../models/transaction');
+const AuditLog = require('../models/auditLog');
+const { ApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const {
+  postJournalEntry,
+  reverseJournalEntry,
+  CREDIT_MEMO_JOURNAL_TYPE
+} = require('./journalEntryService');
+const { OPEN_INVOICE_STATUSES } = require('./invoiceService');
+
+/**
+ * Business logic for credit memos (AR) and debit memos (AP)
+ *
+ * A memo is issued against one open invoice or bill for all or part of its
+ * balance. It posts the invoice's own entry in reverse, scaled to the amount
+ * credited: revenue (or expense) and tax lines in proportion, the receivable
+ * (or payable) for the amount itself. The invoice's balanceDue drops by the
+ * same amount. Voiding a memo reverses its entry and reopens the invoice.
+ */
+
+const MEMO_TYPES = {
+  ar: { memoType: 'credit', prefix: 'CM', label: 'Credit memo' },
+  ap: { memoType: 'debit', prefix: 'DM', label: 'Debit memo' }
+};
+
+const flip = (type) => (type === 'debit' ? 'credit' : 'debit');
+
+const findMemo = async (clientId, creditMemoId, session = null) => {
+  const memo = await CreditMemo.findOne({ _id: creditMemoId, clientId }).session(session);
+  
+  if (!memo) {
+    throw new ApiError(404, 'Credit memo not found or you do not have permission');
+  }
+  
+  return memo;
+};
+
+// Next credit or debit memo number for an entity
+const nextMemoNumber = async (clientId, entityId, invoiceType, session) => {
+  const { memoType, prefix } = MEMO_TYPES[invoiceType];
+  const entity = await Entity.findOneAndUpdate(
+    { _id: entityId, clientId },
+    { $inc: { [`memoSequences.${memoType}`]: 1 } },
+    { new: true, session }
+  );
+  
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  const sequence = entity.memoSequences[memoType];
+  return `${prefix}-${String(sequence).padStart(5, '0')}`;
+};
+
+/**
+ * Lines of the invoice's entry reversed and scaled to amount
+ * The control account line carries the amount exactly; rounding left over
+ * from scaling the other lines goes to the largest of them so the entry balances.
+ */
+const memoLines = (invoice, transactions, amount, documentNumber) => {
+  const ratio = amount / invoice.total;
+  const control = transactions.find(t => String(t.accountId) === String(invoice.controlAccountId));
+  if (!control) {
+    throw new ApiError(400, `The journal entry of ${invoice.invoiceNumber} has no line on its control account`);
+  }
+  
+  const controlType = flip(control.type);
+  const lines = transactions
+    .filter(t => t !== control)
+    .map(t => ({
+      accountId: t.accountId,
+      amount: roundCents(t.amount * ratio),
+      type: flip(t.type),
+      description: t.description,
+      documentNumber
+    }))
+    .filter(line => line.amount !== 0);
+  
+  if (lines.length === 0) {
+    throw new ApiError(400, `${roundCents(amount).toFixed(2)} is too small to credit against ${invoice.invoiceNumber}`);
+  }
+  
+  // Lines on the opposite side to the control account offset it
+  const signed = (line) => (line.type === controlType ? -line.amount : line.amount);
+  const difference = roundCents(amount - lines.reduce((sum, line) => sum + signed(line), 0));
+  if (difference !== 0) {
+    const largest = lines.reduce((max, line) => (line.amount > max.amount ? line : max), lines[0]);
+    largest.amount = roundCents(largest.amount + (largest.type === controlType ? -difference : difference));
+  }
+  
+  return [
+    {
+      accountId: control.accountId,
+      amount,
+      type: controlType,
+      description: `${documentNumber} against ${invoice.invoiceNumber}`,
+      documentNumber
+    },
+    ...lines
+  ];
+};
+
+exports.memoLines = memoLines;
+
+/**
+ * List credit and debit memos
+ * @param {string} clientId
+ * @param {Object} filters - { entityId, memoType, invoiceId, customerId, vendorId, status, startDate, endDate, limit, page }
+ * @returns {Promise<{creditMemos: Array, total: number, page: number, limit: number}>}
+ */
+exports.listCreditMemos = async (clientId, filters = {}) => {
+  const { entityId, memoType, invoiceId, customerId, vendorId, status, startDate, endDate } = filters;
+  const limit = parseInt(filters.limit || 50);
+  const page = parseInt(filters.page || 1);
+  
+  const query = { clientId };
+  if (entityId) query.entityId = entityId;
+  if (memoType) query.memoType = memoType;
+  if (invoiceId) query.invoiceId = invoiceId;
+  if (customerId) query.customerId = customerId;
+  if (vendorId) query.vendorId = vendorId;
+  if (status) query.status = status;
+  
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+  
+  const total = await CreditMemo.countDocuments(query);
+  const creditMemos = await CreditMemo.find(query)
+    .sort({ date: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  
+  return { creditMemos, total, page, limit };
+};
+
+/**
+ * Get a credit or debit memo
+ */
+exports.getCreditMemo = async (clientId, creditMemoId) => findMemo(clientId, creditMemoId);
+
+/**
+ * Issue a credit memo against a customer invoice or a debit memo against a vendor bill
+ * Without an amount the whole balance due is credited.
+ * @param {Object} data - { clientId, userId, isAdmin, invoiceId, date, amount, reason }
+ * @returns {Promise<{creditMemo: Object, invoice: Object, journalEntry: Object}>}
+ */
+exports.issueCreditMemo = async (data, session) => {
+  const { clientId, userId, isAdmin, invoiceId, reason } = data;
+  
+  const invoice = await Invoice.findOne({ _id: invoiceId, clientId }).session(session);
+  if (!invoice) {
+    throw new ApiError(404, 'Invoice not found or you do not have permission');
+  }
+  
+  const { label } = MEMO_TYPES[invoice.invoiceType];
+  
+  if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+    throw new ApiError(400, `${invoice.invoiceNumber} is ${invoice.status}; only open invoices can be credited`);
+  }
+  
+  const amount = roundCents(data.amount !== undefined ? Number(data.amount) : invoice.balanceDue);
+  if (!(amount > 0)) {
+    throw new ApiError(400, `${label} amount must be greater than zero`);
+  }
+  
+  if (amount > invoice.balanceDue) {
+    throw new ApiError(400, `${amount.toFixed(2)} exceeds the ${invoice.balanceDue.toFixed(2)} due on ${invoice.invoiceNumber}`);
+  }
+  
+  const date = data.date ? new Date(data.date) : new Date();
+  if (date < invoice.issueDate) {
+    throw new ApiError(400, `${label} date cannot be before the invoice's issue date`);
+  }
+  
+  const originalEntry = await JournalEntry.findOne({ _id: invoice.journalEntryId, clientId }).session(session);
+  const transactions = await Transaction.find({
+    journalEntryId: invoice.journalEntryId
+  }).sort({ lineNo: 1 }).session(session);
+  
+  if (!originalEntry || transactions.length === 0) {
+    throw new ApiError(400, `The journal entry of ${invoice.invoiceNumber} could not be found`);
+  }
+  
+  const memoNumber = await nextMemoNumber(clientId, invoice.entityId, invoice.invoiceType, session);
+  const entries = memoLines(invoice, transactions, amount, memoNumber);
+  
+  const { journalEntry } = await postJournalEntry({
+    clientId,
+    userId,
+    isAdmin,
+    entityId: invoice.entityId,
+    date,
+    description: `${label} ${memoNumber} against ${invoice.invoiceNumber}${reason ? ` (${reason})` : ''}`,
+    entries,
+    isManual: false,
+    journalType: CREDIT_MEMO_JOURNAL_TYPE,
+    subledgerType: originalEntry.subledgerType,
+    metadata: {
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      memoNumber
+    }
+  }, session);
+  
+  const creditMemo = new CreditMemo({
+    clientId,
+    entityId: invoice.entityId,
+    memoType: MEMO_TYPES[invoice.invoiceType].memoType,
+    memoNumber,
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    customerId: invoice.customerId,
+    vendorId: invoice.vendorId,
+    date,
+    amount,
+    currency: invoice.currency,
+    reason,
+    lines: entries.map(({ accountId, amount: lineAmount, type, description }) => ({
+      accountId,
+      amount: lineAmount,
+      type,
+      description
+    })),
+    journalEntryId: journalEntry._id,
+    createdBy: userId
+  });
+  await creditMemo.save({ session });
+  
+  invoice.addCredit({ creditMemoId: creditMemo._id, memoNumber, date, amount });
+  await invoice.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'ISSUE_CREDIT_MEMO',
+    entityType: 'CreditMemo',
+    entityId: creditMemo._id,
+    userId,
+    details: {
+      memoType: creditMemo.memoType,
+      memoNumber,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount,
+      balanceDue: invoice.balanceDue,
+      journalEntryId: journalEntry._id,
+      reason
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { creditMemo, invoice, journalEntry };
+};
+
+/**
+ * Void a credit or debit memo by reversing its journal entry
+ * The amount goes back onto the invoice's balance.
+ * @param {Object} data - { clientId, userId, isAdmin, creditMemoId, voidDate, reason }
+ * @returns {Promise<{creditMemo: Object, invoice: Object, reversalEntry: Object}>}
+ */
+exports.voidCreditMemo = async (data, session) => {
+  const { clientId, userId, isAdmin, creditMemoId, reason } = data;
+  
+  const creditMemo = await findMemo(clientId, creditMemoId, session);
+  
+  if (creditMemo.status !== 'posted') {
+    throw new ApiError(400, `${creditMemo.memoNumber} is already ${creditMemo.status}`);
+  }
+  
+  const voidDate = data.voidDate ? new Date(data.voidDate) : new Date();
+  if (voidDate < creditMemo.date) {
+    throw new ApiError(400, 'Void date cannot be before the memo date');
+  }
+  
+  const { reversalEntry } = await reverseJournalEntry({
+    clientId,
+    userId,
+    isAdmin,
+    journalEntryId: creditMemo.journalEntryId,
+    reversalDate: voidDate,
+    isManual: false
+  }, session);
+  
+  const invoice = await Invoice.findOne({ _id: creditMemo.invoiceId, clientId }).session(session);
+  if (invoice) {
+    invoice.removeCredit(creditMemo._id);
+    await invoice.save({ session });
+  }
+  
+  creditMemo.status = 'void';
+  creditMemo.reversalEntryId = reversalEntry._id;
+  creditMemo.voidedBy = userId;
+  creditMemo.voidedAt = new Date();
+  creditMemo.voidReason = reason;
+  await creditMemo.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'VOID_CREDIT_MEMO',
+    entityType: 'CreditMemo',
+    entityId: creditMemo._id,
+    userId,
+    details: {
+      memoNumber: creditMemo.memoNumber,
+      invoiceNumber: creditMemo.invoiceNumber,
+      amount: creditMemo.amount,
+      journalEntryId: creditMemo.journalEntryId,
+      reversalEntryId: reversalEntry._id,
+      reason
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { creditMemo, invoice, reversalEntry };
+};
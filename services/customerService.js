@@ -0,0 +1,331 @@
+// services/customerService.js
+const mongoose = require('mongoose');
+const Customer = require('../models/customer');
+const Invoice = require('../models/invoice');
+const Payment = require('../models/payment');
+const CreditMemo = require('../models/creditMemo');
+const RecurringInvoice = require('../models/recurringInvoice');
+const Account = require('../models/account');
+const AuditLog = require('../models/auditLog');
+const { ApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const { OPEN_INVOICE_STATUSES } = require('./invoiceService');
+
+/**
+ * Business logic for the customer master
+ *
+ * A customer belongs to one entity. Its balance is not stored; it is summed
+ * from the balanceDue of its open AR invoices, less unapplied receipts,
+ * whenever it is read.
+ */
+
+// Fields a customer can be created or edited through
+const CUSTOMER_FIELDS = [
+  'name',
+  'customerNumber',
+  'email',
+  'phone',
+  'website',
+  'taxId',
+  'taxExempt',
+  'billingAddress',
+  'shippingAddress',
+  'contacts',
+  'paymentTerms',
+  'creditLimit',
+  'currency',
+  'category',
+  'notes',
+  'status',
+  'defaultRevenueAccount',
+  'dunningOptOut',
+  'tags'
+];
+
+const findCustomer = async (clientId, customerId, session = null) => {
+  const customer = await Customer.findOne({ _id: customerId, clientId }).session(session);
+  
+  if (!customer) {
+    throw new ApiError(404, 'Customer not found or you do not have permission');
+  }
+  
+  return customer;
+};
+
+exports.findCustomer = findCustomer;
+
+/**
+ * Open AR balances for a set of customers
+ * @param {string} clientId
+ * @param {Array} customerIds
+ * @param {Date} asOfDate - Invoices due before this date count as overdue
+ * @returns {Promise<Map>} - customerId => { balance, invoiceBalance, unappliedCredits, overdueBalance, openInvoices }
+ */
+const customerBalances = async (clientId, customerIds, asOfDate = new Date()) => {
+  const clientObjectId = new mongoose.Types.ObjectId(String(clientId));
+  const customerObjectIds = customerIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  
+  const rows = await Invoice.aggregate([
+    {
+      $match: {
+        clientId: clientObjectId,
+        invoiceType: 'ar',
+        customerId: { $in: customerObjectIds },
+        status: { $in: OPEN_INVOICE_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: '$customerId',
+        balance: { $sum: '$balanceDue' },
+        overdueBalance: {
+          $sum: { $cond: [{ $lt: ['$dueDate', asOfDate] }, '$balanceDue', 0] }
+        },
+        openInvoices: { $sum: 1 }
+      }
+    }
+  ]);
+  
+  const credits = await Payment.aggregate([
+    {
+      $match: {
+        clientId: clientObjectId,
+        paymentType: 'receipt',
+        customerId: { $in: customerObjectIds },
+        status: 'posted',
+        unappliedAmount: { $gt: 0 }
+      }
+    },
+    {
+      $group: {
+        _id: '$customerId',
+        unappliedCredits: { $sum: '$unappliedAmount' }
+      }
+    }
+  ]);
+  const creditsByCustomer = new Map(credits.map(row => [String(row._id), roundCents(row.unappliedCredits)]));
+  
+  const balances = new Map();
+  rows.forEach(row => {
+    balances.set(String(row._id), {
+      invoiceBalance: roundCents(row.balance),
+      overdueBalance: roundCents(row.overdueBalance),
+      openInvoices: row.openInvoices
+    });
+  });
+  
+  // Credits of customers without open invoices still make up a (negative) balance
+  for (const customerId of creditsByCustomer.keys()) {
+    if (!balances.has(customerId)) {
+      balances.set(customerId, { invoiceBalance: 0, overdueBalance: 0, openInvoices: 0 });
+    }
+  }
+  
+  balances.forEach((balance, customerId) => {
+    balance.unappliedCredits = creditsByCustomer.get(customerId) || 0;
+    balance.balance = roundCents(balance.invoiceBalance - balance.unappliedCredits);
+  });
+  
+  return balances;
+};
+
+exports.customerBalances = customerBalances;
+
+const NO_BALANCE = { balance: 0, invoiceBalance: 0, unappliedCredits: 0, overdueBalance: 0, openInvoices: 0 };
+
+// Customer balance with its position against the credit limit
+const withBalance = (customer, balances) => {
+  const balance = balances.get(String(customer._id)) || NO_BALANCE;
+  const hasLimit = customer.creditLimit !== undefined && customer.creditLimit !== null;
+  
+  return {
+    customer,
+    balance: {
+      ...balance,
+      availableCredit: hasLimit ? roundCents(customer.creditLimit - balance.balance) : null,
+      overCreditLimit: hasLimit && balance.balance > customer.creditLimit
+    }
+  };
+};
+
+// Default revenue account must be an active Revenue account of the customer's entity
+const assertRevenueAccount = async (clientId, entityId, accountId, session) => {
+  if (!accountId) return;
+  
+  const account = await Account.findOne({
+    _id: accountId,
+    clientId,
+    entityId,
+    isActive: true
+  }).session(session);
+  
+  if (!account || account.accountType !== 'Revenue') {
+    throw new ApiError(400, 'Default revenue account must be an active Revenue account of the entity');
+  }
+};
+
+// Customer numbers are unique within an entity
+const assertUniqueNumber = async (clientId, entityId, customerNumber, excludeId, session) => {
+  if (!customerNumber) return;
+  
+  const query = { clientId, entityId, customerNumber };
+  if (excludeId) query._id = { $ne: excludeId };
+  
+  const existing = await Customer.findOne(query).session(session);
+  if (existing) {
+    throw new ApiError(400, `Customer number ${customerNumber} is already used by ${existing.name}`);
+  }
+};
+
+/**
+ * List customers of a client with their open balances
+ * @param {string} clientId
+ * @param {Object} filters - { entityId, status, search }
+ * @returns {Promise<Array<{customer: Object, balance: Object}>>}
+ */
+exports.listCustomers = async (clientId, filters = {}) => {
+  const { entityId, status, search } = filters;
+  
+  const query = { clientId };
+  if (entityId) query.entityId = entityId;
+  if (status) query.status = status;
+  
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { customerNumber: pattern }, { email: pattern }];
+  }
+  
+  const customers = await Customer.find(query).sort({ name: 1 });
+  const balances = await customerBalances(clientId, customers.map(c => c._id));
+  
+  return customers.map(customer => withBalance(customer, balances));
+};
+
+/**
+ * Get a customer with its open balance
+ * @returns {Promise<{customer: Object, balance: Object}>}
+ */
+exports.getCustomer = async (clientId, customerId) => {
+  const customer = await findCustomer(clientId, customerId);
+  const balances = await customerBalances(clientId, [customer._id]);
+  
+  return withBalance(customer, balances);
+};
+
+/**
+ * Create a customer
+ * @param {Object} data - { clientId, userId, entityId, ...customer fields }
+ * @returns {Promise<Object>} - The customer
+ */
+exports.createCustomer = async (data, session) => {
+  const { clientId, userId, entityId } = data;
+  
+  await assertUniqueNumber(clientId, entityId, data.customerNumber, null, session);
+  await assertRevenueAccount(clientId, entityId, data.defaultRevenueAccount, session);
+  
+  const customer = new Customer({ clientId, entityId });
+  CUSTOMER_FIELDS.forEach(field => {
+    if (data[field] !== undefined) customer[field] = data[field];
+  });
+  
+  await customer.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CREATE_CUSTOMER',
+    entityType: 'Customer',
+    entityId: customer._id,
+    userId,
+    details: {
+      entityId,
+      name: customer.name,
+      customerNumber: customer.customerNumber
+    }
+  });
+  await auditLog.save({ session });
+  
+  return customer;
+};
+
+/**
+ * Edit a customer
+ * @param {Object} data - { clientId, userId, customerId, ...customer fields }
+ * @returns {Promise<Object>} - The customer
+ */
+exports.updateCustomer = async (data, session) => {
+  const { clientId, userId, customerId } = data;
+  
+  const customer = await findCustomer(clientId, customerId, session);
+  
+  await assertUniqueNumber(clientId, customer.entityId, data.customerNumber, customer._id, session);
+  await assertRevenueAccount(clientId, customer.entityId, data.defaultRevenueAccount, session);
+  
+  const changes = {};
+  CUSTOMER_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    customer[field] = data[field];
+    changes[field] = data[field];
+  });
+  
+  await customer.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'UPDATE_CUSTOMER',
+    entityType: 'Customer',
+    entityId: customer._id,
+    userId,
+    details: { name: customer.name, changes }
+  });
+  await auditLog.save({ session });
+  
+  return customer;
+};
+
+// Records that point at a customer and so keep it from being deleted
+const CUSTOMER_REFERENCES = [
+  { model: Invoice, label: 'invoice(s)' },
+  { model: Payment, label: 'payment(s)' },
+  { model: CreditMemo, label: 'credit memo(s)' },
+  { model: RecurringInvoice, label: 'recurring invoice(s)' }
+];
+
+/**
+ * Delete a customer that has no AR history
+ * Customers with invoices, payments, credit memos or recurring invoices are
+ * kept and marked inactive instead.
+ * @param {Object} data - { clientId, userId, customerId }
+ */
+exports.deleteCustomer = async (data, session) => {
+  const { clientId, userId, customerId } = data;
+  
+  const customer = await findCustomer(clientId, customerId, session);
+  
+  const references = [];
+  for (const { model, label } of CUSTOMER_REFERENCES) {
+    const count = await model.countDocuments({ clientId, customerId: customer._id }).session(session);
+    if (count > 0) references.push(`${count} ${label}`);
+  }
+  
+  if (references.length > 0) {
+    throw new ApiError(400, `${customer.name} has ${references.join(', ')}; mark the customer inactive instead`);
+  }
+  
+  await Customer.deleteOne({ _id: customer._id }).session(session);
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'DELETE_CUSTOMER',
+    entityType: 'Customer',
+    entityId: customer._id,
+    userId,
+    details: {
+      entityId: customer.entityId,
+      name: customer.name,
+      customerNumber: customer.customerNumber
+    }
+  });
+  await auditLog.save({ session });
+  
+  return customer;
+};
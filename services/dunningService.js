@@ -0,0 +1,244 @@
+// services/dunningService.js
+const Invoice = require('../models/invoice');
+const Entity = require('../models/entity');
+const Customer = require('../models/customer');
+const AuditLog = require('../models/auditLog');
+const logger = require('../utils/logger');
+const { sendNotificationEmail } = require('../utils/emailService');
+const { renderInvoicePdf } = require('./invoicePdfService');
+
+/**
+ * Overdue detection and payment reminders (dunning)
+ *
+ * Open invoices are marked overdue once their due date has passed with a
+ * balance still owing. Entities that switch dunning on then send reminders
+ * at each step of their cadence (days past due), escalating in tone. Every
+ * reminder is logged on the invoice and in the audit log; customers who opt
+ * out are never reminded.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses an invoice moves to overdue from
+const OVERDUE_FROM_STATUSES = ['pending', 'sent', 'partially_paid'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whole days between the due date and the as-of date
+const daysPastDue = (invoice, asOfDate) =>
+  Math.floor((startOfDay(asOfDate) - startOfDay(invoice.dueDate)) / DAY_MS);
+
+/**
+ * The reminder an invoice is due for, if any
+ * Jumps straight to the latest step reached, so an invoice that became
+ * overdue while dunning was off gets one reminder rather than a burst.
+ * @returns {number|null} Reminder level (1-based)
+ */
+const dueReminderLevel = (reminderDays, days, sentLevel) => {
+  let level = null;
+  reminderDays.forEach((threshold, index) => {
+    if (days >= threshold && index + 1 > sentLevel) level = index + 1;
+  });
+  return level;
+};
+
+exports.dueReminderLevel = dueReminderLevel;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (amount, currency) => `${Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})} ${currency || 'USD'}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Subject and wording by how far along the cadence the reminder is
+const reminderWording = (level, levels) => {
+  if (level === levels && levels > 1) {
+    return {
+      subject: 'Final notice',
+      lead: 'Despite our earlier reminders, this invoice remains unpaid. Please settle the balance immediately or contact us to avoid further action.'
+    };
+  }
+  if (level > 1) {
+    return {
+      subject: 'Second notice',
+      lead: 'We have not yet received payment for this invoice, which is now well past due. Please arrange payment at your earliest convenience.'
+    };
+  }
+  return {
+    subject: 'Payment reminder',
+    lead: 'This is a friendly reminder that the invoice below is past due. If you have already paid, please disregard this message.'
+  };
+};
+
+/**
+ * Mark open invoices overdue once their due date has passed
+ * @param {Date} asOfDate - Invoices due before this day are overdue
+ * @param {Object} filter - Optional { clientId, entityId }
+ * @returns {Promise<number>} Number of invoices marked overdue
+ */
+exports.markOverdueInvoices = async (asOfDate = new Date(), filter = {}) => {
+  const query = {
+    status: { $in: OVERDUE_FROM_STATUSES },
+    dueDate: { $lt: startOfDay(asOfDate) },
+    balanceDue: { $gt: 0 }
+  };
+  if (filter.clientId) query.clientId = filter.clientId;
+  if (filter.entityId) query.entityId = filter.entityId;
+  
+  const result = await Invoice.updateMany(query, { $set: { status: 'overdue' } });
+  return result.modifiedCount || 0;
+};
+
+// Email one reminder and log it on the invoice
+const sendReminder = async (invoice, entity, customer, level, days) => {
+  const to = [customer.billingEmail()].filter(Boolean);
+  if (to.length === 0) {
+    return { status: 'skipped', reason: 'Customer has no email address' };
+  }
+  
+  const { subject, lead } = reminderWording(level, entity.dunning.reminderDays.length);
+  const pdf = await renderInvoicePdf(invoice, entity, customer);
+  
+  const sent = await sendNotificationEmail({
+    from: process.env.EMAIL_USER,
+    to: to.join(', '),
+    replyTo: entity.email || undefined,
+    subject: `${subject}: invoice ${invoice.invoiceNumber} from ${entity.name}`,
+    html: `
+      <p>Dear ${escapeHtml(customer.name)},</p>
+      <p>${lead}</p>
+      <p>Invoice <strong>${escapeHtml(invoice.invoiceNumber)}</strong> was due on
+      ${formatDate(invoice.dueDate)} and is ${days} day(s) past due, with
+      <strong>${formatMoney(invoice.balanceDue, invoice.currency)}</strong> outstanding.
+      A copy of the invoice is attached.</p>
+      <p>${escapeHtml(entity.name)}</p>
+    `,
+    attachments: [{
+      filename: `${invoice.invoiceNumber}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+  
+  if (!sent) {
+    return { status: 'failed', error: 'Reminder email could not be sent' };
+  }
+  
+  const now = new Date();
+  invoice.deliveries.push({ type: 'reminder', sentAt: now, to, reminderLevel: level, daysPastDue: days });
+  invoice.dunningLevel = level;
+  invoice.lastReminderAt = now;
+  await invoice.save();
+  
+  const auditLog = new AuditLog({
+    clientId: invoice.clientId,
+    action: 'SEND_PAYMENT_REMINDER',
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    userId: invoice.createdBy,
+    details: {
+      invoiceNumber: invoice.invoiceNumber,
+      reminderLevel: level,
+      daysPastDue: days,
+      balanceDue: invoice.balanceDue,
+      to
+    }
+  });
+  await auditLog.save();
+  
+  return { status: 'sent', to };
+};
+
+/**
+ * Send the payment reminders due on overdue customer invoices
+ * @param {Date} asOfDate - Date past-due days are counted to
+ * @param {Object} filter - Optional { clientId, entityId }
+ * @returns {Promise<Array>} One result per invoice a reminder was due for
+ */
+exports.sendDueReminders = async (asOfDate = new Date(), filter = {}) => {
+  const entityQuery = { 'dunning.enabled': true };
+  if (filter.clientId) entityQuery.clientId = filter.clientId;
+  if (filter.entityId) entityQuery._id = filter.entityId;
+  
+  const entities = await Entity.find(entityQuery);
+  const results = [];
+  
+  for (const entity of entities) {
+    const reminderDays = entity.dunning.reminderDays || [];
+    if (reminderDays.length === 0) continue;
+    
+    const invoices = await Invoice.find({
+      clientId: entity.clientId,
+      entityId: entity._id,
+      invoiceType: 'ar',
+      status: 'overdue',
+      balanceDue: { $gt: 0 },
+      // Invoices from before dunning was added have no level yet
+      dunningLevel: { $not: { $gte: reminderDays.length } },
+      dueDate: { $lt: new Date(startOfDay(asOfDate) - (Math.min(...reminderDays) - 1) * DAY_MS) }
+    });
+    
+    const customers = new Map();
+    
+    for (const invoice of invoices) {
+      const days = daysPastDue(invoice, asOfDate);
+      const level = dueReminderLevel(reminderDays, days, invoice.dunningLevel || 0);
+      if (!level) continue;
+      
+      const base = { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, reminderLevel: level, daysPastDue: days };
+      
+      try {
+        const customerKey = String(invoice.customerId);
+        if (!customers.has(customerKey)) {
+          customers.set(customerKey, invoice.customerId
+            ? await Customer.findOne({ _id: invoice.customerId, clientId: entity.clientId })
+            : null);
+        }
+        const customer = customers.get(customerKey);
+        
+        if (!customer) {
+          results.push({ ...base, status: 'skipped', reason: 'Invoice has no customer' });
+          continue;
+        }
+        if (customer.dunningOptOut) {
+          results.push({ ...base, status: 'skipped', reason: 'Customer has opted out of reminders' });
+          continue;
+        }
+        
+        results.push({ ...base, ...await sendReminder(invoice, entity, customer, level, days) });
+      } catch (error) {
+        logger.error(`Payment reminder for invoice ${invoice._id} failed: ${error.message}`);
+        results.push({ ...base, status: 'failed', error: error.message });
+      }
+    }
+  }
+  
+  return results;
+};
+
+/**
+ * Mark overdue invoices, then send the reminders now due
+ * @returns {Promise<{markedOverdue: number, reminders: Array}>}
+ */
+exports.runDunning = async (asOfDate = new Date(), filter = {}) => {
+  const markedOverdue = await exports.markOverdueInvoices(asOfDate, filter);
+  const reminders = await exports.sendDueReminders(asOfDate, filter);
+  
+  return { markedOverdue, reminders };
+};
@@ -0,0 +1,74 @@
+// services/fileStorageService.js
+const AWS = require('aws-sdk');
+const File = require('../models/file');
+
+/**
+ * Storage of client documents in S3
+ *
+ * Uploads and server-generated documents (e.g. report PDFs) go through here so
+ * they all appear in the client's document list.
+ */
+
+// Configure AWS S3
+const s3 = new AWS.S3({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION,
+});
+
+/**
+ * Upload a document to S3 and record it for the user
+ * @param {Object} data - { userId, fileName, buffer, contentType }
+ * @returns {Promise<Object>} - The saved File
+ */
+exports.storeFile = async (data) => {
+  const { userId, fileName, buffer, contentType } = data;
+  
+  // Generate a unique filename to prevent collisions
+  const uniqueFilename = `${Date.now()}-${fileName.replace(/\s+/g, '-')}`;
+  const params = {
+    Bucket: process.env.S3_BUCKET,
+    Key: `${userId}/${uniqueFilename}`,
+    Body: buffer,
+    ContentType: contentType,
+    ContentDisposition: 'inline',
+  };
+  
+  const uploadResult = await s3.upload(params).promise();
+  
+  const file = new File({ 
+    userId, 
+    fileName,
+    fileType: contentType,
+    fileSize: buffer.length,
+    s3Key: uploadResult.Key,
+    s3Url: uploadResult.Location
+  });
+  
+  await file.save();
+  
+  return file;
+};
+
+/**
+ * Remove a stored document from S3 and the database
+ * @param {Object} file - The File to delete
+ */
+exports.deleteFile = async (file) => {
+  await s3.deleteObject({
+    Bucket: process.env.S3_BUCKET,
+    Key: file.s3Key
+  }).promise();
+  
+  await File.deleteOne({ _id: file._id });
+};
+
+// Shape returned to clients for a stored file
+exports.formatFile = (file) => ({
+  id: file._id,
+  fileName: file.fileName,
+  fileType: file.fileType,
+  fileSize: file.fileSize,
+  uploadDate: file.createdAt,
+  url: file.s3Url
+});
@@ -0,0 +1,341 @@
+// services/fixedAssetReportService.js
+const FixedAsset = require('../models/fixedAsset');
+const Account = require('../models/account');
+const { ApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const { ledgerTotals } = require('./reportService');
+
+/**
+ * Fixed asset register reports
+ *
+ * Built from the asset register rather than the ledger: book (GAAP) values come
+ * from each asset's depreciation schedule and disposals, tax values from its
+ * tax books.
+ */
+
+const ROLL_FORWARD_FIELDS = [
+  'beginningCost',
+  'additions',
+  'transfersInCost',
+  'transfersOutCost',
+  'disposalsCost',
+  'endingCost',
+  'beginningAccumulatedDepreciation',
+  'depreciationExpense',
+  'impairments',
+  'transfersInAccumulatedDepreciation',
+  'transfersOutAccumulatedDepreciation',
+  'disposalsAccumulatedDepreciation',
+  'endingAccumulatedDepreciation',
+  'beginningNetBookValue',
+  'endingNetBookValue'
+];
+
+const emptyRollForward = () => ROLL_FORWARD_FIELDS.reduce((totals, field) => {
+  totals[field] = 0;
+  return totals;
+}, {});
+
+const addRollForward = (totals, row) => {
+  ROLL_FORWARD_FIELDS.forEach(field => {
+    totals[field] = roundCents(totals[field] + row[field]);
+  });
+};
+
+const NO_VALUES = { cost: 0, accumulatedDepreciation: 0, bookValue: 0 };
+
+// Whether the asset belonged to entityId at date
+const heldBy = (asset, entityId, date) => String(asset.assignmentAt(date).entityId) === String(entityId);
+
+/**
+ * Register and GL balances of every asset and accumulated depreciation account
+ * the entity's assets used at one date
+ */
+const reconcileToLedger = async (clientId, entityId, assets, date) => {
+  const register = new Map();
+  const unassigned = { cost: 0, accumulatedDepreciation: 0 };
+  
+  const addTo = (accountId, role, amount) => {
+    if (!accountId) {
+      unassigned[role] = roundCents(unassigned[role] + amount);
+      return;
+    }
+    const key = `${accountId}:${role}`;
+    const line = register.get(key) || { accountId, role, register: 0 };
+    line.register = roundCents(line.register + amount);
+    register.set(key, line);
+  };
+  
+  assets.forEach(asset => {
+    if (!heldBy(asset, entityId, date)) return;
+    
+    const assignment = asset.assignmentAt(date);
+    
+    const values = asset.bookValuesAt(date);
+    addTo(assignment.accountId, 'cost', values.cost);
+    addTo(assignment.accumulatedDepreciationAccountId, 'accumulatedDepreciation', values.accumulatedDepreciation);
+  });
+  
+  const lines = [...register.values()];
+  const accountIds = [...new Set(lines.map(line => String(line.accountId)))];
+  const accounts = await Account.find({ _id: { $in: accountIds }, clientId, entityId });
+  const rows = await ledgerTotals({
+    clientId,
+    entityId,
+    accountIds: accounts.map(a => a._id),
+    endDate: date
+  });
+  const accountsById = new Map(accounts.map(a => [a._id.toString(), a]));
+  const rowsById = new Map(rows.map(row => [row.accountId.toString(), row]));
+  
+  return {
+    accounts: lines.map(line => {
+      const account = accountsById.get(String(line.accountId));
+      const row = rowsById.get(String(line.accountId)) || { debits: 0, credits: 0 };
+      // Cost accounts carry debit balances, accumulated depreciation credit balances
+      const ledger = roundCents(line.role === 'cost' ? row.debits - row.credits : row.credits - row.debits);
+      
+      return {
+        accountId: line.accountId,
+        accountNumber: account && account.accountNumber,
+        accountName: account && account.accountName,
+        role: line.role,
+        register: line.register,
+        ledger,
+        difference: roundCents(line.register - ledger)
+      };
+    }),
+    unassigned
+  };
+};
+
+/**
+ * Book-tax difference per asset at the end of a tax year, for deferred tax workpapers
+ * A positive difference (book value above tax basis) is a taxable temporary
+ * difference; with a taxRate (percent) each row also carries the deferred tax on it.
+ * @param {Object} params - { entityId, taxYear, taxBook, taxRate }
+ */
+exports.buildBookTaxDifference = async (clientId, params) => {
+  const { entityId, taxBook = 'federal' } = params;
+  const taxYear = params.taxYear ? parseInt(params.taxYear, 10) : new Date().getFullYear();
+  const taxRate = params.taxRate !== undefined ? parseFloat(params.taxRate) : null;
+  
+  if (Number.isNaN(taxYear)) {
+    throw new ApiError(400, 'Invalid tax year');
+  }
+  
+  const yearStart = new Date(taxYear, 0, 1);
+  const yearEnd = new Date(taxYear, 11, 31, 23, 59, 59, 999);
+  
+  // Assets held at some point during the tax year
+  const assets = await FixedAsset.find({
+    clientId,
+    entityId,
+    acquisitionDate: { $lte: yearEnd },
+    $or: [
+      { disposed: false },
+      { disposalDate: { $gte: yearStart } }
+    ]
+  }).sort({ assetNumber: 1, name: 1 });
+  
+  const rows = [];
+  const withoutTaxBook = [];
+  
+  assets.forEach(asset => {
+    const book = asset.taxBooks.find(b => b.name === taxBook);
+    if (!book) {
+      withoutTaxBook.push({ assetId: asset._id, assetName: asset.name, assetNumber: asset.assetNumber });
+      return;
+    }
+    
+    const bookValues = asset.bookValuesAt(yearEnd);
+    const bookDepreciation = roundCents(asset.depreciationSchedule
+      .filter(row => row.period >= yearStart && row.period <= yearEnd)
+      .reduce((sum, row) => sum + row.amount, 0));
+    
+    // Tax values at the end of the year: the year's row, or the last one before it
+    const taxRows = book.schedule.filter(row => row.year <= taxYear);
+    const taxRow = taxRows[taxRows.length - 1];
+    const currentTaxRow = book.schedule.find(row => row.year === taxYear);
+    const taxDepreciation = currentTaxRow ? currentTaxRow.total : 0;
+    const taxAccumulated = taxRow ? taxRow.accumulatedDepreciation : 0;
+    
+    // Tax basis left, or nothing once the asset is gone
+    let taxBasis = taxRow ? taxRow.remainingBasis : book.basis;
+    if (asset.disposed && asset.disposalDate <= yearEnd) taxBasis = 0;
+    
+    const difference = roundCents(bookValues.bookValue - taxBasis);
+    
+    rows.push({
+      assetId: asset._id,
+      assetNumber: asset.assetNumber,
+      assetName: asset.name,
+      assetCategory: asset.assetCategory,
+      book: {
+        depreciationMethod: asset.depreciationMethod,
+        cost: bookValues.cost,
+        depreciation: bookDepreciation,
+        accumulatedDepreciation: bookValues.accumulatedDepreciation,
+        bookValue: bookValues.bookValue
+      },
+      tax: {
+        method: book.method,
+        recoveryPeriod: book.recoveryPeriod,
+        convention: book.convention,
+        basis: book.basis,
+        depreciation: taxDepreciation,
+        accumulatedDepreciation: taxAccumulated,
+        remainingBasis: taxBasis
+      },
+      depreciationDifference: roundCents(taxDepreciation - bookDepreciation),
+      difference,
+      deferredTax: taxRate !== null ? roundCents(difference * taxRate / 100) : null
+    });
+  });
+  
+  const sum = (valueOf) => roundCents(rows.reduce((total, row) => total + valueOf(row), 0));
+  
+  return {
+    taxYear,
+    taxBook,
+    taxRate,
+    assets: rows,
+    totals: {
+      bookDepreciation: sum(row => row.book.depreciation),
+      taxDepreciation: sum(row => row.tax.depreciation),
+      bookValue: sum(row => row.book.bookValue),
+      taxBasis: sum(row => row.tax.remainingBasis),
+      difference: sum(row => row.difference),
+      deferredTax: taxRate !== null ? sum(row => row.deferredTax) : null
+    },
+    withoutTaxBook
+  };
+};
+
+/**
+ * Fixed asset roll-forward for a period, grouped by asset category
+ * Each asset's cost and accumulated depreciation are rolled from the start of
+ * the period to its end through additions, depreciation, impairments,
+ * transfers between entities and disposals, and the register totals are
+ * reconciled to the GL balances of the asset and accumulated depreciation
+ * accounts at both dates.
+ * @param {Object} params - { entityId, startDate, endDate }
+ */
+exports.buildRollForward = async (clientId, params) => {
+  const { entityId, startDate, endDate } = params;
+  
+  // Validate date parameters
+  const parsedStartDate = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
+  const parsedEndDate = endDate ? new Date(endDate) : new Date();
+  
+  if (Number.isNaN(parsedStartDate.getTime()) || Number.isNaN(parsedEndDate.getTime())) {
+    throw new ApiError(400, 'Invalid date format');
+  }
+  
+  if (parsedStartDate > parsedEndDate) {
+    throw new ApiError(400, 'Start date must be before end date');
+  }
+  
+  // Balances at the start of the period are those at the instant before it
+  const openingDate = new Date(parsedStartDate.getTime() - 1);
+  
+  // Assets the entity holds or transferred out, acquired by the end of the
+  // period and not disposed of before it
+  const candidates = await FixedAsset.find({
+    clientId,
+    acquisitionDate: { $lte: parsedEndDate },
+    $and: [
+      { $or: [{ entityId }, { 'history.fromEntityId': entityId }] },
+      { $or: [{ disposed: false }, { disposalDate: { $gte: parsedStartDate } }] }
+    ]
+  }).sort({ assetCategory: 1, assetNumber: 1, name: 1 });
+  
+  const inPeriod = (date) => date >= parsedStartDate && date <= parsedEndDate;
+  const categories = new Map();
+  const totals = emptyRollForward();
+  
+  candidates.forEach(asset => {
+    // Activity dated on a transfer (the catch-up depreciation) belongs to the
+    // entity the asset is leaving, so it is attributed as of just before
+    const heldBefore = (date) => heldBy(asset, entityId, new Date(date.getTime() - 1));
+    const transfers = asset.history.filter(event => (
+      event.type === 'transfer' &&
+      inPeriod(event.date) &&
+      String(event.fromEntityId) !== String(event.toEntityId)
+    ));
+    const transfersIn = transfers.filter(event => String(event.toEntityId) === String(entityId));
+    const transfersOut = transfers.filter(event => String(event.fromEntityId) === String(entityId));
+    const heldAtStart = heldBy(asset, entityId, openingDate);
+    const heldAtEnd = heldBy(asset, entityId, parsedEndDate);
+    
+    const opening = heldAtStart ? asset.bookValuesAt(openingDate) : NO_VALUES;
+    const closing = heldAtEnd ? asset.bookValuesAt(parsedEndDate) : NO_VALUES;
+    const disposals = asset.disposals.filter(disposal => inPeriod(disposal.date) && heldBy(asset, entityId, disposal.date));
+    const impairments = asset.history.filter(event => (
+      event.type === 'impairment' && inPeriod(event.date) && heldBy(asset, entityId, event.date)
+    ));
+    const acquired = inPeriod(asset.acquisitionDate) && heldBy(asset, entityId, asset.acquisitionDate);
+    if (!heldAtStart && !heldAtEnd && transfers.length === 0 && !acquired) return;
+    
+    // Cost when acquired, before any partial disposal took its share off
+    const originalCost = asset.disposals
+      .filter(disposal => disposal.portion < 1)
+      .reduce((sum, disposal) => sum + disposal.cost, asset.acquisitionCost);
+    const sumOf = (events, field) => roundCents(events.reduce((sum, event) => sum + event[field], 0));
+    
+    const row = {
+      assetId: asset._id,
+      assetNumber: asset.assetNumber,
+      assetName: asset.name,
+      acquisitionDate: asset.acquisitionDate,
+      disposalDate: asset.disposalDate,
+      beginningCost: opening.cost,
+      additions: acquired ? roundCents(originalCost) : 0,
+      transfersInCost: sumOf(transfersIn, 'cost'),
+      transfersOutCost: sumOf(transfersOut, 'cost'),
+      disposalsCost: sumOf(disposals, 'cost'),
+      endingCost: closing.cost,
+      beginningAccumulatedDepreciation: opening.accumulatedDepreciation,
+      depreciationExpense: sumOf(asset.depreciationSchedule.filter(entry => (
+        inPeriod(entry.period) && heldBefore(entry.period)
+      )), 'amount'),
+      impairments: sumOf(impairments, 'amount'),
+      transfersInAccumulatedDepreciation: sumOf(transfersIn, 'accumulatedDepreciation'),
+      transfersOutAccumulatedDepreciation: sumOf(transfersOut, 'accumulatedDepreciation'),
+      disposalsAccumulatedDepreciation: sumOf(disposals, 'accumulatedDepreciation'),
+      endingAccumulatedDepreciation: closing.accumulatedDepreciation,
+      beginningNetBookValue: opening.bookValue,
+      endingNetBookValue: closing.bookValue
+    };
+    
+    if (!categories.has(asset.assetCategory)) {
+      categories.set(asset.assetCategory, {
+        assetCategory: asset.assetCategory,
+        assets: [],
+        totals: emptyRollForward()
+      });
+    }
+    
+    const category = categories.get(asset.assetCategory);
+    category.assets.push(row);
+    addRollForward(category.totals, row);
+    addRollForward(totals, row);
+  });
+  
+  const openingBalances = await reconcileToLedger(clientId, entityId, candidates, openingDate);
+  const closingBalances = await reconcileToLedger(clientId, entityId, candidates, parsedEndDate);
+  
+  return {
+    period: {
+      startDate: parsedStartDate,
+      endDate: parsedEndDate
+    },
+    categories: [...categories.values()],
+    totals,
+    reconciliation: {
+      opening: openingBalances,
+      closing: closingBalances,
+      reconciled: [...openingBalances.accounts, ...closingBalances.accounts].every(line => line.difference === 0)
+    }
+  };
+};
@@ -0,0 +1,172 @@
+// services/invoiceDeliveryService.js
+const Invoice = require('../models/invoice');
+const Entity = require('../models/entity');
+const Customer = require('../models/customer');
+const AuditLog = require('../models/auditLog');
+const { ApiError } = require('../utils/apiError');
+const { sendNotificationEmail } = require('../utils/emailService');
+const { runInTransaction } = require('./journalEntryService');
+const { issueInvoice } = require('./invoiceService');
+const { renderInvoicePdf } = require('./invoicePdfService');
+const { storeFile } = require('./fileStorageService');
+
+/**
+ * Delivery of customer invoices
+ *
+ * Sending renders the invoice PDF, keeps a copy in the client's documents and
+ * emails it to the customer. A draft is issued (and posted to the GL) first,
+ * so an invoice never reaches a customer without being in the ledger.
+ */
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (amount, currency) => `${Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})} ${currency || 'USD'}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Invoice, entity and customer needed to render and address an invoice
+const loadInvoiceParties = async (clientId, invoiceId) => {
+  const invoice = await Invoice.findOne({ _id: invoiceId, clientId });
+  if (!invoice) {
+    throw new ApiError(404, 'Invoice not found or you do not have permission');
+  }
+  
+  if (invoice.invoiceType !== 'ar') {
+    throw new ApiError(400, 'Only customer invoices can be rendered and sent');
+  }
+  
+  const entity = await Entity.findOne({ _id: invoice.entityId, clientId });
+  const customer = invoice.customerId
+    ? await Customer.findOne({ _id: invoice.customerId, clientId })
+    : null;
+  
+  if (!customer) {
+    throw new ApiError(400, 'The invoice has no customer to bill');
+  }
+  
+  return { invoice, entity, customer };
+};
+
+exports.loadInvoiceParties = loadInvoiceParties;
+
+/**
+ * Render an invoice to PDF without sending it
+ * @returns {Promise<{pdf: Buffer, fileName: string, invoice: Object}>}
+ */
+exports.renderInvoice = async (clientId, invoiceId) => {
+  const { invoice, entity, customer } = await loadInvoiceParties(clientId, invoiceId);
+  const pdf = await renderInvoicePdf(invoice, entity, customer);
+  
+  return { pdf, fileName: `${invoice.invoiceNumber}.pdf`, invoice };
+};
+
+/**
+ * Email an invoice to its customer
+ * Issues a draft first, then attaches the PDF, stores it on the invoice and
+ * moves a pending invoice to sent. Resending an invoice that is already out
+ * keeps its status (e.g. partially_paid or overdue).
+ * @param {Object} data - { clientId, userId, isAdmin, invoiceId, to, cc, message }
+ * @returns {Promise<{invoice: Object, journalEntry: Object|null, file: Object}>}
+ */
+exports.sendInvoice = async (data) => {
+  const { clientId, userId, isAdmin, invoiceId, message } = data;
+  
+  const parties = await loadInvoiceParties(clientId, invoiceId);
+  const { entity, customer } = parties;
+  let { invoice } = parties;
+  
+  if (['void', 'cancelled', 'paid'].includes(invoice.status)) {
+    throw new ApiError(400, `${invoice.invoiceNumber} is ${invoice.status} and cannot be sent`);
+  }
+  
+  const to = data.to && data.to.length > 0 ? data.to : [customer.billingEmail()].filter(Boolean);
+  const cc = data.cc || [];
+  if (to.length === 0) {
+    throw new ApiError(400, `${customer.name} has no email address; give one to send the invoice to`);
+  }
+  
+  // A draft is issued before anything leaves the building
+  let journalEntry = null;
+  if (invoice.status === 'draft') {
+    ({ invoice, journalEntry } = await runInTransaction(session =>
+      issueInvoice({ clientId, userId, isAdmin, invoiceId: invoice._id }, session)
+    ));
+  }
+  
+  const pdf = await renderInvoicePdf(invoice, entity, customer);
+  const fileName = `${invoice.invoiceNumber}.pdf`;
+  const file = await storeFile({
+    userId: clientId,
+    fileName,
+    buffer: pdf,
+    contentType: 'application/pdf'
+  });
+  
+  invoice.documents.push({ fileId: file._id, fileName });
+  
+  const sent = await sendNotificationEmail({
+    from: process.env.EMAIL_USER,
+    to: to.join(', '),
+    cc: cc.length > 0 ? cc.join(', ') : undefined,
+    replyTo: entity.email || undefined,
+    subject: `Invoice ${invoice.invoiceNumber} from ${entity.name}`,
+    html: `
+      <p>Dear ${escapeHtml(customer.name)},</p>
+      ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+      <p>Please find attached invoice <strong>${escapeHtml(invoice.invoiceNumber)}</strong>
+      for <strong>${formatMoney(invoice.balanceDue, invoice.currency)}</strong>,
+      due by ${formatDate(invoice.dueDate)}.</p>
+      <p>Thank you for your business.</p>
+      <p>${escapeHtml(entity.name)}</p>
+    `,
+    attachments: [{
+      filename: fileName,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+  
+  if (!sent) {
+    // Keep the stored PDF on the invoice even though the email did not go out
+    await invoice.save();
+    throw new ApiError(502, `Invoice ${invoice.invoiceNumber} could not be emailed; please try again`);
+  }
+  
+  const now = new Date();
+  invoice.deliveries.push({ type: 'invoice', sentAt: now, to, cc, fileId: file._id, sentBy: userId });
+  invoice.lastSentAt = now;
+  if (invoice.status === 'pending') {
+    invoice.status = 'sent';
+  }
+  await invoice.save();
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'SEND_INVOICE',
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    userId,
+    details: {
+      invoiceNumber: invoice.invoiceNumber,
+      to,
+      cc,
+      fileId: file._id,
+      journalEntryId: journalEntry ? journalEntry._id : undefined
+    }
+  });
+  await auditLog.save();
+  
+  return { invoice, journalEntry, file };
+};
@@ -0,0 +1,248 @@
+// services/invoicePdfService.js
+const PDFDocument = require('pdfkit');
+
+/**
+ * PDF rendering of customer invoices
+ *
+ * Lays out the entity letterhead, bill-to block, line items with their tax,
+ * totals, payment terms and remittance details. Drafts and voided invoices
+ * are stamped so they cannot be mistaken for a live invoice.
+ */
+
+const MARGIN = 50;
+const GREY = '#555555';
+
+// Line item columns: x offset from the left margin and width
+const COLUMNS = {
+  description: { x: 0, width: 200, title: 'Description', align: 'left' },
+  quantity: { x: 200, width: 50, title: 'Qty', align: 'right' },
+  unitPrice: { x: 250, width: 70, title: 'Unit Price', align: 'right' },
+  taxRate: { x: 320, width: 45, title: 'Tax %', align: 'right' },
+  taxAmount: { x: 365, width: 60, title: 'Tax', align: 'right' },
+  amount: { x: 425, width: 87, title: 'Amount', align: 'right' }
+};
+
+const formatAmount = (amount, currency) => {
+  const formatted = Math.abs(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  const signed = amount < 0 ? `(${formatted})` : formatted;
+  return currency ? `${signed} ${currency}` : signed;
+};
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Street, city/state/zip and country as separate printable lines
+const addressLines = (address) => {
+  if (!address) return [];
+  
+  const cityLine = [address.city, [address.state, address.zip].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  
+  return [address.street, cityLine, address.country].filter(Boolean);
+};
+
+const drawLetterhead = (doc, invoice, entity) => {
+  const top = doc.y;
+  const right = doc.page.width - MARGIN;
+  
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(entity.name, MARGIN, top, { width: 280 });
+  doc.font('Helvetica').fontSize(9).fillColor(GREY);
+  [...addressLines(entity.address), entity.phone, entity.email, entity.website]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: 280 }));
+  const leftBottom = doc.y;
+  
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#000000').text('INVOICE', MARGIN + 280, top, {
+    width: right - MARGIN - 280,
+    align: 'right'
+  });
+  doc.font('Helvetica').fontSize(9);
+  [
+    ['Invoice #', invoice.invoiceNumber],
+    ['Issue date', formatDate(invoice.issueDate)],
+    ['Due date', formatDate(invoice.dueDate)],
+    ['Terms', invoice.paymentTerms],
+    ['Reference', invoice.reference]
+  ].forEach(([label, value]) => {
+    if (!value) return;
+    doc.text(`${label}: ${value}`, MARGIN + 280, doc.y, { width: right - MARGIN - 280, align: 'right' });
+  });
+  
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+const drawBillTo = (doc, customer) => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text('Bill To', MARGIN);
+  doc.font('Helvetica').fontSize(10);
+  [customer.name, ...addressLines(customer.billingAddress), customer.billingEmail()]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  doc.moveDown(1.5);
+};
+
+const drawItems = (doc, invoice) => {
+  const right = doc.page.width - MARGIN;
+  
+  const drawRow = (cells, options = {}) => {
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000');
+    
+    const rowHeight = Math.max(
+      doc.heightOfString(cells.description || '', { width: COLUMNS.description.width - 10 }),
+      12
+    ) + 6;
+    if (doc.y + rowHeight > doc.page.height - MARGIN - 20) {
+      doc.addPage();
+      header();
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    }
+    
+    const y = doc.y;
+    Object.entries(COLUMNS).forEach(([key, column]) => {
+      const width = key === 'description' ? column.width - 10 : column.width;
+      doc.text(cells[key] || '', MARGIN + column.x, y, { width, align: column.align });
+    });
+    
+    doc.x = MARGIN;
+    doc.y = y + rowHeight;
+  };
+  
+  // Column titles, repeated at the top of every page
+  const header = () => {
+    const titles = {};
+    Object.entries(COLUMNS).forEach(([key, column]) => { titles[key] = column.title; });
+    drawRow(titles, { bold: true });
+    doc.moveTo(MARGIN, doc.y - 3).lineTo(right, doc.y - 3).lineWidth(0.5).stroke();
+  };
+  
+  header();
+  invoice.items.forEach(item => {
+    drawRow({
+      description: item.description,
+      quantity: formatNumber(item.quantity),
+      unitPrice: formatAmount(item.unitPrice),
+      taxRate: item.taxRate ? `${formatNumber(item.taxRate)}%` : '',
+      taxAmount: item.taxAmount ? formatAmount(item.taxAmount) : '',
+      amount: formatAmount(item.amount)
+    });
+  });
+  
+  doc.moveTo(MARGIN, doc.y).lineTo(right, doc.y).lineWidth(0.5).stroke();
+  doc.moveDown(0.5);
+};
+
+const drawTotals = (doc, invoice) => {
+  const right = doc.page.width - MARGIN;
+  const labelX = right - 250;
+  
+  const row = (label, amount, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.bold ? 11 : 10);
+    doc.text(label, labelX, y, { width: 150 });
+    doc.text(formatAmount(amount, options.currency), labelX + 100, y, { width: 150, align: 'right' });
+    doc.x = MARGIN;
+    doc.moveDown(0.2);
+  };
+  
+  row('Subtotal', invoice.subtotal);
+  row('Tax', invoice.taxTotal);
+  row('Total', invoice.total, { bold: true });
+  if (invoice.amountPaid > 0) {
+    row('Paid to date', -invoice.amountPaid);
+  }
+  if (invoice.creditedAmount > 0) {
+    row('Credited', -invoice.creditedAmount);
+  }
+  row('Balance due', invoice.balanceDue, { bold: true, currency: invoice.currency });
+  doc.moveDown(1.5);
+};
+
+const drawTermsAndRemittance = (doc, invoice, entity) => {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text('Payment Terms', MARGIN);
+  doc.font('Helvetica').fontSize(9).text(
+    `${invoice.paymentTerms || 'Due on receipt'}. Payment of ${formatAmount(invoice.balanceDue, invoice.currency)} is due by ${formatDate(invoice.dueDate)}.`
+  );
+  doc.moveDown();
+  
+  doc.font('Helvetica-Bold').fontSize(10).text('Remittance');
+  doc.font('Helvetica').fontSize(9);
+  if (entity.remittanceInstructions) {
+    doc.text(entity.remittanceInstructions);
+  } else {
+    [`Please make payment to ${entity.name}`, ...addressLines(entity.address)].forEach(line => doc.text(line));
+  }
+  doc.text(`Please quote invoice number ${invoice.invoiceNumber} with your payment.`);
+  
+  if (invoice.notes) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text('Notes');
+    doc.font('Helvetica').fontSize(9).text(invoice.notes);
+  }
+};
+
+// Diagonal stamp across a page
+const stamp = (doc, text) => {
+  doc.save();
+  doc.rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] });
+  doc.font('Helvetica-Bold').fontSize(96).fillColor('#cc0000').fillOpacity(0.15).text(
+    text,
+    0,
+    doc.page.height / 2 - 50,
+    { width: doc.page.width, align: 'center' }
+  );
+  doc.restore();
+};
+
+/**
+ * Render a customer invoice to PDF
+ * @param {Object} invoice - The AR invoice
+ * @param {Object} entity - Entity issuing the invoice
+ * @param {Object} customer - Customer billed
+ * @returns {Promise<Buffer>}
+ */
+exports.renderInvoicePdf = (invoice, entity, customer) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN, bufferPages: true });
+    const chunks = [];
+    
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    drawLetterhead(doc, invoice, entity);
+    drawBillTo(doc, customer);
+    drawItems(doc, invoice);
+    drawTotals(doc, invoice);
+    drawTermsAndRemittance(doc, invoice, entity);
+    
+    // Stamps and page numbers go on once the page count is known
+    const stampText = { draft: 'DRAFT', void: 'VOID' }[invoice.status];
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      if (stampText) stamp(doc, stampText);
+      
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor(GREY).text(
+        `${invoice.invoiceNumber} - Page ${i + 1} of ${count}`,
+        MARGIN,
+        doc.page.height - MARGIN + 15,
+        { width: doc.page.width - MARGIN * 2, align: 'center' }
+      );
+      doc.page.margins.bottom = bottomMargin;
+    }
+    
+    doc.end();
+  });
+};
@@ -0,0 +1,578 @@
+// services/invoiceService.js
+const Invoice = require('../models/invoice');
+const Account = require('../models/account');
+const Entity = require('../models/entity');
+const Vendor = require('../models/vendor');
+const Customer = require('../models/customer');
+const AuditLog = require('../models/auditLog');
+const { ApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const {
+  postJournalEntry,
+  reverseJournalEntry,
+  INVOICE_JOURNAL_TYPE
+} = require('./journalEntryService');
+
+/**
+ * Business logic for customer invoices (AR) and vendor bills (AP)
+ *
+ * Invoices start as drafts that can be edited or deleted freely. Issuing one
+ * posts its journal entry to the receivable or payable control account and
+ * locks it; from then on it can only be voided, which reverses that entry.
+ */
+
+const NUMBER_PREFIXES = {
+  ar: 'INV',
+  ap: 'BILL'
+};
+
+const SUBLEDGER_TYPES = {
+  ar: 'AR',
+  ap: 'AP'
+};
+
+// Control account type expected for each invoice type
+const CONTROL_ACCOUNT_TYPES = {
+  ar: 'Asset',
+  ap: 'Liability'
+};
+
+// Issued invoices with a balance still to be settled
+const OPEN_INVOICE_STATUSES = ['pending', 'sent', 'partially_paid', 'overdue'];
+
+exports.OPEN_INVOICE_STATUSES = OPEN_INVOICE_STATUSES;
+
+// Statuses of an issued invoice that can still be voided
+const VOIDABLE_STATUSES = ['pending', 'sent', 'overdue'];
+
+// Fields a draft can be edited through
+const EDITABLE_FIELDS = [
+  'reference',
+  'issueDate',
+  'dueDate',
+  'customerId',
+  'vendorId',
+  'items',
+  'currency',
+  'paymentTerms',
+  'notes',
+  'memo',
+  'controlAccountId',
+  'taxAccountId',
+  'tags'
+];
+
+const describe = (invoice) => (invoice.invoiceType === 'ar' ? 'Invoice' : 'Bill');
+
+/**
+ * Next invoice number for an entity
+ * The entity's sequence is incremented atomically within the session, so
+ * numbers are never reused even when a draft is later deleted.
+ */
+const nextInvoiceNumber = async (clientId, entityId, invoiceType, session) => {
+  const entity = await Entity.findOneAndUpdate(
+    { _id: entityId, clientId },
+    { $inc: { [`invoiceSequences.${invoiceType}`]: 1 } },
+    { new: true, session }
+  );
+  
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  const sequence = entity.invoiceSequences[invoiceType];
+  return `${NUMBER_PREFIXES[invoiceType]}-${String(sequence).padStart(5, '0')}`;
+};
+
+exports.nextInvoiceNumber = nextInvoiceNumber;
+
+// Vendor of a bill must belong to the same entity
+const assertVendor = async (clientId, entityId, vendorId, session) => {
+  const vendor = await Vendor.findOne({ _id: vendorId, clientId, entityId }).session(session);
+  
+  if (!vendor) {
+    throw new ApiError(400, 'Vendor not found for this entity');
+  }
+  
+  return vendor;
+};
+
+exports.assertVendor = assertVendor;
+
+// Customer of an invoice must belong to the same entity
+const assertCustomer = async (clientId, entityId, customerId, session) => {
+  const customer = await Customer.findOne({ _id: customerId, clientId, entityId }).session(session);
+  
+  if (!customer) {
+    throw new ApiError(400, 'Customer not found for this entity');
+  }
+  
+  return customer;
+};
+
+exports.assertCustomer = assertCustomer;
+
+const findInvoice = async (clientId, invoiceId, session = null) => {
+  const invoice = await Invoice.findOne({ _id: invoiceId, clientId }).session(session);
+  
+  if (!invoice) {
+    throw new ApiError(404, 'Invoice not found or you do not have permission');
+  }
+  
+  return invoice;
+};
+
+/**
+ * List invoices with filtering and pagination
+ * @param {string} clientId
+ * @param {Object} filters - { entityId, invoiceType, status, customerId, vendorId, recurringInvoiceId, startDate, endDate, limit, page }
+ * @returns {Promise<{invoices: Array, total: number}>}
+ */
+exports.listInvoices = async (clientId, filters = {}) => {
+  const { entityId, invoiceType, status, customerId, vendorId, recurringInvoiceId, startDate, endDate } = filters;
+  const limit = parseInt(filters.limit || 50);
+  const page = parseInt(filters.page || 1);
+  
+  const query = { clientId };
+  if (entityId) query.entityId = entityId;
+  if (invoiceType) query.invoiceType = invoiceType;
+  if (status) query.status = status;
+  if (customerId) query.customerId = customerId;
+  if (vendorId) query.vendorId = vendorId;
+  if (recurringInvoiceId) query.recurringInvoiceId = recurringInvoiceId;
+  
+  if (startDate || endDate) {
+    query.issueDate = {};
+    if (startDate) query.issueDate.$gte = new Date(startDate);
+    if (endDate) query.issueDate.$lte = new Date(endDate);
+  }
+  
+  const total = await Invoice.countDocuments(query);
+  const invoices = await Invoice.find(query)
+    .sort({ issueDate: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  
+  return { invoices, total, page, limit };
+};
+
+/**
+ * Get an invoice
+ */
+exports.getInvoice = async (clientId, invoiceId) => findInvoice(clientId, invoiceId);
+
+/**
+ * Create a draft invoice or bill, numbered from the entity's sequence
+ * @param {Object} data - { clientId, userId, entityId, invoiceType, recurringInvoiceId, ...invoice fields }
+ * @returns {Promise<Object>} - The draft invoice
+ */
+exports.createInvoice = async (data, session) => {
+  const { clientId, userId, entityId, invoiceType } = data;
+  
+  if (invoiceType === 'ap') {
+    await assertVendor(clientId, entityId, data.vendorId, session);
+  } else if (data.customerId) {
+    await assertCustomer(clientId, entityId, data.customerId, session);
+  }
+  
+  const invoice = new Invoice({
+    clientId,
+    entityId,
+    invoiceType,
+    invoiceNumber: await nextInvoiceNumber(clientId, entityId, invoiceType, session),
+    status: 'draft',
+    recurringInvoiceId: data.recurringInvoiceId,
+    createdBy: userId
+  });
+  
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) invoice[field] = data[field];
+  });
+  
+  invoice.calculateTotals();
+  await invoice.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CREATE_INVOICE',
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    userId,
+    details: {
+      entityId,
+      invoiceType,
+      invoiceNumber: invoice.invoiceNumber,
+      total: invoice.total
+    }
+  });
+  await auditLog.save({ session });
+  
+  return invoice;
+};
+
+/**
+ * Edit a draft invoice
+ * @param {Object} data - { clientId, userId, invoiceId, ...invoice fields }
+ * @returns {Promise<Object>} - The updated draft
+ */
+exports.updateInvoice = async (data, session) => {
+  const { clientId, userId, invoiceId } = data;
+  
+  const invoice = await findInvoice(clientId, invoiceId, session);
+  
+  if (invoice.status !== 'draft') {
+    throw new ApiError(400, `Only draft invoices can be edited; void and re-issue ${invoice.invoiceNumber} instead`);
+  }
+  
+  if (invoice.invoiceType === 'ap' && data.vendorId) {
+    await assertVendor(clientId, invoice.entityId, data.vendorId, session);
+  }
+  
+  if (invoice.invoiceType === 'ar' && data.customerId) {
+    await assertCustomer(clientId, invoice.entityId, data.customerId, session);
+  }
+  
+  const changes = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    invoice[field] = data[field];
+    changes[field] = field === 'items' ? data.items.length : data[field];
+  });
+  
+  invoice.calculateTotals();
+  await invoice.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'UPDATE_INVOICE',
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    userId,
+    details: {
+      invoiceNumber: invoice.invoiceNumber,
+      changes,
+      total: invoice.total
+    }
+  });
+  await auditLog.save({ session });
+  
+  return invoice;
+};
+
+/**
+ * Delete a draft invoice
+ * Issued invoices have a journal entry behind them and are voided instead.
+ * @param {Object} data - { clientId, userId, invoiceId }
+ */
+exports.deleteInvoice = async (data, session) => {
+  const { clientId, userId, invoiceId } = data;
+  
+  const invoice = await findInvoice(clientId, invoiceId, session);
+  
+  if (invoice.status !== 'draft') {
+    throw new ApiError(400, 'Only draft invoices can be deleted; issued invoices must be voided');
+  }
+  
+  await Invoice.deleteOne({ _id: invoice._id }).session(session);
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'DELETE_INVOICE',
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    userId,
+    details: {
+      entityId: invoice.entityId,
+      invoiceType: invoice.invoiceType,
+      invoiceNumber: invoice.invoiceNumber,
+      total: invoice.total
+    }
+  });
+  await auditLog.save({ session });
+  
+  return invoice;
+};
+
+/**
+ * Journal entry lines for an invoice
+ * AR: debit the receivable for the total, credit revenue per line and sales
+ * tax payable for the tax. AP: debit each line's expense account for its
+ * amount plus tax, credit the payable for the total.
+ */
+const invoiceLines = (invoice, accounts) => {
+  const { controlAccountId, taxAccountId, defaultLineAccountId } = accounts;
+  const documentNumber = invoice.invoiceNumber;
+  const entries = [];
+  
+  if (invoice.invoiceType === 'ar') {
+    entries.push({
+      accountId: controlAccountId,
+      amount: invoice.total,
+      type: 'debit',
+      description: `${invoice.invoiceNumber} receivable`,
+      documentNumber
+    });
+    
+    invoice.items.forEach(item => {
+      if (item.amount === 0) return;
+      entries.push({
+        accountId: item.accountId || defaultLineAccountId,
+        amount: Math.abs(item.amount),
+        type: item.amount > 0 ? 'credit' : 'debit',
+        description: item.description,
+        documentNumber
+      });
+    });
+    
+    if (invoice.taxTotal !== 0) {
+      entries.push({
+        accountId: taxAccountId,
+        amount: Math.abs(invoice.taxTotal),
+        type: invoice.taxTotal > 0 ? 'credit' : 'debit',
+        description: `${invoice.invoiceNumber} sales tax`,
+        documentNumber
+      });
+    }
+  } else {
+    invoice.items.forEach(item => {
+      const amount = roundCents(item.amount + item.taxAmount);
+      if (amount === 0) return;
+      entries.push({
+        accountId: item.accountId || defaultLineAccountId,
+        amount: Math.abs(amount),
+        type: amount > 0 ? 'debit' : 'credit',
+        description: item.description,
+        documentNumber
+      });
+    });
+    
+    entries.push({
+      accountId: controlAccountId,
+      amount: invoice.total,
+      type: 'credit',
+      description: `${invoice.invoiceNumber} payable`,
+      documentNumber
+    });
+  }
+  
+  return entries;
+};
+
+/**
+ * Issue a draft invoice and post it to the GL
+ * The control account defaults from the entity (receivableAccountId or
+ * payableAccountId); lines without an account fall back to the customer's
+ * default revenue account or the vendor's default expense account.
+ * @param {Object} data - { clientId, userId, isAdmin, invoiceId, controlAccountId, taxAccountId }
+ * @returns {Promise<{invoice: Object, journalEntry: Object}>}
+ */
+exports.issueInvoice = async (data, session) => {
+  const { clientId, userId, isAdmin, invoiceId } = data;
+  
+  const invoice = await findInvoice(clientId, invoiceId, session);
+  
+  if (invoice.status !== 'draft') {
+    throw new ApiError(400, `${describe(invoice)} ${invoice.invoiceNumber} has already been issued`);
+  }
+  
+  if (invoice.items.length === 0) {
+    throw new ApiError(400, 'An invoice needs at least one line item to be issued');
+  }
+  
+  invoice.calculateTotals();
+  if (invoice.total <= 0) {
+    throw new ApiError(400, 'Invoice total must be greater than zero; use a credit memo for negative amounts');
+  }
+  
+  if (invoice.invoiceType === 'ar' && !invoice.customerId) {
+    throw new ApiError(400, 'A customer is required to issue an invoice');
+  }
+  
+  if (invoice.invoiceType === 'ap' && !invoice.vendorId) {
+    throw new ApiError(400, 'A vendor is required to issue a bill');
+  }
+  
+  const entity = await Entity.findOne({ _id: invoice.entityId, clientId }).session(session);
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  const controlAccountId = data.controlAccountId || invoice.controlAccountId ||
+    (invoice.invoiceType === 'ar' ? entity.receivableAccountId : entity.payableAccountId);
+  
+  if (!controlAccountId) {
+    throw new ApiError(400, invoice.invoiceType === 'ar'
+      ? 'A receivable control account is required; set one on the invoice or the entity'
+      : 'A payable control account is required; set one on the bill or the entity');
+  }
+  
+  const controlAccount = await Account.findOne({
+    _id: controlAccountId,
+    clientId,
+    entityId: invoice.entityId,
+    isActive: true
+  }).session(session);
+  
+  const controlAccountType = CONTROL_ACCOUNT_TYPES[invoice.invoiceType];
+  if (!controlAccount || controlAccount.accountType !== controlAccountType) {
+    throw new ApiError(400, `Control account must be an active ${controlAccountType} account of the entity`);
+  }
+  
+  let taxAccountId;
+  if (invoice.invoiceType === 'ar' && invoice.taxTotal !== 0) {
+    taxAccountId = data.taxAccountId || invoice.taxAccountId || entity.salesTaxPayableAccountId;
+    if (!taxAccountId) {
+      throw new ApiError(400, 'A sales tax payable account is required for invoices with tax');
+    }
+    
+    const taxAccount = await Account.findOne({
+      _id: taxAccountId,
+      clientId,
+      entityId: invoice.entityId,
+      isActive: true
+    }).session(session);
+    
+    if (!taxAccount || taxAccount.accountType !== 'Liability') {
+      throw new ApiError(400, 'Sales tax payable account must be an active Liability account of the entity');
+    }
+  }
+  
+  // Lines without an account fall back to the customer's or vendor's default
+  const counterparty = invoice.invoiceType === 'ar'
+    ? await assertCustomer(clientId, invoice.entityId, invoice.customerId, session)
+    : await assertVendor(clientId, invoice.entityId, invoice.vendorId, session);
+  if (invoice.invoiceType === 'ar' && counterparty.status !== 'active') {
+    throw new ApiError(400, `Customer ${counterparty.name} is ${counterparty.status.replace('_', ' ')} and cannot be invoiced`);
+  }
+  
+  const defaultLineAccountId = invoice.invoiceType === 'ar'
+    ? counterparty.defaultRevenueAccount
+    : counterparty.defaultExpenseAccount;
+  
+  const missingAccount = invoice.items.find(item => item.amount !== 0 && !item.accountId && !defaultLineAccountId);
+  if (missingAccount) {
+    throw new ApiError(400, `Line "${missingAccount.description}" has no ${invoice.invoiceType === 'ar' ? 'revenue' : 'expense'} account`);
+  }
+  
+  const { journalEntry } = await postJournalEntry({
+    clientId,
+    userId,
+    isAdmin,
+    entityId: invoice.entityId,
+    date: invoice.issueDate,
+    description: `${describe(invoice)} ${invoice.invoiceNumber}${invoice.reference ? ` (${invoice.reference})` : ''}`,
+    entries: invoiceLines(invoice, { controlAccountId, taxAccountId, defaultLineAccountId }),
+    isManual: false,
+    journalType: INVOICE_JOURNAL_TYPE,
+    subledgerType: SUBLEDGER_TYPES[invoice.invoiceType],
+    metadata: {
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber
+    }
+  }, session);
+  
+  invoice.controlAccountId = controlAccountId;
+  invoice.taxAccountId = taxAccountId || invoice.taxAccountId;
+  invoice.journalEntryId = journalEntry._id;
+  invoice.status = 'pending';
+  invoice.issuedBy = userId;
+  invoice.issuedAt = new Date();
+  await invoice.save({ session });
+  
+  if (invoice.invoiceType === 'ar') {
+    counterparty.lastInvoiceDate = invoice.issueDate;
+  } else {
+    counterparty.lastBillDate = invoice.issueDate;
+  }
+  await counterparty.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'ISSUE_INVOICE',
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    userId,
+    details: {
+      invoiceType: invoice.invoiceType,
+      invoiceNumber: invoice.invoiceNumber,
+      total: invoice.total,
+      controlAccountId,
+      journalEntryId: journalEntry._id
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { invoice, journalEntry };
+};
+
+/**
+ * Void an issued invoice by reversing its journal entry
+ * The original entry is left in place and offset by a reversal, so the
+ * invoice and both entries stay on record. Invoices with payments or credit
+ * memos applied cannot be voided until those are unapplied or voided.
+ * @param {Object} data - { clientId, userId, isAdmin, invoiceId, voidDate, reason }
+ * @returns {Promise<{invoice: Object, reversalEntry: Object}>}
+ */
+exports.voidInvoice = async (data, session) => {
+  const { clientId, userId, isAdmin, invoiceId, reason } = data;
+  
+  const invoice = await findInvoice(clientId, invoiceId, session);
+  
+  if (invoice.status === 'draft') {
+    throw new ApiError(400, 'Draft invoices are deleted rather than voided');
+  }
+  
+  if (!VOIDABLE_STATUSES.includes(invoice.status)) {
+    throw new ApiError(400, `${describe(invoice)} ${invoice.invoiceNumber} cannot be voided while ${invoice.status}`);
+  }
+  
+  if (invoice.amountPaid > 0) {
+    throw new ApiError(400, `${describe(invoice)} ${invoice.invoiceNumber} has payments applied; unapply or void them before voiding`);
+  }
+  
+  if (invoice.creditedAmount > 0) {
+    throw new ApiError(400, `${describe(invoice)} ${invoice.invoiceNumber} has ${invoice.invoiceType === 'ar' ? 'credit' : 'debit'} memos applied; void them before voiding`);
+  }
+  
+  // The reversal posts today unless another date is given, never before the invoice itself
+  const voidDate = data.voidDate ? new Date(data.voidDate) : new Date();
+  if (voidDate < invoice.issueDate) {
+    throw new ApiError(400, 'Void date cannot be before the issue date');
+  }
+  
+  const { reversalEntry } = await reverseJournalEntry({
+    clientId,
+    userId,
+    isAdmin,
+    journalEntryId: invoice.journalEntryId,
+    reversalDate: voidDate,
+    isManual: false
+  }, session);
+  
+  invoice.reversalEntryId = reversalEntry._id;
+  invoice.status = 'void';
+  invoice.balanceDue = 0;
+  invoice.voidedBy = userId;
+  invoice.voidedAt = new Date();
+  invoice.voidReason = reason;
+  await invoice.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'VOID_INVOICE',
+    entityType: 'Invoice',
+    entityId: invoice._id,
+    userId,
+    details: {
+      invoiceType: invoice.invoiceType,
+      invoiceNumber: invoice.invoiceNumber,
+      total: invoice.total,
+      journalEntryId: invoice.journalEntryId,
+      reversalEntryId: reversalEntry._id,
+      reason
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { invoice, reversalEntry };
+};
@@ -0,0 +1,1107 @@
+// services/journalEntryService.js
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/journalEntry');
+const Transaction = require('../models/transaction');
+const Account = require('../models/account');
+const Entity = require('../models/entity');
+const AuditLog = require('../models/auditLog');
+const File = require('../models/file');
+const { ApiError } = require('../utils/apiError');
+const { assertPeriodOpen } = require('./accountingPeriodService');
+
+/**
+ * Business logic for posting and reversing journal entries
+ *
+ * Every ledger write (the entry, its transaction lines, the account balances
+ * and the audit log row) takes the caller's session, so that wrapping the call
+ * in runInTransaction makes the whole posting all-or-nothing.
+ */
+
+// journalType of the entries posted by depreciation runs; reports treat them as non-cash
+const DEPRECIATION_JOURNAL_TYPE = 'depreciation';
+
+// journalType of year-end closing entries; statements of activity leave them out
+const CLOSING_JOURNAL_TYPE = 'closing';
+
+// journalType of fixed asset disposal entries
+const DISPOSAL_JOURNAL_TYPE = 'disposal';
+
+// journalType of fixed asset impairment write-downs
+const IMPAIRMENT_JOURNAL_TYPE = 'impairment';
+
+// journalType of the entries moving a fixed asset between entities
+const ASSET_TRANSFER_JOURNAL_TYPE = 'asset_transfer';
+
+// journalType of the entries posted when a customer invoice or vendor bill is issued
+const INVOICE_JOURNAL_TYPE = 'invoice';
+
+// journalType of the cash entries posted for customer receipts and vendor payments
+const PAYMENT_JOURNAL_TYPE = 'payment';
+
+// journalType of the entries posted by credit memos (AR) and debit memos (AP)
+const CREDIT_MEMO_JOURNAL_TYPE = 'credit_memo';
+
+exports.DEPRECIATION_JOURNAL_TYPE = DEPRECIATION_JOURNAL_TYPE;
+exports.CLOSING_JOURNAL_TYPE = CLOSING_JOURNAL_TYPE;
+exports.DISPOSAL_JOURNAL_TYPE = DISPOSAL_JOURNAL_TYPE;
+exports.IMPAIRMENT_JOURNAL_TYPE = IMPAIRMENT_JOURNAL_TYPE;
+exports.ASSET_TRANSFER_JOURNAL_TYPE = ASSET_TRANSFER_JOURNAL_TYPE;
+exports.INVOICE_JOURNAL_TYPE = INVOICE_JOURNAL_TYPE;
+exports.PAYMENT_JOURNAL_TYPE = PAYMENT_JOURNAL_TYPE;
+exports.CREDIT_MEMO_JOURNAL_TYPE = CREDIT_MEMO_JOURNAL_TYPE;
+
+// Entries owned by a subledger or process, which reverses them itself; reversing
+// one by hand would leave the document or register out of step with the ledger
+const PROTECTED_REVERSALS = {
+  [CLOSING_JOURNAL_TYPE]: 'Closing entries are reversed by undoing the year-end close',
+  [INVOICE_JOURNAL_TYPE]: 'Invoice entries are reversed by voiding the invoice',
+  [PAYMENT_JOURNAL_TYPE]: 'Payment entries are reversed by voiding the payment',
+  [CREDIT_MEMO_JOURNAL_TYPE]: 'Credit memo entries are reversed by voiding the credit memo',
+  [DEPRECIATION_JOURNAL_TYPE]: 'Depreciation entries are recorded in the fixed asset register and cannot be reversed by hand',
+  [DISPOSAL_JOURNAL_TYPE]: 'Disposal entries are recorded in the fixed asset register and cannot be reversed by hand',
+  [IMPAIRMENT_JOURNAL_TYPE]: 'Impairment entries are recorded in the fixed asset register and cannot be reversed by hand',
+  [ASSET_TRANSFER_JOURNAL_TYPE]: 'Asset transfer entries are recorded in the fixed asset register and cannot be reversed by hand'
+};
+
+// Closing entries, and their reversal on undo, post into the year's last period
+// after it has been closed as part of the normal year-end sequence
+const isYearEndClosing = (journalType, date) => journalType === CLOSING_JOURNAL_TYPE && date.getMonth() === 11;
+
+const assertManuallyReversible = (journalEntry) => {
+  const message = PROTECTED_REVERSALS[journalEntry.journalType];
+  if (message) {
+    throw new ApiError(400, message);
+  }
+};
+
+/**
+ * Run work inside a MongoDB transaction
+ * The transaction is committed when work resolves and aborted when it throws.
+ * Transient errors (write conflicts, failover) are retried by the driver,
+ * so work must not have side effects outside the session.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} - The value returned by work
+ */
+exports.runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Signed change to an account balance for a debit or credit line
+ * Debits increase Asset/Expense balances, credits increase the others.
+ * @param {string} accountType - Account.accountType
+ * @param {string} type - 'debit' or 'credit'
+ * @param {number} amount - Line amount
+ * @returns {number}
+ */
+const balanceChangeFor = (accountType, type, amount) => {
+  if (['Asset', 'Expense'].includes(accountType)) {
+    return type === 'debit' ? amount : -amount;
+  }
+  return type === 'credit' ? amount : -amount;
+};
+
+exports.balanceChangeFor = balanceChangeFor;
+
+/**
+ * Accounting period of a date
+ * @param {Date} date
+ * @returns {{year: number, month: number, quarter: number}}
+ */
+const periodOf = (date) => ({
+  year: date.getFullYear(),
+  month: date.getMonth() + 1,
+  quarter: Math.floor(date.getMonth() / 3) + 1
+});
+
+exports.periodOf = periodOf;
+
+/**
+ * Next sequential entry number for the month of date (YYYY-MM-XXXXX)
+ * Follows the highest number already issued in that month. Drafts and entries
+ * awaiting approval have no number yet and reversals are numbered REV-, so
+ * neither moves the sequence; the unique index on entryNumber catches a race.
+ */
+const generateEntryNumber = async (clientId, entityId, date, session) => {
+  const { year, month } = periodOf(date);
+  const prefix = `${year}-${String(month).padStart(2, '0')}-`;
+  
+  const lastEntry = await JournalEntry.findOne({
+    clientId,
+    entityId,
+    entryNumber: { $regex: `^${prefix}\\d+$` }
+  }).sort({ entryNumber: -1 }).select('entryNumber').session(session);
+  
+  const lastSequence = lastEntry ? parseInt(lastEntry.entryNumber.slice(prefix.length), 10) : 0;
+  
+  return `${prefix}${String(lastSequence + 1).padStart(5, '0')}`;
+};
+
+exports.generateEntryNumber = generateEntryNumber;
+
+/**
+ * Apply balance changes to accounts in a single bulk write
+ * @param {Array} changes - [{ accountId, amount }]
+ */
+const applyBalanceChanges = async (changes, session) => {
+  if (changes.length === 0) return;
+  
+  const now = new Date();
+  await Account.bulkWrite(changes.map(change => ({
+    updateOne: {
+      filter: { _id: change.accountId },
+      update: {
+        $inc: { balance: change.amount },
+        $set: { lastUpdated: now }
+      }
+    }
+  })), { session });
+};
+
+/**
+ * Total debits and credits of a set of lines, rejecting unbalanced entries
+ * @param {Array} entries - [{ amount, type }]
+ * @returns {{totalDebits: number, totalCredits: number}}
+ */
+const validateBalanced = (entries) => {
+  let totalDebits = 0;
+  let totalCredits = 0;
+  
+  for (const entry of entries) {
+    const amount = parseFloat(entry.amount);
+    if (entry.type === 'debit') {
+      totalDebits += amount;
+    } else {
+      totalCredits += amount;
+    }
+  }
+  
+  if (Math.abs(totalDebits - totalCredits) > 0.01) {
+    throw new ApiError(400, 'Journal entries must be balanced', {
+      totalDebits,
+      totalCredits,
+      difference: totalDebits - totalCredits
+    });
+  }
+  
+  return { totalDebits, totalCredits };
+};
+
+exports.validateBalanced = validateBalanced;
+
+/**
+ * Resolve attachment references (File IDs or { fileId } objects) owned by the client
+ */
+const resolveAttachments = async (clientId, attachments, session) => {
+  if (!attachments || !Array.isArray(attachments)) return [];
+  
+  const resolved = [];
+  for (const attachment of attachments) {
+    const fileId = attachment && attachment.fileId ? attachment.fileId : attachment;
+    if (!mongoose.Types.ObjectId.isValid(fileId)) continue;
+    
+    const file = await File.findOne({
+      _id: fileId,
+      userId: clientId
+    }).session(session);
+    
+    if (file) {
+      resolved.push({
+        fileId: file._id,
+        fileName: file.fileName,
+        uploadDate: file.timestamp
+      });
+    }
+  }
+  
+  return resolved;
+};
+
+/**
+ * Load the entity and every account referenced by a set of lines
+ * Rejects unknown entities and accounts that do not belong to the entity,
+ * so nothing is written for an entry that cannot be posted.
+ * @returns {Promise<{entity: Object, accountsById: Map}>}
+ */
+const loadEntityAndAccounts = async (clientId, entityId, entries, session) => {
+  // Verify entity exists and belongs to client
+  const entity = await Entity.findOne({
+    _id: entityId,
+    clientId
+  }).session(session);
+  
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  const accountIds = [...new Set(entries.map(entry => String(entry.accountId)))];
+  const accounts = await Account.find({
+    _id: { $in: accountIds },
+    clientId,
+    entityId
+  }).session(session);
+  
+  const accountsById = new Map(accounts.map(account => [account._id.toString(), account]));
+  for (const accountId of accountIds) {
+    if (!accountsById.has(accountId)) {
+      throw new ApiError(400, `Account ${accountId} not found or does not belong to this entity`);
+    }
+  }
+  
+  return { entity, accountsById };
+};
+
+/**
+ * Write the ledger side of a saved journal entry
+ * Creates one Transaction per line and updates the balance of every account touched.
+ * @returns {Promise<Array>} - The created transactions
+ */
+const writeLedgerLines = async (journalEntry, entries, accountsById, session) => {
+  const transactions = [];
+  const balanceChanges = [];
+  
+  for (const entry of entries) {
+    const account = accountsById.get(String(entry.accountId));
+    const amount = parseFloat(entry.amount);
+    
+    transactions.push(new Transaction({
+      clientId: journalEntry.clientId,
+      entityId: journalEntry.entityId,
+      accountId: account._id,
+      journalEntryId: journalEntry._id,
+      date: journalEntry.date,
+      description: entry.description || journalEntry.description,
+      amount,
+      type: entry.type,
+      transactionNo: journalEntry.entryNumber,
+      lineNo: entry.lineNo || transactions.length + 1,
+      documentNumber: entry.documentNumber,
+      category: entry.category,
+      subledgerType: account.subledgerType,
+      journalType: journalEntry.journalType,
+      isIntercompany: journalEntry.isIntercompany,
+      relatedEntityId: journalEntry.relatedEntityId,
+      currency: journalEntry.currency,
+      isManual: journalEntry.isManual
+    }));
+    
+    balanceChanges.push({
+      accountId: account._id,
+      amount: balanceChangeFor(account.accountType, entry.type, amount)
+    });
+  }
+  
+  await Transaction.insertMany(transactions, { session });
+  await applyBalanceChanges(balanceChanges, session);
+  
+  return transactions;
+};
+
+/**
+ * Normalise request lines to the shape stored on a draft
+ */
+const toDraftLines = (entries) => entries.map((entry, index) => ({
+  accountId: entry.accountId,
+  amount: parseFloat(entry.amount),
+  type: entry.type,
+  description: entry.description,
+  lineNo: entry.lineNo || index + 1,
+  documentNumber: entry.documentNumber
+}));
+
+/**
+ * Post a balanced journal entry
+ * Creates the JournalEntry, one Transaction per line, updates the balance of
+ * every account touched and writes the audit log.
+ * Postings into closed accounting periods are rejected; admins posting into a
+ * soft-closed period are allowed through and the entry is flagged. Year-end
+ * closing entries may post into December once it has been closed.
+ * @param {Object} data - { clientId, userId, isAdmin, entityId, date, description, entries, attachments }
+ *   plus optional autoReversalDate to reverse the entry automatically on that date,
+ *   and journalType, subledgerType, recurringTemplateId and metadata for system-generated entries,
+ *   and isIntercompany with relatedEntityId for one side of an intercompany posting
+ * @param {ClientSession} session - Session of the enclosing transaction
+ * @returns {Promise<{journalEntry: Object, transactions: Array}>}
+ */
+exports.postJournalEntry = async (data, session) => {
+  const {
+    clientId,
+    userId,
+    isAdmin = false,
+    entityId,
+    date,
+    description,
+    entries,
+    attachments,
+    isManual = true,
+    journalType,
+    subledgerType,
+    recurringTemplateId = null,
+    isIntercompany = false,
+    relatedEntityId,
+    autoReversalDate,
+    metadata = {}
+  } = data;
+  
+  const { totalDebits } = validateBalanced(entries);
+  const { entity, accountsById } = await loadEntityAndAccounts(clientId, entityId, entries, session);
+  
+  const entryDate = new Date(date);
+  if (autoReversalDate && new Date(autoReversalDate) < entryDate) {
+    throw new ApiError(400, 'A reversal cannot be dated before the entry it reverses');
+  }
+  
+  const { flagged } = await assertPeriodOpen({
+    clientId,
+    entityId,
+    date: entryDate,
+    isAdmin,
+    allowClosedPeriod: isYearEndClosing(journalType, entryDate)
+  }, session);
+  const entryNumber = await generateEntryNumber(clientId, entityId, entryDate, session);
+  
+  const journalEntry = new JournalEntry({
+    clientId,
+    entityId,
+    entryNumber,
+    date: entryDate,
+    description,
+    totalAmount: totalDebits,
+    status: 'posted',
+    createdBy: userId,
+    currency: entity.currency,
+    period: periodOf(entryDate),
+    isManual,
+    journalType,
+    subledgerType,
+    recurringTemplateId,
+    isIntercompany,
+    relatedEntityId,
+    autoReversal: autoReversalDate
+      ? { isAutoReversing: true, reversalDate: new Date(autoReversalDate) }
+      : undefined,
+    metadata: flagged ? { ...metadata, postedToSoftClosedPeriod: true } : metadata,
+    attachments: await resolveAttachments(clientId, attachments, session)
+  });
+  
+  await journalEntry.save({ session });
+  
+  const transactions = await writeLedgerLines(journalEntry, entries, accountsById, session);
+  
+  // Create audit log
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CREATE_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: journalEntry._id,
+    userId,
+    details: {
+      entryNumber,
+      entityId,
+      date,
+      totalAmount: totalDebits,
+      transactionCount: transactions.length,
+      postedToSoftClosedPeriod: flagged
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { journalEntry, transactions };
+};
+
+/**
+ * Save a draft journal entry
+ * Drafts keep their lines on the entry itself and do not touch Transaction or
+ * Account balances until they are approved. They need not balance yet.
+ * @param {Object} data - { clientId, userId, entityId, date, description, entries, attachments, autoReversalDate }
+ * @returns {Promise<Object>} - The draft journal entry
+ */
+exports.createDraftJournalEntry = async (data, session) => {
+  const { clientId, userId, entityId, date, description, entries, attachments, autoReversalDate } = data;
+  
+  const { entity } = await loadEntityAndAccounts(clientId, entityId, entries, session);
+  const entryDate = new Date(date);
+  if (autoReversalDate && new Date(autoReversalDate) < entryDate) {
+    throw new ApiError(400, 'A reversal cannot be dated before the entry it reverses');
+  }
+  const lines = toDraftLines(entries);
+  
+  const journalEntry = new JournalEntry({
+    clientId,
+    entityId,
+    date: entryDate,
+    description,
+    totalAmount: lines.filter(line => line.type === 'debit').reduce((sum, line) => sum + line.amount, 0),
+    status: 'draft',
+    createdBy: userId,
+    currency: entity.currency,
+    period: periodOf(entryDate),
+    isManual: true,
+    lines,
+    autoReversal: autoReversalDate
+      ? { isAutoReversing: true, reversalDate: new Date(autoReversalDate) }
+      : undefined,
+    attachments: await resolveAttachments(clientId, attachments, session),
+    auditTrail: [{
+      action: 'create_draft',
+      performedBy: userId
+    }]
+  });
+  
+  await journalEntry.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CREATE_DRAFT_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: journalEntry._id,
+    userId,
+    details: { entityId, date, lineCount: lines.length }
+  });
+  await auditLog.save({ session });
+  
+  return journalEntry;
+};
+
+/**
+ * Edit a draft or rejected journal entry
+ * A rejected entry returns to draft once it has been edited.
+ * @param {Object} data - { clientId, userId, journalEntryId, date, description, entries }
+ * @returns {Promise<Object>} - The updated draft
+ */
+exports.updateDraftJournalEntry = async (data, session) => {
+  const { clientId, userId, journalEntryId, date, description, entries } = data;
+  
+  const journalEntry = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    status: { $in: ['draft', 'rejected'] }
+  }).session(session);
+  
+  if (!journalEntry) {
+    throw new ApiError(404, 'Draft journal entry not found');
+  }
+  
+  if (entries && journalEntry.reversalOf) {
+    throw new ApiError(400, 'The lines of a reversal mirror the entry it reverses and cannot be edited');
+  }
+  
+  if (entries) {
+    await loadEntityAndAccounts(clientId, journalEntry.entityId, entries, session);
+    journalEntry.lines = toDraftLines(entries);
+    journalEntry.totalAmount = journalEntry.lines
+      .filter(line => line.type === 'debit')
+      .reduce((sum, line) => sum + line.amount, 0);
+  }
+  
+  if (date) {
+    journalEntry.date = new Date(date);
+    journalEntry.period = periodOf(journalEntry.date);
+  }
+  
+  if (description !== undefined) journalEntry.description = description;
+  
+  journalEntry.status = 'draft';
+  journalEntry.auditTrail.push({
+    action: 'update_draft',
+    performedBy: userId
+  });
+  
+  await journalEntry.save({ session });
+  
+  return journalEntry;
+};
+
+/**
+ * Submit a draft for review
+ * The entry must balance and its period must be open to be submitted.
+ * @param {Object} data - { clientId, userId, journalEntryId }
+ * @returns {Promise<Object>} - The submitted entry
+ */
+exports.submitJournalEntry = async (data, session) => {
+  const { clientId, userId, journalEntryId } = data;
+  
+  const journalEntry = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    status: { $in: ['draft', 'rejected'] }
+  }).session(session);
+  
+  if (!journalEntry) {
+    throw new ApiError(404, 'Draft journal entry not found');
+  }
+  
+  if (journalEntry.lines.length === 0) {
+    throw new ApiError(400, 'A journal entry needs at least one line to be submitted');
+  }
+  
+  validateBalanced(journalEntry.lines);
+  await assertPeriodOpen({
+    clientId,
+    entityId: journalEntry.entityId,
+    date: journalEntry.date,
+    isAdmin: true
+  }, session);
+  
+  journalEntry.status = 'submitted';
+  journalEntry.auditTrail.push({
+    action: 'submit',
+    performedBy: userId
+  });
+  
+  await journalEntry.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'SUBMIT_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: journalEntry._id,
+    userId,
+    details: { totalAmount: journalEntry.totalAmount }
+  });
+  await auditLog.save({ session });
+  
+  return journalEntry;
+};
+
+/**
+ * Find a submitted entry for review, refusing reviews by its preparer
+ * Reviewers are administrators, so the lookup is not scoped to a client.
+ */
+const findEntryForReview = async (journalEntryId, userId, session) => {
+  const journalEntry = await JournalEntry.findOne({
+    _id: journalEntryId,
+    status: 'submitted'
+  }).session(session);
+  
+  if (!journalEntry) {
+    throw new ApiError(404, 'Submitted journal entry not found');
+  }
+  
+  if (journalEntry.createdBy && journalEntry.createdBy.toString() === String(userId)) {
+    throw new ApiError(403, 'The preparer of a journal entry cannot review it');
+  }
+  
+  return journalEntry;
+};
+
+/**
+ * Approve a submitted entry and post it to the ledger
+ * A requested reversal (see requestReversal) is numbered after the entry it
+ * reverses, which is marked reversed once the reversal posts.
+ * @param {Object} data - { userId, journalEntryId, comment }
+ * @returns {Promise<{journalEntry: Object, transactions: Array}>}
+ */
+exports.approveJournalEntry = async (data, session) => {
+  const { userId, journalEntryId, comment } = data;
+  
+  const journalEntry = await findEntryForReview(journalEntryId, userId, session);
+  const { clientId, entityId } = journalEntry;
+  const lines = journalEntry.lines.map(line => line.toObject());
+  
+  let original = null;
+  if (journalEntry.reversalOf) {
+    original = await JournalEntry.findOne({
+      _id: journalEntry.reversalOf,
+      clientId,
+      status: 'posted'
+    }).session(session);
+    
+    if (!original) {
+      throw new ApiError(400, 'The entry this reverses is no longer posted');
+    }
+    
+    if (journalEntry.date < original.date) {
+      throw new ApiError(400, 'A reversal cannot be dated before the entry it reverses');
+    }
+  }
+  
+  const { totalDebits } = validateBalanced(lines);
+  const { accountsById } = await loadEntityAndAccounts(clientId, entityId, lines, session);
+  const { flagged } = await assertPeriodOpen({
+    clientId,
+    entityId,
+    date: journalEntry.date,
+    isAdmin: true
+  }, session);
+  
+  journalEntry.entryNumber = original
+    ? `REV-${original.entryNumber}`
+    : await generateEntryNumber(clientId, entityId, journalEntry.date, session);
+  journalEntry.totalAmount = totalDebits;
+  journalEntry.status = 'posted';
+  journalEntry.postingDate = new Date();
+  journalEntry.approvedBy = userId;
+  journalEntry.approvalDate = new Date();
+  if (flagged) {
+    journalEntry.metadata = { ...journalEntry.metadata, postedToSoftClosedPeriod: true };
+  }
+  journalEntry.auditTrail.push({
+    action: 'approve',
+    performedBy: userId,
+    details: { comment }
+  });
+  
+  await journalEntry.save({ session });
+  
+  const transactions = await writeLedgerLines(journalEntry, lines, accountsById, session);
+  
+  if (original) {
+    original.status = 'reversed';
+    original.reversedBy = journalEntry._id;
+    await original.save({ session });
+  }
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'APPROVE_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: journalEntry._id,
+    userId,
+    details: {
+      entryNumber: journalEntry.entryNumber,
+      totalAmount: totalDebits,
+      transactionCount: transactions.length,
+      comment,
+      postedToSoftClosedPeriod: flagged
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { journalEntry, transactions };
+};
+
+/**
+ * Reject a submitted entry back to its preparer
+ * @param {Object} data - { userId, journalEntryId, comment }
+ * @returns {Promise<Object>} - The rejected entry
+ */
+exports.rejectJournalEntry = async (data, session) => {
+  const { userId, journalEntryId, comment } = data;
+  
+  const journalEntry = await findEntryForReview(journalEntryId, userId, session);
+  
+  journalEntry.status = 'rejected';
+  journalEntry.auditTrail.push({
+    action: 'reject',
+    performedBy: userId,
+    details: { comment }
+  });
+  
+  await journalEntry.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId: journalEntry.clientId,
+    action: 'REJECT_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: journalEntry._id,
+    userId,
+    details: { comment }
+  });
+  await auditLog.save({ session });
+  
+  return journalEntry;
+};
+
+/**
+ * Reverse a posted journal entry
+ * Posts a mirror-image entry, restores the account balances and marks the
+ * original as reversed.
+ * The reversal is dated reversalDate (today when omitted), which cannot be
+ * earlier than the original entry, and is subject to the same period locks
+ * as a new posting.
+ * @param {Object} data - { clientId, userId, isAdmin, journalEntryId, reversalDate, isManual }
+ * @param {ClientSession} session - Session of the enclosing transaction
+ * @returns {Promise<{journalEntry: Object, reversalEntry: Object}>}
+ */
+exports.reverseJournalEntry = async (data, session) => {
+  const {
+    clientId,
+    userId,
+    isAdmin = false,
+    journalEntryId,
+    reversalDate: requestedDate,
+    isManual = true
+  } = data;
+  
+  // Check the entry exists, belongs to the client and is not already reversed
+  const journalEntry = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    status: 'posted' // Drafts have nothing to reverse; reversed entries cannot be reversed again
+  }).session(session);
+  
+  if (!journalEntry) {
+    throw new ApiError(404, 'Journal entry not found, not posted or already reversed');
+  }
+  
+  if (isManual) {
+    assertManuallyReversible(journalEntry);
+  }
+  
+  const transactions = await Transaction.find({
+    journalEntryId: journalEntry._id
+  }).populate('accountId').session(session);
+  
+  const reversalDate = requestedDate ? new Date(requestedDate) : new Date();
+  if (reversalDate < journalEntry.date) {
+    throw new ApiError(400, 'A reversal cannot be dated before the entry it reverses', {
+      entryDate: journalEntry.date,
+      reversalDate
+    });
+  }
+  
+  const { flagged } = await assertPeriodOpen({
+    clientId,
+    entityId: journalEntry.entityId,
+    date: reversalDate,
+    isAdmin,
+    allowClosedPeriod: isYearEndClosing(journalEntry.journalType, reversalDate)
+  }, session);
+  
+  const reversalEntry = new JournalEntry({
+    clientId,
+    entityId: journalEntry.entityId,
+    entryNumber: `REV-${journalEntry.entryNumber}`,
+    date: reversalDate,
+    description: `Reversal of ${journalEntry.entryNumber}: ${journalEntry.description}`,
+    totalAmount: journalEntry.totalAmount,
+    status: 'posted',
+    createdBy: userId,
+    reversalOf: journalEntry._id,
+    currency: journalEntry.currency,
+    period: periodOf(reversalDate),
+    journalType: journalEntry.journalType,
+    subledgerType: journalEntry.subledgerType,
+    isIntercompany: journalEntry.isIntercompany,
+    relatedEntityId: journalEntry.relatedEntityId,
+    isManual,
+    metadata: flagged ? { postedToSoftClosedPeriod: true } : {}
+  });
+  
+  await reversalEntry.save({ session });
+  
+  // Mirror each line and undo its effect on the account balance
+  const reversalTransactions = [];
+  const balanceChanges = [];
+  for (const transaction of transactions) {
+    if (!transaction.accountId) continue;
+    
+    const account = transaction.accountId;
+    const reversedType = transaction.type === 'debit' ? 'credit' : 'debit';
+    
+    reversalTransactions.push(new Transaction({
+      clientId,
+      entityId: transaction.entityId,
+      accountId: account._id,
+      journalEntryId: reversalEntry._id,
+      date: reversalDate,
+      description: `Reversal of ${transaction.description}`,
+      amount: transaction.amount,
+      type: reversedType,
+      transactionNo: reversalEntry.entryNumber,
+      lineNo: transaction.lineNo,
+      category: transaction.category,
+      subledgerType: transaction.subledgerType,
+      journalType: transaction.journalType,
+      isIntercompany: transaction.isIntercompany,
+      relatedEntityId: transaction.relatedEntityId,
+      currency: transaction.currency,
+      isManual
+    }));
+    
+    balanceChanges.push({
+      accountId: account._id,
+      amount: balanceChangeFor(account.accountType, reversedType, transaction.amount)
+    });
+  }
+  
+  await Transaction.insertMany(reversalTransactions, { session });
+  await applyBalanceChanges(balanceChanges, session);
+  
+  journalEntry.status = 'reversed';
+  journalEntry.reversedBy = reversalEntry._id;
+  await journalEntry.save({ session });
+  
+  // Create audit log
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'REVERSE_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: journalEntry._id,
+    userId,
+    details: {
+      originalEntryNumber: journalEntry.entryNumber,
+      reversalEntryNumber: reversalEntry.entryNumber,
+      date: reversalDate,
+      amount: journalEntry.totalAmount,
+      automatic: !isManual,
+      postedToSoftClosedPeriod: flagged
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { journalEntry, reversalEntry };
+};
+
+/**
+ * Submit the reversal of a posted entry for approval
+ * Used for reversals by non-admins, who cannot post directly. The reversal is
+ * saved as a submitted entry carrying the mirror-image lines and reversalOf,
+ * and goes through the same review as any other entry; approving it posts the
+ * reversal and marks the original reversed.
+ * @param {Object} data - { clientId, userId, journalEntryId, reversalDate }
+ * @param {ClientSession} session - Session of the enclosing transaction
+ * @returns {Promise<Object>} - The submitted reversal
+ */
+exports.requestReversal = async (data, session) => {
+  const { clientId, userId, journalEntryId, reversalDate: requestedDate } = data;
+  
+  const journalEntry = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    status: 'posted'
+  }).session(session);
+  
+  if (!journalEntry) {
+    throw new ApiError(404, 'Journal entry not found, not posted or already reversed');
+  }
+  
+  assertManuallyReversible(journalEntry);
+  
+  const pending = await JournalEntry.findOne({
+    reversalOf: journalEntry._id,
+    status: { $in: ['draft', 'submitted'] }
+  }).session(session);
+  
+  if (pending) {
+    throw new ApiError(400, `A reversal of ${journalEntry.entryNumber} is already awaiting approval`);
+  }
+  
+  const reversalDate = requestedDate ? new Date(requestedDate) : new Date();
+  if (reversalDate < journalEntry.date) {
+    throw new ApiError(400, 'A reversal cannot be dated before the entry it reverses', {
+      entryDate: journalEntry.date,
+      reversalDate
+    });
+  }
+  
+  await assertPeriodOpen({
+    clientId,
+    entityId: journalEntry.entityId,
+    date: reversalDate,
+    isAdmin: true
+  }, session);
+  
+  const transactions = await Transaction.find({
+    journalEntryId: journalEntry._id
+  }).sort({ lineNo: 1 }).session(session);
+  
+  const reversalEntry = new JournalEntry({
+    clientId,
+    entityId: journalEntry.entityId,
+    date: reversalDate,
+    description: `Reversal of ${journalEntry.entryNumber}: ${journalEntry.description}`,
+    totalAmount: journalEntry.totalAmount,
+    status: 'submitted',
+    createdBy: userId,
+    reversalOf: journalEntry._id,
+    currency: journalEntry.currency,
+    period: periodOf(reversalDate),
+    journalType: journalEntry.journalType,
+    subledgerType: journalEntry.subledgerType,
+    isIntercompany: journalEntry.isIntercompany,
+    relatedEntityId: journalEntry.relatedEntityId,
+    isManual: true,
+    lines: transactions.map((transaction, index) => ({
+      accountId: transaction.accountId,
+      amount: transaction.amount,
+      type: transaction.type === 'debit' ? 'credit' : 'debit',
+      description: `Reversal of ${transaction.description}`,
+      lineNo: transaction.lineNo || index + 1,
+      documentNumber: transaction.documentNumber
+    })),
+    auditTrail: [{
+      action: 'request_reversal',
+      performedBy: userId,
+      details: { originalEntryNumber: journalEntry.entryNumber }
+    }]
+  });
+  
+  await reversalEntry.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'REQUEST_JOURNAL_ENTRY_REVERSAL',
+    entityType: 'JournalEntry',
+    entityId: journalEntry._id,
+    userId,
+    details: {
+      originalEntryNumber: journalEntry.entryNumber,
+      reversalEntryId: reversalEntry._id,
+      date: reversalDate,
+      amount: journalEntry.totalAmount
+    }
+  });
+  await auditLog.save({ session });
+  
+  return reversalEntry;
+};
+
+/**
+ * First day of the month after date, the usual reversal date of an accrual
+ */
+const firstDayOfNextPeriod = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 1);
+
+exports.firstDayOfNextPeriod = firstDayOfNextPeriod;
+
+/**
+ * Mark a journal entry to reverse itself automatically
+ * On an unposted entry the schedule is approved along with the entry. Once the
+ * entry is posted only an admin can schedule it, since the job posts the
+ * reversal without further review; anyone can cancel one.
+ * @param {Object} data - { clientId, userId, isAdmin, journalEntryId, reversalDate, enabled }
+ * @returns {Promise<Object>} - The journal entry
+ */
+exports.setAutoReversal = async (data, session) => {
+  const { clientId, userId, isAdmin = false, journalEntryId, reversalDate, enabled = true } = data;
+  
+  const journalEntry = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    status: { $in: ['draft', 'submitted', 'rejected', 'posted'] }
+  }).session(session);
+  
+  if (!journalEntry) {
+    throw new ApiError(404, 'Journal entry not found or already reversed');
+  }
+  
+  if (journalEntry.reversalOf) {
+    throw new ApiError(400, 'A reversal entry cannot itself be auto-reversed');
+  }
+  
+  // The auto-reversal job posts without these checks, so they apply when scheduling
+  if (enabled) {
+    assertManuallyReversible(journalEntry);
+    
+    if (journalEntry.status === 'posted' && !isAdmin) {
+      throw new ApiError(403, 'Only an administrator can schedule the reversal of a posted entry; request a reversal for approval instead');
+    }
+  }
+  
+  const date = reversalDate ? new Date(reversalDate) : firstDayOfNextPeriod(journalEntry.date);
+  if (enabled && date < journalEntry.date) {
+    throw new ApiError(400, 'A reversal cannot be dated before the entry it reverses');
+  }
+  
+  journalEntry.autoReversal = {
+    isAutoReversing: enabled,
+    reversalDate: enabled ? date : undefined
+  };
+  journalEntry.auditTrail.push({
+    action: enabled ? 'schedule_auto_reversal' : 'cancel_auto_reversal',
+    performedBy: userId,
+    details: enabled ? { reversalDate: date } : {}
+  });
+  
+  await journalEntry.save({ session });
+  
+  return journalEntry;
+};
+
+// Period statuses an admin posting cannot get past; retrying will not help
+const BLOCKING_PERIOD_STATUSES = ['hard_closed', 'year_closed'];
+
+/**
+ * Post every auto-reversal due on or before asOfDate
+ * Each reversal is dated on its scheduled reversalDate, not the run date, and
+ * runs in its own transaction. The reversal was scheduled when the entry was
+ * approved, so it posts as an admin would and passes soft-closed periods.
+ * A hard-closed period or closed fiscal year blocks it: the schedule is
+ * cancelled with the reason recorded, and the entry needs a new reversal date.
+ * Other failures are recorded on the entry and retried on the next run.
+ * @param {Date} asOfDate
+ * @returns {Promise<Array>} - One result per entry processed
+ */
+exports.processDueAutoReversals = async (asOfDate = new Date()) => {
+  const dueEntries = await JournalEntry.find({
+    status: 'posted',
+    reversedBy: null,
+    'autoReversal.isAutoReversing': true,
+    'autoReversal.reversalDate': { $lte: asOfDate }
+  }).select('_id clientId createdBy autoReversal');
+  
+  const results = [];
+  
+  for (const entry of dueEntries) {
+    try {
+      const { reversalEntry } = await exports.runInTransaction(session =>
+        exports.reverseJournalEntry({
+          clientId: entry.clientId,
+          userId: entry.createdBy,
+          journalEntryId: entry._id,
+          reversalDate: entry.autoReversal.reversalDate,
+          isAdmin: true,
+          isManual: false
+        }, session)
+      );
+      
+      results.push({
+        journalEntryId: entry._id,
+        status: 'reversed',
+        reversalEntryId: reversalEntry._id,
+        reversalDate: reversalEntry.date
+      });
+    } catch (error) {
+      if (error instanceof ApiError && BLOCKING_PERIOD_STATUSES.includes(error.details?.status)) {
+        await JournalEntry.updateOne(
+          { _id: entry._id },
+          {
+            $set: {
+              'autoReversal.isAutoReversing': false,
+              'autoReversal.lastError': error.message,
+              'autoReversal.lastAttemptAt': new Date()
+            },
+            $push: {
+              auditTrail: {
+                action: 'auto_reversal_blocked',
+                performedBy: entry.createdBy,
+                details: { reversalDate: entry.autoReversal.reversalDate, reason: error.message }
+              }
+            }
+          }
+        );
+        
+        results.push({
+          journalEntryId: entry._id,
+          status: 'blocked',
+          error: error.message
+        });
+        continue;
+      }
+      
+      await JournalEntry.updateOne(
+        { _id: entry._id },
+        { $set: { 'autoReversal.lastError': error.message, 'autoReversal.lastAttemptAt': new Date() } }
+      );
+      
+      results.push({
+        journalEntryId: entry._id,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+  
+  return results;
+};
@@ -0,0 +1,527 @@
+// services/paymentService.js
+const Payment = require('../models/payment');
+const Invoice = require('../models/invoice');
+const Account = require('../models/account');
+const Entity = require('../models/entity');
+const Customer = require('../models/customer');
+const Vendor = require('../models/vendor');
+const AuditLog = require('../models/auditLog');
+const { ApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const {
+  postJournalEntry,
+  reverseJournalEntry,
+  PAYMENT_JOURNAL_TYPE
+} = require('./journalEntryService');
+const { OPEN_INVOICE_STATUSES } = require('./invoiceService');
+
+/**
+ * Business logic for customer receipts and vendor payments
+ *
+ * A payment posts one entry between the bank account and the receivable or
+ * payable control accounts for its full amount. The part applied to invoices
+ * reduces their balanceDue; anything left over stays on the payment as an
+ * unapplied credit, already in the control account, that can be applied to
+ * later invoices of the same customer or vendor without another entry.
+ */
+
+const PAYMENT_TYPES = {
+  receipt: {
+    invoiceType: 'ar',
+    counterparty: 'customerId',
+    prefix: 'RCPT',
+    controlAccountField: 'receivableAccountId',
+    controlAccountType: 'Asset',
+    subledgerType: 'AR',
+    label: 'Receipt'
+  },
+  disbursement: {
+    invoiceType: 'ap',
+    counterparty: 'vendorId',
+    prefix: 'PAY',
+    controlAccountField: 'payableAccountId',
+    controlAccountType: 'Liability',
+    subledgerType: 'AP',
+    label: 'Payment'
+  }
+};
+
+const findPayment = async (clientId, paymentId, session = null) => {
+  const payment = await Payment.findOne({ _id: paymentId, clientId }).session(session);
+  
+  if (!payment) {
+    throw new ApiError(404, 'Payment not found or you do not have permission');
+  }
+  
+  return payment;
+};
+
+// Next receipt or disbursement number for an entity
+const nextPaymentNumber = async (clientId, entityId, paymentType, session) => {
+  const entity = await Entity.findOneAndUpdate(
+    { _id: entityId, clientId },
+    { $inc: { [`paymentSequences.${paymentType}`]: 1 } },
+    { new: true, session }
+  );
+  
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  const sequence = entity.paymentSequences[paymentType];
+  return `${PAYMENT_TYPES[paymentType].prefix}-${String(sequence).padStart(5, '0')}`;
+};
+
+// Customer of a receipt or vendor of a disbursement, within the entity
+const findCounterparty = async (clientId, entityId, paymentType, data, session) => {
+  const Model = paymentType === 'receipt' ? Customer : Vendor;
+  const counterpartyId = data[PAYMENT_TYPES[paymentType].counterparty];
+  
+  const counterparty = counterpartyId
+    ? await Model.findOne({ _id: counterpartyId, clientId, entityId }).session(session)
+    : null;
+  
+  if (!counterparty) {
+    throw new ApiError(400, `${paymentType === 'receipt' ? 'Customer' : 'Vendor'} not found for this entity`);
+  }
+  
+  return counterparty;
+};
+
+// Account must be an active account of the entity of the expected type
+const assertAccount = async (clientId, entityId, accountId, accountType, label, session) => {
+  const account = accountId && await Account.findOne({
+    _id: accountId,
+    clientId,
+    entityId,
+    isActive: true
+  }).session(session);
+  
+  if (!account || account.accountType !== accountType) {
+    throw new ApiError(400, `${label} must be an active ${accountType} account of the entity`);
+  }
+  
+  return account;
+};
+
+/**
+ * Open invoices an application list settles, checked against the payment
+ * Every invoice must be an open invoice of the payment's customer or vendor,
+ * each amount must fit within its balanceDue, and the total within available.
+ */
+const loadApplications = async (payment, applications, available, session) => {
+  const config = PAYMENT_TYPES[payment.paymentType];
+  const seen = new Set();
+  let total = 0;
+  
+  const resolved = [];
+  for (const application of applications) {
+    const amount = roundCents(Number(application.amount));
+    const key = String(application.invoiceId);
+    
+    if (seen.has(key)) {
+      throw new ApiError(400, 'Each invoice can appear only once in a payment application');
+    }
+    seen.add(key);
+    
+    const invoice = await Invoice.findOne({
+      _id: application.invoiceId,
+      clientId: payment.clientId,
+      entityId: payment.entityId,
+      invoiceType: config.invoiceType
+    }).session(session);
+    
+    if (!invoice) {
+      throw new ApiError(400, `Invoice ${application.invoiceId} not found for this entity`);
+    }
+    
+    if (String(invoice[config.counterparty]) !== String(payment[config.counterparty])) {
+      throw new ApiError(400, `${invoice.invoiceNumber} belongs to a different ${payment.paymentType === 'receipt' ? 'customer' : 'vendor'}`);
+    }
+    
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new ApiError(400, `${invoice.invoiceNumber} is ${invoice.status} and cannot take a payment`);
+    }
+    
+    if (amount > invoice.balanceDue) {
+      throw new ApiError(400, `${amount.toFixed(2)} exceeds the ${invoice.balanceDue.toFixed(2)} due on ${invoice.invoiceNumber}`);
+    }
+    
+    total = roundCents(total + amount);
+    resolved.push({ invoice, amount });
+  }
+  
+  if (total > available) {
+    throw new ApiError(400, `Applications total ${total.toFixed(2)} but only ${available.toFixed(2)} is available`);
+  }
+  
+  return resolved;
+};
+
+// Record an application on both the payment and the invoice
+const applyToInvoice = (payment, invoice, amount, date, userId) => {
+  payment.applications.push({
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    amount,
+    date,
+    appliedBy: userId
+  });
+  
+  invoice.addPayment({
+    paymentId: payment._id,
+    date,
+    amount,
+    paymentMethod: payment.paymentMethod,
+    reference: payment.paymentNumber
+  });
+};
+
+/**
+ * List payments with filtering and pagination
+ * @param {string} clientId
+ * @param {Object} filters - { entityId, paymentType, customerId, vendorId, status, unapplied, startDate, endDate, limit, page }
+ */
+exports.listPayments = async (clientId, filters = {}) => {
+  const { entityId, paymentType, customerId, vendorId, status, unapplied, startDate, endDate } = filters;
+  const limit = parseInt(filters.limit || 50);
+  const page = parseInt(filters.page || 1);
+  
+  const query = { clientId };
+  if (entityId) query.entityId = entityId;
+  if (paymentType) query.paymentType = paymentType;
+  if (customerId) query.customerId = customerId;
+  if (vendorId) query.vendorId = vendorId;
+  if (status) query.status = status;
+  if (unapplied === 'true') query.unappliedAmount = { $gt: 0 };
+  
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+  
+  const total = await Payment.countDocuments(query);
+  const payments = await Payment.find(query)
+    .sort({ date: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  
+  return { payments, total, page, limit };
+};
+
+/**
+ * Get a payment
+ */
+exports.getPayment = async (clientId, paymentId) => findPayment(clientId, paymentId);
+
+/**
+ * Record a receipt from a customer or a payment to a vendor
+ * Receipts debit cash and credit the receivable control accounts; disbursements
+ * debit the payable control accounts and credit cash. Each applied amount goes
+ * to its invoice's control account and any remainder to the payment's.
+ * @param {Object} data - { clientId, userId, isAdmin, entityId, paymentType, customerId, vendorId,
+ *   date, amount, paymentMethod, reference, memo, cashAccountId, controlAccountId, applications }
+ * @returns {Promise<{payment: Object, journalEntry: Object}>}
+ */
+exports.recordPayment = async (data, session) => {
+  const { clientId, userId, isAdmin, entityId, paymentType, applications = [] } = data;
+  const config = PAYMENT_TYPES[paymentType];
+  
+  const entity = await Entity.findOne({ _id: entityId, clientId }).session(session);
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  const counterparty = await findCounterparty(clientId, entityId, paymentType, data, session);
+  
+  const cashAccountId = data.cashAccountId || entity.cashAccountId;
+  await assertAccount(clientId, entityId, cashAccountId, 'Asset', 'Cash account', session);
+  
+  const controlAccountId = data.controlAccountId || entity[config.controlAccountField];
+  await assertAccount(clientId, entityId, controlAccountId, config.controlAccountType, 'Control account', session);
+  
+  const payment = new Payment({
+    clientId,
+    entityId,
+    paymentType,
+    paymentNumber: await nextPaymentNumber(clientId, entityId, paymentType, session),
+    [config.counterparty]: counterparty._id,
+    date: new Date(data.date),
+    amount: roundCents(Number(data.amount)),
+    currency: data.currency || counterparty.currency,
+    paymentMethod: data.paymentMethod,
+    reference: data.reference,
+    memo: data.memo,
+    cashAccountId,
+    controlAccountId,
+    createdBy: userId
+  });
+  
+  const resolved = await loadApplications(payment, applications, payment.amount, session);
+  resolved.forEach(({ invoice, amount }) => applyToInvoice(payment, invoice, amount, payment.date, userId));
+  payment.calculateUnapplied();
+  
+  // Amount posted to each control account: applied amounts by invoice, the remainder to the payment's
+  const byControlAccount = new Map();
+  const addToControl = (accountId, amount) => {
+    const key = String(accountId);
+    byControlAccount.set(key, roundCents((byControlAccount.get(key) || 0) + amount));
+  };
+  resolved.forEach(({ invoice, amount }) => addToControl(invoice.controlAccountId, amount));
+  if (payment.unappliedAmount > 0) addToControl(controlAccountId, payment.unappliedAmount);
+  
+  const isReceipt = paymentType === 'receipt';
+  const documentNumber = payment.paymentNumber;
+  const entries = [{
+    accountId: cashAccountId,
+    amount: payment.amount,
+    type: isReceipt ? 'debit' : 'credit',
+    description: `${config.label} ${payment.paymentNumber} - ${counterparty.name}`,
+    documentNumber
+  }];
+  
+  byControlAccount.forEach((amount, accountId) => {
+    entries.push({
+      accountId,
+      amount,
+      type: isReceipt ? 'credit' : 'debit',
+      description: resolved.length > 0
+        ? `${config.label} applied to ${resolved.map(r => r.invoice.invoiceNumber).join(', ')}`
+        : `Unapplied ${config.label.toLowerCase()} - ${counterparty.name}`,
+      documentNumber
+    });
+  });
+  
+  const { journalEntry } = await postJournalEntry({
+    clientId,
+    userId,
+    isAdmin,
+    entityId,
+    date: payment.date,
+    description: `${config.label} ${payment.paymentNumber} - ${counterparty.name}${payment.reference ? ` (${payment.reference})` : ''}`,
+    entries,
+    isManual: false,
+    journalType: PAYMENT_JOURNAL_TYPE,
+    subledgerType: config.subledgerType,
+    metadata: {
+      paymentId: payment._id,
+      paymentNumber: payment.paymentNumber
+    }
+  }, session);
+  
+  payment.journalEntryId = journalEntry._id;
+  await payment.save({ session });
+  
+  for (const { invoice } of resolved) {
+    await invoice.save({ session });
+  }
+  
+  counterparty.lastPaymentDate = payment.date;
+  counterparty.lastPaymentAmount = payment.amount;
+  await counterparty.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'RECORD_PAYMENT',
+    entityType: 'Payment',
+    entityId: payment._id,
+    userId,
+    details: {
+      entityId,
+      paymentType,
+      paymentNumber: payment.paymentNumber,
+      amount: payment.amount,
+      applications: resolved.map(({ invoice, amount }) => ({ invoiceNumber: invoice.invoiceNumber, amount })),
+      unappliedAmount: payment.unappliedAmount,
+      journalEntryId: journalEntry._id
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { payment, journalEntry };
+};
+
+/**
+ * Apply a payment's unapplied credit to further invoices
+ * The credit is already in the control account, so no entry is posted; the
+ * invoices must therefore use the same control account as the payment.
+ * @param {Object} data - { clientId, userId, paymentId, date, applications }
+ * @returns {Promise<Object>} - The payment
+ */
+exports.applyCredit = async (data, session) => {
+  const { clientId, userId, paymentId, applications } = data;
+  
+  const payment = await findPayment(clientId, paymentId, session);
+  
+  if (payment.status !== 'posted') {
+    throw new ApiError(400, `${payment.paymentNumber} is ${payment.status}`);
+  }
+  
+  if (payment.unappliedAmount <= 0) {
+    throw new ApiError(400, `${payment.paymentNumber} has no unapplied credit`);
+  }
+  
+  const date = data.date ? new Date(data.date) : new Date();
+  if (date < payment.date) {
+    throw new ApiError(400, 'A credit cannot be applied before the payment date');
+  }
+  
+  const resolved = await loadApplications(payment, applications, payment.unappliedAmount, session);
+  
+  const otherControl = resolved.find(({ invoice }) => String(invoice.controlAccountId) !== String(payment.controlAccountId));
+  if (otherControl) {
+    throw new ApiError(400, `${otherControl.invoice.invoiceNumber} posts to a different control account than ${payment.paymentNumber}`);
+  }
+  
+  resolved.forEach(({ invoice, amount }) => applyToInvoice(payment, invoice, amount, date, userId));
+  payment.calculateUnapplied();
+  await payment.save({ session });
+  
+  for (const { invoice } of resolved) {
+    await invoice.save({ session });
+  }
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'APPLY_PAYMENT_CREDIT',
+    entityType: 'Payment',
+    entityId: payment._id,
+    userId,
+    details: {
+      paymentNumber: payment.paymentNumber,
+      date,
+      applications: resolved.map(({ invoice, amount }) => ({ invoiceNumber: invoice.invoiceNumber, amount })),
+      unappliedAmount: payment.unappliedAmount
+    }
+  });
+  await auditLog.save({ session });
+  
+  return payment;
+};
+
+/**
+ * Take a payment off an invoice, returning the amount to unapplied credit
+ * Used to correct a misapplied payment, or before voiding the invoice.
+ * @param {Object} data - { clientId, userId, paymentId, invoiceId }
+ * @returns {Promise<{payment: Object, invoice: Object}>}
+ */
+exports.unapplyPayment = async (data, session) => {
+  const { clientId, userId, paymentId, invoiceId } = data;
+  
+  const payment = await findPayment(clientId, paymentId, session);
+  
+  if (payment.status !== 'posted') {
+    throw new ApiError(400, `${payment.paymentNumber} is ${payment.status}`);
+  }
+  
+  const applications = payment.activeApplications().filter(a => String(a.invoiceId) === String(invoiceId));
+  if (applications.length === 0) {
+    throw new ApiError(400, `${payment.paymentNumber} is not applied to that invoice`);
+  }
+  
+  const invoice = await Invoice.findOne({ _id: invoiceId, clientId }).session(session);
+  
+  // The amount was credited to the invoice's control account; it can only become
+  // the payment's credit if that is the same account
+  if (String(invoice.controlAccountId) !== String(payment.controlAccountId)) {
+    throw new ApiError(400, `${invoice.invoiceNumber} posts to a different control account; void ${payment.paymentNumber} instead`);
+  }
+  
+  const now = new Date();
+  applications.forEach(application => {
+    application.unappliedAt = now;
+    application.unappliedBy = userId;
+  });
+  payment.calculateUnapplied();
+  await payment.save({ session });
+  
+  invoice.removePayment(payment._id);
+  await invoice.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'UNAPPLY_PAYMENT',
+    entityType: 'Payment',
+    entityId: payment._id,
+    userId,
+    details: {
+      paymentNumber: payment.paymentNumber,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: roundCents(applications.reduce((sum, a) => sum + a.amount, 0)),
+      unappliedAmount: payment.unappliedAmount
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { payment, invoice };
+};
+
+/**
+ * Void a payment, reversing its entry and reopening the invoices it settled
+ * @param {Object} data - { clientId, userId, isAdmin, paymentId, voidDate, reason }
+ * @returns {Promise<{payment: Object, reversalEntry: Object}>}
+ */
+exports.voidPayment = async (data, session) => {
+  const { clientId, userId, isAdmin, paymentId, reason } = data;
+  
+  const payment = await findPayment(clientId, paymentId, session);
+  
+  if (payment.status !== 'posted') {
+    throw new ApiError(400, `${payment.paymentNumber} is already ${payment.status}`);
+  }
+  
+  const voidDate = data.voidDate ? new Date(data.voidDate) : new Date();
+  if (voidDate < payment.date) {
+    throw new ApiError(400, 'Void date cannot be before the payment date');
+  }
+  
+  const { reversalEntry } = await reverseJournalEntry({
+    clientId,
+    userId,
+    isAdmin,
+    journalEntryId: payment.journalEntryId,
+    reversalDate: voidDate,
+    isManual: false
+  }, session);
+  
+  const now = new Date();
+  const invoiceIds = [...new Set(payment.activeApplications().map(a => String(a.invoiceId)))];
+  payment.activeApplications().forEach(application => {
+    application.unappliedAt = now;
+    application.unappliedBy = userId;
+  });
+  
+  const invoices = await Invoice.find({ _id: { $in: invoiceIds }, clientId }).session(session);
+  for (const invoice of invoices) {
+    invoice.removePayment(payment._id);
+    await invoice.save({ session });
+  }
+  
+  payment.status = 'void';
+  payment.unappliedAmount = 0;
+  payment.reversalEntryId = reversalEntry._id;
+  payment.voidedBy = userId;
+  payment.voidedAt = now;
+  payment.voidReason = reason;
+  await payment.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'VOID_PAYMENT',
+    entityType: 'Payment',
+    entityId: payment._id,
+    userId,
+    details: {
+      paymentNumber: payment.paymentNumber,
+      amount: payment.amount,
+      reopenedInvoices: invoices.map(i => i.invoiceNumber),
+      journalEntryId: payment.journalEntryId,
+      reversalEntryId: reversalEntry._id,
+      reason
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { payment, reversalEntry };
+};
@@ -0,0 +1,473 @@
+// services/recurringInvoiceService.js
+const RecurringInvoice = require('../models/recurringInvoice');
+const AuditLog = require('../models/auditLog');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/apiError');
+const { runInTransaction } = require('./journalEntryService');
+const { getPeriodStatus } = require('./accountingPeriodService');
+const { nextOccurrence } = require('./recurringJournalEntryService');
+const {
+  assertCustomer,
+  assertVendor,
+  createInvoice,
+  issueInvoice
+} = require('./invoiceService');
+const { sendInvoice } = require('./invoiceDeliveryService');
+
+/**
+ * Business logic for recurring invoices
+ *
+ * A recurring invoice is a template of lines and terms with a schedule. Each
+ * time its nextDate comes due a regular invoice (or bill) is created from it,
+ * numbered from the entity's sequence and issued to the GL exactly like one
+ * entered by hand, then optionally emailed to the customer. nextDate moves on
+ * by the template's frequency until it passes endDate.
+ */
+
+const FREQUENCIES = ['monthly', 'quarterly', 'annually'];
+
+exports.FREQUENCIES = FREQUENCIES;
+
+// Fields that can be set on a template and changed later
+const TEMPLATE_FIELDS = [
+  'name',
+  'customerId',
+  'vendorId',
+  'items',
+  'reference',
+  'currency',
+  'paymentTerms',
+  'dueInDays',
+  'notes',
+  'memo',
+  'controlAccountId',
+  'taxAccountId',
+  'tags',
+  'autoSend',
+  'sendTo'
+];
+
+const findTemplate = async (clientId, recurringInvoiceId, session = null) => {
+  const template = await RecurringInvoice.findOne({ _id: recurringInvoiceId, clientId }).session(session);
+  
+  if (!template) {
+    throw new ApiError(404, 'Recurring invoice not found or you do not have permission');
+  }
+  
+  return template;
+};
+
+// Customer or vendor billed must belong to the template's entity
+const assertCounterparty = async (template, session) => {
+  if (template.invoiceType === 'ar') {
+    if (!template.customerId) {
+      throw new ApiError(400, 'A customer is required for a recurring invoice');
+    }
+    await assertCustomer(template.clientId, template.entityId, template.customerId, session);
+  } else {
+    if (!template.vendorId) {
+      throw new ApiError(400, 'A vendor is required for a recurring bill');
+    }
+    if (template.autoSend) {
+      throw new ApiError(400, 'Only customer invoices can be sent automatically');
+    }
+    await assertVendor(template.clientId, template.entityId, template.vendorId, session);
+  }
+};
+
+// Completed once the next occurrence falls after the end date
+const isExhausted = (template) => Boolean(template.endDate && template.nextDate > template.endDate);
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * List recurring invoice templates
+ * @param {string} clientId
+ * @param {Object} filters - { entityId, invoiceType, status, customerId, vendorId }
+ */
+exports.listRecurringInvoices = async (clientId, filters = {}) => {
+  const query = { clientId };
+  if (filters.entityId) query.entityId = filters.entityId;
+  if (filters.invoiceType) query.invoiceType = filters.invoiceType;
+  if (filters.status) query.status = filters.status;
+  if (filters.customerId) query.customerId = filters.customerId;
+  if (filters.vendorId) query.vendorId = filters.vendorId;
+  
+  return RecurringInvoice.find(query).sort({ nextDate: 1, name: 1 });
+};
+
+/**
+ * Get a recurring invoice template
+ */
+exports.getRecurringInvoice = async (clientId, recurringInvoiceId) => findTemplate(clientId, recurringInvoiceId);
+
+/**
+ * Create a recurring invoice template; the first invoice is generated on startDate
+ * @param {Object} data - { clientId, userId, entityId, invoiceType, frequency, startDate, endDate, ...template fields }
+ * @returns {Promise<Object>} - The template
+ */
+exports.createRecurringInvoice = async (data, session) => {
+  const { clientId, userId, entityId, invoiceType, frequency } = data;
+  const startDate = new Date(data.startDate);
+  const endDate = data.endDate ? new Date(data.endDate) : undefined;
+  
+  if (endDate && endDate < startDate) {
+    throw new ApiError(400, 'End date cannot be before the start date');
+  }
+  
+  const template = new RecurringInvoice({
+    clientId,
+    entityId,
+    invoiceType,
+    frequency,
+    startDate,
+    endDate,
+    nextDate: startDate,
+    status: 'active',
+    createdBy: userId
+  });
+  
+  TEMPLATE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) template[field] = data[field];
+  });
+  
+  await assertCounterparty(template, session);
+  await template.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CREATE_RECURRING_INVOICE',
+    entityType: 'RecurringInvoice',
+    entityId: template._id,
+    userId,
+    details: {
+      entityId,
+      invoiceType,
+      name: template.name,
+      frequency,
+      startDate,
+      endDate
+    }
+  });
+  await auditLog.save({ session });
+  
+  return template;
+};
+
+/**
+ * Edit a recurring invoice template
+ * Changes apply to invoices generated from now on. The frequency and start
+ * date are fixed once an invoice has been generated; the end date can move.
+ * @param {Object} data - { clientId, userId, recurringInvoiceId, frequency, startDate, endDate, ...template fields }
+ * @returns {Promise<Object>} - The updated template
+ */
+exports.updateRecurringInvoice = async (data, session) => {
+  const { clientId, userId, recurringInvoiceId } = data;
+  
+  const template = await findTemplate(clientId, recurringInvoiceId, session);
+  const changes = {};
+  
+  if (data.frequency !== undefined || data.startDate !== undefined) {
+    if (template.occurrenceCount > 0) {
+      throw new ApiError(400, 'The schedule cannot be changed once invoices have been generated; set an end date and create a new recurring invoice instead');
+    }
+    
+    if (data.frequency !== undefined) template.frequency = data.frequency;
+    if (data.startDate !== undefined) {
+      template.startDate = new Date(data.startDate);
+      template.nextDate = template.startDate;
+    }
+    changes.frequency = template.frequency;
+    changes.startDate = template.startDate;
+  }
+  
+  if (data.endDate !== undefined) {
+    template.endDate = data.endDate ? new Date(data.endDate) : undefined;
+    changes.endDate = template.endDate;
+  }
+  
+  if (template.endDate && template.endDate < template.startDate) {
+    throw new ApiError(400, 'End date cannot be before the start date');
+  }
+  
+  TEMPLATE_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    template[field] = data[field];
+    changes[field] = field === 'items' ? data.items.length : data[field];
+  });
+  
+  // Moving the end date can finish a template or bring a completed one back
+  if (isExhausted(template)) {
+    template.status = 'completed';
+  } else if (template.status === 'completed') {
+    template.status = 'active';
+  }
+  
+  await assertCounterparty(template, session);
+  await template.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'UPDATE_RECURRING_INVOICE',
+    entityType: 'RecurringInvoice',
+    entityId: template._id,
+    userId,
+    details: changes
+  });
+  await auditLog.save({ session });
+  
+  return template;
+};
+
+/**
+ * Pause or resume a recurring invoice
+ * A paused template does not bill for the pause: on resume, occurrences dated
+ * before today are skipped and the schedule picks up from the next one, unless
+ * catchUp asks for them to be generated on the next run.
+ * @param {Object} data - { clientId, userId, recurringInvoiceId, paused, catchUp }
+ * @returns {Promise<Object>} - The template
+ */
+exports.setRecurringInvoicePaused = async (data, session) => {
+  const { clientId, userId, recurringInvoiceId, paused, catchUp = false } = data;
+  
+  const template = await findTemplate(clientId, recurringInvoiceId, session);
+  
+  if (template.status === 'completed') {
+    throw new ApiError(400, `${template.name} has completed its schedule; extend its end date to continue it`);
+  }
+  
+  const skippedDates = [];
+  if (!paused && template.status === 'paused' && !catchUp) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    while (template.nextDate < today && !isExhausted(template)) {
+      skippedDates.push(template.nextDate);
+      template.nextDate = nextOccurrence(template.nextDate, template.frequency, template.startDate.getDate());
+    }
+  }
+  
+  template.status = paused ? 'paused' : 'active';
+  if (isExhausted(template)) {
+    template.status = 'completed';
+  }
+  await template.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: paused ? 'PAUSE_RECURRING_INVOICE' : 'RESUME_RECURRING_INVOICE',
+    entityType: 'RecurringInvoice',
+    entityId: template._id,
+    userId,
+    details: { nextDate: template.nextDate, catchUp, skippedDates }
+  });
+  await auditLog.save({ session });
+  
+  return template;
+};
+
+/**
+ * Delete a recurring invoice that has not generated anything yet
+ * @param {Object} data - { clientId, userId, recurringInvoiceId }
+ */
+exports.deleteRecurringInvoice = async (data, session) => {
+  const { clientId, userId, recurringInvoiceId } = data;
+  
+  const template = await findTemplate(clientId, recurringInvoiceId, session);
+  
+  if (template.occurrenceCount > 0) {
+    throw new ApiError(400, `${template.name} has generated invoices; pause it or set an end date instead`);
+  }
+  
+  await RecurringInvoice.deleteOne({ _id: template._id }).session(session);
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'DELETE_RECURRING_INVOICE',
+    entityType: 'RecurringInvoice',
+    entityId: template._id,
+    userId,
+    details: { name: template.name, invoiceType: template.invoiceType }
+  });
+  await auditLog.save({ session });
+  
+  return template;
+};
+
+/**
+ * Generate and issue the invoice of a template due on occurrenceDate
+ * Creating and issuing the invoice and advancing the template happen in one
+ * transaction, and the template is re-read with its expected nextDate so two
+ * concurrent runs cannot both generate the same invoice.
+ * @returns {Promise<Object>} - { recurringInvoiceId, date, status, invoiceId?, invoiceNumber? }
+ */
+const generateOccurrence = async (templateId, occurrenceDate) => {
+  return runInTransaction(async (session) => {
+    const template = await RecurringInvoice.findOne({
+      _id: templateId,
+      status: 'active',
+      nextDate: occurrenceDate
+    }).session(session);
+    
+    if (!template) {
+      return { recurringInvoiceId: templateId, date: occurrenceDate, status: 'already_processed' };
+    }
+    
+    const periodStatus = await getPeriodStatus(template.clientId, template.entityId, occurrenceDate, session);
+    let result;
+    
+    if (periodStatus !== 'open') {
+      // Never issue into a closed period; the occurrence is skipped and recorded
+      const auditLog = new AuditLog({
+        clientId: template.clientId,
+        action: 'SKIP_RECURRING_INVOICE',
+        entityType: 'RecurringInvoice',
+        entityId: template._id,
+        userId: template.createdBy,
+        details: { date: occurrenceDate, periodStatus }
+      });
+      await auditLog.save({ session });
+      
+      result = { recurringInvoiceId: templateId, date: occurrenceDate, status: 'skipped', periodStatus };
+    } else {
+      const draft = await createInvoice({
+        clientId: template.clientId,
+        userId: template.createdBy,
+        entityId: template.entityId,
+        invoiceType: template.invoiceType,
+        recurringInvoiceId: template._id,
+        customerId: template.customerId,
+        vendorId: template.vendorId,
+        reference: template.reference,
+        issueDate: occurrenceDate,
+        dueDate: addDays(occurrenceDate, template.dueInDays),
+        items: template.items.map(item => ({
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          taxRate: item.taxRate,
+          accountId: item.accountId
+        })),
+        currency: template.currency,
+        paymentTerms: template.paymentTerms,
+        notes: template.notes,
+        memo: template.memo,
+        controlAccountId: template.controlAccountId,
+        taxAccountId: template.taxAccountId,
+        tags: template.tags
+      }, session);
+      
+      const { invoice, journalEntry } = await issueInvoice({
+        clientId: template.clientId,
+        userId: template.createdBy,
+        invoiceId: draft._id
+      }, session);
+      
+      template.occurrenceCount += 1;
+      template.lastGeneratedDate = occurrenceDate;
+      template.lastInvoiceId = invoice._id;
+      
+      const auditLog = new AuditLog({
+        clientId: template.clientId,
+        action: 'GENERATE_RECURRING_INVOICE',
+        entityType: 'RecurringInvoice',
+        entityId: template._id,
+        userId: template.createdBy,
+        details: {
+          date: occurrenceDate,
+          invoiceId: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          total: invoice.total,
+          journalEntryId: journalEntry._id
+        }
+      });
+      await auditLog.save({ session });
+      
+      result = {
+        recurringInvoiceId: templateId,
+        date: occurrenceDate,
+        status: 'issued',
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        total: invoice.total
+      };
+    }
+    
+    template.nextDate = nextOccurrence(occurrenceDate, template.frequency, template.startDate.getDate());
+    if (isExhausted(template)) {
+      template.status = 'completed';
+    }
+    await template.save({ session });
+    
+    return result;
+  });
+};
+
+/**
+ * Email a generated invoice when its template asks for it
+ * A failed send leaves the invoice issued; it can be sent again by hand.
+ */
+const autoSend = async (template, result) => {
+  if (!template.autoSend || result.status !== 'issued') return result;
+  
+  try {
+    await sendInvoice({
+      clientId: template.clientId,
+      userId: template.createdBy,
+      invoiceId: result.invoiceId,
+      to: template.sendTo
+    });
+    return { ...result, sent: true };
+  } catch (error) {
+    logger.error(`Sending recurring invoice ${result.invoiceNumber} failed: ${error.message}`);
+    return { ...result, sent: false, sendError: error.message };
+  }
+};
+
+/**
+ * Generate every recurring invoice due on or before asOfDate
+ * Templates that fell behind are caught up one invoice at a time. A failure
+ * on one template is logged and does not stop the others.
+ * @param {Date} asOfDate
+ * @param {Object} filter - Optional { clientId, entityId } to limit the run
+ * @returns {Promise<Array>} - One result per occurrence processed
+ */
+exports.generateDueRecurringInvoices = async (asOfDate = new Date(), filter = {}) => {
+  const query = {
+    status: 'active',
+    nextDate: { $lte: asOfDate }
+  };
+  if (filter.clientId) query.clientId = filter.clientId;
+  if (filter.entityId) query.entityId = filter.entityId;
+  
+  const templates = await RecurringInvoice.find(query).select('_id');
+  const results = [];
+  
+  for (const { _id: templateId } of templates) {
+    try {
+      let template = await RecurringInvoice.findById(templateId);
+      
+      while (
+        template &&
+        template.status === 'active' &&
+        !isExhausted(template) &&
+        template.nextDate <= asOfDate
+      ) {
+        const result = await generateOccurrence(template._id, template.nextDate);
+        if (result.status === 'already_processed') break;
+        
+        results.push(await autoSend(template, result));
+        template = await RecurringInvoice.findById(templateId);
+      }
+    } catch (error) {
+      logger.error(`Recurring invoice ${templateId} failed: ${error.message}`);
+      results.push({ recurringInvoiceId: templateId, status: 'failed', error: error.message });
+    }
+  }
+  
+  return results;
+};
@@ -0,0 +1,362 @@
+// services/recurringJournalEntryService.js
+const JournalEntry = require('../models/journalEntry');
+const Transaction = require('../models/transaction');
+const AuditLog = require('../models/auditLog');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/apiError');
+const { addMonths } = require('../utils/dates');
+const { runInTransaction, postJournalEntry } = require('./journalEntryService');
+const { getPeriodStatus } = require('./accountingPeriodService');
+
+/**
+ * Business logic for recurring journal entries
+ *
+ * A journal entry with recurring.isRecurring set is a template. Each time its
+ * recurring.nextDate comes due a copy of its lines is posted on that date,
+ * linked back through recurringTemplateId, and nextDate moves on by the
+ * template's frequency until it passes recurring.endDate.
+ *
+ * Only posted entries can be templates: the copies are posted without review,
+ * so the template itself must have been approved.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'annually'];
+
+exports.FREQUENCIES = FREQUENCIES;
+
+/**
+ * Date of the occurrence after date for a frequency
+ * @param {Date} date - Current occurrence
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {number} anchorDay - Day of month the schedule was set up on
+ * @returns {Date}
+ */
+const nextOccurrence = (date, frequency, anchorDay) => {
+  const result = new Date(date);
+  
+  switch (frequency) {
+    case 'daily':
+      result.setDate(result.getDate() + 1);
+      return result;
+    case 'weekly':
+      result.setDate(result.getDate() + 7);
+      return result;
+    case 'monthly':
+      return addMonths(date, 1, anchorDay);
+    case 'quarterly':
+      return addMonths(date, 3, anchorDay);
+    case 'annually':
+      return addMonths(date, 12, anchorDay);
+    default:
+      throw new ApiError(400, `Unsupported recurring frequency: ${frequency}`);
+  }
+};
+
+exports.nextOccurrence = nextOccurrence;
+
+/**
+ * Lines to copy for each occurrence of a template
+ * Entries posted through approval still carry their lines; ones posted directly
+ * are read back from their transactions.
+ */
+const templateLines = async (template, session = null) => {
+  if (template.lines && template.lines.length > 0) {
+    return template.lines.map(line => ({
+      accountId: line.accountId,
+      amount: line.amount,
+      type: line.type,
+      description: line.description,
+      lineNo: line.lineNo,
+      documentNumber: line.documentNumber
+    }));
+  }
+  
+  const transactions = await Transaction.find({
+    journalEntryId: template._id
+  }).sort({ lineNo: 1 }).session(session);
+  
+  return transactions.map(t => ({
+    accountId: t.accountId,
+    amount: t.amount,
+    type: t.type,
+    description: t.description,
+    lineNo: t.lineNo,
+    documentNumber: t.documentNumber
+  }));
+};
+
+/**
+ * Whether a template has an occurrence left on or before endDate
+ */
+const isExhausted = (template) => {
+  const { nextDate, endDate } = template.recurring;
+  return !nextDate || (endDate && nextDate > endDate);
+};
+
+/**
+ * Set up or change the recurrence of a journal entry
+ * @param {Object} data - { clientId, userId, journalEntryId, frequency, nextDate, endDate }
+ * @returns {Promise<Object>} - The template
+ */
+exports.configureRecurrence = async (data, session) => {
+  const { clientId, userId, journalEntryId, frequency, nextDate, endDate } = data;
+  
+  const template = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    status: 'posted'
+  }).session(session);
+  
+  if (!template) {
+    throw new ApiError(404, 'Posted journal entry not found; only approved entries can be recurring templates');
+  }
+  
+  if (template.recurringTemplateId) {
+    throw new ApiError(400, 'A generated occurrence cannot itself be a recurring template');
+  }
+  
+  const anchorDay = template.date.getDate();
+  const firstDate = nextDate
+    ? new Date(nextDate)
+    : nextOccurrence(template.date, frequency, anchorDay);
+  
+  template.recurring.isRecurring = true;
+  template.recurring.frequency = frequency;
+  template.recurring.nextDate = firstDate;
+  template.recurring.endDate = endDate ? new Date(endDate) : undefined;
+  template.recurring.isPaused = false;
+  template.auditTrail.push({
+    action: 'configure_recurring',
+    performedBy: userId,
+    details: { frequency, nextDate: firstDate, endDate }
+  });
+  
+  await template.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CONFIGURE_RECURRING_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: template._id,
+    userId,
+    details: { frequency, nextDate: firstDate, endDate }
+  });
+  await auditLog.save({ session });
+  
+  return template;
+};
+
+/**
+ * Pause or resume a recurring template
+ * @param {Object} data - { clientId, userId, journalEntryId, paused }
+ * @returns {Promise<Object>} - The template
+ */
+exports.setRecurrencePaused = async (data, session) => {
+  const { clientId, userId, journalEntryId, paused } = data;
+  
+  const template = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    'recurring.isRecurring': true
+  }).session(session);
+  
+  if (!template) {
+    throw new ApiError(404, 'Recurring journal entry not found');
+  }
+  
+  template.recurring.isPaused = paused;
+  template.auditTrail.push({
+    action: paused ? 'pause_recurring' : 'resume_recurring',
+    performedBy: userId
+  });
+  
+  await template.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: paused ? 'PAUSE_RECURRING_JOURNAL_ENTRY' : 'RESUME_RECURRING_JOURNAL_ENTRY',
+    entityType: 'JournalEntry',
+    entityId: template._id,
+    userId,
+    details: { nextDate: template.recurring.nextDate }
+  });
+  await auditLog.save({ session });
+  
+  return template;
+};
+
+/**
+ * List recurring templates for an entity
+ */
+exports.listRecurringTemplates = async (clientId, entityId) => {
+  const query = {
+    clientId,
+    'recurring.isRecurring': true
+  };
+  if (entityId) query.entityId = entityId;
+  
+  return JournalEntry.find(query).sort({ 'recurring.nextDate': 1 });
+};
+
+/**
+ * Upcoming occurrences of a template without posting anything
+ * Each occurrence reports whether it would be skipped because its period is closed.
+ * @param {Object} data - { clientId, journalEntryId, count }
+ * @returns {Promise<{template: Object, lines: Array, occurrences: Array}>}
+ */
+exports.previewOccurrences = async (data) => {
+  const { clientId, journalEntryId, count = 12 } = data;
+  
+  const template = await JournalEntry.findOne({
+    _id: journalEntryId,
+    clientId,
+    'recurring.isRecurring': true
+  });
+  
+  if (!template) {
+    throw new ApiError(404, 'Recurring journal entry not found');
+  }
+  
+  const { frequency, endDate } = template.recurring;
+  const anchorDay = template.date.getDate();
+  const occurrences = [];
+  let date = template.recurring.nextDate;
+  
+  while (date && occurrences.length < count && (!endDate || date <= endDate)) {
+    const periodStatus = await getPeriodStatus(template.clientId, template.entityId, date);
+    occurrences.push({
+      date,
+      periodStatus,
+      willSkip: periodStatus !== 'open'
+    });
+    date = nextOccurrence(date, frequency, anchorDay);
+  }
+  
+  return {
+    template,
+    lines: await templateLines(template),
+    occurrences
+  };
+};
+
+/**
+ * Generate the occurrence of a template due on occurrenceDate
+ * Posting the entry and advancing the template happen in one transaction, and
+ * the template is re-read with its expected nextDate so two concurrent runs
+ * cannot both generate the same occurrence.
+ * @returns {Promise<Object>} - { templateId, date, status, journalEntryId? }
+ */
+const generateOccurrence = async (templateId, occurrenceDate) => {
+  return runInTransaction(async (session) => {
+    const template = await JournalEntry.findOne({
+      _id: templateId,
+      'recurring.isRecurring': true,
+      'recurring.isPaused': { $ne: true },
+      'recurring.nextDate': occurrenceDate
+    }).session(session);
+    
+    if (!template) {
+      return { templateId, date: occurrenceDate, status: 'already_processed' };
+    }
+    
+    const { frequency } = template.recurring;
+    const periodStatus = await getPeriodStatus(template.clientId, template.entityId, occurrenceDate, session);
+    let result;
+    
+    if (periodStatus !== 'open') {
+      // Never post into a closed period; the occurrence is skipped and recorded
+      template.auditTrail.push({
+        action: 'skip_recurring_occurrence',
+        details: { date: occurrenceDate, periodStatus }
+      });
+      
+      const auditLog = new AuditLog({
+        clientId: template.clientId,
+        action: 'SKIP_RECURRING_JOURNAL_ENTRY',
+        entityType: 'JournalEntry',
+        entityId: template._id,
+        userId: template.createdBy,
+        details: { date: occurrenceDate, periodStatus }
+      });
+      await auditLog.save({ session });
+      
+      result = { templateId, date: occurrenceDate, status: 'skipped', periodStatus };
+    } else {
+      const { journalEntry } = await postJournalEntry({
+        clientId: template.clientId,
+        userId: template.createdBy,
+        entityId: template.entityId,
+        date: occurrenceDate,
+        description: template.description,
+        entries: await templateLines(template, session),
+        isManual: false,
+        journalType: template.journalType,
+        subledgerType: template.subledgerType,
+        recurringTemplateId: template._id
+      }, session);
+      
+      template.recurring.occurrenceCount += 1;
+      template.recurring.lastGeneratedDate = occurrenceDate;
+      
+      result = {
+        templateId,
+        date: occurrenceDate,
+        status: 'posted',
+        journalEntryId: journalEntry._id,
+        entryNumber: journalEntry.entryNumber
+      };
+    }
+    
+    template.recurring.nextDate = nextOccurrence(occurrenceDate, frequency, template.date.getDate());
+    await template.save({ session });
+    
+    return result;
+  });
+};
+
+/**
+ * Generate every recurring occurrence due on or before asOfDate
+ * Templates that fell behind are caught up one occurrence at a time. A failure
+ * on one template is logged and does not stop the others.
+ * @param {Date} asOfDate
+ * @param {Object} filter - Optional { clientId, entityId } to limit the run
+ * @returns {Promise<Array>} - One result per occurrence processed
+ */
+exports.generateDueRecurringEntries = async (asOfDate = new Date(), filter = {}) => {
+  const query = {
+    'recurring.isRecurring': true,
+    'recurring.isPaused': { $ne: true },
+    'recurring.nextDate': { $lte: asOfDate },
+    status: 'posted'
+  };
+  if (filter.clientId) query.clientId = filter.clientId;
+  if (filter.entityId) query.entityId = filter.entityId;
+  
+  const templates = await JournalEntry.find(query).select('_id');
+  const results = [];
+  
+  for (const { _id: templateId } of templates) {
+    try {
+      let template = await JournalEntry.findById(templateId);
+      
+      while (
+        template &&
+        template.recurring.isRecurring &&
+        !template.recurring.isPaused &&
+        !isExhausted(template) &&
+        template.recurring.nextDate <= asOfDate
+      ) {
+        const result = await generateOccurrence(template._id, template.recurring.nextDate);
+        if (result.status === 'already_processed') break;
+        
+        results.push(result);
+        template = await JournalEntry.findById(templateId);
+      }
+    } catch (error) {
+      logger.error(`Recurring journal entry ${templateId} failed: ${error.message}`);
+      results.push({ templateId, status: 'failed', error: error.message });
+    }
+  }
+  
+  return results;
+};
@@ -0,0 +1,291 @@
+// services/reportPdfService.js
+const PDFDocument = require('pdfkit');
+
+/**
+ * PDF rendering of financial statements
+ *
+ * Renders the payloads built by reportService into a paginated statement with
+ * an entity header, period caption, section subtotals and page numbers.
+ */
+
+const MARGIN = 50;
+const AMOUNT_WIDTH = 100;
+const NUMBER_WIDTH = 70;
+const MIN_NAME_WIDTH = 150;
+
+const formatAmount = (amount) => {
+  const formatted = Math.abs(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  return amount < 0 ? `(${formatted})` : formatted;
+};
+
+const formatPercent = (percent) => (percent === null ? 'n/a' : `${percent.toFixed(1)}%`);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Thin table writer over a pdfkit document
+ * amountColumns is the number of right-aligned amount columns after the
+ * account number and name.
+ */
+const createTable = (doc, columnTitles) => {
+  const amountColumns = columnTitles.length - 2;
+  const right = doc.page.width - MARGIN;
+  // Amount columns narrow down when there are too many to fit at full width
+  const amountWidth = Math.min(
+    AMOUNT_WIDTH,
+    (right - MARGIN - NUMBER_WIDTH - MIN_NAME_WIDTH) / amountColumns
+  );
+  const nameWidth = right - MARGIN - NUMBER_WIDTH - amountColumns * amountWidth;
+  
+  const amountX = (index) => right - (amountColumns - index) * amountWidth;
+  
+  const drawRow = (cells, options = {}) => {
+    const [number, name, ...amounts] = cells;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    
+    const rowHeight = Math.max(doc.heightOfString(name || '', { width: nameWidth - 10 }), 12) + 4;
+    if (doc.y + rowHeight > doc.page.height - MARGIN - 20) {
+      doc.addPage();
+      header();
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    }
+    
+    const y = doc.y;
+    if (options.ruled) {
+      doc.moveTo(amountX(0), y - 2).lineTo(right, y - 2).lineWidth(0.5).stroke();
+    }
+    
+    doc.text(number || '', MARGIN, y, { width: NUMBER_WIDTH });
+    doc.text(name || '', MARGIN + NUMBER_WIDTH + (options.indent || 0), y, { width: nameWidth - 10 });
+    amounts.forEach((amount, index) => {
+      if (amount === undefined || amount === null) return;
+      doc.text(typeof amount === 'number' ? formatAmount(amount) : amount, amountX(index), y, {
+        width: amountWidth,
+        align: 'right'
+      });
+    });
+    
+    doc.x = MARGIN;
+    doc.y = y + rowHeight;
+  };
+  
+  // Column titles, repeated at the top of every page
+  const header = () => {
+    drawRow(columnTitles, { bold: true });
+    doc.moveTo(MARGIN, doc.y - 2).lineTo(right, doc.y - 2).lineWidth(0.5).stroke();
+    doc.moveDown(0.3);
+  };
+  
+  const section = (title) => {
+    doc.moveDown(0.5);
+    drawRow(['', title], { bold: true });
+  };
+  
+  const accountRows = (accounts, amountsOf) => {
+    accounts.forEach(account => {
+      drawRow([account.accountNumber, account.accountName, ...amountsOf(account)], { indent: 10 });
+    });
+  };
+  
+  const subtotal = (label, ...amounts) => {
+    drawRow(['', label, ...amounts], { bold: true, ruled: true });
+  };
+  
+  return { header, section, accountRows, subtotal, drawRow };
+};
+
+const renderTrialBalance = (doc, { trialBalance, totals }) => {
+  const table = createTable(doc, ['Account', 'Name', 'Debits', 'Credits', 'Balance']);
+  table.header();
+  
+  ['Asset', 'Liability', 'Equity', 'Revenue', 'Expense'].forEach(accountType => {
+    const accounts = trialBalance.filter(a => a.accountType === accountType);
+    if (accounts.length === 0) return;
+    
+    table.section(accountType);
+    table.accountRows(accounts, a => [a.debits, a.credits, a.balance]);
+    table.subtotal(
+      `Total ${accountType}`,
+      accounts.reduce((sum, a) => sum + a.debits, 0),
+      accounts.reduce((sum, a) => sum + a.credits, 0),
+      accounts.reduce((sum, a) => sum + a.balance, 0)
+    );
+  });
+  
+  doc.moveDown();
+  table.subtotal('Total', totals.debits, totals.credits, null);
+};
+
+/**
+ * Amount columns for a statement, with comparative and variance columns when
+ * the statement was built with a comparison
+ */
+const statementColumns = (statement, currentTitle) => {
+  if (!statement.comparison) {
+    return {
+      titles: ['Account', 'Name', currentTitle],
+      account: a => [a.balance],
+      total: key => [statement.totals[key]],
+      values: (current) => [current]
+    };
+  }
+  
+  return {
+    titles: ['Account', 'Name', 'Current', 'Prior', 'Variance', '%'],
+    account: a => [a.balance, a.priorBalance, a.variance, formatPercent(a.variancePercent)],
+    total: key => [
+      statement.totals[key],
+      statement.priorTotals[key],
+      statement.variances[key].variance,
+      formatPercent(statement.variances[key].variancePercent)
+    ],
+    values: (current, prior, change) => [current, prior, change.variance, formatPercent(change.variancePercent)]
+  };
+};
+
+const renderBalanceSheet = (doc, { balanceSheet }) => {
+  const { assets, liabilities, equity } = balanceSheet;
+  const columns = statementColumns(balanceSheet, 'Balance');
+  const table = createTable(doc, columns.titles);
+  table.header();
+  
+  table.section('Assets');
+  table.accountRows(assets, columns.account);
+  table.subtotal('Total Assets', ...columns.total('assets'));
+  
+  table.section('Liabilities');
+  table.accountRows(liabilities, columns.account);
+  table.subtotal('Total Liabilities', ...columns.total('liabilities'));
+  
+  table.section('Equity');
+  table.accountRows(equity, columns.account);
+  
+  const rollForward = balanceSheet.retainedEarningsRollForward;
+  const priorRollForward = balanceSheet.priorRetainedEarningsRollForward;
+  const rollForwardRow = (label, key) => table.drawRow([
+    '',
+    label,
+    ...columns.values(
+      rollForward[key],
+      priorRollForward && priorRollForward[key],
+      balanceSheet.retainedEarningsVariances && balanceSheet.retainedEarningsVariances[key]
+    )
+  ], { indent: 10 });
+  
+  rollForwardRow('Retained Earnings, beginning of year', 'opening');
+  if (rollForward.adjustments !== 0 || (priorRollForward && priorRollForward.adjustments !== 0)) {
+    rollForwardRow('Distributions and Other Adjustments', 'adjustments');
+  }
+  rollForwardRow('Net Income (year to date)', 'currentYearEarnings');
+  table.subtotal('Total Equity', ...columns.total('equity'));
+  
+  doc.moveDown();
+  table.subtotal('Total Liabilities and Equity', ...columns.total('liabilitiesAndEquity'));
+};
+
+const renderIncomeStatement = (doc, { incomeStatement }) => {
+  const { revenue, expenses } = incomeStatement;
+  const columns = statementColumns(incomeStatement, 'Amount');
+  const table = createTable(doc, columns.titles);
+  table.header();
+  
+  table.section('Revenue');
+  table.accountRows(revenue, columns.account);
+  table.subtotal('Total Revenue', ...columns.total('revenue'));
+  
+  table.section('Expenses');
+  table.accountRows(expenses, columns.account);
+  table.subtotal('Total Expenses', ...columns.total('expenses'));
+  
+  doc.moveDown();
+  table.subtotal('Net Income', ...columns.total('netIncome'));
+};
+
+const REPORTS = {
+  'trial-balance': {
+    title: 'Trial Balance',
+    render: renderTrialBalance,
+    period: data => data.period,
+    comparison: () => null
+  },
+  'balance-sheet': {
+    title: 'Balance Sheet',
+    render: renderBalanceSheet,
+    period: data => ({ asOfDate: data.balanceSheet.asOfDate }),
+    comparison: data => data.balanceSheet.comparison
+  },
+  'income-statement': {
+    title: 'Income Statement',
+    render: renderIncomeStatement,
+    period: data => data.incomeStatement.period,
+    comparison: data => data.incomeStatement.comparison
+  }
+};
+
+exports.PDF_REPORT_TYPES = Object.keys(REPORTS);
+
+/**
+ * Render a statement payload to PDF
+ * @param {string} reportType - One of PDF_REPORT_TYPES
+ * @param {Object} data - Payload returned by the matching reportService builder
+ * @param {Object} entity - Entity the statement is for
+ * @returns {Promise<Buffer>}
+ */
+exports.renderReportPdf = (reportType, data, entity) => {
+  const report = REPORTS[reportType];
+  
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN, bufferPages: true });
+    const chunks = [];
+    
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    // Entity header and period caption
+    const period = report.period(data);
+    const caption = period.asOfDate
+      ? `As of ${formatDate(period.asOfDate)}`
+      : `For the period ${formatDate(period.startDate)} to ${formatDate(period.endDate)}`;
+    
+    doc.font('Helvetica-Bold').fontSize(16).text(entity.name, { align: 'center' });
+    doc.font('Helvetica').fontSize(13).text(report.title, { align: 'center' });
+    doc.fontSize(10).fillColor('#555555').text(caption, { align: 'center' });
+    const comparison = report.comparison(data);
+    if (comparison) {
+      const priorCaption = comparison.asOfDate
+        ? formatDate(comparison.asOfDate)
+        : `${formatDate(comparison.period.startDate)} to ${formatDate(comparison.period.endDate)}`;
+      doc.text(`Compared with ${priorCaption}`, { align: 'center' });
+    }
+    doc.text(`Amounts in ${entity.currency || 'USD'}`, { align: 'center' });
+    doc.fillColor('#000000').moveDown(1.5);
+    
+    report.render(doc, data);
+    
+    // Page numbers go in the bottom margin once the page count is known
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+        `Page ${i + 1} of ${count}`,
+        MARGIN,
+        doc.page.height - MARGIN + 15,
+        { width: doc.page.width - MARGIN * 2, align: 'center' }
+      );
+      doc.page.margins.bottom = bottomMargin;
+    }
+    
+    doc.end();
+  });
+};
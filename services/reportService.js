@@ -0,0 +1,788 @@
+// services/reportService.js
+const mongoose = require('mongoose');
+const Account = require('../models/account');
+const Entity = require('../models/entity');
+const Transaction = require('../models/transaction');
+const { ApiError } = require('../utils/apiError');
+const { addMonths, isMonthEnd } = require('../utils/dates');
+const {
+  DEPRECIATION_JOURNAL_TYPE,
+  CLOSING_JOURNAL_TYPE,
+  DISPOSAL_JOURNAL_TYPE,
+  IMPAIRMENT_JOURNAL_TYPE,
+  ASSET_TRANSFER_JOURNAL_TYPE
+} = require('./journalEntryService');
+
+/**
+ * Financial statement builders
+ *
+ * Each builder returns the statement payload the report endpoints send, so
+ * the JSON and PDF renderings are produced from the same numbers.
+ *
+ * Debits and credits are summed per account inside MongoDB rather than by
+ * loading every transaction, so report time does not grow with the number of
+ * accounts times the number of transactions.
+ */
+
+const toObjectId = (id, label) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, `Invalid ${label} ID format`);
+  }
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+/**
+ * Sum debits and credits per account
+ * Matching on clientId, entityId, accountId and a date range lets the
+ * {clientId, entityId, accountId, date} transaction index serve the query.
+ * groupBy adds expressions to the group key, e.g. to split by period, and
+ * excludeJournalTypes leaves out entries such as year-end closing entries.
+ * @param {Object} filter - { clientId, entityId, accountIds, startDate, endDate, groupBy, excludeJournalTypes }
+ * @returns {Promise<Array>} - [{ accountId, ...groupBy keys, debits, credits }]
+ */
+const ledgerTotals = async (filter, session = null) => {
+  const {
+    clientId,
+    entityId,
+    accountIds,
+    startDate,
+    endDate,
+    groupBy = {},
+    excludeJournalTypes = []
+  } = filter;
+  
+  const match = {
+    clientId: toObjectId(clientId, 'client'),
+    entityId: toObjectId(entityId, 'entity'),
+    accountId: { $in: accountIds }
+  };
+  
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = startDate;
+    if (endDate) match.date.$lte = endDate;
+  }
+  
+  if (excludeJournalTypes.length > 0) {
+    match.journalType = { $nin: excludeJournalTypes };
+  }
+  
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { accountId: '$accountId', ...groupBy },
+        debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } }
+      }
+    }
+  ]).session(session);
+  
+  return rows.map(({ _id, debits, credits }) => ({ ..._id, debits, credits }));
+};
+
+exports.ledgerTotals = ledgerTotals;
+
+// Debit and credit totals keyed by account ID (for ungrouped ledgerTotals results)
+const totalsByAccount = (rows) => new Map(
+  rows.map(row => [row.accountId.toString(), row])
+);
+
+// Balance in an account's normal direction
+const normalBalance = (accountType, debits, credits) =>
+  (['Asset', 'Expense'].includes(accountType) ? debits - credits : credits - debits);
+
+const NO_ACTIVITY = { debits: 0, credits: 0 };
+
+/**
+ * Trial balance for an entity over a date range
+ * @param {Object} params - { entityId, startDate, endDate, level }
+ * @returns {Promise<{trialBalance: Array, totals: Object, period: Object}>}
+ */
+exports.buildTrialBalance = async (clientId, params) => {
+  const { entityId, startDate, endDate, level = 'detail' } = params;
+
+  // Validate date parameters
+  const parsedStartDate = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
+  const parsedEndDate = endDate ? new Date(endDate) : new Date();
+  
+  // Define account aggregation for Trial Balance
+  const accounts = await Account.find({
+    clientId: clientId,
+    entityId: entityId,
+    isActive: true
+  }).sort({ accountNumber: 1 });
+  
+  // Sum debits and credits per account for the period
+  const accountTotals = totalsByAccount(await ledgerTotals({
+    clientId,
+    entityId,
+    accountIds: accounts.map(a => a._id),
+    startDate: parsedStartDate,
+    endDate: parsedEndDate,
+    // Closing entries would zero out the income accounts being reported
+    excludeJournalTypes: [CLOSING_JOURNAL_TYPE]
+  }));
+  
+  // Calculate balances for each account
+  const trialBalance = accounts.map(account => {
+    const { debits, credits } = accountTotals.get(account._id.toString()) || NO_ACTIVITY;
+    const balance = normalBalance(account.accountType, debits, credits);
+    
+    return {
+      id: account._id,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      accountType: account.accountType,
+      debits,
+      credits,
+      balance
+    };
+  });
+  
+  // Summarize at parent account level if requested
+  let result = trialBalance;
+  if (level === 'summary') {
+    // Group by first 2 digits of account number and summarize
+    const summaryMap = {};
+    trialBalance.forEach(account => {
+      const prefix = account.accountNumber.substring(0, 2);
+      if (!summaryMap[prefix]) {
+        summaryMap[prefix] = {
+          accountNumber: `${prefix}XX`,
+          accountName: `${account.accountType} Summary (${prefix}XX)`,
+          accountType: account.accountType,
+          debits: 0,
+          credits: 0,
+          balance: 0
+        };
+      }
+      summaryMap[prefix].debits += account.debits;
+      summaryMap[prefix].credits += account.credits;
+      summaryMap[prefix].balance += account.balance;
+    });
+    result = Object.values(summaryMap);
+  }
+  
+  // Calculate totals
+  const totals = {
+    debits: result.reduce((sum, acc) => sum + acc.debits, 0),
+    credits: result.reduce((sum, acc) => sum + acc.credits, 0),
+    netIncome: result
+      .filter(acc => ['Revenue', 'Expense'].includes(acc.accountType))
+      .reduce((sum, acc) => sum + acc.balance, 0)
+  };
+  
+  return {
+    trialBalance: result,
+    totals,
+    period: {
+      startDate: parsedStartDate,
+      endDate: parsedEndDate
+    }
+  };
+};
+
+/**
+ * Balance sheet for an entity as of a date
+ * @param {Object} params - { entityId, asOfDate }
+ * @returns {Promise<{balanceSheet: Object}>}
+ */
+const balanceSheetFor = async (clientId, params) => {
+  const { entityId, asOfDate } = params;
+
+  const parsedAsOfDate = asOfDate ? new Date(asOfDate) : new Date();
+  
+  // Get all accounts
+  const accounts = await Account.find({
+    clientId: clientId,
+    entityId: entityId,
+    isActive: true,
+    accountType: { $in: ['Asset', 'Liability', 'Equity'] }
+  }).sort({ accountNumber: 1 });
+  
+  // Sum debits and credits per account up to the as-of date
+  const accountTotals = totalsByAccount(await ledgerTotals({
+    clientId,
+    entityId,
+    accountIds: accounts.map(a => a._id),
+    endDate: parsedAsOfDate
+  }));
+  
+  // Calculate balances for each account
+  const balanceSheetAccounts = accounts.map(account => {
+    const { debits, credits } = accountTotals.get(account._id.toString()) || NO_ACTIVITY;
+    const balance = normalBalance(account.accountType, debits, credits);
+    
+    return {
+      id: account._id,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      accountType: account.accountType,
+      balance
+    };
+  });
+  
+  // The designated retained earnings account is reported through the
+  // roll-forward below rather than as an equity line
+  const entity = await Entity.findOne({ _id: entityId, clientId }).select('retainedEarningsAccountId');
+  const retainedEarningsAccountId = entity && entity.retainedEarningsAccountId
+    ? entity.retainedEarningsAccountId.toString()
+    : null;
+  
+  // Organize by type and calculate totals
+  const assets = balanceSheetAccounts.filter(a => a.accountType === 'Asset');
+  const liabilities = balanceSheetAccounts.filter(a => a.accountType === 'Liability');
+  const equity = balanceSheetAccounts.filter(a =>
+    a.accountType === 'Equity' && a.id.toString() !== retainedEarningsAccountId
+  );
+  
+  const totalAssets = assets.reduce((sum, account) => sum + account.balance, 0);
+  const totalLiabilities = liabilities.reduce((sum, account) => sum + account.balance, 0);
+  const totalEquity = equity.reduce((sum, account) => sum + account.balance, 0);
+  
+  // Income accounts, including inactive ones that still hold prior-year earnings
+  const incomeAccounts = await Account.find({
+    clientId: clientId,
+    entityId: entityId,
+    accountType: { $in: ['Revenue', 'Expense'] }
+  });
+  
+  const rollForwardAccountIds = incomeAccounts.map(a => a._id);
+  if (retainedEarningsAccountId) {
+    rollForwardAccountIds.push(entity.retainedEarningsAccountId);
+  }
+  
+  // Get current year start date
+  const currentYear = parsedAsOfDate.getFullYear();
+  const yearStartDate = new Date(currentYear, 0, 1);
+  
+  // Income and retained earnings activity up to the as-of date, split into
+  // prior years and the current year and into closing and other entries
+  const rows = await ledgerTotals({
+    clientId,
+    entityId,
+    accountIds: rollForwardAccountIds,
+    endDate: parsedAsOfDate,
+    groupBy: {
+      priorYears: { $lt: ['$date', yearStartDate] },
+      closing: { $eq: ['$journalType', CLOSING_JOURNAL_TYPE] }
+    }
+  });
+  
+  // Opening retained earnings cover every prior year, closed or not: closed
+  // years sit in the retained earnings account, unclosed ones in income accounts
+  let openingRetainedEarnings = 0;
+  let adjustments = 0;
+  let netIncome = 0;
+  
+  rows.forEach(row => {
+    const amount = row.credits - row.debits;
+    
+    if (row.priorYears) {
+      openingRetainedEarnings += amount;
+      return;
+    }
+    
+    // This year's closing entry only moves net income into retained earnings
+    if (row.closing) return;
+    
+    if (row.accountId.toString() === retainedEarningsAccountId) {
+      adjustments += amount;
+    } else {
+      netIncome += amount;
+    }
+  });
+  
+  const retainedEarnings = openingRetainedEarnings + adjustments + netIncome;
+  
+  return {
+    balanceSheet: {
+      asOfDate: parsedAsOfDate,
+      assets,
+      liabilities,
+      equity,
+      netIncome,
+      retainedEarnings,
+      retainedEarningsAccountId,
+      retainedEarningsRollForward: {
+        opening: openingRetainedEarnings,
+        adjustments,
+        currentYearEarnings: netIncome,
+        closing: retainedEarnings
+      },
+      totals: {
+        assets: totalAssets,
+        liabilities: totalLiabilities,
+        equity: totalEquity + retainedEarnings,
+        liabilitiesAndEquity: totalLiabilities + totalEquity + retainedEarnings
+      }
+    }
+  };
+};
+
+/**
+ * Income statement for an entity over a date range
+ * @param {Object} params - { entityId, startDate, endDate }
+ * @returns {Promise<{incomeStatement: Object}>}
+ */
+const incomeStatementFor = async (clientId, params) => {
+  const { entityId, startDate, endDate } = params;
+
+  // Validate date parameters
+  const parsedStartDate = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
+  const parsedEndDate = endDate ? new Date(endDate) : new Date();
+  
+  // Get income accounts (Revenue and Expense)
+  const accounts = await Account.find({
+    clientId: clientId,
+    entityId: entityId,
+    isActive: true,
+    accountType: { $in: ['Revenue', 'Expense'] }
+  }).sort({ accountNumber: 1 });
+  
+  // Sum debits and credits per account for the period
+  const accountTotals = totalsByAccount(await ledgerTotals({
+    clientId,
+    entityId,
+    accountIds: accounts.map(a => a._id),
+    startDate: parsedStartDate,
+    endDate: parsedEndDate,
+    // Closing entries would zero out the income accounts being reported
+    excludeJournalTypes: [CLOSING_JOURNAL_TYPE]
+  }));
+  
+  // Calculate balances for each account
+  const incomeAccounts = accounts.map(account => {
+    const { debits, credits } = accountTotals.get(account._id.toString()) || NO_ACTIVITY;
+    const balance = normalBalance(account.accountType, debits, credits);
+    
+    return {
+      id: account._id,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      accountType: account.accountType,
+      balance
+    };
+  });
+  
+  // Organize by type and calculate totals
+  const revenue = incomeAccounts.filter(a => a.accountType === 'Revenue');
+  const expenses = incomeAccounts.filter(a => a.accountType === 'Expense');
+  
+  const totalRevenue = revenue.reduce((sum, account) => sum + account.balance, 0);
+  const totalExpenses = expenses.reduce((sum, account) => sum + account.balance, 0);
+  const netIncome = totalRevenue - totalExpenses;
+  
+  return {
+    incomeStatement: {
+      period: {
+        startDate: parsedStartDate,
+        endDate: parsedEndDate
+      },
+      revenue,
+      expenses,
+      totals: {
+        revenue: totalRevenue,
+        expenses: totalExpenses,
+        netIncome
+      }
+    }
+  };
+};
+
+const COMPARISON_MODES = ['prior-period', 'prior-year', 'prior-ytd'];
+
+exports.COMPARISON_MODES = COMPARISON_MODES;
+
+const assertComparisonMode = (mode) => {
+  if (!COMPARISON_MODES.includes(mode)) {
+    throw new ApiError(400, `Comparison must be one of: ${COMPARISON_MODES.join(', ')}`);
+  }
+};
+
+// Same day a number of months earlier, staying on the month end when date is one
+const monthsEarlier = (date, months) =>
+  addMonths(date, -months, isMonthEnd(date) ? 31 : date.getDate());
+
+/**
+ * Current and comparative date ranges for an income statement
+ * prior-period is the range of the same length immediately before (in whole
+ * months when the range covers whole months), prior-year the same range a
+ * year earlier, and prior-ytd compares year-to-date through endDate with the
+ * same span of the previous year.
+ */
+const comparisonRanges = (mode, startDate, endDate) => {
+  switch (mode) {
+    case 'prior-period': {
+      if (startDate.getDate() === 1 && isMonthEnd(endDate)) {
+        const months = (endDate.getFullYear() - startDate.getFullYear()) * 12 +
+          (endDate.getMonth() - startDate.getMonth()) + 1;
+        const priorEnd = new Date(startDate);
+        priorEnd.setDate(0);
+        return {
+          current: { startDate, endDate },
+          prior: { startDate: addMonths(startDate, -months), endDate: priorEnd }
+        };
+      }
+      
+      const priorEnd = new Date(startDate);
+      priorEnd.setDate(priorEnd.getDate() - 1);
+      return {
+        current: { startDate, endDate },
+        prior: { startDate: new Date(priorEnd - (endDate - startDate)), endDate: priorEnd }
+      };
+    }
+    case 'prior-year':
+      return {
+        current: { startDate, endDate },
+        prior: { startDate: monthsEarlier(startDate, 12), endDate: monthsEarlier(endDate, 12) }
+      };
+    case 'prior-ytd': {
+      const priorEnd = monthsEarlier(endDate, 12);
+      return {
+        current: { startDate: new Date(endDate.getFullYear(), 0, 1), endDate },
+        prior: { startDate: new Date(priorEnd.getFullYear(), 0, 1), endDate: priorEnd }
+      };
+    }
+  }
+};
+
+// Dollar and percent change from prior to current; percent is null when prior is zero
+const variance = (current, prior) => ({
+  variance: current - prior,
+  variancePercent: prior === 0
+    ? null
+    : Math.round(((current - prior) / Math.abs(prior)) * 10000) / 100
+});
+
+/**
+ * Pair each account's current balance with its comparative balance
+ * Accounts with activity in only one of the periods show zero in the other.
+ */
+const compareAccounts = (current, prior) => {
+  const priorById = new Map(prior.map(a => [a.id.toString(), a]));
+  
+  const rows = current.map(account => {
+    const priorAccount = priorById.get(account.id.toString());
+    priorById.delete(account.id.toString());
+    const priorBalance = priorAccount ? priorAccount.balance : 0;
+    return { ...account, priorBalance, ...variance(account.balance, priorBalance) };
+  });
+  
+  priorById.forEach(account => {
+    rows.push({ ...account, balance: 0, priorBalance: account.balance, ...variance(0, account.balance) });
+  });
+  
+  return rows.sort((a, b) => a.accountNumber.localeCompare(b.accountNumber));
+};
+
+const compareTotals = (current, prior) => Object.keys(current).reduce((result, key) => {
+  result[key] = variance(current[key], prior[key]);
+  return result;
+}, {});
+
+/**
+ * Balance sheet for an entity as of a date
+ * With params.compare set each account and section total also carries the
+ * comparative balance and its dollar and percent variance. Balance sheets are
+ * cumulative, so prior-year and prior-ytd both compare with the same date a
+ * year earlier.
+ * @param {Object} params - { entityId, asOfDate, compare }
+ * @returns {Promise<{balanceSheet: Object}>}
+ */
+exports.buildBalanceSheet = async (clientId, params) => {
+  const { compare } = params;
+  
+  if (!compare) {
+    return balanceSheetFor(clientId, params);
+  }
+  
+  assertComparisonMode(compare);
+  
+  const asOfDate = params.asOfDate ? new Date(params.asOfDate) : new Date();
+  const priorAsOfDate = monthsEarlier(asOfDate, compare === 'prior-period' ? 1 : 12);
+  
+  const [{ balanceSheet: current }, { balanceSheet: prior }] = await Promise.all([
+    balanceSheetFor(clientId, { ...params, asOfDate }),
+    balanceSheetFor(clientId, { ...params, asOfDate: priorAsOfDate })
+  ]);
+  
+  return {
+    balanceSheet: {
+      ...current,
+      comparison: {
+        mode: compare,
+        asOfDate: priorAsOfDate
+      },
+      assets: compareAccounts(current.assets, prior.assets),
+      liabilities: compareAccounts(current.liabilities, prior.liabilities),
+      equity: compareAccounts(current.equity, prior.equity),
+      priorNetIncome: prior.netIncome,
+      netIncomeVariance: variance(current.netIncome, prior.netIncome),
+      priorRetainedEarningsRollForward: prior.retainedEarningsRollForward,
+      retainedEarningsVariances: compareTotals(
+        current.retainedEarningsRollForward,
+        prior.retainedEarningsRollForward
+      ),
+      priorTotals: prior.totals,
+      variances: compareTotals(current.totals, prior.totals)
+    }
+  };
+};
+
+/**
+ * Income statement for an entity over a date range
+ * With params.compare set (prior-period, prior-year or prior-ytd) each account
+ * and section total also carries the comparative balance and its dollar and
+ * percent variance. prior-ytd replaces the range with year-to-date.
+ * @param {Object} params - { entityId, startDate, endDate, compare }
+ * @returns {Promise<{incomeStatement: Object}>}
+ */
+exports.buildIncomeStatement = async (clientId, params) => {
+  const { compare } = params;
+  
+  if (!compare) {
+    return incomeStatementFor(clientId, params);
+  }
+  
+  assertComparisonMode(compare);
+  
+  const startDate = params.startDate ? new Date(params.startDate) : new Date(new Date().getFullYear(), 0, 1);
+  const endDate = params.endDate ? new Date(params.endDate) : new Date();
+  const ranges = comparisonRanges(compare, startDate, endDate);
+  
+  const [{ incomeStatement: current }, { incomeStatement: prior }] = await Promise.all([
+    incomeStatementFor(clientId, { ...params, ...ranges.current }),
+    incomeStatementFor(clientId, { ...params, ...ranges.prior })
+  ]);
+  
+  return {
+    incomeStatement: {
+      ...current,
+      comparison: {
+        mode: compare,
+        period: prior.period
+      },
+      revenue: compareAccounts(current.revenue, prior.revenue),
+      expenses: compareAccounts(current.expenses, prior.expenses),
+      priorTotals: prior.totals,
+      variances: compareTotals(current.totals, prior.totals)
+    }
+  };
+};
+
+// Asset accounts holding cash unless metadata.cashFlowCategory says otherwise
+const CASH_ACCOUNT_PATTERN = /\b(cash|bank|checking|savings)\b/i;
+const DEBT_ACCOUNT_PATTERN = /\b(loan|note|debt|mortgage|bond|borrowing|line of credit)\b/i;
+
+/**
+ * Cash flow section an account's movements belong to
+ * Accounts can be placed explicitly with metadata.cashFlowCategory set to
+ * cash, operating, investing or financing.
+ */
+const cashFlowCategory = (account) => {
+  const override = account.metadata && account.metadata.cashFlowCategory;
+  if (['cash', 'operating', 'investing', 'financing'].includes(override)) {
+    return override;
+  }
+  
+  switch (account.accountType) {
+    case 'Asset':
+      if (CASH_ACCOUNT_PATTERN.test(account.accountName)) return 'cash';
+      return account.subledgerType === 'Assets' ? 'investing' : 'operating';
+    case 'Liability':
+      if (['AP', 'Payroll'].includes(account.subledgerType)) return 'operating';
+      return DEBT_ACCOUNT_PATTERN.test(account.accountName) ? 'financing' : 'operating';
+    case 'Equity':
+      return 'financing';
+    default:
+      return 'income';
+  }
+};
+
+// Journal types of fixed asset postings; their income lines are non-cash
+const FIXED_ASSET_JOURNAL_TYPES = [
+  DEPRECIATION_JOURNAL_TYPE,
+  DISPOSAL_JOURNAL_TYPE,
+  IMPAIRMENT_JOURNAL_TYPE,
+  ASSET_TRANSFER_JOURNAL_TYPE
+];
+
+// Add-back an income line of a fixed asset posting belongs to; disposals,
+// impairments and transfers may carry tagged catch-up depreciation
+const assetAdjustmentFor = (row) => {
+  if (row.journalType === DEPRECIATION_JOURNAL_TYPE || row.lineCategory === 'depreciation') return 'depreciation';
+  if (row.journalType === IMPAIRMENT_JOURNAL_TYPE) return 'impairment';
+  if (row.journalType === DISPOSAL_JOURNAL_TYPE) return 'disposalGainLoss';
+  return 'depreciation';
+};
+
+/**
+ * Cash flow statement (indirect method) for an entity over a date range
+ * @param {Object} params - { entityId, startDate, endDate }
+ * @returns {Promise<{cashFlowStatement: Object}>}
+ */
+exports.buildCashFlowStatement = async (clientId, params) => {
+  const { entityId, startDate, endDate } = params;
+
+  // Validate date parameters
+  const parsedStartDate = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), 0, 1);
+  const parsedEndDate = endDate ? new Date(endDate) : new Date();
+  
+  // Inactive accounts are included so movements before deactivation still reconcile
+  const accounts = await Account.find({
+    clientId: clientId,
+    entityId: entityId
+  }).sort({ accountNumber: 1 });
+  
+  const accountsById = new Map(accounts.map(a => [a._id.toString(), a]));
+  const categories = new Map(accounts.map(a => [a._id.toString(), cashFlowCategory(a)]));
+  const netCredits = new Map(accounts.map(a => [a._id.toString(), 0]));
+  
+  // Activity up to the end of the period, split into before the period (for
+  // opening cash) and within it, and by the journal type and line category
+  // that tell fixed asset postings apart
+  const rows = await ledgerTotals({
+    clientId,
+    entityId,
+    accountIds: accounts.map(a => a._id),
+    endDate: parsedEndDate,
+    // Closing entries only move balances between income and equity accounts
+    excludeJournalTypes: [CLOSING_JOURNAL_TYPE],
+    groupBy: {
+      opening: { $lt: ['$date', parsedStartDate] },
+      journalType: '$journalType',
+      lineCategory: '$category'
+    }
+  });
+  
+  let openingCash = 0;
+  let netIncome = 0;
+  let disposalProceeds = 0;
+  const adjustments = { depreciation: 0, impairment: 0, disposalGainLoss: 0 };
+  
+  rows.forEach(row => {
+    const accountId = row.accountId.toString();
+    const category = categories.get(accountId);
+    const isAssetPosting = FIXED_ASSET_JOURNAL_TYPES.includes(row.journalType);
+    
+    // Net credit movement: positive when cash is provided
+    const amount = row.credits - row.debits;
+    
+    if (row.opening) {
+      if (category === 'cash') openingCash -= amount;
+      return;
+    }
+    
+    if (category === 'income') {
+      netIncome += amount;
+      if (isAssetPosting) adjustments[assetAdjustmentFor(row)] -= amount;
+      return;
+    }
+    
+    // The rest of a fixed asset posting is non-cash, covered by the add-backs,
+    // except cash received on a disposal, which is an investing inflow
+    if (isAssetPosting) {
+      if (category !== 'cash') return;
+      disposalProceeds -= amount;
+    }
+    
+    netCredits.set(accountId, netCredits.get(accountId) + amount);
+  });
+  
+  const lineFor = (account, amount) => ({
+    id: account._id,
+    accountNumber: account.accountNumber,
+    accountName: account.accountName,
+    accountType: account.accountType,
+    subledgerType: account.subledgerType,
+    amount
+  });
+  
+  let netCashChange = 0;
+  const workingCapital = {};
+  const investing = [];
+  const financing = [];
+  
+  netCredits.forEach((amount, accountId) => {
+    const account = accountsById.get(accountId);
+    const category = categories.get(accountId);
+    
+    if (category === 'cash') {
+      netCashChange -= amount;
+      return;
+    }
+    
+    if (category === 'income' || amount === 0) return;
+    
+    if (category === 'investing') {
+      investing.push(lineFor(account, amount));
+    } else if (category === 'financing') {
+      financing.push(lineFor(account, amount));
+    } else {
+      // Working capital changes grouped by account type and subledger
+      const subledgerType = account.subledgerType || 'GL';
+      const key = `${account.accountType}:${subledgerType}`;
+      if (!workingCapital[key]) {
+        workingCapital[key] = {
+          accountType: account.accountType,
+          subledgerType,
+          accounts: [],
+          total: 0
+        };
+      }
+      workingCapital[key].accounts.push(lineFor(account, amount));
+      workingCapital[key].total += amount;
+    }
+  });
+  
+  if (disposalProceeds !== 0) {
+    investing.push({
+      id: null,
+      accountName: 'Proceeds from disposal of fixed assets',
+      accountType: 'Asset',
+      subledgerType: 'Assets',
+      amount: disposalProceeds
+    });
+  }
+  
+  const workingCapitalChanges = Object.values(workingCapital);
+  const totalWorkingCapital = workingCapitalChanges.reduce((sum, group) => sum + group.total, 0);
+  const totalAdjustments = adjustments.depreciation + adjustments.impairment + adjustments.disposalGainLoss;
+  const netOperating = netIncome + totalAdjustments + totalWorkingCapital;
+  const netInvesting = investing.reduce((sum, line) => sum + line.amount, 0);
+  const netFinancing = financing.reduce((sum, line) => sum + line.amount, 0);
+  const computedChange = netOperating + netInvesting + netFinancing;
+  
+  return {
+    cashFlowStatement: {
+      period: {
+        startDate: parsedStartDate,
+        endDate: parsedEndDate
+      },
+      operatingActivities: {
+        netIncome,
+        // Non-cash charges added back; disposalGainLoss is the loss added back (negative for a gain)
+        adjustments,
+        workingCapitalChanges,
+        total: netOperating
+      },
+      investingActivities: {
+        accounts: investing,
+        total: netInvesting
+      },
+      financingActivities: {
+        accounts: financing,
+        total: netFinancing
+      },
+      totals: {
+        netCashChange: computedChange,
+        openingCash,
+        closingCash: openingCash + netCashChange,
+        // Non-zero only when cash moved through an account not classified above
+        unreconciledDifference: netCashChange - computedChange
+      }
+    }
+  };
+};
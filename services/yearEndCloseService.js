@@ -0,0 +1,252 @@
+// services/yearEndCloseService.js
+const Account = require('../models/account');
+const Entity = require('../models/entity');
+const YearEndClose = require('../models/yearEndClose');
+const AuditLog = require('../models/auditLog');
+const { ApiError } = require('../utils/apiError');
+const { roundCents } = require('../utils/money');
+const {
+  postJournalEntry,
+  reverseJournalEntry,
+  CLOSING_JOURNAL_TYPE
+} = require('./journalEntryService');
+const { ledgerTotals } = require('./reportService');
+
+/**
+ * Business logic for year-end close
+ *
+ * Closing a fiscal year posts a closing entry on 31 December that zeroes every
+ * Revenue and Expense account into the entity's retained earnings account,
+ * then locks the year against further postings. The close can be undone,
+ * reversing the closing entry, as long as the following year is not closed.
+ * December is normally closed before the year is, so the closing entry and its
+ * reversal post into it whatever its period lock.
+ */
+
+/**
+ * List year-end closes for an entity
+ */
+exports.listYearEndCloses = async (clientId, entityId) => {
+  return YearEndClose.find({ clientId, entityId }).sort({ year: -1 });
+};
+
+/**
+ * Close a fiscal year into retained earnings
+ * @param {Object} data - { clientId, userId, isAdmin, entityId, year, retainedEarningsAccountId, notes }
+ * @returns {Promise<{yearEndClose: Object, journalEntry: Object|null}>}
+ */
+exports.closeYear = async (data, session) => {
+  const { clientId, userId, isAdmin, entityId, year, notes } = data;
+  
+  let yearEndClose = await YearEndClose.findOne({ clientId, entityId, year }).session(session);
+  if (yearEndClose && yearEndClose.status === 'closed') {
+    throw new ApiError(400, `Fiscal year ${year} is already closed`);
+  }
+  
+  const entity = await Entity.findOne({ _id: entityId, clientId }).session(session);
+  if (!entity) {
+    throw new ApiError(404, 'Entity not found or you do not have permission');
+  }
+  
+  // A retained earnings account given with the request becomes the entity's default
+  const retainedEarningsAccountId = data.retainedEarningsAccountId || entity.retainedEarningsAccountId;
+  if (!retainedEarningsAccountId) {
+    throw new ApiError(400, 'A retained earnings account is required to close the year');
+  }
+  
+  const retainedEarningsAccount = await Account.findOne({
+    _id: retainedEarningsAccountId,
+    clientId,
+    entityId,
+    isActive: true
+  }).session(session);
+  
+  if (!retainedEarningsAccount || retainedEarningsAccount.accountType !== 'Equity') {
+    throw new ApiError(400, 'Retained earnings account must be an active Equity account of the entity');
+  }
+  
+  if (String(entity.retainedEarningsAccountId) !== String(retainedEarningsAccount._id)) {
+    entity.retainedEarningsAccountId = retainedEarningsAccount._id;
+    await entity.save({ session });
+  }
+  
+  // The year's activity on every income account, active or not
+  const incomeAccounts = await Account.find({
+    clientId,
+    entityId,
+    accountType: { $in: ['Revenue', 'Expense'] }
+  }).session(session);
+  
+  const closingDate = new Date(year, 11, 31);
+  const rows = await ledgerTotals({
+    clientId,
+    entityId,
+    accountIds: incomeAccounts.map(a => a._id),
+    startDate: new Date(year, 0, 1),
+    endDate: new Date(year, 11, 31, 23, 59, 59, 999),
+    excludeJournalTypes: [CLOSING_JOURNAL_TYPE]
+  }, session);
+  
+  // Post the opposite of each income account's balance
+  const entries = [];
+  let netIncome = 0;
+  
+  rows.forEach(row => {
+    const net = roundCents(row.credits - row.debits);
+    if (net === 0) return;
+    
+    netIncome = roundCents(netIncome + net);
+    entries.push({
+      accountId: row.accountId,
+      amount: Math.abs(net),
+      type: net > 0 ? 'debit' : 'credit',
+      description: `Close ${year} to retained earnings`
+    });
+  });
+  
+  if (netIncome !== 0) {
+    entries.push({
+      accountId: retainedEarningsAccount._id,
+      amount: Math.abs(netIncome),
+      type: netIncome > 0 ? 'credit' : 'debit',
+      description: `${year} net ${netIncome > 0 ? 'income' : 'loss'}`
+    });
+  }
+  
+  // A year with no income activity is still closed, just without an entry
+  let journalEntry = null;
+  if (entries.length > 0) {
+    ({ journalEntry } = await postJournalEntry({
+      clientId,
+      userId,
+      isAdmin,
+      entityId,
+      date: closingDate,
+      description: `Year-end close ${year}`,
+      entries,
+      isManual: false,
+      journalType: CLOSING_JOURNAL_TYPE
+    }, session));
+  }
+  
+  if (!yearEndClose) {
+    yearEndClose = new YearEndClose({ clientId, entityId, year });
+  }
+  
+  yearEndClose.status = 'closed';
+  yearEndClose.retainedEarningsAccountId = retainedEarningsAccount._id;
+  yearEndClose.journalEntryId = journalEntry ? journalEntry._id : undefined;
+  yearEndClose.reversalEntryId = undefined;
+  yearEndClose.netIncome = netIncome;
+  yearEndClose.closedBy = userId;
+  yearEndClose.closedAt = new Date();
+  yearEndClose.notes = notes;
+  yearEndClose.history.push({
+    action: 'close',
+    journalEntryId: yearEndClose.journalEntryId,
+    netIncome,
+    performedBy: userId,
+    notes
+  });
+  
+  await yearEndClose.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'CLOSE_FISCAL_YEAR',
+    entityType: 'YearEndClose',
+    entityId: yearEndClose._id,
+    userId,
+    details: {
+      entityId,
+      year,
+      netIncome,
+      retainedEarningsAccountId: retainedEarningsAccount._id,
+      journalEntryId: yearEndClose.journalEntryId,
+      notes
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { yearEndClose, journalEntry };
+};
+
+/**
+ * Undo a year-end close by reversing its closing entry
+ * Only allowed while the following fiscal year is still open.
+ * @param {Object} data - { clientId, userId, isAdmin, entityId, year, notes }
+ * @returns {Promise<{yearEndClose: Object, reversalEntry: Object|null}>}
+ */
+exports.undoYearEndClose = async (data, session) => {
+  const { clientId, userId, isAdmin, entityId, year, notes } = data;
+  
+  const yearEndClose = await YearEndClose.findOne({
+    clientId,
+    entityId,
+    year,
+    status: 'closed'
+  }).session(session);
+  
+  if (!yearEndClose) {
+    throw new ApiError(400, `Fiscal year ${year} is not closed`);
+  }
+  
+  const nextYearClose = await YearEndClose.findOne({
+    clientId,
+    entityId,
+    year: year + 1,
+    status: 'closed'
+  }).session(session);
+  
+  if (nextYearClose) {
+    throw new ApiError(400, `Fiscal year ${year + 1} is closed; undo that close first`);
+  }
+  
+  // Reopen first so the reversal can post into the year
+  yearEndClose.status = 'reopened';
+  yearEndClose.reopenedBy = userId;
+  yearEndClose.reopenedAt = new Date();
+  await yearEndClose.save({ session });
+  
+  let reversalEntry = null;
+  if (yearEndClose.journalEntryId) {
+    ({ reversalEntry } = await reverseJournalEntry({
+      clientId,
+      userId,
+      isAdmin,
+      journalEntryId: yearEndClose.journalEntryId,
+      reversalDate: new Date(year, 11, 31),
+      isManual: false
+    }, session));
+    
+    yearEndClose.reversalEntryId = reversalEntry._id;
+  }
+  
+  yearEndClose.history.push({
+    action: 'undo',
+    journalEntryId: yearEndClose.reversalEntryId,
+    netIncome: yearEndClose.netIncome,
+    performedBy: userId,
+    notes
+  });
+  
+  await yearEndClose.save({ session });
+  
+  const auditLog = new AuditLog({
+    clientId,
+    action: 'UNDO_FISCAL_YEAR_CLOSE',
+    entityType: 'YearEndClose',
+    entityId: yearEndClose._id,
+    userId,
+    details: {
+      entityId,
+      year,
+      journalEntryId: yearEndClose.journalEntryId,
+      reversalEntryId: yearEndClose.reversalEntryId,
+      notes
+    }
+  });
+  await auditLog.save({ session });
+  
+  return { yearEndClose, reversalEntry };
+};
@@ -0,0 +1,20 @@
+// tests/helpers/query.js
+
+/**
+ * Stand-in for a chained mongoose query that resolves to result
+ * Every query builder method returns the same chain, and awaiting it at any
+ * point yields result, so `Model.findOne(...).sort(...).session(s)` can be
+ * stubbed with `jest.spyOn(Model, 'findOne').mockReturnValue(query(doc))`.
+ * @param {*} result - Value the query resolves to
+ * @returns {Object}
+ */
+const query = (result) => {
+  const chain = {};
+  ['session', 'sort', 'select', 'populate', 'lean', 'limit', 'skip'].forEach(method => {
+    chain[method] = jest.fn(() => chain);
+  });
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+module.exports = { query };
@@ -0,0 +1,214 @@
+// tests/models/fixedAsset.test.js
+const mongoose = require('mongoose');
+const FixedAsset = require('../../models/fixedAsset');
+const { roundCents } = require('../../utils/money');
+
+const date = (year, month, day = 1) => new Date(year, month - 1, day);
+
+// An unsaved asset acquired on 1 January 2026
+const asset = (fields = {}) => new FixedAsset({
+  clientId: new mongoose.Types.ObjectId(),
+  entityId: new mongoose.Types.ObjectId(),
+  name: 'Press',
+  assetCategory: 'equipment',
+  acquisitionDate: date(2026, 1),
+  acquisitionCost: 12000,
+  currentBookValue: 12000,
+  usefulLife: 12,
+  ...fields
+});
+
+describe('calculateDepreciation', () => {
+  describe('straight-line', () => {
+    it('charges (cost - salvage) / useful life per month', () => {
+      expect(asset({ salvageValue: 1200 }).calculateDepreciation(date(2026, 4))).toBeCloseTo(2700, 2);
+    });
+    
+    it('spreads the remaining book value over the remaining life after a run', () => {
+      const depreciated = asset({ currentBookValue: 9000, lastDepreciationDate: date(2026, 4) });
+      expect(depreciated.calculateDepreciation(date(2026, 5))).toBeCloseTo(1000, 2);
+    });
+    
+    it('charges nothing for disposed assets or dates before the last run', () => {
+      expect(asset({ disposed: true }).calculateDepreciation(date(2026, 4))).toBe(0);
+      expect(asset({ lastDepreciationDate: date(2026, 4) }).calculateDepreciation(date(2026, 3))).toBe(0);
+    });
+  });
+  
+  describe('declining-balance', () => {
+    const decliningAsset = (fields = {}) => asset({
+      depreciationMethod: 'declining-balance',
+      acquisitionCost: 10000,
+      currentBookValue: 10000,
+      salvageValue: 1000,
+      usefulLife: 60,
+      ...fields
+    });
+    
+    it('charges rate / useful life of the opening book value each month', () => {
+      // 10000 * 2 / 60, then the same on the reduced balance
+      const first = 10000 * 2 / 60;
+      const second = (10000 - first) * 2 / 60;
+      expect(decliningAsset().calculateDepreciation(date(2026, 2))).toBeCloseTo(first, 6);
+      expect(decliningAsset().calculateDepreciation(date(2026, 3))).toBeCloseTo(first + second, 6);
+    });
+    
+    it('honours a 150% rate', () => {
+      expect(decliningAsset({ decliningBalanceRate: 1.5 }).calculateDepreciation(date(2026, 2))).toBeCloseTo(250, 6);
+    });
+    
+    it('switches to straight-line once that gives the larger charge', () => {
+      // 50 months in, 10 left: declining balance gives 3000 * 2 / 60 = 100,
+      // straight-line gives (3000 - 1000) / 10 = 200
+      const late = { currentBookValue: 3000, lastDepreciationDate: date(2030, 3) };
+      expect(decliningAsset(late).calculateDepreciation(date(2030, 4))).toBeCloseTo(200, 6);
+      expect(decliningAsset({ ...late, switchToStraightLine: false }).calculateDepreciation(date(2030, 4))).toBeCloseTo(100, 6);
+    });
+    
+    it('never depreciates below salvage value and reaches it at the end of life', () => {
+      expect(decliningAsset().calculateDepreciation(date(2031, 1))).toBeCloseTo(9000, 6);
+      expect(decliningAsset({ switchToStraightLine: false }).calculateDepreciation(date(2032, 1))).toBeCloseTo(9000, 6);
+    });
+  });
+  
+  describe('units-of-production', () => {
+    const unitsAsset = (fields = {}) => asset({
+      depreciationMethod: 'units-of-production',
+      acquisitionCost: 11000,
+      currentBookValue: 11000,
+      salvageValue: 1000,
+      totalExpectedUnits: 1000,
+      ...fields
+    });
+    
+    it('charges the depreciable amount per unit for the units logged up to the date', () => {
+      const machine = unitsAsset({
+        usageLog: [
+          { period: date(2026, 1, 31), units: 100 },
+          { period: date(2026, 2, 28), units: 50 }
+        ]
+      });
+      expect(machine.calculateDepreciation(date(2026, 2))).toBeCloseTo(1000, 6);
+      expect(machine.calculateDepreciation(date(2026, 3))).toBeCloseTo(1500, 6);
+    });
+    
+    it('spreads the remaining book value over the remaining units after a run', () => {
+      const machine = unitsAsset({
+        currentBookValue: 10000,
+        lastDepreciationDate: date(2026, 2),
+        usageLog: [
+          { period: date(2026, 1, 31), units: 100, depreciatedOn: date(2026, 2) },
+          { period: date(2026, 2, 28), units: 300 }
+        ]
+      });
+      // (10000 - 1000) / 900 remaining units * 300
+      expect(machine.calculateDepreciation(date(2026, 3))).toBeCloseTo(3000, 6);
+    });
+    
+    it('takes the rest of the depreciable amount once usage reaches the expected units', () => {
+      const machine = unitsAsset({ usageLog: [{ period: date(2026, 1, 31), units: 1200 }] });
+      expect(machine.calculateDepreciation(date(2026, 2))).toBeCloseTo(10000, 6);
+    });
+    
+    it('charges nothing without usage or expected units', () => {
+      expect(unitsAsset().calculateDepreciation(date(2026, 2))).toBe(0);
+      expect(unitsAsset({ totalExpectedUnits: undefined, usageLog: [{ period: date(2026, 1, 31), units: 10 }] })
+        .calculateDepreciation(date(2026, 2))).toBe(0);
+    });
+  });
+});
+
+describe('monthsInService', () => {
+  const acquiredMidMonth = (depreciationConvention) => asset({ acquisitionDate: date(2026, 1, 15), depreciationConvention });
+  
+  it('counts the acquisition month in full under full-month', () => {
+    expect(acquiredMidMonth('full-month').monthsInService(date(2026, 4))).toBe(3);
+  });
+  
+  it('counts the acquisition month as half a month under mid-month', () => {
+    expect(acquiredMidMonth('mid-month').monthsInService(date(2026, 4))).toBe(2.5);
+  });
+  
+  it('starts the month after acquisition under next-month', () => {
+    expect(acquiredMidMonth('next-month').monthsInService(date(2026, 4))).toBe(2);
+    expect(acquiredMidMonth('next-month').monthsInService(date(2026, 1, 31))).toBe(0);
+  });
+  
+  it('treats the asset as placed in service at mid-year under half-year', () => {
+    expect(acquiredMidMonth('half-year').monthsInService(date(2027, 1))).toBe(6);
+    expect(acquiredMidMonth('half-year').monthsInService(date(2026, 6))).toBe(0);
+  });
+  
+  it('is capped at the useful life', () => {
+    expect(acquiredMidMonth('full-month').monthsInService(date(2030, 1))).toBe(12);
+  });
+});
+
+describe('depreciation conventions', () => {
+  it('prorates the straight-line charge by the months in service', () => {
+    expect(asset({ acquisitionDate: date(2026, 1, 15), depreciationConvention: 'mid-month' })
+      .calculateDepreciation(date(2026, 4))).toBeCloseTo(2500, 6);
+    expect(asset({ acquisitionDate: date(2026, 3, 10), depreciationConvention: 'half-year' })
+      .calculateDepreciation(date(2026, 9))).toBeCloseTo(2000, 6);
+  });
+  
+  it('charges a part month on the declining balance pro rata', () => {
+    const decliningAsset = asset({
+      depreciationMethod: 'declining-balance',
+      acquisitionDate: date(2026, 1, 15),
+      depreciationConvention: 'mid-month',
+      usefulLife: 60
+    });
+    // Half a month at 12000 * 2 / 60
+    expect(decliningAsset.calculateDepreciation(date(2026, 2))).toBeCloseTo(200, 6);
+  });
+});
+
+describe('projectSchedule', () => {
+  const total = (schedule) => roundCents(schedule.reduce((sum, row) => sum + row.depreciation, 0));
+  
+  it('runs monthly to the end of life, ending exactly at salvage value', () => {
+    const schedule = asset({ acquisitionCost: 10000, currentBookValue: 10000, salvageValue: 0, usefulLife: 3 }).projectSchedule();
+    
+    expect(schedule).toHaveLength(3);
+    schedule.forEach(row => expect(row.depreciation).toBeCloseTo(3333.33, 1));
+    expect(total(schedule)).toBe(10000);
+    expect(schedule[2]).toMatchObject({ accumulatedDepreciation: 10000, bookValue: 0 });
+  });
+  
+  it('spreads a mid-month asset over one more month', () => {
+    const schedule = asset({ depreciationConvention: 'mid-month' }).projectSchedule();
+    
+    expect(schedule).toHaveLength(13);
+    expect(schedule[0].depreciation).toBe(500);
+    expect(schedule[12].depreciation).toBe(500);
+    expect(total(schedule)).toBe(12000);
+  });
+  
+  it('projects declining-balance down to salvage value', () => {
+    const schedule = asset({ depreciationMethod: 'declining-balance', salvageValue: 2000, usefulLife: 24 }).projectSchedule();
+    
+    expect(schedule[0].depreciation).toBe(1000);
+    expect(schedule[schedule.length - 1].bookValue).toBe(2000);
+    expect(total(schedule)).toBe(10000);
+  });
+  
+  it('projects units-of-production from the expected usage per month', () => {
+    const schedule = asset({
+      depreciationMethod: 'units-of-production',
+      totalExpectedUnits: 1000,
+      salvageValue: 2000
+    }).projectSchedule({ unitsPerPeriod: 300 });
+    
+    expect(schedule.map(row => row.depreciation)).toEqual([3000, 3000, 3000, 1000]);
+    expect(schedule[3].bookValue).toBe(2000);
+  });
+  
+  it('does not change the asset', () => {
+    const press = asset();
+    press.projectSchedule();
+    
+    expect(press.currentBookValue).toBe(12000);
+    expect(press.lastDepreciationDate).toBeUndefined();
+  });
+});
@@ -0,0 +1,46 @@
+// tests/services/accountingPeriodService.test.js
+const accountingPeriodService = require('../../services/accountingPeriodService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('assertPeriodOpen', () => {
+  const data = { clientId: 'client-1', entityId: 'entity-1', date: new Date(2026, 4, 1) };
+  
+  const withStatus = (status) => {
+    jest.spyOn(accountingPeriodService, 'getPeriodStatus').mockResolvedValue(status);
+  };
+  
+  it('passes an open period unflagged', async () => {
+    withStatus('open');
+    await expect(accountingPeriodService.assertPeriodOpen(data)).resolves.toEqual({ status: 'open', flagged: false });
+  });
+  
+  it('rejects a soft-closed period for non-admins', async () => {
+    withStatus('soft_closed');
+    await expect(accountingPeriodService.assertPeriodOpen(data)).rejects.toThrow('2026-05 is soft-closed');
+  });
+  
+  it('lets an admin post to a soft-closed period and flags it', async () => {
+    withStatus('soft_closed');
+    await expect(accountingPeriodService.assertPeriodOpen({ ...data, isAdmin: true }))
+      .resolves.toEqual({ status: 'soft_closed', flagged: true });
+  });
+  
+  it('rejects a hard-closed period even for admins', async () => {
+    withStatus('hard_closed');
+    await expect(accountingPeriodService.assertPeriodOpen({ ...data, isAdmin: true }))
+      .rejects.toMatchObject({ statusCode: 400, details: { status: 'hard_closed' } });
+  });
+  
+  it('passes a closed month for the year-end close but not a closed fiscal year', async () => {
+    withStatus('hard_closed');
+    await expect(accountingPeriodService.assertPeriodOpen({ ...data, allowClosedPeriod: true }))
+      .resolves.toEqual({ status: 'hard_closed', flagged: false });
+    
+    withStatus('year_closed');
+    await expect(accountingPeriodService.assertPeriodOpen({ ...data, allowClosedPeriod: true }))
+      .rejects.toThrow('Fiscal year 2026 is closed');
+  });
+});
@@ -0,0 +1,133 @@
+// tests/services/agingReportService.test.js
+const mongoose = require('mongoose');
+const Invoice = require('../../models/invoice');
+const Payment = require('../../models/payment');
+const CreditMemo = require('../../models/creditMemo');
+const Entity = require('../../models/entity');
+const Customer = require('../../models/customer');
+const { buildAgingReport } = require('../../services/agingReportService');
+const { query } = require('../helpers/query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const clientId = objectId();
+const entity = { _id: objectId(), clientId };
+const customer = { _id: objectId(), name: 'Acme Ltd' };
+
+const today = new Date();
+today.setUTCHours(0, 0, 0, 0);
+const daysAgo = (days) => new Date(today.getTime() - days * DAY_MS);
+
+let sequence = 0;
+const invoice = (daysPastDue, balanceDue, fields = {}) => ({
+  _id: objectId(),
+  invoiceNumber: `INV-${String(++sequence).padStart(5, '0')}`,
+  customerId: customer._id,
+  issueDate: daysAgo(daysPastDue + 30),
+  dueDate: daysAgo(daysPastDue),
+  total: balanceDue,
+  balanceDue,
+  status: 'sent',
+  ...fields
+});
+
+const aging = async (invoices, payments = [], params = {}) => {
+  jest.spyOn(Invoice, 'find').mockReturnValue(query(invoices));
+  jest.spyOn(Payment, 'find').mockReturnValue(query(payments));
+  jest.spyOn(CreditMemo, 'find').mockReturnValue(query([]));
+  
+  const { aging: report } = await buildAgingReport(clientId, {
+    entityId: entity._id,
+    invoiceType: 'ar',
+    customerId: customer._id,
+    ...params
+  });
+  return report;
+};
+
+beforeEach(() => {
+  jest.spyOn(Entity, 'findOne').mockReturnValue(query(entity));
+  jest.spyOn(Customer, 'find').mockReturnValue(query([customer]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildAgingReport', () => {
+  it('buckets balances by days past due, with each boundary day in the lower bucket', async () => {
+    const report = await aging([
+      invoice(-10, 1),
+      invoice(0, 2),
+      invoice(1, 4),
+      invoice(30, 8),
+      invoice(31, 16),
+      invoice(60, 32),
+      invoice(61, 64),
+      invoice(90, 128),
+      invoice(91, 256)
+    ]);
+    
+    const [acme] = report.customers;
+    expect(acme.invoices.map(row => [row.daysPastDue, row.bucket])).toEqual([
+      [-10, 'current'],
+      [0, 'current'],
+      [1, 'days1To30'],
+      [30, 'days1To30'],
+      [31, 'days31To60'],
+      [60, 'days31To60'],
+      [61, 'days61To90'],
+      [90, 'days61To90'],
+      [91, 'over90']
+    ]);
+    expect(report.totals).toMatchObject({
+      current: 3,
+      days1To30: 12,
+      days31To60: 48,
+      days61To90: 192,
+      over90: 256,
+      total: 511
+    });
+  });
+  
+  it('nets unapplied payment credits against the customer balance', async () => {
+    const report = await aging([invoice(10, 500)], [{
+      customerId: customer._id,
+      amount: 120.5,
+      status: 'posted',
+      applications: []
+    }]);
+    
+    expect(report.customers[0]).toMatchObject({ total: 500, unappliedCredits: 120.5, netBalance: 379.5 });
+    expect(report.reconciliation).toBeNull();
+  });
+  
+  it('rebuilds a past balance from the applications in force on the as-of date', async () => {
+    const asOfDate = daysAgo(40);
+    const pastDue = invoice(0, 0, { dueDate: daysAgo(55), issueDate: daysAgo(85), total: 1000, status: 'paid' });
+    const payment = {
+      customerId: customer._id,
+      amount: 1000,
+      status: 'posted',
+      applications: [
+        { invoiceId: pastDue._id, amount: 400, date: daysAgo(50) },
+        { invoiceId: pastDue._id, amount: 600, date: daysAgo(20) }
+      ]
+    };
+    
+    const report = await aging([pastDue], [payment], { asOfDate });
+    
+    expect(report.customers[0].invoices).toEqual([
+      expect.objectContaining({ balance: 600, daysPastDue: 15, bucket: 'days1To30' })
+    ]);
+    // The rest of the payment had not been applied yet and was still a credit
+    expect(report.customers[0]).toMatchObject({ unappliedCredits: 600, netBalance: 0 });
+  });
+  
+  it('rejects unknown invoice types', async () => {
+    await expect(buildAgingReport(clientId, { entityId: entity._id, invoiceType: 'gl' }))
+      .rejects.toThrow('Invoice type must be ar or ap');
+  });
+});
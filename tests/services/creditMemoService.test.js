@@ -0,0 +1,77 @@
+// tests/services/creditMemoService.test.js
+const { memoLines } = require('../../services/creditMemoService');
+const { validateBalanced } = require('../../services/journalEntryService');
+
+const invoice = {
+  invoiceNumber: 'INV-00001',
+  total: 100,
+  controlAccountId: 'receivable'
+};
+
+// Ledger lines of an invoice posting: receivable debited, revenue and tax credited
+const invoiceLines = [
+  { accountId: 'receivable', amount: 100, type: 'debit', description: 'INV-00001' },
+  { accountId: 'services', amount: 33.33, type: 'credit', description: 'Consulting' },
+  { accountId: 'training', amount: 33.33, type: 'credit', description: 'Training' },
+  { accountId: 'licences', amount: 26.67, type: 'credit', description: 'Licences' },
+  { accountId: 'sales-tax', amount: 6.67, type: 'credit', description: 'Sales tax' }
+];
+
+const amountsByAccount = (lines) => Object.fromEntries(lines.map(line => [line.accountId, [line.type, line.amount]]));
+
+describe('memoLines', () => {
+  it('reverses every line and scales it to the credit', () => {
+    const lines = memoLines(invoice, invoiceLines, 50, 'CM-00001');
+    
+    expect(lines[0]).toMatchObject({ accountId: 'receivable', type: 'credit', amount: 50, description: 'CM-00001 against INV-00001' });
+    lines.slice(1).forEach(line => expect(line.type).toBe('debit'));
+    expect(lines.every(line => line.documentNumber === 'CM-00001')).toBe(true);
+  });
+  
+  it('puts the rounding left over on the largest line so the entry balances', () => {
+    // Half of each line ends in half a cent and rounds up, two cents over the 50 credited
+    const lines = memoLines(invoice, invoiceLines, 50, 'CM-00001');
+    
+    expect(amountsByAccount(lines)).toEqual({
+      receivable: ['credit', 50],
+      services: ['debit', 16.65],
+      training: ['debit', 16.67],
+      licences: ['debit', 13.34],
+      'sales-tax': ['debit', 3.34]
+    });
+    expect(() => validateBalanced(lines)).not.toThrow();
+    expect(validateBalanced(lines).totalDebits).toBeCloseTo(50, 10);
+  });
+  
+  it('balances lines on the same side as the control account, such as discounts', () => {
+    const discounted = [
+      { accountId: 'receivable', amount: 90, type: 'debit' },
+      { accountId: 'services', amount: 100, type: 'credit' },
+      { accountId: 'discounts', amount: 10, type: 'debit' }
+    ];
+    
+    const lines = memoLines({ ...invoice, total: 90 }, discounted, 30, 'CM-00002');
+    
+    expect(amountsByAccount(lines)).toEqual({
+      receivable: ['credit', 30],
+      services: ['debit', 33.33],
+      discounts: ['credit', 3.33]
+    });
+    expect(() => validateBalanced(lines)).not.toThrow();
+  });
+  
+  it('credits the whole invoice line for line', () => {
+    const lines = memoLines(invoice, invoiceLines, 100, 'CM-00003');
+    
+    expect(lines.slice(1).map(line => line.amount)).toEqual([33.33, 33.33, 26.67, 6.67]);
+  });
+  
+  it('rejects an invoice entry without a control account line', () => {
+    expect(() => memoLines(invoice, invoiceLines.slice(1), 50, 'CM-00001'))
+      .toThrow('The journal entry of INV-00001 has no line on its control account');
+  });
+  
+  it('rejects a credit too small to reach any line', () => {
+    expect(() => memoLines(invoice, invoiceLines, 0.004, 'CM-00001')).toThrow('too small to credit against INV-00001');
+  });
+});
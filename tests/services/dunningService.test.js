@@ -0,0 +1,36 @@
+// tests/services/dunningService.test.js
+const { dueReminderLevel } = require('../../services/dunningService');
+
+// Loading the real email service connects to the SMTP server
+jest.mock('../../utils/emailService', () => ({
+  sendNotificationEmail: jest.fn()
+}));
+
+describe('dueReminderLevel', () => {
+  const cadence = [1, 15, 30];
+  
+  it('sends nothing before the first step', () => {
+    expect(dueReminderLevel(cadence, 0, 0)).toBeNull();
+    expect(dueReminderLevel(cadence, -5, 0)).toBeNull();
+  });
+  
+  it('reaches each step on its day', () => {
+    expect(dueReminderLevel(cadence, 1, 0)).toBe(1);
+    expect(dueReminderLevel(cadence, 15, 1)).toBe(2);
+    expect(dueReminderLevel(cadence, 30, 2)).toBe(3);
+  });
+  
+  it('does not repeat a reminder already sent', () => {
+    expect(dueReminderLevel(cadence, 14, 1)).toBeNull();
+    expect(dueReminderLevel(cadence, 45, 3)).toBeNull();
+  });
+  
+  it('jumps straight to the latest step reached', () => {
+    expect(dueReminderLevel(cadence, 40, 0)).toBe(3);
+    expect(dueReminderLevel(cadence, 20, 0)).toBe(2);
+  });
+  
+  it('sends nothing when the cadence is empty', () => {
+    expect(dueReminderLevel([], 90, 0)).toBeNull();
+  });
+});
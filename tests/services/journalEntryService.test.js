@@ -0,0 +1,571 @@
+// tests/services/journalEntryService.test.js
+const mongoose = require('mongoose');
+const JournalEntry = require('../../models/journalEntry');
+const Transaction = require('../../models/transaction');
+const Account = require('../../models/account');
+const Entity = require('../../models/entity');
+const AuditLog = require('../../models/auditLog');
+const journalEntryService = require('../../services/journalEntryService');
+const { assertPeriodOpen } = require('../../services/accountingPeriodService');
+const { ApiError } = require('../../utils/apiError');
+const { query } = require('../helpers/query');
+
+jest.mock('../../services/accountingPeriodService', () => ({
+  assertPeriodOpen: jest.fn()
+}));
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const clientId = objectId();
+const userId = objectId();
+const entity = { _id: objectId(), clientId, currency: 'USD' };
+const cash = { _id: objectId(), accountType: 'Asset' };
+const revenue = { _id: objectId(), accountType: 'Revenue' };
+
+// Stub every ledger write so the service runs without a database
+const stubLedgerWrites = () => {
+  jest.spyOn(JournalEntry.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  jest.spyOn(Transaction, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(Account, 'bulkWrite').mockResolvedValue({});
+};
+
+const balanceChanges = () => Account.bulkWrite.mock.calls[0][0].map(({ updateOne }) => ({
+  accountId: updateOne.filter._id,
+  amount: updateOne.update.$inc.balance
+}));
+
+beforeEach(() => {
+  assertPeriodOpen.mockResolvedValue({ status: 'open', flagged: false });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateBalanced', () => {
+  it('totals debits and credits, parsing string amounts', () => {
+    expect(journalEntryService.validateBalanced([
+      { amount: '100.25', type: 'debit' },
+      { amount: 60, type: 'credit' },
+      { amount: '40.25', type: 'credit' }
+    ])).toEqual({ totalDebits: 100.25, totalCredits: 100.25 });
+  });
+  
+  it('tolerates floating-point differences below a cent', () => {
+    expect(() => journalEntryService.validateBalanced([
+      { amount: 0.1, type: 'debit' },
+      { amount: 0.2, type: 'debit' },
+      { amount: 0.3, type: 'credit' }
+    ])).not.toThrow();
+  });
+  
+  it('rejects an unbalanced entry with the totals', () => {
+    expect.assertions(2);
+    try {
+      journalEntryService.validateBalanced([
+        { amount: 100, type: 'debit' },
+        { amount: 90, type: 'credit' }
+      ]);
+    } catch (error) {
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.details).toEqual({ totalDebits: 100, totalCredits: 90, difference: 10 });
+    }
+  });
+});
+
+describe('balanceChangeFor', () => {
+  it('increases Asset and Expense balances on debits', () => {
+    expect(journalEntryService.balanceChangeFor('Asset', 'debit', 50)).toBe(50);
+    expect(journalEntryService.balanceChangeFor('Expense', 'credit', 50)).toBe(-50);
+  });
+  
+  it('increases Liability, Equity and Revenue balances on credits', () => {
+    expect(journalEntryService.balanceChangeFor('Liability', 'credit', 50)).toBe(50);
+    expect(journalEntryService.balanceChangeFor('Equity', 'debit', 50)).toBe(-50);
+    expect(journalEntryService.balanceChangeFor('Revenue', 'credit', 50)).toBe(50);
+  });
+});
+
+describe('postJournalEntry', () => {
+  const data = {
+    clientId,
+    userId,
+    entityId: entity._id,
+    date: '2026-05-15',
+    description: 'Cash sale',
+    entries: [
+      { accountId: cash._id, amount: 250, type: 'debit' },
+      { accountId: revenue._id, amount: 250, type: 'credit' }
+    ]
+  };
+  
+  beforeEach(() => {
+    stubLedgerWrites();
+    jest.spyOn(Entity, 'findOne').mockReturnValue(query(entity));
+    jest.spyOn(Account, 'find').mockReturnValue(query([cash, revenue]));
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query({ entryNumber: '2026-05-00007' }));
+  });
+  
+  it('writes one ledger line per entry line and moves both account balances', async () => {
+    const { journalEntry } = await journalEntryService.postJournalEntry(data, null);
+    
+    expect(journalEntry.status).toBe('posted');
+    expect(journalEntry.totalAmount).toBe(250);
+    expect(journalEntry.entryNumber).toBe('2026-05-00008');
+    
+    const [lines] = Transaction.insertMany.mock.calls[0];
+    expect(lines.map(line => [String(line.accountId), line.type, line.amount])).toEqual([
+      [String(cash._id), 'debit', 250],
+      [String(revenue._id), 'credit', 250]
+    ]);
+    expect(balanceChanges()).toEqual([
+      { accountId: cash._id, amount: 250 },
+      { accountId: revenue._id, amount: 250 }
+    ]);
+  });
+  
+  it('starts the month at 00001', async () => {
+    JournalEntry.findOne.mockReturnValue(query(null));
+    
+    const { journalEntry } = await journalEntryService.postJournalEntry(data, null);
+    
+    expect(journalEntry.entryNumber).toBe('2026-05-00001');
+  });
+  
+  it('rejects an unbalanced entry before writing anything', async () => {
+    const entries = [data.entries[0], { ...data.entries[1], amount: 200 }];
+    
+    await expect(journalEntryService.postJournalEntry({ ...data, entries }, null))
+      .rejects.toThrow('Journal entries must be balanced');
+    expect(JournalEntry.prototype.save).not.toHaveBeenCalled();
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+    expect(Account.bulkWrite).not.toHaveBeenCalled();
+  });
+  
+  it('rejects accounts that do not belong to the entity', async () => {
+    Account.find.mockReturnValue(query([cash]));
+    
+    await expect(journalEntryService.postJournalEntry(data, null))
+      .rejects.toThrow(`Account ${revenue._id} not found or does not belong to this entity`);
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+  
+  it('rejects postings into a locked period', async () => {
+    assertPeriodOpen.mockRejectedValue(new ApiError(400, 'Accounting period 2026-05 is closed'));
+    
+    await expect(journalEntryService.postJournalEntry(data, null))
+      .rejects.toThrow('Accounting period 2026-05 is closed');
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('reverseJournalEntry', () => {
+  const postedEntry = () => new JournalEntry({
+    clientId,
+    entityId: entity._id,
+    entryNumber: '2026-05-00008',
+    date: new Date(2026, 4, 15),
+    description: 'Cash sale',
+    totalAmount: 250,
+    status: 'posted',
+    journalType: 'general'
+  });
+  
+  const ledgerLines = [
+    { accountId: cash, entityId: entity._id, description: 'Cash sale', amount: 250, type: 'debit', lineNo: 1 },
+    { accountId: revenue, entityId: entity._id, description: 'Cash sale', amount: 250, type: 'credit', lineNo: 2 }
+  ];
+  
+  const reverse = (original, data = {}) => {
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(original));
+    jest.spyOn(Transaction, 'find').mockReturnValue(query(ledgerLines));
+    return journalEntryService.reverseJournalEntry({
+      clientId,
+      userId,
+      journalEntryId: original._id,
+      reversalDate: new Date(2026, 5, 1),
+      ...data
+    }, null);
+  };
+  
+  beforeEach(() => {
+    stubLedgerWrites();
+  });
+  
+  it('posts mirror-image lines that undo the original balances', async () => {
+    const original = postedEntry();
+    
+    const { journalEntry, reversalEntry } = await reverse(original);
+    
+    const [lines] = Transaction.insertMany.mock.calls[0];
+    expect(lines.map(line => [String(line.accountId), line.type, line.amount])).toEqual([
+      [String(cash._id), 'credit', 250],
+      [String(revenue._id), 'debit', 250]
+    ]);
+    expect(balanceChanges()).toEqual([
+      { accountId: cash._id, amount: -250 },
+      { accountId: revenue._id, amount: -250 }
+    ]);
+    expect(reversalEntry.entryNumber).toBe('REV-2026-05-00008');
+    expect(reversalEntry.reversalOf).toEqual(original._id);
+    expect(journalEntry.status).toBe('reversed');
+    expect(journalEntry.reversedBy).toEqual(reversalEntry._id);
+  });
+  
+  it('rejects a reversal dated before the original entry', async () => {
+    await expect(reverse(postedEntry(), { reversalDate: new Date(2026, 4, 1) }))
+      .rejects.toThrow('A reversal cannot be dated before the entry it reverses');
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+  
+  it('rejects entries that are not posted', async () => {
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(null));
+    
+    await expect(journalEntryService.reverseJournalEntry({ clientId, userId, journalEntryId: objectId() }, null))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+  
+  it('refuses to reverse subledger entries by hand', async () => {
+    const original = postedEntry();
+    original.journalType = journalEntryService.INVOICE_JOURNAL_TYPE;
+    
+    await expect(reverse(original)).rejects.toMatchObject({ statusCode: 400 });
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('approval workflow', () => {
+  const preparerId = objectId();
+  const reviewerId = objectId();
+  
+  const draftEntry = (status, lines) => new JournalEntry({
+    clientId,
+    entityId: entity._id,
+    date: new Date(2026, 4, 15),
+    description: 'Accrued rent',
+    status,
+    createdBy: preparerId,
+    lines: lines || [
+      { accountId: cash._id, amount: 400, type: 'debit', lineNo: 1 },
+      { accountId: revenue._id, amount: 400, type: 'credit', lineNo: 2 }
+    ]
+  });
+  
+  beforeEach(() => {
+    stubLedgerWrites();
+    jest.spyOn(Entity, 'findOne').mockReturnValue(query(entity));
+    jest.spyOn(Account, 'find').mockReturnValue(query([cash, revenue]));
+  });
+  
+  it('saves a draft without touching the ledger, even when it does not balance yet', async () => {
+    const draft = await journalEntryService.createDraftJournalEntry({
+      clientId,
+      userId: preparerId,
+      entityId: entity._id,
+      date: '2026-05-15',
+      description: 'Accrued rent',
+      entries: [{ accountId: cash._id, amount: 400, type: 'debit' }]
+    }, null);
+    
+    expect(draft.status).toBe('draft');
+    expect(draft.entryNumber).toBeUndefined();
+    expect(draft.totalAmount).toBe(400);
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+    expect(Account.bulkWrite).not.toHaveBeenCalled();
+  });
+  
+  it('submits a balanced draft', async () => {
+    const draft = draftEntry('draft');
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(draft));
+    
+    const submitted = await journalEntryService.submitJournalEntry({ clientId, userId: preparerId, journalEntryId: draft._id }, null);
+    
+    expect(submitted.status).toBe('submitted');
+    expect(submitted.auditTrail.map(step => step.action)).toEqual(['submit']);
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+  
+  it('refuses to submit an unbalanced or empty draft', async () => {
+    const unbalanced = draftEntry('draft', [{ accountId: cash._id, amount: 400, type: 'debit' }]);
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(unbalanced));
+    await expect(journalEntryService.submitJournalEntry({ clientId, userId: preparerId, journalEntryId: unbalanced._id }, null))
+      .rejects.toThrow('Journal entries must be balanced');
+    
+    const empty = draftEntry('draft', []);
+    JournalEntry.findOne.mockReturnValue(query(empty));
+    await expect(journalEntryService.submitJournalEntry({ clientId, userId: preparerId, journalEntryId: empty._id }, null))
+      .rejects.toThrow('at least one line');
+  });
+  
+  it('only submits drafts and rejected entries', async () => {
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(null));
+    
+    await expect(journalEntryService.submitJournalEntry({ clientId, userId: preparerId, journalEntryId: objectId() }, null))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(JournalEntry.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      status: { $in: ['draft', 'rejected'] }
+    }));
+  });
+  
+  it('approves a submitted entry, numbering it and posting its lines', async () => {
+    const submitted = draftEntry('submitted');
+    jest.spyOn(JournalEntry, 'findOne')
+      .mockReturnValueOnce(query(submitted))
+      .mockReturnValueOnce(query(null));
+    
+    const { journalEntry } = await journalEntryService.approveJournalEntry({ userId: reviewerId, journalEntryId: submitted._id }, null);
+    
+    expect(journalEntry.status).toBe('posted');
+    expect(journalEntry.entryNumber).toBe('2026-05-00001');
+    expect(journalEntry.approvedBy).toEqual(reviewerId);
+    expect(journalEntry.totalAmount).toBe(400);
+    expect(balanceChanges()).toEqual([
+      { accountId: cash._id, amount: 400 },
+      { accountId: revenue._id, amount: 400 }
+    ]);
+  });
+  
+  it('refuses a review by the preparer', async () => {
+    const submitted = draftEntry('submitted');
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(submitted));
+    
+    await expect(journalEntryService.approveJournalEntry({ userId: preparerId, journalEntryId: submitted._id }, null))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(journalEntryService.rejectJournalEntry({ userId: preparerId, journalEntryId: submitted._id }, null))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+  
+  it('rejects a submitted entry back to its preparer without posting it', async () => {
+    const submitted = draftEntry('submitted');
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(submitted));
+    
+    const rejected = await journalEntryService.rejectJournalEntry({
+      userId: reviewerId,
+      journalEntryId: submitted._id,
+      comment: 'Wrong period'
+    }, null);
+    
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.auditTrail[0]).toMatchObject({ action: 'reject', details: { comment: 'Wrong period' } });
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+  
+  it('returns a rejected entry to draft when it is edited', async () => {
+    const rejected = draftEntry('rejected');
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(rejected));
+    
+    const draft = await journalEntryService.updateDraftJournalEntry({
+      clientId,
+      userId: preparerId,
+      journalEntryId: rejected._id,
+      date: '2026-06-01'
+    }, null);
+    
+    expect(draft.status).toBe('draft');
+    expect(draft.period).toMatchObject({ year: 2026, month: 6 });
+  });
+});
+
+describe('requested reversals', () => {
+  const requesterId = objectId();
+  const reviewerId = objectId();
+  
+  const postedEntry = () => new JournalEntry({
+    clientId,
+    entityId: entity._id,
+    entryNumber: '2026-05-00008',
+    date: new Date(2026, 4, 15),
+    description: 'Cash sale',
+    totalAmount: 250,
+    status: 'posted',
+    journalType: 'general'
+  });
+  
+  const ledgerLines = [
+    { accountId: cash._id, description: 'Cash sale', amount: 250, type: 'debit', lineNo: 1 },
+    { accountId: revenue._id, description: 'Cash sale', amount: 250, type: 'credit', lineNo: 2 }
+  ];
+  
+  beforeEach(() => {
+    stubLedgerWrites();
+    jest.spyOn(Entity, 'findOne').mockReturnValue(query(entity));
+    jest.spyOn(Account, 'find').mockReturnValue(query([cash, revenue]));
+    jest.spyOn(Transaction, 'find').mockReturnValue(query(ledgerLines));
+  });
+  
+  const request = (original, pending = null) => {
+    jest.spyOn(JournalEntry, 'findOne')
+      .mockReturnValueOnce(query(original))
+      .mockReturnValueOnce(query(pending));
+    return journalEntryService.requestReversal({
+      clientId,
+      userId: requesterId,
+      journalEntryId: original._id,
+      reversalDate: new Date(2026, 5, 1)
+    }, null);
+  };
+  
+  it('submits mirror-image lines for approval without touching the ledger', async () => {
+    const original = postedEntry();
+    
+    const reversal = await request(original);
+    
+    expect(reversal).toMatchObject({ status: 'submitted', totalAmount: 250 });
+    expect(reversal.reversalOf).toEqual(original._id);
+    expect(reversal.lines.map(line => [String(line.accountId), line.type, line.amount])).toEqual([
+      [String(cash._id), 'credit', 250],
+      [String(revenue._id), 'debit', 250]
+    ]);
+    expect(original.status).toBe('posted');
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+    expect(Account.bulkWrite).not.toHaveBeenCalled();
+  });
+  
+  it('refuses a second request while one is awaiting approval', async () => {
+    await expect(request(postedEntry(), { _id: objectId() }))
+      .rejects.toThrow('A reversal of 2026-05-00008 is already awaiting approval');
+  });
+  
+  it('posts the reversal on approval and marks the original reversed', async () => {
+    const original = postedEntry();
+    const reversal = await request(original);
+    JournalEntry.findOne.mockReset()
+      .mockReturnValueOnce(query(reversal))
+      .mockReturnValueOnce(query(original));
+    
+    const { journalEntry } = await journalEntryService.approveJournalEntry({ userId: reviewerId, journalEntryId: reversal._id }, null);
+    
+    expect(journalEntry).toMatchObject({ status: 'posted', entryNumber: 'REV-2026-05-00008' });
+    expect(original.status).toBe('reversed');
+    expect(original.reversedBy).toEqual(journalEntry._id);
+    expect(balanceChanges()).toEqual([
+      { accountId: cash._id, amount: -250 },
+      { accountId: revenue._id, amount: -250 }
+    ]);
+  });
+  
+  it('refuses approval once the original is no longer posted', async () => {
+    const reversal = await request(postedEntry());
+    JournalEntry.findOne.mockReset()
+      .mockReturnValueOnce(query(reversal))
+      .mockReturnValueOnce(query(null));
+    
+    await expect(journalEntryService.approveJournalEntry({ userId: reviewerId, journalEntryId: reversal._id }, null))
+      .rejects.toThrow('The entry this reverses is no longer posted');
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+  
+  it('does not let the lines of a reversal be edited', async () => {
+    const reversal = await request(postedEntry());
+    reversal.status = 'rejected';
+    JournalEntry.findOne.mockReset().mockReturnValue(query(reversal));
+    
+    await expect(journalEntryService.updateDraftJournalEntry({
+      clientId,
+      userId: requesterId,
+      journalEntryId: reversal._id,
+      entries: [{ accountId: cash._id, amount: 1, type: 'debit' }]
+    }, null)).rejects.toThrow('cannot be edited');
+  });
+});
+
+describe('processDueAutoReversals', () => {
+  const entry = {
+    _id: 'je-1',
+    clientId: 'client-1',
+    createdBy: 'user-1',
+    autoReversal: { isAutoReversing: true, reversalDate: new Date(2026, 4, 1) }
+  };
+  
+  beforeEach(() => {
+    jest.spyOn(JournalEntry, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([entry]) });
+    jest.spyOn(JournalEntry, 'updateOne').mockResolvedValue({});
+    jest.spyOn(journalEntryService, 'runInTransaction').mockImplementation(work => work(null));
+  });
+  
+  it('posts the reversal as an admin so soft-closed periods do not block it', async () => {
+    const reverse = jest.spyOn(journalEntryService, 'reverseJournalEntry').mockResolvedValue({
+      reversalEntry: { _id: 'je-2', date: entry.autoReversal.reversalDate }
+    });
+    
+    const results = await journalEntryService.processDueAutoReversals(new Date(2026, 4, 2));
+    
+    expect(reverse).toHaveBeenCalledWith(expect.objectContaining({
+      journalEntryId: 'je-1',
+      reversalDate: entry.autoReversal.reversalDate,
+      isAdmin: true,
+      isManual: false
+    }), null);
+    expect(results).toEqual([expect.objectContaining({ status: 'reversed', reversalEntryId: 'je-2' })]);
+    expect(JournalEntry.updateOne).not.toHaveBeenCalled();
+  });
+  
+  it('cancels the schedule when the reversal period is hard-closed', async () => {
+    jest.spyOn(journalEntryService, 'reverseJournalEntry').mockRejectedValue(
+      new ApiError(400, 'Accounting period 2026-05 is closed', { period: '2026-05', status: 'hard_closed' })
+    );
+    
+    const results = await journalEntryService.processDueAutoReversals(new Date(2026, 4, 2));
+    
+    expect(results).toEqual([{ journalEntryId: 'je-1', status: 'blocked', error: 'Accounting period 2026-05 is closed' }]);
+    const [, update] = JournalEntry.updateOne.mock.calls[0];
+    expect(update.$set['autoReversal.isAutoReversing']).toBe(false);
+    expect(update.$set['autoReversal.lastError']).toBe('Accounting period 2026-05 is closed');
+    expect(update.$push.auditTrail.action).toBe('auto_reversal_blocked');
+  });
+  
+  it('keeps the schedule and records the error for other failures', async () => {
+    jest.spyOn(journalEntryService, 'reverseJournalEntry').mockRejectedValue(new Error('connection reset'));
+    
+    const results = await journalEntryService.processDueAutoReversals(new Date(2026, 4, 2));
+    
+    expect(results).toEqual([{ journalEntryId: 'je-1', status: 'failed', error: 'connection reset' }]);
+    const [, update] = JournalEntry.updateOne.mock.calls[0];
+    expect(update.$set).not.toHaveProperty(['autoReversal.isAutoReversing']);
+    expect(update.$set['autoReversal.lastError']).toBe('connection reset');
+  });
+});
+
+describe('setAutoReversal', () => {
+  const entryWithStatus = (status) => new JournalEntry({
+    clientId,
+    entityId: entity._id,
+    entryNumber: status === 'posted' ? '2026-05-00008' : undefined,
+    date: new Date(2026, 4, 31),
+    description: 'Accrued wages',
+    status,
+    journalType: 'general'
+  });
+  
+  const schedule = (entry, data = {}) => {
+    jest.spyOn(JournalEntry, 'findOne').mockReturnValue(query(entry));
+    jest.spyOn(JournalEntry.prototype, 'save').mockResolvedValue();
+    return journalEntryService.setAutoReversal({ clientId, userId, journalEntryId: entry._id, ...data }, null);
+  };
+  
+  it('schedules a draft for the first day of the next period', async () => {
+    const entry = await schedule(entryWithStatus('draft'));
+    
+    expect(entry.autoReversal.isAutoReversing).toBe(true);
+    expect(entry.autoReversal.reversalDate).toEqual(new Date(2026, 5, 1));
+  });
+  
+  it('lets only an admin schedule the reversal of a posted entry', async () => {
+    await expect(schedule(entryWithStatus('posted'))).rejects.toMatchObject({ statusCode: 403 });
+    
+    const entry = await schedule(entryWithStatus('posted'), { isAdmin: true });
+    expect(entry.autoReversal.isAutoReversing).toBe(true);
+  });
+  
+  it('lets anyone cancel a scheduled reversal', async () => {
+    const posted = entryWithStatus('posted');
+    posted.autoReversal = { isAutoReversing: true, reversalDate: new Date(2026, 5, 1) };
+    
+    const entry = await schedule(posted, { enabled: false });
+    expect(entry.autoReversal.isAutoReversing).toBe(false);
+  });
+});
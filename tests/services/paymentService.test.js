@@ -0,0 +1,244 @@
+// tests/services/paymentService.test.js
+const mongoose = require('mongoose');
+const Payment = require('../../models/payment');
+const Invoice = require('../../models/invoice');
+const Account = require('../../models/account');
+const Entity = require('../../models/entity');
+const Customer = require('../../models/customer');
+const AuditLog = require('../../models/auditLog');
+const { postJournalEntry } = require('../../services/journalEntryService');
+const paymentService = require('../../services/paymentService');
+const { query } = require('../helpers/query');
+
+jest.mock('../../services/journalEntryService', () => ({
+  ...jest.requireActual('../../services/journalEntryService'),
+  postJournalEntry: jest.fn(),
+  reverseJournalEntry: jest.fn()
+}));
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const clientId = objectId();
+const userId = objectId();
+const cashAccount = { _id: objectId(), accountType: 'Asset' };
+const receivable = { _id: objectId(), accountType: 'Asset' };
+const otherReceivable = { _id: objectId(), accountType: 'Asset' };
+const entity = {
+  _id: objectId(),
+  clientId,
+  cashAccountId: cashAccount._id,
+  receivableAccountId: receivable._id
+};
+const customer = { _id: objectId(), name: 'Acme Ltd', currency: 'USD', save: jest.fn() };
+
+const openInvoice = (fields = {}) => new Invoice({
+  clientId,
+  entityId: entity._id,
+  invoiceType: 'ar',
+  invoiceNumber: 'INV-00001',
+  customerId: customer._id,
+  issueDate: new Date(2026, 4, 1),
+  dueDate: new Date(2026, 4, 31),
+  subtotal: 1000,
+  total: 1000,
+  amountPaid: 0,
+  balanceDue: 1000,
+  status: 'sent',
+  controlAccountId: receivable._id,
+  ...fields
+});
+
+// Serve findOne lookups by _id from a list of documents
+const byId = (documents) => ({ _id }) => query(documents.find(doc => String(doc._id) === String(_id)) || null);
+
+let invoices;
+
+beforeEach(() => {
+  invoices = [];
+  jest.spyOn(Entity, 'findOne').mockReturnValue(query(entity));
+  jest.spyOn(Entity, 'findOneAndUpdate').mockResolvedValue({ paymentSequences: { receipt: 12 } });
+  jest.spyOn(Customer, 'findOne').mockReturnValue(query(customer));
+  jest.spyOn(Account, 'findOne').mockImplementation(byId([cashAccount, receivable, otherReceivable]));
+  jest.spyOn(Invoice, 'findOne').mockImplementation(filter => byId(invoices)(filter));
+  jest.spyOn(Payment.prototype, 'save').mockResolvedValue();
+  jest.spyOn(Invoice.prototype, 'save').mockResolvedValue();
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  postJournalEntry.mockResolvedValue({ journalEntry: { _id: objectId() } });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  postJournalEntry.mockReset();
+});
+
+const postedLines = () => postJournalEntry.mock.calls[0][0].entries.map(entry => ({
+  accountId: String(entry.accountId),
+  type: entry.type,
+  amount: entry.amount
+}));
+
+describe('recordPayment', () => {
+  const receipt = (amount, applications) => paymentService.recordPayment({
+    clientId,
+    userId,
+    entityId: entity._id,
+    paymentType: 'receipt',
+    customerId: customer._id,
+    date: '2026-05-20',
+    amount,
+    paymentMethod: 'ach',
+    applications
+  }, null);
+  
+  it('reduces the invoice balance for a partial payment', async () => {
+    const invoice = openInvoice();
+    invoices.push(invoice);
+    
+    const { payment } = await receipt(400, [{ invoiceId: invoice._id, amount: 400 }]);
+    
+    expect(payment.paymentNumber).toBe('RCPT-00012');
+    expect(payment.unappliedAmount).toBe(0);
+    expect(invoice).toMatchObject({ amountPaid: 400, balanceDue: 600, status: 'partially_paid' });
+    expect(postedLines()).toEqual([
+      { accountId: String(cashAccount._id), type: 'debit', amount: 400 },
+      { accountId: String(receivable._id), type: 'credit', amount: 400 }
+    ]);
+  });
+  
+  it('keeps an overpayment as unapplied credit in the payment control account', async () => {
+    const invoice = openInvoice({ controlAccountId: otherReceivable._id });
+    invoices.push(invoice);
+    
+    const { payment } = await receipt(1500.25, [{ invoiceId: invoice._id, amount: 1000 }]);
+    
+    expect(invoice).toMatchObject({ balanceDue: 0, status: 'paid' });
+    expect(payment.unappliedAmount).toBe(500.25);
+    expect(postedLines()).toEqual([
+      { accountId: String(cashAccount._id), type: 'debit', amount: 1500.25 },
+      { accountId: String(otherReceivable._id), type: 'credit', amount: 1000 },
+      { accountId: String(receivable._id), type: 'credit', amount: 500.25 }
+    ]);
+  });
+  
+  it('posts an unapplied receipt entirely to the control account', async () => {
+    const { payment } = await receipt(250, []);
+    
+    expect(payment.unappliedAmount).toBe(250);
+    expect(postedLines()).toEqual([
+      { accountId: String(cashAccount._id), type: 'debit', amount: 250 },
+      { accountId: String(receivable._id), type: 'credit', amount: 250 }
+    ]);
+  });
+  
+  it('combines applications to invoices sharing a control account into one line', async () => {
+    const first = openInvoice();
+    const second = openInvoice({ invoiceNumber: 'INV-00002', total: 300, balanceDue: 300 });
+    invoices.push(first, second);
+    
+    await receipt(1300, [{ invoiceId: first._id, amount: 1000 }, { invoiceId: second._id, amount: 300 }]);
+    
+    expect(postedLines()).toEqual([
+      { accountId: String(cashAccount._id), type: 'debit', amount: 1300 },
+      { accountId: String(receivable._id), type: 'credit', amount: 1300 }
+    ]);
+  });
+  
+  it('rejects an application above the balance due', async () => {
+    const invoice = openInvoice({ amountPaid: 900, balanceDue: 100, status: 'partially_paid' });
+    invoices.push(invoice);
+    
+    await expect(receipt(400, [{ invoiceId: invoice._id, amount: 400 }]))
+      .rejects.toThrow('400.00 exceeds the 100.00 due on INV-00001');
+    expect(postJournalEntry).not.toHaveBeenCalled();
+  });
+  
+  it('rejects applications totalling more than the payment', async () => {
+    const first = openInvoice();
+    const second = openInvoice({ invoiceNumber: 'INV-00002' });
+    invoices.push(first, second);
+    
+    await expect(receipt(1500, [{ invoiceId: first._id, amount: 1000 }, { invoiceId: second._id, amount: 600 }]))
+      .rejects.toThrow('Applications total 1600.00 but only 1500.00 is available');
+  });
+  
+  it('rejects invoices of another customer, settled invoices and repeats', async () => {
+    const otherCustomers = openInvoice({ customerId: objectId() });
+    const paid = openInvoice({ invoiceNumber: 'INV-00002', status: 'paid', balanceDue: 0 });
+    const invoice = openInvoice({ invoiceNumber: 'INV-00003' });
+    invoices.push(otherCustomers, paid, invoice);
+    
+    await expect(receipt(100, [{ invoiceId: otherCustomers._id, amount: 100 }]))
+      .rejects.toThrow('INV-00001 belongs to a different customer');
+    await expect(receipt(100, [{ invoiceId: paid._id, amount: 100 }]))
+      .rejects.toThrow('INV-00002 is paid and cannot take a payment');
+    await expect(receipt(100, [{ invoiceId: invoice._id, amount: 50 }, { invoiceId: invoice._id, amount: 50 }]))
+      .rejects.toThrow('Each invoice can appear only once');
+  });
+});
+
+describe('applyCredit', () => {
+  const unappliedReceipt = () => new Payment({
+    clientId,
+    entityId: entity._id,
+    paymentType: 'receipt',
+    paymentNumber: 'RCPT-00012',
+    customerId: customer._id,
+    date: new Date(2026, 4, 20),
+    amount: 500,
+    unappliedAmount: 500,
+    paymentMethod: 'ach',
+    cashAccountId: cashAccount._id,
+    controlAccountId: receivable._id,
+    status: 'posted'
+  });
+  
+  it('applies the credit to a later invoice without posting an entry', async () => {
+    const payment = unappliedReceipt();
+    const invoice = openInvoice();
+    invoices.push(invoice);
+    jest.spyOn(Payment, 'findOne').mockReturnValue(query(payment));
+    
+    await paymentService.applyCredit({
+      clientId,
+      userId,
+      paymentId: payment._id,
+      date: '2026-05-25',
+      applications: [{ invoiceId: invoice._id, amount: 200 }]
+    }, null);
+    
+    expect(payment.unappliedAmount).toBe(300);
+    expect(invoice).toMatchObject({ balanceDue: 800, status: 'partially_paid' });
+    expect(postJournalEntry).not.toHaveBeenCalled();
+  });
+  
+  it('rejects more than the unapplied credit', async () => {
+    const payment = unappliedReceipt();
+    const invoice = openInvoice();
+    invoices.push(invoice);
+    jest.spyOn(Payment, 'findOne').mockReturnValue(query(payment));
+    
+    await expect(paymentService.applyCredit({
+      clientId,
+      userId,
+      paymentId: payment._id,
+      date: '2026-05-25',
+      applications: [{ invoiceId: invoice._id, amount: 600 }]
+    }, null)).rejects.toThrow('only 500.00 is available');
+  });
+  
+  it('rejects invoices that post to a different control account', async () => {
+    const payment = unappliedReceipt();
+    const invoice = openInvoice({ controlAccountId: otherReceivable._id });
+    invoices.push(invoice);
+    jest.spyOn(Payment, 'findOne').mockReturnValue(query(payment));
+    
+    await expect(paymentService.applyCredit({
+      clientId,
+      userId,
+      paymentId: payment._id,
+      date: '2026-05-25',
+      applications: [{ invoiceId: invoice._id, amount: 200 }]
+    }, null)).rejects.toThrow('INV-00001 posts to a different control account than RCPT-00012');
+    expect(payment.unappliedAmount).toBe(500);
+  });
+});
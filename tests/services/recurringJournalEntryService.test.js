@@ -0,0 +1,39 @@
+// tests/services/recurringJournalEntryService.test.js
+const { nextOccurrence } = require('../../services/recurringJournalEntryService');
+
+// Local-time date, formatted back for readable comparisons
+const date = (year, month, day) => new Date(year, month - 1, day);
+const ymd = (value) => [value.getFullYear(), value.getMonth() + 1, value.getDate()];
+
+describe('nextOccurrence', () => {
+  it('steps daily and weekly schedules by days, across month ends', () => {
+    expect(ymd(nextOccurrence(date(2026, 1, 31), 'daily'))).toEqual([2026, 2, 1]);
+    expect(ymd(nextOccurrence(date(2026, 12, 28), 'weekly'))).toEqual([2027, 1, 4]);
+  });
+  
+  it('clamps a month-end schedule to the end of shorter months', () => {
+    expect(ymd(nextOccurrence(date(2026, 1, 31), 'monthly', 31))).toEqual([2026, 2, 28]);
+    expect(ymd(nextOccurrence(date(2028, 1, 31), 'monthly', 31))).toEqual([2028, 2, 29]);
+    expect(ymd(nextOccurrence(date(2026, 3, 31), 'monthly', 31))).toEqual([2026, 4, 30]);
+  });
+  
+  it('returns to the anchor day after a short month', () => {
+    expect(ymd(nextOccurrence(date(2026, 2, 28), 'monthly', 31))).toEqual([2026, 3, 31]);
+    expect(ymd(nextOccurrence(date(2026, 4, 30), 'monthly', 31))).toEqual([2026, 5, 31]);
+    expect(ymd(nextOccurrence(date(2026, 2, 28), 'monthly', 30))).toEqual([2026, 3, 30]);
+  });
+  
+  it('keeps the current day when no anchor is given', () => {
+    expect(ymd(nextOccurrence(date(2026, 2, 28), 'monthly'))).toEqual([2026, 3, 28]);
+  });
+  
+  it('steps quarterly and annual schedules by whole months', () => {
+    expect(ymd(nextOccurrence(date(2026, 11, 30), 'quarterly', 31))).toEqual([2027, 2, 28]);
+    expect(ymd(nextOccurrence(date(2028, 2, 29), 'annually', 29))).toEqual([2029, 2, 28]);
+    expect(ymd(nextOccurrence(date(2029, 2, 28), 'annually', 29))).toEqual([2030, 2, 28]);
+  });
+  
+  it('rejects unknown frequencies', () => {
+    expect(() => nextOccurrence(date(2026, 1, 1), 'fortnightly')).toThrow('Unsupported recurring frequency: fortnightly');
+  });
+});
@@ -0,0 +1,15 @@
+// tests/utils/money.test.js
+const { roundCents } = require('../../utils/money');
+
+describe('roundCents', () => {
+  it('rounds to whole cents', () => {
+    expect(roundCents(10.004)).toBe(10);
+    expect(roundCents(10.006)).toBe(10.01);
+    expect(roundCents(-3.337)).toBe(-3.34);
+  });
+  
+  it('clears floating-point noise from sums', () => {
+    expect(roundCents(0.1 + 0.2)).toBe(0.3);
+    expect(roundCents(1000 - 999.99)).toBe(0.01);
+  });
+});
@@ -0,0 +1,38 @@
+// utils/apiError.js
+
+/**
+ * Error raised by services for failures the client can correct
+ * Carries the HTTP status code (honoured by middleware/errorHandler.js)
+ * and optional details to return alongside the message
+ */
+class ApiError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an ApiError as the standard `{ success: false, message }` response
+ * @param {Object} res - Express response
+ * @param {ApiError} error - The error to send
+ */
+const sendApiError = (res, error) => {
+  const body = {
+    success: false,
+    message: error.message
+  };
+
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+
+  return res.status(error.statusCode).json(body);
+};
+
+module.exports = {
+  ApiError,
+  sendApiError
+};
@@ -0,0 +1,36 @@
+// utils/dates.js
+
+/**
+ * Calendar helpers shared by schedules and period-based reports
+ */
+
+/**
+ * Add whole months to a date, clamping to the end of shorter months
+ * anchorDay keeps a schedule on e.g. the 31st from drifting to the 28th.
+ */
+const addMonths = (date, months, anchorDay = date.getDate()) => {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(anchorDay, daysInMonth));
+  return result;
+};
+
+// Calendar months from one date to another, ignoring the day of the month
+const monthsBetween = (from, to) => (
+  (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth())
+);
+
+// Whether date falls on the last day of its month
+const isMonthEnd = (date) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + 1);
+  return next.getDate() === 1;
+};
+
+module.exports = {
+  addMonths,
+  monthsBetween,
+  isMonthEnd
+};
@@ -0,0 +1,12 @@
+// utils/money.js
+
+/**
+ * Money helpers shared by the ledger, subledgers and reports
+ */
+
+// Round an amount to whole cents
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  roundCents
+};
@@ -0,0 +1,55 @@
+// utils/scheduler.js
+const logger = require('./logger');
+
+// Registered jobs: { name, intervalMs, task, timer, running }
+const jobs = [];
+
+/**
+ * Run a task every intervalMs
+ * A run is skipped while the previous one is still in progress, and errors
+ * are logged rather than thrown so one failure does not stop the schedule.
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Interval between runs
+ * @param {Function} task - async () => result
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  const job = { name, intervalMs, task, timer: null, running: false };
+  
+  const run = async () => {
+    if (job.running) {
+      logger.warn(`Scheduled job ${name} is still running; skipping this run`);
+      return;
+    }
+    
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`Scheduled job ${name} failed: ${error.message}`);
+    } finally {
+      job.running = false;
+    }
+  };
+  
+  job.timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for scheduled jobs
+  if (job.timer.unref) job.timer.unref();
+  
+  jobs.push(job);
+  logger.info(`Scheduled job ${name} every ${Math.round(intervalMs / 60000)} minute(s)`);
+  
+  return job;
+};
+
+/**
+ * Stop every scheduled job
+ */
+const stopAllJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.length = 0;
+};
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs
+};
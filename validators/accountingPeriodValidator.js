@@ -0,0 +1,93 @@
+// validators/accountingPeriodValidator.js
+const { body, query } = require('express-validator');
+const validateRequest = require('../middleware/requestValidator');
+
+// Validation middleware for listing periods
+exports.validateListPeriods = [
+  query('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  query('year')
+    .optional()
+    .isInt({ min: 1900, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  validateRequest
+];
+
+// Validation middleware for closing a period
+exports.validateClosePeriod = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('year')
+    .isInt({ min: 1900, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  body('month')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12'),
+  body('status')
+    .optional()
+    .isIn(['soft_closed', 'hard_closed'])
+    .withMessage('Status must be soft_closed or hard_closed'),
+  body('notes')
+    .optional()
+    .trim(),
+  validateRequest
+];
+
+// Validation middleware for reopening a period
+exports.validateReopenPeriod = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('year')
+    .isInt({ min: 1900, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  body('month')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12'),
+  body('notes')
+    .optional()
+    .trim(),
+  validateRequest
+];
+
+// Validation middleware for listing year-end closes
+exports.validateListYearEndCloses = [
+  query('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  validateRequest
+];
+
+// Validation middleware for closing a fiscal year
+exports.validateCloseYear = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('year')
+    .isInt({ min: 1900, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  body('retainedEarningsAccountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid retained earnings account ID format'),
+  body('notes')
+    .optional()
+    .trim(),
+  validateRequest
+];
+
+// Validation middleware for undoing a year-end close
+exports.validateUndoYearEndClose = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('year')
+    .isInt({ min: 1900, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  body('notes')
+    .optional()
+    .trim(),
+  validateRequest
+];
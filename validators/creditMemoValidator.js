@@ -0,0 +1,74 @@
+// validators/creditMemoValidator.js
+const { body, param, query } = require('express-validator');
+const validateRequest = require('../middleware/requestValidator');
+
+// Validation middleware for listing credit and debit memos
+exports.validateListCreditMemos = [
+  query(['entityId', 'invoiceId', 'customerId', 'vendorId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query('memoType')
+    .optional()
+    .isIn(['credit', 'debit'])
+    .withMessage('Memo type must be credit or debit'),
+  query('status')
+    .optional()
+    .isIn(['posted', 'void'])
+    .withMessage('Status must be posted or void'),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isDate()
+    .withMessage('Dates must be valid dates'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  validateRequest
+];
+
+// Validation middleware for credit memo ID format
+exports.validateCreditMemoId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid credit memo ID format'),
+  validateRequest
+];
+
+// Validation middleware for issuing a credit or debit memo
+exports.validateIssueCreditMemo = [
+  body('invoiceId')
+    .isMongoId()
+    .withMessage('Valid invoice ID is required'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  body('date')
+    .optional()
+    .isDate()
+    .withMessage('Date must be a valid date'),
+  body('reason')
+    .optional()
+    .trim(),
+  validateRequest
+];
+
+// Validation middleware for voiding a credit or debit memo
+exports.validateVoidCreditMemo = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid credit memo ID format'),
+  body('voidDate')
+    .optional()
+    .isDate()
+    .withMessage('Void date must be a valid date'),
+  body('reason')
+    .optional()
+    .trim(),
+  validateRequest
+];
@@ -0,0 +1,110 @@
+// validators/customerValidator.js
+const { body, param, query } = require('express-validator');
+const validateRequest = require('../middleware/requestValidator');
+
+// Fields shared by creating and editing a customer
+const customerFields = [
+  body(['customerNumber', 'phone', 'website', 'taxId', 'paymentTerms', 'category', 'notes'])
+    .optional()
+    .trim(),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body(['taxExempt', 'dunningOptOut'])
+    .optional()
+    .isBoolean()
+    .withMessage('taxExempt and dunningOptOut must be booleans'),
+  body(['billingAddress', 'shippingAddress'])
+    .optional()
+    .isObject()
+    .withMessage('Addresses must be objects'),
+  body('contacts')
+    .optional()
+    .isArray()
+    .withMessage('Contacts must be an array'),
+  body('contacts.*.name')
+    .notEmpty()
+    .withMessage('Contact name is required')
+    .trim(),
+  body('contacts.*.email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Contact email must be valid'),
+  body('contacts.*.isPrimary')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrimary must be a boolean'),
+  body('creditLimit')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Credit limit cannot be negative'),
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive', 'on_hold'])
+    .withMessage('Status must be active, inactive or on_hold'),
+  body('defaultRevenueAccount')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid default revenue account ID format'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array')
+];
+
+// Validation middleware for listing customers
+exports.validateListCustomers = [
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID format'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'on_hold'])
+    .withMessage('Status must be active, inactive or on_hold'),
+  query('search')
+    .optional()
+    .trim(),
+  validateRequest
+];
+
+// Validation middleware for customer ID format
+exports.validateCustomerId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid customer ID format'),
+  validateRequest
+];
+
+// Validation middleware for creating a customer
+exports.validateCreateCustomer = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('name')
+    .notEmpty()
+    .withMessage('Customer name is required')
+    .trim(),
+  ...customerFields,
+  validateRequest
+];
+
+// Validation middleware for editing a customer
+exports.validateUpdateCustomer = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid customer ID format'),
+  body('name')
+    .optional()
+    .notEmpty()
+    .withMessage('Customer name cannot be empty')
+    .trim(),
+  ...customerFields,
+  validateRequest
+];
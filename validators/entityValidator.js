@@ -37,6 +37,41 @@ exports.validateUpdateEntity = [
     .notEmpty()
     .withMessage('Entity name cannot be empty')
     .trim(),
+  body('address')
+    .optional()
+    .isObject()
+    .withMessage('Address must be an object'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Valid email is required'),
+  body(['phone', 'website', 'remittanceInstructions'])
+    .optional()
+    .trim(),
+  body('dunning.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('dunning.enabled must be a boolean'),
+  body('dunning.reminderDays')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('dunning.reminderDays must list between 1 and 10 reminders'),
+  body('dunning.reminderDays.*')
+    .isInt({ min: 1 })
+    .withMessage('Reminder days must be whole days past due')
+    .toInt(),
+  body([
+    'receivableAccountId',
+    'payableAccountId',
+    'salesTaxPayableAccountId',
+    'cashAccountId',
+    'disposalGainLossAccountId',
+    'impairmentLossAccountId',
+    'retainedEarningsAccountId'
+  ])
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Default accounts must be valid account IDs'),
   // other validations...
   validateRequest
 ];
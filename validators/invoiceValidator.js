@@ -0,0 +1,182 @@
+// validators/invoiceValidator.js
+const { body, param, query } = require('express-validator');
+const validateRequest = require('../middleware/requestValidator');
+
+// Fields shared by creating and editing an invoice; optional ones stay optional on edit
+const invoiceFields = (isUpdate) => [
+  body('issueDate')
+    .if(() => !isUpdate)
+    .isDate()
+    .withMessage('Valid issue date is required'),
+  body('dueDate')
+    .if(() => !isUpdate)
+    .isDate()
+    .withMessage('Valid due date is required'),
+  body(['issueDate', 'dueDate'])
+    .optional()
+    .isDate()
+    .withMessage('Dates must be valid dates'),
+  body('dueDate')
+    .optional()
+    .custom((dueDate, { req }) => !req.body.issueDate || new Date(dueDate) >= new Date(req.body.issueDate))
+    .withMessage('Due date cannot be before the issue date'),
+  body(['customerId', 'vendorId', 'controlAccountId', 'taxAccountId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('items')
+    .if((items) => !isUpdate || items !== undefined)
+    .isArray({ min: 1 })
+    .withMessage('At least one line item is required'),
+  body('items.*.description')
+    .notEmpty()
+    .withMessage('Line item description is required')
+    .trim(),
+  body('items.*.quantity')
+    .optional()
+    .isFloat()
+    .withMessage('Quantity must be a number'),
+  body('items.*.unitPrice')
+    .isFloat()
+    .withMessage('Unit price must be a number'),
+  body('items.*.taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be a percentage between 0 and 100'),
+  body('items.*.accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid line item account ID format'),
+  body(['reference', 'currency', 'paymentTerms', 'notes', 'memo'])
+    .optional()
+    .trim(),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array')
+];
+
+// Validation middleware for listing invoices
+exports.validateListInvoices = [
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID format'),
+  query('invoiceType')
+    .optional()
+    .isIn(['ar', 'ap'])
+    .withMessage('Invoice type must be ar or ap'),
+  query(['customerId', 'vendorId', 'recurringInvoiceId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isDate()
+    .withMessage('Dates must be valid dates'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  validateRequest
+];
+
+// Validation middleware for invoice ID format
+exports.validateInvoiceId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invoice ID format'),
+  validateRequest
+];
+
+// Validation middleware for creating an invoice or bill
+exports.validateCreateInvoice = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('invoiceType')
+    .isIn(['ar', 'ap'])
+    .withMessage('Invoice type must be ar or ap'),
+  body('vendorId')
+    .if(body('invoiceType').equals('ap'))
+    .isMongoId()
+    .withMessage('Valid vendor ID is required for a bill'),
+  ...invoiceFields(false),
+  validateRequest
+];
+
+// Validation middleware for editing a draft invoice
+exports.validateUpdateInvoice = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invoice ID format'),
+  ...invoiceFields(true),
+  validateRequest
+];
+
+// Validation middleware for issuing an invoice
+exports.validateIssueInvoice = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invoice ID format'),
+  body(['controlAccountId', 'taxAccountId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  validateRequest
+];
+
+// Validation middleware for voiding an invoice
+exports.validateVoidInvoice = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invoice ID format'),
+  body('voidDate')
+    .optional()
+    .isDate()
+    .withMessage('Void date must be a valid date'),
+  body('reason')
+    .optional()
+    .trim(),
+  validateRequest
+];
+
+// Validation middleware for emailing an invoice
+exports.validateSendInvoice = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invoice ID format'),
+  body(['to', 'cc'])
+    .optional()
+    .isArray()
+    .withMessage('Recipients must be an array of email addresses'),
+  body(['to.*', 'cc.*'])
+    .isEmail()
+    .withMessage('Recipients must be valid email addresses'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters'),
+  validateRequest
+];
+
+// Validation middleware for running dunning by hand; a future date would remind customers early
+exports.validateRunDunning = [
+  body('asOfDate')
+    .optional()
+    .isDate()
+    .withMessage('As of date must be a valid date')
+    .bail()
+    .custom(asOfDate => new Date(asOfDate) <= new Date())
+    .withMessage('As of date cannot be in the future'),
+  body('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID format'),
+  validateRequest
+];
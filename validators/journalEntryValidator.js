@@ -1,5 +1,5 @@
 // validators/journalEntryValidator.js
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 // Validation middleware for journal entry creation
 exports.validateJournalEntry = [
@@ -25,6 +25,18 @@ exports.validateJournalEntry = [
   body('entries.*.type')
     .isIn(['debit', 'credit'])
     .withMessage('Type must be either debit or credit'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'posted'])
+    .withMessage('Status must be either draft or posted'),
+  body('autoReverse')
+    .optional()
+    .isBoolean()
+    .withMessage('autoReverse must be a boolean'),
+  body('reversalDate')
+    .optional()
+    .isDate()
+    .withMessage('Reversal date must be a valid date'),
     
   // Validation result middleware
   (req, res, next) => {
@@ -59,3 +71,185 @@ exports.validateJournalEntryId = [
     next();
   }
 ];
+
+
+// Validation middleware for editing a draft journal entry
+exports.validateDraftUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid journal entry ID format'),
+  body('date')
+    .optional()
+    .isDate()
+    .withMessage('Valid date is required'),
+  body('description')
+    .optional()
+    .notEmpty()
+    .withMessage('Description cannot be empty')
+    .trim(),
+  body('entries')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one entry is required'),
+  body('entries.*.accountId')
+    .isMongoId()
+    .withMessage('Valid account ID is required'),
+  body('entries.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  body('entries.*.type')
+    .isIn(['debit', 'credit'])
+    .withMessage('Type must be either debit or credit'),
+    
+  // Validation result middleware
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validation middleware for approving or rejecting a journal entry
+exports.validateReview = (commentRequired = false) => [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid journal entry ID format'),
+  commentRequired
+    ? body('comment')
+      .notEmpty()
+      .withMessage('A comment is required')
+      .trim()
+    : body('comment')
+      .optional()
+      .trim(),
+    
+  // Validation result middleware
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validation middleware for setting up a recurring schedule
+exports.validateRecurrence = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid journal entry ID format'),
+  body('frequency')
+    .isIn(['daily', 'weekly', 'monthly', 'quarterly', 'annually'])
+    .withMessage('Frequency must be daily, weekly, monthly, quarterly or annually'),
+  body('nextDate')
+    .optional()
+    .isDate()
+    .withMessage('Next date must be a valid date'),
+  body('endDate')
+    .optional()
+    .isDate()
+    .withMessage('End date must be a valid date'),
+    
+  // Validation result middleware
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validation middleware for previewing a recurring schedule
+exports.validateRecurrencePreview = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid journal entry ID format'),
+  query('count')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Count must be between 1 and 60'),
+    
+  // Validation result middleware
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validation middleware for reversing a journal entry
+exports.validateReversal = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid journal entry ID format'),
+  body('reversalDate')
+    .optional()
+    .isDate()
+    .withMessage('Reversal date must be a valid date'),
+  query('reversalDate')
+    .optional()
+    .isDate()
+    .withMessage('Reversal date must be a valid date'),
+    
+  // Validation result middleware
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+// Validation middleware for scheduling an automatic reversal
+exports.validateAutoReversal = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid journal entry ID format'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+  body('reversalDate')
+    .optional()
+    .isDate()
+    .withMessage('Reversal date must be a valid date'),
+    
+  // Validation result middleware
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+    next();
+  }
+];
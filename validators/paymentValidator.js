@@ -0,0 +1,137 @@
+// validators/paymentValidator.js
+const { body, param, query } = require('express-validator');
+const validateRequest = require('../middleware/requestValidator');
+
+// Invoice applications of a payment or credit
+const applicationFields = [
+  body('applications.*.invoiceId')
+    .isMongoId()
+    .withMessage('Valid invoice ID is required for each application'),
+  body('applications.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Applied amounts must be greater than zero')
+];
+
+// Validation middleware for listing payments
+exports.validateListPayments = [
+  query(['entityId', 'customerId', 'vendorId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query('paymentType')
+    .optional()
+    .isIn(['receipt', 'disbursement'])
+    .withMessage('Payment type must be receipt or disbursement'),
+  query('status')
+    .optional()
+    .isIn(['posted', 'void'])
+    .withMessage('Status must be posted or void'),
+  query('unapplied')
+    .optional()
+    .isBoolean()
+    .withMessage('unapplied must be a boolean'),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isDate()
+    .withMessage('Dates must be valid dates'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  validateRequest
+];
+
+// Validation middleware for payment ID format
+exports.validatePaymentId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid payment ID format'),
+  validateRequest
+];
+
+// Validation middleware for recording a receipt or disbursement
+exports.validateRecordPayment = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('paymentType')
+    .isIn(['receipt', 'disbursement'])
+    .withMessage('Payment type must be receipt or disbursement'),
+  body('customerId')
+    .if(body('paymentType').equals('receipt'))
+    .isMongoId()
+    .withMessage('Valid customer ID is required for a receipt'),
+  body('vendorId')
+    .if(body('paymentType').equals('disbursement'))
+    .isMongoId()
+    .withMessage('Valid vendor ID is required for a disbursement'),
+  body('date')
+    .isDate()
+    .withMessage('Valid payment date is required'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['check', 'ach', 'wire', 'credit_card', 'cash', 'other'])
+    .withMessage('Invalid payment method'),
+  body(['cashAccountId', 'controlAccountId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID format'),
+  body(['reference', 'memo'])
+    .optional()
+    .trim(),
+  body('applications')
+    .optional()
+    .isArray()
+    .withMessage('Applications must be an array'),
+  ...applicationFields,
+  validateRequest
+];
+
+// Validation middleware for applying unapplied credit
+exports.validateApplyCredit = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid payment ID format'),
+  body('date')
+    .optional()
+    .isDate()
+    .withMessage('Date must be a valid date'),
+  body('applications')
+    .isArray({ min: 1 })
+    .withMessage('At least one application is required'),
+  ...applicationFields,
+  validateRequest
+];
+
+// Validation middleware for taking a payment off an invoice
+exports.validateUnapplyPayment = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid payment ID format'),
+  body('invoiceId')
+    .isMongoId()
+    .withMessage('Valid invoice ID is required'),
+  validateRequest
+];
+
+// Validation middleware for voiding a payment
+exports.validateVoidPayment = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid payment ID format'),
+  body('voidDate')
+    .optional()
+    .isDate()
+    .withMessage('Void date must be a valid date'),
+  body('reason')
+    .optional()
+    .trim(),
+  validateRequest
+];
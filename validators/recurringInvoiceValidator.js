@@ -0,0 +1,157 @@
+// validators/recurringInvoiceValidator.js
+const { body, param, query } = require('express-validator');
+const validateRequest = require('../middleware/requestValidator');
+
+// Fields shared by creating and editing a template; required ones stay optional on edit
+const templateFields = (isUpdate) => [
+  body('name')
+    .if((name) => !isUpdate || name !== undefined)
+    .notEmpty()
+    .withMessage('Name is required')
+    .trim(),
+  body('frequency')
+    .if((frequency) => !isUpdate || frequency !== undefined)
+    .isIn(['monthly', 'quarterly', 'annually'])
+    .withMessage('Frequency must be monthly, quarterly or annually'),
+  body('startDate')
+    .if((startDate) => !isUpdate || startDate !== undefined)
+    .isDate()
+    .withMessage('Valid start date is required'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isDate()
+    .withMessage('End date must be a valid date'),
+  body('dueInDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('dueInDays must be between 0 and 365'),
+  body(['customerId', 'vendorId', 'controlAccountId', 'taxAccountId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('items')
+    .if((items) => !isUpdate || items !== undefined)
+    .isArray({ min: 1 })
+    .withMessage('At least one line item is required'),
+  body('items.*.description')
+    .notEmpty()
+    .withMessage('Line item description is required')
+    .trim(),
+  body('items.*.quantity')
+    .optional()
+    .isFloat()
+    .withMessage('Quantity must be a number'),
+  body('items.*.unitPrice')
+    .isFloat()
+    .withMessage('Unit price must be a number'),
+  body('items.*.taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be a percentage between 0 and 100'),
+  body('items.*.accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid line item account ID format'),
+  body('autoSend')
+    .optional()
+    .isBoolean()
+    .withMessage('autoSend must be a boolean'),
+  body('sendTo')
+    .optional()
+    .isArray()
+    .withMessage('sendTo must be an array of email addresses'),
+  body('sendTo.*')
+    .isEmail()
+    .withMessage('Each sendTo recipient must be a valid email address'),
+  body(['reference', 'currency', 'paymentTerms', 'notes', 'memo'])
+    .optional()
+    .trim(),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array')
+];
+
+// Validation middleware for listing recurring invoices
+exports.validateListRecurringInvoices = [
+  query(['entityId', 'customerId', 'vendorId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  query('invoiceType')
+    .optional()
+    .isIn(['ar', 'ap'])
+    .withMessage('Invoice type must be ar or ap'),
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'completed'])
+    .withMessage('Status must be active, paused or completed'),
+  validateRequest
+];
+
+// Validation middleware for recurring invoice ID format
+exports.validateRecurringInvoiceId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid recurring invoice ID format'),
+  validateRequest
+];
+
+// Validation middleware for generating due recurring invoices by hand; a future
+// date would issue and post invoices ahead of time
+exports.validateRunRecurringInvoices = [
+  body('asOfDate')
+    .optional()
+    .isDate()
+    .withMessage('As of date must be a valid date')
+    .bail()
+    .custom(asOfDate => new Date(asOfDate) <= new Date())
+    .withMessage('As of date cannot be in the future'),
+  body('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID format'),
+  validateRequest
+];
+
+// Validation middleware for resuming a recurring invoice
+exports.validateResumeRecurringInvoice = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid recurring invoice ID format'),
+  body('catchUp')
+    .optional()
+    .isBoolean()
+    .withMessage('catchUp must be a boolean')
+    .toBoolean(),
+  validateRequest
+];
+
+// Validation middleware for creating a recurring invoice or bill
+exports.validateCreateRecurringInvoice = [
+  body('entityId')
+    .isMongoId()
+    .withMessage('Valid entity ID is required'),
+  body('invoiceType')
+    .isIn(['ar', 'ap'])
+    .withMessage('Invoice type must be ar or ap'),
+  body('customerId')
+    .if(body('invoiceType').equals('ar'))
+    .isMongoId()
+    .withMessage('Valid customer ID is required for a recurring invoice'),
+  body('vendorId')
+    .if(body('invoiceType').equals('ap'))
+    .isMongoId()
+    .withMessage('Valid vendor ID is required for a recurring bill'),
+  ...templateFields(false),
+  validateRequest
+];
+
+// Validation middleware for editing a recurring invoice
+exports.validateUpdateRecurringInvoice = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid recurring invoice ID format'),
+  ...templateFields(true),
+  validateRequest
+];